@@ -12,6 +12,7 @@ import pytz
 import random
 import re
 import requests
+import secrets
 import threading
 import time
 import torch
@@ -23,6 +24,8 @@ from flask_socketio import SocketIO, join_room
 from azure.identity import DefaultAzureCredential
 from openai import AzureOpenAI
 from vad_iterator import VADIterator, int2float
+from chat_adapters import AzureOpenAIAdapter, DirectLineAdapter, EchoAdapter, OpenAICompatibleAdapter, ScriptedAdapter
+from mock_services import estimateSpeechDurationMs, mockEvaluation, mock_ice_token, mock_speech_token
 
 # Load environment variables from .env file
 load_dotenv()
@@ -52,14 +55,27 @@ AZURE_OPENAI_DEPLOYMENT_NAME = os.environ.get('AZURE_OPENAI_DEPLOYMENT_NAME', DE
 COGNITIVE_SEARCH_ENDPOINT = os.environ.get('COGNITIVE_SEARCH_ENDPOINT')  # Optional
 COGNITIVE_SEARCH_API_KEY = os.environ.get('COGNITIVE_SEARCH_API_KEY')  # Optional
 COGNITIVE_SEARCH_INDEX_NAME = os.environ.get('COGNITIVE_SEARCH_INDEX_NAME')  # Optional
+OPENAI_COMPATIBLE_ENDPOINT = os.environ.get('OPENAI_COMPATIBLE_ENDPOINT')  # Optional, e.g. http://localhost:11434/v1
+OPENAI_COMPATIBLE_API_KEY = os.environ.get('OPENAI_COMPATIBLE_API_KEY')  # Optional
+OPENAI_COMPATIBLE_MODEL = os.environ.get('OPENAI_COMPATIBLE_MODEL')  # Required when OPENAI_COMPATIBLE_ENDPOINT is set
+DIRECT_LINE_SECRET = os.environ.get('DIRECT_LINE_SECRET')  # Optional, the Direct Line secret of a Bot Framework or Copilot Studio bot
+DIRECT_LINE_ENDPOINT = os.environ.get('DIRECT_LINE_ENDPOINT', 'https://directline.botframework.com/v3/directline')  # Optional, e.g. a regional Direct Line endpoint
+DEFAULT_CHAT_BACKEND = os.environ.get('DEFAULT_CHAT_BACKEND')  # Optional, azureOpenAI, openaiCompatible, directLine, echo or mock
+MOCK_MODE = os.environ.get('MOCK_MODE', 'false').lower() in ('1', 'true', 'yes')  # Optional, run without any Azure service, for offline development and browser tests
+ENABLE_ECHO_BACKEND = os.environ.get('ENABLE_ECHO_BACKEND', 'false').lower() in ('1', 'true', 'yes')  # Optional, offer the echo chat backend, for offline testing
+ENABLE_WEBSOCKETS = os.environ.get('ENABLE_WEBSOCKETS', 'true').lower() in ('1', 'true', 'yes')  # Optional, false to chat over HTTP streams instead
+SESSION_IDLE_TIMEOUT = int(os.environ.get('SESSION_IDLE_TIMEOUT', '1800'))  # Optional, seconds a client without an open page is kept for resuming, 0 to keep it until released
 
 # Validate required configuration
-if not SPEECH_KEY:
+if not SPEECH_KEY and not MOCK_MODE:
     raise ValueError("SPEECH_KEY environment variable is required")
 
 if AZURE_OPENAI_ENDPOINT and not AZURE_OPENAI_API_KEY:
     raise ValueError("AZURE_OPENAI_API_KEY is required when AZURE_OPENAI_ENDPOINT is set")
 
+if OPENAI_COMPATIBLE_ENDPOINT and not OPENAI_COMPATIBLE_MODEL:
+    raise ValueError("OPENAI_COMPATIBLE_MODEL is required when OPENAI_COMPATIBLE_ENDPOINT is set")
+
 
 # Speech resource (required)
 speech_region = SPEECH_REGION
@@ -67,6 +83,8 @@ speech_key = SPEECH_KEY
 speech_private_endpoint = None  # e.g. https://my-speech-service.cognitiveservices.azure.com/ (optional)
 speech_resource_url = None  # e.g. /subscriptions/6e83d8b7-00dd-4b0a-9e98-dab9f060418b/resourceGroups/my-rg/providers/Microsoft.CognitiveServices/accounts/my-speech (optional)
 user_assigned_managed_identity_client_id = None  # e.g. the client id of user assigned managed identity (optional)
+# Mock mode (optional): fake tokens, a scripted chat backend and evaluator, and a stand-in avatar in the page (see mock_services.py)
+mock_mode = MOCK_MODE
 # OpenAI resource (required for chat scenario)
 azure_openai_endpoint = AZURE_OPENAI_ENDPOINT
 azure_openai_api_key = AZURE_OPENAI_API_KEY
@@ -82,7 +100,7 @@ ice_server_username = os.environ.get('ICE_SERVER_USERNAME') # The ICE username
 ice_server_password = os.environ.get('ICE_SERVER_PASSWORD') # The ICE password
 
 # Const variables
-enable_websockets = True # Enable websockets between client and server for real-time communication optimization
+enable_websockets = ENABLE_WEBSOCKETS # Enable websockets between client and server for real-time communication optimization
 enable_vad = False # Enable voice activity detection (VAD) for interrupting the avatar speaking
 enable_token_auth_for_speech = False # Enable token authentication for speech service
 default_tts_voice = 'en-US-JennyMultilingualV2Neural' # Default TTS voice
@@ -91,6 +109,10 @@ enable_quick_reply = False # Enable quick reply for certain chat models which ta
 quick_replies = [ 'Let me take a look.', 'Let me check.', 'One moment, please.' ] # Quick reply reponses
 oyd_doc_regex = re.compile(r'\[doc(\d+)\]') # Regex to match the OYD (on-your-data) document reference
 repeat_speaking_sentence_after_reconnection = True # Repeat the speaking sentence after reconnection
+opening_line_instruction = 'Start the conversation now: say your opening line, in character, in one or two natural spoken sentences. Reply with the spoken words only.' # Instruction to generate the opening line from the system prompt
+interrupted_reply_note = ' [The user interrupted this reply, so may not have heard all of it.]' # Note added to an interrupted assistant reply in the chat history
+session_idle_timeout_seconds = SESSION_IDLE_TIMEOUT # Idle time after which a client whose page is gone is released
+keep_alive_interval_seconds = min(60, max(1, session_idle_timeout_seconds // 3)) if session_idle_timeout_seconds > 0 else 0 # How often an open page tells the server it is still there, 0 for never
 
 # Global variables
 client_contexts = {} # Client contexts
@@ -102,6 +124,22 @@ if azure_openai_endpoint and azure_openai_api_key:
         api_version='2024-06-01',
         api_key=azure_openai_api_key)
 
+# Chat backends, by name. Each client selects one for its session (see chat_adapters.py).
+chat_backends = {}
+if mock_mode:
+    chat_backends['mock'] = ScriptedAdapter() # First, so it is the default in mock mode
+if azure_openai_endpoint and azure_openai_api_key:
+    chat_backends['azureOpenAI'] = AzureOpenAIAdapter(azure_openai, azure_openai_deployment_name)
+if OPENAI_COMPATIBLE_ENDPOINT:
+    chat_backends['openaiCompatible'] = OpenAICompatibleAdapter.fromEndpoint(OPENAI_COMPATIBLE_ENDPOINT, OPENAI_COMPATIBLE_API_KEY, OPENAI_COMPATIBLE_MODEL)
+if DIRECT_LINE_SECRET:
+    chat_backends['directLine'] = DirectLineAdapter(DIRECT_LINE_SECRET, DIRECT_LINE_ENDPOINT)
+if mock_mode or ENABLE_ECHO_BACKEND:
+    chat_backends['echo'] = EchoAdapter()
+if not chat_backends:
+    raise ValueError("No chat backend is configured: set AZURE_OPENAI_ENDPOINT, OPENAI_COMPATIBLE_ENDPOINT or DIRECT_LINE_SECRET, or MOCK_MODE=true to run offline")
+default_chat_backend = DEFAULT_CHAT_BACKEND if DEFAULT_CHAT_BACKEND in chat_backends else next(iter(chat_backends))
+
 # VAD
 vad_iterator = None
 if enable_vad and enable_websockets:
@@ -111,7 +149,9 @@ if enable_vad and enable_websockets:
 # The default route, which shows the default web page (basic.html)
 @app.route("/")
 def index():
-    return render_template("chat.html", methods=["GET"], client_id=initializeClient(), enable_websockets=enable_websockets)
+    client_id = initializeClient()
+    return render_template("chat.html", methods=["GET"], client_id=client_id, session_token=client_contexts[client_id]['session_token'], enable_websockets=enable_websockets, mock_mode=mock_mode,
+                           chat_backends=[adapter.describe() for adapter in chat_backends.values()], default_chat_backend=default_chat_backend, keep_alive_interval_seconds=keep_alive_interval_seconds)
 
 # Health check endpoint for container orchestration
 @app.route("/health")
@@ -121,14 +161,16 @@ def health():
 # The basic route, which shows the basic web page
 @app.route("/basic")
 def basicView():
-    return render_template("basic.html", methods=["GET"], client_id=initializeClient())
+    return render_template("basic.html", methods=["GET"], client_id=initializeClient(), mock_mode=mock_mode, keep_alive_interval_seconds=keep_alive_interval_seconds)
 
 # The chat route, which shows the chat web page
 @app.route("/chat")
 def chatView():
     import time
     cache_bust = str(int(time.time()))
-    return render_template("chat.html", methods=["GET"], client_id=initializeClient(), enable_websockets=enable_websockets, cache_bust=cache_bust)
+    client_id = initializeClient()
+    return render_template("chat.html", methods=["GET"], client_id=client_id, session_token=client_contexts[client_id]['session_token'], enable_websockets=enable_websockets, cache_bust=cache_bust, mock_mode=mock_mode,
+                           chat_backends=[adapter.describe() for adapter in chat_backends.values()], default_chat_backend=default_chat_backend, keep_alive_interval_seconds=keep_alive_interval_seconds)
 
 @app.route("/test")
 def testView():
@@ -170,6 +212,9 @@ def getStatus() -> Response:
     status = {
         'speechSynthesizerConnected': client_context['speech_synthesizer_connected']
     }
+    if mock_mode:
+        # The mock avatar events of a page without a websocket come with its status polls
+        status['mockAvatarEvents'], client_context['mock_avatar_events'] = client_context['mock_avatar_events'], []
     return Response(json.dumps(status), status=200)
 
 # The API route to connect the TTS avatar
@@ -181,13 +226,17 @@ def connectAvatar() -> Response:
     # disconnect avatar if already connected
     disconnectAvatarInternal(client_id, isReconnecting)
     client_context = client_contexts[client_id]
+    applyClientSettings(client_id)
+    client_context['audio_only'] = False
 
-    # Override default values with client provided values
-    client_context['azure_openai_deployment_name'] = request.headers.get('AoaiDeploymentName') if request.headers.get('AoaiDeploymentName') else azure_openai_deployment_name
-    client_context['cognitive_search_index_name'] = request.headers.get('CognitiveSearchIndexName') if request.headers.get('CognitiveSearchIndexName') else cognitive_search_index_name
-    client_context['tts_voice'] = request.headers.get('TtsVoice') if request.headers.get('TtsVoice') else default_tts_voice
-    client_context['custom_voice_endpoint_id'] = request.headers.get('CustomVoiceEndpointId')
-    client_context['personal_voice_speaker_profile_id'] = request.headers.get('PersonalVoiceSpeakerProfileId')
+    if mock_mode:
+        # The page answers its WebRTC offer itself, with the mock avatar, so there is no remote SDP to return
+        client_context['speech_synthesizer_connected'] = True
+        client_context['mock_avatar_events'] = []
+        if client_context['websocket_connected']:
+            socketio.emit("response", { 'path': 'api.event', 'eventType': 'SPEECH_SYNTHESIZER_CONNECTED', 'clientId': str(client_id) }, room=str(client_id))
+        print(f"Mock avatar connected for client {client_id}.")
+        return Response('', status=200)
 
     custom_voice_endpoint_id = client_context['custom_voice_endpoint_id']
 
@@ -335,6 +384,44 @@ def connectAvatar() -> Response:
         print(f"Error connecting to avatar service: {e}")
         return Response(f"Error connecting to avatar service: {e}", status=500)
 
+# The API route to continue the session without the avatar video, e.g. when its WebRTC connection cannot be established
+# The client speaks the replies itself, from the 'speech' chat frames, and gets the voice settings to speak them with.
+@app.route("/api/connectAudioOnly", methods=["POST"])
+def connectAudioOnly() -> Response:
+    global client_contexts
+    client_id = uuid.UUID(request.headers.get('ClientId'))
+    try:
+        disconnectAvatarInternal(client_id, False)
+        client_context = client_contexts[client_id]
+        applyClientSettings(client_id)
+        client_context['audio_only'] = True
+        voice_settings = {
+            'ttsVoice': client_context['tts_voice'],
+            'customVoiceEndpointId': client_context['custom_voice_endpoint_id'],
+            'personalVoiceSpeakerProfileId': client_context['personal_voice_speaker_profile_id']
+        }
+        print(f"Audio only session started for client {client_id}.")
+        return Response(json.dumps(voice_settings), mimetype='application/json', status=200)
+    except Exception as e:
+        return Response(f"Audio only session failed. Error message: {e}", status=400)
+
+# Override the default chat and voice settings of the client with the values provided in the request headers
+def applyClientSettings(client_id: uuid.UUID) -> None:
+    client_context = client_contexts[client_id]
+    client_context['azure_openai_deployment_name'] = request.headers.get('AoaiDeploymentName') if request.headers.get('AoaiDeploymentName') else azure_openai_deployment_name
+    client_context['cognitive_search_index_name'] = request.headers.get('CognitiveSearchIndexName') if request.headers.get('CognitiveSearchIndexName') else cognitive_search_index_name
+    client_context['tts_voice'] = request.headers.get('TtsVoice') if request.headers.get('TtsVoice') else default_tts_voice
+    client_context['custom_voice_endpoint_id'] = request.headers.get('CustomVoiceEndpointId')
+    client_context['personal_voice_speaker_profile_id'] = request.headers.get('PersonalVoiceSpeakerProfileId')
+    selectChatBackend(client_id, request.headers.get('ChatBackend'))
+
+# Select the chat backend of the client. Another backend starts a new backend conversation; unknown backends are ignored.
+def selectChatBackend(client_id: uuid.UUID, chat_backend: str) -> None:
+    client_context = client_contexts[client_id]
+    if chat_backend in chat_backends and chat_backend != client_context['chat_backend']:
+        client_context['chat_backend'] = chat_backend
+        client_context['chat_backend_state'] = {}
+
 # The API route to connect the STT service
 @app.route("/api/connectSTT", methods=["POST"])
 def connectSTT() -> Response:
@@ -344,7 +431,13 @@ def connectSTT() -> Response:
     disconnectSttInternal(client_id)
     system_prompt = request.headers.get('SystemPrompt')
     stt_locales = request.headers.get('SttLocales', 'en-US')  # Default to en-US if not provided
+    audio_format = request.headers.get('AudioFormat', 'pcm') # 'pcm' (16-bit, 16 kHz, mono) or 'opus' (in a WebM or Ogg container)
     client_context = client_contexts[client_id]
+    selectChatBackend(client_id, request.headers.get('ChatBackend'))
+    if mock_mode:
+        # There is no speech recognition in mock mode, so the microphone audio is dropped; type the queries instead
+        print(f"STT is not available in mock mode, client {client_id} can type its queries.")
+        return Response(status=200)
     try:
         if speech_private_endpoint:
             speech_private_endpoint_wss = speech_private_endpoint.replace('https://', 'wss://')
@@ -373,8 +466,14 @@ def connectSTT() -> Response:
         # Parse comma-separated locales
         locale_list = [locale.strip() for locale in stt_locales.split(',')]
         
-        audio_input_stream = speechsdk.audio.PushAudioInputStream()
+        if audio_format == 'opus':
+            # Compressed audio is decoded by the speech SDK (needs GStreamer), which detects the container
+            audio_stream_format = speechsdk.audio.AudioStreamFormat(compressed_stream_format=speechsdk.AudioStreamContainerFormat.ANY)
+            audio_input_stream = speechsdk.audio.PushAudioInputStream(stream_format=audio_stream_format)
+        else:
+            audio_input_stream = speechsdk.audio.PushAudioInputStream()
         client_context['audio_input_stream'] = audio_input_stream
+        client_context['audio_format'] = audio_format
 
         audio_config = speechsdk.audio.AudioConfig(stream=audio_input_stream)
         
@@ -411,15 +510,15 @@ def connectSTT() -> Response:
                     speech_finished_offset = (evt.result.offset + evt.result.duration) / 10000
                     stt_latency = round((recognition_result_received_time - speech_recognition_start_time).total_seconds() * 1000 - speech_finished_offset)
                     print(f'STT latency: {stt_latency}ms')
-                    socketio.emit("response", { 'path': 'api.chat', 'chatResponse': f"<STTL>{stt_latency}</STTL>", 'clientId': str(client_id) })
+                    emitChatFrame({ 'type': 'latency', 'name': 'stt', 'ms': stt_latency }, client_id)
                     chat_initiated = client_context['chat_initiated']
                     if not chat_initiated:
                         initializeChatContext(system_prompt, client_id)
                         client_context['chat_initiated'] = True
                     first_response_chunk = True
-                    for chat_response in handleUserQuery(user_query, client_id):
+                    for chat_frame in handleUserQuery(user_query, client_id):
                         # No need to send "Assistant:" prefix since messages are displayed as separate bubbles
-                        socketio.emit("response", { 'path': 'api.chat', 'chatResponse': chat_response, 'clientId': str(client_id) })
+                        emitChatFrame(chat_frame, client_id)
                 except Exception as e:
                     print(f"Error in handling user query: {e}")
         speech_recognizer.recognized.connect(stt_recognized_cb)
@@ -467,22 +566,25 @@ def stopSpeaking() -> Response:
     global client_contexts
     client_id = uuid.UUID(request.headers.get('ClientId'))
     stopSpeakingInternal(client_id, False)
+    if request.headers.get('Interrupted') == 'true':
+        markReplyInterrupted(client_id)
     return Response('Speaking stopped.', status=200)
 
 # The API route for chat
 # It receives the user query and return the chat response.
-# It returns response in stream, which yields the chat response in chunks.
+# It returns response in stream, as NDJSON: one chat frame (see handleUserQuery) per line.
 @app.route("/api/chat", methods=["POST"])
 def chat() -> Response:
     global client_contexts
     client_id = uuid.UUID(request.headers.get('ClientId'))
     client_context = client_contexts[client_id]
+    selectChatBackend(client_id, request.headers.get('ChatBackend'))
     chat_initiated = client_context['chat_initiated']
     if not chat_initiated:
         initializeChatContext(request.headers.get('SystemPrompt'), client_id)
         client_context['chat_initiated'] = True
     user_query = request.data.decode('utf-8')
-    return Response(handleUserQuery(user_query, client_id), mimetype='text/plain', status=200)
+    return Response(encodeNdjson(handleUserQuery(user_query, client_id)), mimetype='application/x-ndjson', status=200)
 
 # The API route to continue speaking the unfinished sentences
 @app.route("/api/chat/continueSpeaking", methods=["POST"])
@@ -498,6 +600,44 @@ def continueSpeaking() -> Response:
         speakWithQueue(None, 0, client_id)
     return Response('Request sent.', status=200)
 
+# The API route for the opening line, spoken by the avatar to start the conversation
+# The line is given in the request body, or generated from the system prompt when the body is empty.
+# It is added to the chat history as the first assistant message and returned for the client to speak.
+@app.route("/api/chat/openingLine", methods=["POST"])
+def openingLine() -> Response:
+    global client_contexts
+    client_id = uuid.UUID(request.headers.get('ClientId'))
+    client_context = client_contexts[client_id]
+    system_prompt = request.headers.get('SystemPrompt')
+    if not client_context['chat_initiated']:
+        initializeChatContext(system_prompt, client_id)
+        client_context['chat_initiated'] = True
+
+    opening_line = request.data.decode('utf-8').strip()
+    generated = False
+    chat_backend = chat_backends[client_context['chat_backend']]
+    if not opening_line and chat_backend.keeps_conversation:
+        # A one-off request would start a conversation of its own with the backend, which the chat never uses
+        print(f"Chat backend {chat_backend.name} keeps its own conversation, so no opening line is generated for client {client_id}.")
+        return Response(json.dumps({ 'openingLine': '', 'generated': False }), mimetype='application/json', status=200)
+    if not opening_line:
+        try:
+            # A one-off request, outside the backend conversation of the client
+            reply_events = chat_backend.stream([
+                    { 'role': 'system', 'content': system_prompt },
+                    { 'role': 'user', 'content': opening_line_instruction }
+                ], {}, deployment_name=client_context['azure_openai_deployment_name'])
+            opening_line = ''.join(event['text'] for event in reply_events if event['type'] == 'token').strip()
+            generated = True
+        except Exception as e:
+            return Response(f"Opening line generation failed. Error message: {e}", status=400)
+
+    client_context['messages'].append({
+        'role': 'assistant',
+        'content': opening_line
+    })
+    return Response(json.dumps({ 'openingLine': opening_line, 'generated': generated }), mimetype='application/json', status=200)
+
 # The API route to clear the chat history
 @app.route("/api/chat/clearHistory", methods=["POST"])
 def clearChatHistory() -> Response:
@@ -505,6 +645,7 @@ def clearChatHistory() -> Response:
     client_context = client_contexts[client_id]
     initializeChatContext(request.headers.get('SystemPrompt'), client_id)
     client_context['chat_initiated'] = True
+    client_context['chat_backend_state'] = {} # Start a new conversation with backends which keep the conversation themselves
     return Response('Chat history cleared.', status=200)
 
 # The API route for transcript evaluation
@@ -522,11 +663,28 @@ def evaluate() -> Response:
         request_type = request_data.get('requestType', 'general')
         temperature = request_data.get('temperature', 0.7)
         max_tokens = request_data.get('maxTokens', 1000)
+        stream = request_data.get('stream', False)
         
         if not prompt:
             return Response(json.dumps({"error": "Prompt is required"}), 
                           mimetype='application/json', status=400)
         
+        # In mock mode, the reply is a fixed evaluation that fits the request type
+        if mock_mode:
+            print(f"[Evaluate] Mock response for {request_type}")
+            mock_response = json.dumps(mockEvaluation(prompt, request_type))
+            if stream:
+                return Response(streamMockText(mock_response), mimetype='text/plain', status=200)
+            return Response(
+                json.dumps({
+                    "success": True,
+                    "requestType": request_type,
+                    "response": mock_response
+                }),
+                mimetype='application/json',
+                status=200
+            )
+
         # Check if Azure OpenAI is configured
         if not azure_openai_endpoint or not azure_openai_api_key:
             return Response(json.dumps({"error": "Azure OpenAI is not configured"}), 
@@ -535,18 +693,44 @@ def evaluate() -> Response:
         # Call Azure OpenAI
         print(f"[Evaluate] Request type: {request_type}")
         
+        messages = [
+            {
+                "role": "system",
+                "content": "You are an expert evaluator for helper/counselor conversations. Provide structured, accurate, and helpful evaluations in valid JSON format."
+            },
+            {
+                "role": "user",
+                "content": prompt
+            }
+        ]
+
+        # In stream mode the JSON reply is returned as plain text while it is being generated,
+        # so the client can show partial results
+        if stream:
+            def streamEvaluation():
+                try:
+                    response = azure_openai.chat.completions.create(
+                        model=azure_openai_deployment_name,
+                        messages=messages,
+                        temperature=temperature,
+                        max_tokens=max_tokens,
+                        response_format={"type": "json_object"},  # Enforce JSON response
+                        stream=True
+                    )
+                    for chunk in response:
+                        if len(chunk.choices) > 0 and chunk.choices[0].delta.content is not None:
+                            yield chunk.choices[0].delta.content
+                    print(f"[Evaluate] Streamed response completed for {request_type}")
+                except Exception as e:
+                    # The status has already been sent; the client detects the incomplete JSON
+                    print(f"[Evaluate] Error while streaming {request_type}: {str(e)}")
+                    print(traceback.format_exc())
+
+            return Response(streamEvaluation(), mimetype='text/plain', status=200)
+
         response = azure_openai.chat.completions.create(
             model=azure_openai_deployment_name,
-            messages=[
-                {
-                    "role": "system",
-                    "content": "You are an expert evaluator for helper/counselor conversations. Provide structured, accurate, and helpful evaluations in valid JSON format."
-                },
-                {
-                    "role": "user",
-                    "content": prompt
-                }
-            ],
+            messages=messages,
             temperature=temperature,
             max_tokens=max_tokens,
             response_format={"type": "json_object"}  # Enforce JSON response
@@ -581,6 +765,55 @@ def evaluate() -> Response:
             status=500
         )
 
+# The API route to list the rubric definitions available to the evaluator
+# Rubrics are JSON files under static/rubrics, and the client loads the selected one by its url
+@app.route("/api/rubrics", methods=["GET"])
+def listRubrics() -> Response:
+    return Response(json.dumps(listStaticDefinitions('rubrics')), mimetype='application/json', status=200)
+
+# The API route to list the role-play scenarios available to the chat page
+# Scenarios are JSON files under static/scenarios, and the client loads the selected one by its url
+@app.route("/api/scenarios", methods=["GET"])
+def listScenarios() -> Response:
+    return Response(json.dumps(listStaticDefinitions('scenarios')), mimetype='application/json', status=200)
+
+# List the JSON definition files under the given static folder, with their id, name, description and url
+def listStaticDefinitions(folder_name: str) -> list:
+    definitions = []
+    definitions_folder = os.path.join(app.static_folder, folder_name)
+    for file_name in sorted(os.listdir(definitions_folder)):
+        if not file_name.endswith('.json'):
+            continue
+        try:
+            with open(os.path.join(definitions_folder, file_name), encoding='utf-8') as definition_file:
+                definition = json.load(definition_file)
+            definitions.append({
+                'id': definition.get('id', file_name[:-len('.json')]),
+                'name': definition.get('name', file_name[:-len('.json')]),
+                'description': definition.get('description', ''),
+                'url': f'{app.static_url_path}/{folder_name}/{file_name}'
+            })
+        except Exception as e:
+            print(f"Skipping invalid {folder_name} file {file_name}: {e}")
+    return definitions
+
+# The API route to log a change of the avatar connection quality, as measured by the client with WebRTC getStats
+# The body is the quality event: { type: degraded|recovered|action, reasons, metrics, action }
+@app.route("/api/logQualityEvent", methods=["POST"])
+def logQualityEvent() -> Response:
+    client_id = uuid.UUID(request.headers.get('ClientId'))
+    try:
+        quality_event = json.loads(request.data)
+        description = quality_event.get('type')
+        if quality_event.get('reasons'):
+            description += f" ({', '.join(quality_event['reasons'])})"
+        if quality_event.get('action'):
+            description += f", action: {quality_event['action']}"
+        print(f"[{datetime.datetime.now(pytz.UTC).isoformat()}] Connection quality {description} for client {client_id}: {json.dumps(quality_event.get('metrics', {}))}")
+        return Response('Quality event logged.', status=200)
+    except:
+        return Response(traceback.format_exc(), status=400)
+
 # The API route to disconnect the TTS avatar
 @app.route("/api/disconnectAvatar", methods=["POST"])
 def disconnectAvatar() -> Response:
@@ -597,62 +830,162 @@ def releaseClient() -> Response:
     global client_contexts
     client_id = uuid.UUID(json.loads(request.data)['clientId'])
     try:
-        disconnectAvatarInternal(client_id, False)
-        disconnectSttInternal(client_id)
-        time.sleep(2) # Wait some time for the connection to close
-        client_contexts.pop(client_id)
+        releaseClientInternal(client_id)
         print(f"Client context released for client {client_id}.")
         return Response('Client context released.', status=200)
     except Exception as e:
         print(f"Client context release failed. Error message: {e}")
         return Response(f"Client context release failed. Error message: {e}", status=400)
 
+# The API route to keep the client of an open page, to be invoked every keep_alive_interval_seconds
+# The activity is recorded for every request of the client (see recordClientActivity); this one is for the pages which send
+# nothing else for a while, e.g. before a session is started.
+@app.route("/api/keepAlive", methods=["POST"])
+def keepAlive() -> Response:
+    client_id = uuid.UUID(request.headers.get('ClientId'))
+    if client_id not in client_contexts:
+        return Response(f"Unknown client {client_id}.", status=404)
+    return Response('', status=200)
+
+# The API route to suspend the client, to be invoked when its page is closed or reloaded
+# The avatar and STT connections go away with the page, but the client context is kept for the page to resume after a reload,
+# until it has been idle for longer than the session idle timeout.
+@app.route("/api/suspendClient", methods=["POST"])
+def suspendClient() -> Response:
+    global client_contexts
+    client_id = uuid.UUID(json.loads(request.data)['clientId'])
+    try:
+        disconnectAvatarInternal(client_id, False)
+        disconnectSttInternal(client_id)
+        if client_id in client_contexts:
+            client_contexts[client_id]['last_activity_time'] = datetime.datetime.now(pytz.UTC)
+            # The page is gone, even when the server has not yet heard its websocket close
+            client_contexts[client_id]['suspended'] = True
+        print(f"Client {client_id} suspended.")
+        return Response('Client suspended.', status=200)
+    except Exception as e:
+        print(f"Client suspension failed. Error message: {e}")
+        return Response(f"Client suspension failed. Error message: {e}", status=400)
+
+# The API route to resume a client after a page reload, with the client id and session token the page kept in its session storage
+# The new page takes over the resumed client: its own client context is released, and the chat history is returned for it to show.
+@app.route("/api/resumeClient", methods=["POST"])
+def resumeClient() -> Response:
+    global client_contexts
+    client_id = uuid.UUID(request.headers.get('ClientId'))
+    try:
+        resume_request = json.loads(request.data)
+        resumed_client_id = uuid.UUID(resume_request['clientId'])
+        session_token = resume_request['sessionToken']
+    except Exception as e:
+        return Response(f"Invalid resume request. Error message: {e}", status=400)
+
+    resumed_context = client_contexts.get(resumed_client_id)
+    if resumed_context is None or not secrets.compare_digest(resumed_context['session_token'].encode(), str(session_token).encode()):
+        return Response('The session has expired or does not exist.', status=404)
+    if resumed_context['websocket_connected'] and not resumed_context['suspended']:
+        # e.g. a duplicated tab, which copies the session storage of the tab the session is open in. After a reload, the
+        # websocket of the page before may still look open, but that page suspended the client as it went away.
+        return Response('The session is open in another page.', status=409)
+
+    if resumed_client_id != client_id:
+        client_contexts.pop(client_id, None) # Nothing is connected for the new page yet
+    resumed_context['suspended'] = False
+    resumed_context['last_activity_time'] = datetime.datetime.now(pytz.UTC)
+    chat_history = []
+    for message in resumed_context['messages']:
+        if message['role'] in [ 'user', 'assistant' ]:
+            interrupted = message['role'] == 'assistant' and message['content'].endswith(interrupted_reply_note)
+            chat_history.append({
+                'role': message['role'],
+                'content': message['content'].removesuffix(interrupted_reply_note),
+                'interrupted': interrupted
+            })
+    print(f"Client {resumed_client_id} resumed, with {len(chat_history)} messages.")
+    return Response(json.dumps({ 'clientId': str(resumed_client_id), 'messages': chat_history }), mimetype='application/json', status=200)
+
+# Record the activity of the client a request is for, which keeps it from being released as idle
+@app.before_request
+def recordClientActivity() -> None:
+    client_id = request.headers.get('ClientId')
+    try:
+        client_context = client_contexts.get(uuid.UUID(client_id)) if client_id else None
+    except ValueError:
+        return
+    if client_context:
+        client_context['last_activity_time'] = datetime.datetime.now(pytz.UTC)
+
 @socketio.on("connect")
 def handleWsConnection():
     client_id = uuid.UUID(request.args.get('clientId'))
     join_room(str(client_id))
+    if client_id in client_contexts:
+        client_contexts[client_id]['websocket_connected'] = True
+        client_contexts[client_id]['websocket_sid'] = request.sid
+        client_contexts[client_id]['suspended'] = False
+        client_contexts[client_id]['last_activity_time'] = datetime.datetime.now(pytz.UTC)
     print(f"WebSocket connected for client {client_id}.")
 
+@socketio.on("disconnect")
+def handleWsDisconnection():
+    client_id = uuid.UUID(request.args.get('clientId'))
+    # The websocket of a page before a reload may close after the reloaded page has opened its own
+    if client_id in client_contexts and client_contexts[client_id]['websocket_sid'] == request.sid:
+        client_contexts[client_id]['websocket_connected'] = False
+        client_contexts[client_id]['last_activity_time'] = datetime.datetime.now(pytz.UTC)
+    print(f"WebSocket disconnected for client {client_id}.")
+
 @socketio.on("message")
 def handleWsMessage(message):
     global client_contexts
     client_id = uuid.UUID(message.get('clientId'))
     path = message.get('path')
     client_context = client_contexts[client_id]
+    client_context['last_activity_time'] = datetime.datetime.now(pytz.UTC)
     if path == 'api.audio':
         chat_initiated = client_context['chat_initiated']
-        audio_chunk = message.get('audioChunk')
-        audio_chunk_binary = base64.b64decode(audio_chunk)
+        if message.get('audioFrame') is not None:
+            # Binary attachment with a batched frame of 20-100 ms
+            audio_chunk_binary = bytes(message.get('audioFrame'))
+        else:
+            # Legacy format: a base64 encoded worklet frame per message
+            audio_chunk_binary = base64.b64decode(message.get('audioChunk'))
         audio_input_stream = client_context['audio_input_stream']
         if audio_input_stream:
             audio_input_stream.write(audio_chunk_binary)
-        if vad_iterator:
+        if vad_iterator and client_context['audio_format'] == 'pcm':
             audio_buffer = client_context['vad_audio_buffer']
             audio_buffer.extend(audio_chunk_binary)
-            if len(audio_buffer) >= 1024:
+            while len(audio_buffer) >= 1024:
                 audio_chunk_int = np.frombuffer(bytes(audio_buffer[:1024]), dtype=np.int16)
-                audio_buffer.clear()
+                del audio_buffer[:1024]
                 audio_chunk_float = int2float(audio_chunk_int)
                 vad_detected = vad_iterator(torch.from_numpy(audio_chunk_float))
                 if vad_detected:
                     print("Voice activity detected.")
                     stopSpeakingInternal(client_id, False)
     elif path == 'api.chat':
+        selectChatBackend(client_id, message.get('chatBackend'))
         chat_initiated = client_context['chat_initiated']
         if not chat_initiated:
             initializeChatContext(message.get('systemPrompt'), client_id)
             client_context['chat_initiated'] = True
         user_query = message.get('userQuery')
-        for chat_response in handleUserQuery(user_query, client_id):
-            socketio.emit("response", { 'path': 'api.chat', 'chatResponse': chat_response, 'clientId': str(client_id) })
+        for chat_frame in handleUserQuery(user_query, client_id):
+            emitChatFrame(chat_frame, client_id)
     elif path == 'api.stopSpeaking':
         stopSpeakingInternal(client_id, False)
+        if message.get('interrupted'):
+            # The user cut the avatar off in the middle of its reply, e.g. by barging in on the microphone
+            print(f"Reply interrupted by the user ({message.get('reason')}) for client {client_id}.")
+            markReplyInterrupted(client_id)
 
 # Initialize the client by creating a client id and an initial context
 def initializeClient() -> uuid.UUID:
     client_id = uuid.uuid4()
     client_contexts[client_id] = {
         'audio_input_stream': None, # Audio input stream for speech recognition
+        'audio_format': 'pcm', # Format of the microphone audio sent over websocket, 'pcm' or 'opus'
         'vad_audio_buffer': [], # Audio input buffer for VAD
         'speech_recognizer': None, # Speech recognizer for user speech
         'azure_openai_deployment_name': azure_openai_deployment_name, # Azure OpenAI deployment name
@@ -672,7 +1005,19 @@ def initializeClient() -> uuid.UUID:
         'speaking_text': None, # The text that the avatar is speaking
         'spoken_text_queue': [], # Queue to store the spoken text
         'speaking_thread': None, # The thread to speak the spoken text queue
-        'last_speak_time': None # The last time the avatar spoke
+        'last_speak_time': None, # The last time the avatar spoke
+        'is_replying': False, # Flag to indicate if an assistant reply is being generated
+        'reply_interrupted': False, # Flag to indicate if the user interrupted the reply being generated
+        'audio_only': False, # Flag to indicate if the client speaks the replies itself, without the avatar video
+        'chat_backend': default_chat_backend, # Name of the chat backend the client talks to
+        'chat_backend_state': {}, # What the chat backend keeps across turns, e.g. a Direct Line conversation id
+        'mock_speech_turn': 0, # Counts the stops of the mock avatar speaking, in mock mode
+        'mock_avatar_events': [], # Mock avatar events waiting for the next status poll of a page without a websocket, in mock mode
+        'session_token': secrets.token_urlsafe(32), # Secret the page resumes the client with after a reload
+        'websocket_connected': False, # Flag to indicate if the page of the client has its websocket open
+        'websocket_sid': None, # Socket.IO session id of the websocket the page of the client opened last
+        'suspended': False, # Flag to indicate if the page of the client went away, suspending the client until a reloaded page resumes it
+        'last_activity_time': datetime.datetime.now(pytz.UTC) # The last time the page of the client was heard from
     }
     return client_id
 
@@ -760,13 +1105,20 @@ def initializeChatContext(system_prompt: str, client_id: uuid.UUID) -> None:
         messages.append(system_message)
 
 # Handle the user query and return the assistant reply. For chat scenario.
-# The function is a generator, which yields the assistant reply in chunks.
+# The function is a generator, which yields the assistant reply as chat frames, each a dict with a 'type':
+#   { 'type': 'token', 'text': ... }                          a chunk of the reply text
+#   { 'type': 'latency', 'name': ..., 'ms': ... }             'stt', 'aoaiFirstToken' or 'aoaiFirstSentence' latency
+#   { 'type': 'citations', 'citations': [ ... ] }             the OYD documents the [docN] references of the reply point to
+#   { 'type': 'speech', 'text': ... }                         a sentence for the client to speak, in audio-only mode
+#   { 'type': 'error', 'message': ... }                       the reply failed
+#   { 'type': 'done' }                                        always the last frame
 def handleUserQuery(user_query: str, client_id: uuid.UUID):
     global client_contexts
     client_context = client_contexts[client_id]
     azure_openai_deployment_name = client_context['azure_openai_deployment_name']
     messages = client_context['messages']
     data_sources = client_context['data_sources']
+    chat_backend = chat_backends[client_context['chat_backend']]
 
     chat_message = {
         'role': 'user',
@@ -777,75 +1129,121 @@ def handleUserQuery(user_query: str, client_id: uuid.UUID):
 
     # For 'on your data' scenario, chat API currently has long (4s+) latency
     # We return some quick reply here before the chat API returns to mitigate.
-    if len(data_sources) > 0 and enable_quick_reply:
+    if len(data_sources) > 0 and enable_quick_reply and not client_context['audio_only']:
         speakWithQueue(random.choice(quick_replies), 2000)
 
     assistant_reply = ''
-    tool_content = ''
+    tool_content = None
     spoken_sentence = ''
+    client_context['is_replying'] = True
+    client_context['reply_interrupted'] = False
 
-    aoai_start_time = datetime.datetime.now(pytz.UTC)
-    response = azure_openai.chat.completions.create(
-        model=azure_openai_deployment_name,
-        messages=messages,
-        extra_body={ 'data_sources' : data_sources } if len(data_sources) > 0 else None,
-        stream=True)
-
-    is_first_chunk = True
-    is_first_sentence = True
-    for chunk in response:
-        if len(chunk.choices) > 0:
-            response_token = chunk.choices[0].delta.content
-            if response_token is not None:
-                # Log response_token here if need debug
-                if is_first_chunk:
-                    first_token_latency_ms = round((datetime.datetime.now(pytz.UTC) - aoai_start_time).total_seconds() * 1000)
-                    print(f"AOAI first token latency: {first_token_latency_ms}ms")
-                    yield f"<FTL>{first_token_latency_ms}</FTL>"
-                    is_first_chunk = False
-                if oyd_doc_regex.search(response_token):
-                    response_token = oyd_doc_regex.sub('', response_token).strip()
-                yield response_token # yield response token to client as display text
-                assistant_reply += response_token  # build up the assistant message
-                if response_token == '\n' or response_token == '\n\n':
-                    if is_first_sentence:
-                        first_sentence_latency_ms = round((datetime.datetime.now(pytz.UTC) - aoai_start_time).total_seconds() * 1000)
-                        print(f"AOAI first sentence latency: {first_sentence_latency_ms}ms")
-                        yield f"<FSL>{first_sentence_latency_ms}</FSL>"
-                        is_first_sentence = False
-                    speakWithQueue(spoken_sentence.strip(), 0, client_id)
-                    spoken_sentence = ''
-                else:
-                    response_token = response_token.replace('\n', '')
-                    spoken_sentence += response_token  # build up the spoken sentence
-                    if len(response_token) == 1 or len(response_token) == 2:
-                        for punctuation in sentence_level_punctuations:
-                            if response_token.startswith(punctuation):
-                                if is_first_sentence:
-                                    first_sentence_latency_ms = round((datetime.datetime.now(pytz.UTC) - aoai_start_time).total_seconds() * 1000)
-                                    print(f"AOAI first sentence latency: {first_sentence_latency_ms}ms")
-                                    yield f"<FSL>{first_sentence_latency_ms}</FSL>"
-                                    is_first_sentence = False
-                                speakWithQueue(spoken_sentence.strip(), 0, client_id)
-                                spoken_sentence = ''
-                                break
-
-    if spoken_sentence != '':
-        speakWithQueue(spoken_sentence.strip(), 0, client_id)
-        spoken_sentence = ''
-
-    if len(data_sources) > 0:
-        tool_message = {
-            'role': 'tool',
-            'content': tool_content
+    try:
+        aoai_start_time = datetime.datetime.now(pytz.UTC)
+        reply_events = chat_backend.stream(messages, client_context['chat_backend_state'],
+                                           deployment_name=azure_openai_deployment_name,
+                                           data_sources=data_sources)
+
+        is_first_chunk = True
+        is_first_sentence = True
+        for reply_event in reply_events:
+            if reply_event['type'] == 'citations':
+                yield { 'type': 'citations', 'citations': reply_event['citations'] }
+            elif reply_event['type'] == 'context':
+                tool_content = reply_event['content']
+            elif reply_event['type'] == 'token':
+                response_token = reply_event['text']
+                if response_token is not None:
+                    # Log response_token here if need debug
+                    if is_first_chunk:
+                        first_token_latency_ms = round((datetime.datetime.now(pytz.UTC) - aoai_start_time).total_seconds() * 1000)
+                        print(f"AOAI first token latency: {first_token_latency_ms}ms")
+                        yield { 'type': 'latency', 'name': 'aoaiFirstToken', 'ms': first_token_latency_ms }
+                        is_first_chunk = False
+                    assistant_reply += response_token  # build up the assistant message, before the stream may be closed at its token
+                    yield { 'type': 'token', 'text': response_token } # [docN] references included for citations
+                    if response_token == '\n' or response_token == '\n\n':
+                        if is_first_sentence:
+                            first_sentence_latency_ms = round((datetime.datetime.now(pytz.UTC) - aoai_start_time).total_seconds() * 1000)
+                            print(f"AOAI first sentence latency: {first_sentence_latency_ms}ms")
+                            yield { 'type': 'latency', 'name': 'aoaiFirstSentence', 'ms': first_sentence_latency_ms }
+                            is_first_sentence = False
+                        yield from speakReplySentence(spoken_sentence, client_id)
+                        spoken_sentence = ''
+                    else:
+                        response_token = response_token.replace('\n', '')
+                        spoken_sentence += response_token  # build up the spoken sentence
+                        if len(response_token) == 1 or len(response_token) == 2:
+                            for punctuation in sentence_level_punctuations:
+                                if response_token.startswith(punctuation):
+                                    if is_first_sentence:
+                                        first_sentence_latency_ms = round((datetime.datetime.now(pytz.UTC) - aoai_start_time).total_seconds() * 1000)
+                                        print(f"AOAI first sentence latency: {first_sentence_latency_ms}ms")
+                                        yield { 'type': 'latency', 'name': 'aoaiFirstSentence', 'ms': first_sentence_latency_ms }
+                                        is_first_sentence = False
+                                    yield from speakReplySentence(spoken_sentence, client_id)
+                                    spoken_sentence = ''
+                                    break
+
+        if spoken_sentence != '':
+            yield from speakReplySentence(spoken_sentence, client_id)
+            spoken_sentence = ''
+    except Exception as e:
+        print(f"Error in chat completion: {e}")
+        print(traceback.format_exc())
+        yield { 'type': 'error', 'message': str(e) }
+    finally:
+        # Also when the reply stream is closed part way, e.g. as the page goes away, so the next reply is not taken for this one
+        if tool_content is not None:
+            tool_message = {
+                'role': 'tool',
+                'content': tool_content
+            }
+            messages.append(tool_message)
+
+        assistant_message = {
+            'role': 'assistant',
+            'content': assistant_reply + (interrupted_reply_note if client_context['reply_interrupted'] else '')
         }
-        messages.append(tool_message)
+        messages.append(assistant_message)
+        client_context['is_replying'] = False
 
-    assistant_message = {
-        'role': 'assistant',
-        'content': assistant_reply
-    }
-    messages.append(assistant_message)
+    yield { 'type': 'done' }
+
+# Speak a sentence of the assistant reply, unless the user has interrupted the reply
+# The function is a generator: in audio-only mode the client speaks the sentence, so it is yielded as a 'speech' chat frame instead.
+def speakReplySentence(sentence: str, client_id: uuid.UUID):
+    client_context = client_contexts[client_id]
+    if client_context['reply_interrupted']:
+        return
+    spoken_sentence = oyd_doc_regex.sub('', sentence).strip()
+    if client_context['audio_only']:
+        if spoken_sentence:
+            yield { 'type': 'speech', 'text': spoken_sentence }
+        return
+    speakWithQueue(spoken_sentence, 0, client_id)
+
+# Mark the assistant reply the user interrupted in the chat history, so the model knows the user did not hear all of it.
+# A reply still being generated is marked when it is added to the history, and the rest of it is not spoken.
+def markReplyInterrupted(client_id: uuid.UUID) -> None:
+    client_context = client_contexts[client_id]
+    if client_context['is_replying']:
+        client_context['reply_interrupted'] = True
+        return
+    for message in reversed(client_context['messages']):
+        if message['role'] == 'assistant':
+            if not message['content'].endswith(interrupted_reply_note):
+                message['content'] += interrupted_reply_note
+            break
+
+# Send a chat frame to the client over websocket, one 'api.chat' response event per frame
+def emitChatFrame(chat_frame: dict, client_id: uuid.UUID) -> None:
+    socketio.emit("response", { 'path': 'api.chat', 'frame': chat_frame, 'clientId': str(client_id) })
+
+# Encode chat frames as NDJSON for the HTTP stream
+def encodeNdjson(chat_frames):
+    for chat_frame in chat_frames:
+        yield json.dumps(chat_frame) + '\n'
 
 # Speak the given text. If there is already a speaking in progress, add the text to the queue. For chat scenario.
 def speakWithQueue(text: str, ending_silence_ms: int, client_id: uuid.UUID) -> None:
@@ -903,6 +1301,8 @@ def speakText(text: str, voice: str, speaker_profile_id: str, ending_silence_ms:
 # Speak the given ssml with speech sdk
 def speakSsml(ssml: str, client_id: uuid.UUID, asynchronized: bool) -> str:
     global client_contexts
+    if mock_mode:
+        return mockSpeakSsml(ssml, client_id, asynchronized)
     speech_synthesizer = client_contexts[client_id]['speech_synthesizer']
     speech_sythesis_result = speech_synthesizer.start_speaking_ssml_async(ssml).get() if asynchronized else speech_synthesizer.speak_ssml_async(ssml).get()
     if speech_sythesis_result.reason == speechsdk.ResultReason.Canceled:
@@ -913,11 +1313,48 @@ def speakSsml(ssml: str, client_id: uuid.UUID, asynchronized: bool) -> str:
             raise Exception(cancellation_details.error_details)
     return speech_sythesis_result.result_id
 
+# Speak the given ssml with the mock avatar, in mock mode
+# Nothing is synthesized: the page is told to show the avatar speaking for about as long as the speech would take, or until it is stopped.
+def mockSpeakSsml(ssml: str, client_id: uuid.UUID, asynchronized: bool) -> str:
+    client_context = client_contexts[client_id]
+    if not client_context['speech_synthesizer_connected']:
+        raise Exception('The mock avatar is not connected')
+    speech_turn = client_context['mock_speech_turn']
+    duration_ms = estimateSpeechDurationMs(ssml)
+    def mockSpeakThread():
+        emitMockAvatarEvent(client_id, { 'eventType': 'MOCK_AVATAR_SPEAKING', 'durationMs': duration_ms })
+        speak_end_time = time.time() + duration_ms / 1000
+        while time.time() < speak_end_time and client_context['mock_speech_turn'] == speech_turn:
+            time.sleep(0.1)
+        emitMockAvatarEvent(client_id, { 'eventType': 'MOCK_AVATAR_IDLE' })
+    if asynchronized:
+        threading.Thread(target=mockSpeakThread).start()
+    else:
+        mockSpeakThread()
+    return f'mock-{uuid.uuid4().hex}'
+
+# Tell the page of a client about the mock avatar: over its websocket, or with its next /api/getStatus poll when it has none
+def emitMockAvatarEvent(client_id: uuid.UUID, event: dict) -> None:
+    client_context = client_contexts.get(client_id)
+    if client_context is None:
+        return # The client was released while its mock avatar was speaking
+    if client_context['websocket_connected']:
+        socketio.emit("response", dict({ 'path': 'api.event', 'clientId': str(client_id) }, **event), room=str(client_id))
+    else:
+        client_context['mock_avatar_events'].append(event)
+
+# Stream a text in small chunks, in mock mode, like a model generating it
+def streamMockText(text: str, chunk_length: int = 12, chunk_delay_seconds: float = 0.02):
+    for index in range(0, len(text), chunk_length):
+        time.sleep(chunk_delay_seconds)
+        yield text[index:index + chunk_length]
+
 # Stop speaking internal function
 def stopSpeakingInternal(client_id: uuid.UUID, skipClearingSpokenTextQueue: bool) -> None:
     global client_contexts
     client_context = client_contexts[client_id]
     client_context['is_speaking'] = False
+    client_context['mock_speech_turn'] += 1
     if not skipClearingSpokenTextQueue:
         spoken_text_queue = client_context['spoken_text_queue']
         spoken_text_queue.clear()
@@ -936,6 +1373,36 @@ def disconnectAvatarInternal(client_id: uuid.UUID, isReconnecting: bool) -> None
     avatar_connection = client_context['speech_synthesizer_connection']
     if avatar_connection:
         avatar_connection.close()
+    elif mock_mode:
+        client_context['speech_synthesizer_connected'] = False
+
+# Release the client context, after disconnecting the avatar and STT
+def releaseClientInternal(client_id: uuid.UUID) -> None:
+    global client_contexts
+    disconnectAvatarInternal(client_id, False)
+    disconnectSttInternal(client_id)
+    time.sleep(2) # Wait some time for the connection to close
+    client_contexts.pop(client_id)
+
+# Release the clients whose page has been gone for longer than the session idle timeout, checking every minute
+def releaseIdleClients() -> None:
+    while True:
+        time.sleep(60)
+        releaseIdleClientsInternal(datetime.datetime.now(pytz.UTC))
+
+# Release the clients not heard from for longer than the session idle timeout, as of the given time
+# An open page is heard from with its keepalives (/api/keepAlive), its other requests and its websocket traffic. An open
+# websocket alone does not keep a client, as the server may not hear it close when the page goes away.
+def releaseIdleClientsInternal(now: datetime.datetime) -> None:
+    for client_id, client_context in list(client_contexts.items()):
+        idle_seconds = (now - client_context['last_activity_time']).total_seconds()
+        if idle_seconds < session_idle_timeout_seconds:
+            continue
+        try:
+            releaseClientInternal(client_id)
+            print(f"Client context released for client {client_id}, idle for {round(idle_seconds)} seconds.")
+        except Exception as e:
+            print(f"Idle client context release failed. Error message: {e}")
 
 # Disconnect STT internal function
 def disconnectSttInternal(client_id: uuid.UUID) -> None:
@@ -954,15 +1421,27 @@ def disconnectSttInternal(client_id: uuid.UUID) -> None:
         audio_input_stream.close()
         client_context['audio_input_stream'] = None
 
-# Start the speech token refresh thread
-speechTokenRefereshThread = threading.Thread(target=refreshSpeechToken)
-speechTokenRefereshThread.daemon = True
-speechTokenRefereshThread.start()
-
-# Start the ICE token refresh thread
-iceTokenRefreshThread = threading.Thread(target=refreshIceToken)
-iceTokenRefreshThread.daemon = True
-iceTokenRefreshThread.start()
+if mock_mode:
+    # Fake tokens which never expire, instead of the ones of the speech service
+    speech_token = mock_speech_token
+    ice_token = mock_ice_token
+    print("Running in mock mode: no Azure service is used.")
+else:
+    # Start the speech token refresh thread
+    speechTokenRefereshThread = threading.Thread(target=refreshSpeechToken)
+    speechTokenRefereshThread.daemon = True
+    speechTokenRefereshThread.start()
+
+    # Start the ICE token refresh thread
+    iceTokenRefreshThread = threading.Thread(target=refreshIceToken)
+    iceTokenRefreshThread.daemon = True
+    iceTokenRefreshThread.start()
+
+# Start the idle client release thread
+if session_idle_timeout_seconds > 0:
+    idleClientReleaseThread = threading.Thread(target=releaseIdleClients)
+    idleClientReleaseThread.daemon = True
+    idleClientReleaseThread.start()
 
 # Run the Flask-SocketIO server
 if __name__ == '__main__':
@@ -0,0 +1,233 @@
+import json
+import re
+import time
+import requests
+from openai import OpenAI
+
+# Split a reply into tokens with the sentence punctuations and line breaks as tokens of their own,
+# so replies which do not come as a token stream are still spoken a sentence at a time
+token_regex = re.compile(r'\n\n|\n|[.?!:;。？！：；]|[^.?!:;。？！：；\n]+')
+
+def splitIntoTokens(text: str) -> list:
+    return token_regex.findall(text)
+
+class ChatAdapter:
+    """
+    A chat backend the avatar talks to. Each client selects one for its session.
+
+    stream() takes the chat history (OpenAI format, ending with the user query) and the backend state of the client,
+    a dict the adapter keeps what it needs across turns in (e.g. a conversation id). It yields the reply as events:
+        { 'type': 'token', 'text': ... }                                  a chunk of the reply text
+        { 'type': 'citations', 'citations': [ ... ] }                     the documents the reply refers to
+        { 'type': 'context', 'content': ... }                             retrieved context to keep in the chat history as a tool message
+
+    The chat history is kept by the app. An adapter whose backend keeps the conversation itself (keeps_conversation) only sends it
+    the last user query, so it cannot be asked one-off questions, such as for the opening line, outside the conversation.
+    """
+    name = ''
+    label = ''
+    keeps_conversation = False
+
+    def stream(self, messages: list, backend_state: dict, **options):
+        raise NotImplementedError()
+
+    def describe(self) -> dict:
+        return { 'name': self.name, 'label': self.label }
+
+class OpenAICompatibleAdapter(ChatAdapter):
+    """
+    Any endpoint implementing the OpenAI chat completions API, e.g. OpenAI, vLLM, Ollama or LM Studio.
+    options: model (overrides the configured model).
+    """
+    name = 'openaiCompatible'
+    label = 'OpenAI-compatible endpoint'
+
+    def __init__(self, client, model: str):
+        self.client = client
+        self.model = model
+
+    @classmethod
+    def fromEndpoint(cls, endpoint: str, api_key: str, model: str):
+        return cls(OpenAI(base_url=endpoint, api_key=api_key or 'none'), model)
+
+    def createCompletion(self, messages: list, backend_state: dict, **options):
+        return self.client.chat.completions.create(
+            model=options.get('model') or self.model,
+            messages=messages,
+            stream=True)
+
+    def stream(self, messages: list, backend_state: dict, **options):
+        yield from self.streamCompletion(self.createCompletion(messages, backend_state, **options), {})
+
+    # The adapters are shared by all clients, so what a reply needs to keep is in reply_state rather than on the adapter
+    def streamCompletion(self, completion, reply_state: dict):
+        for chunk in completion:
+            if len(chunk.choices) == 0:
+                continue
+            delta = chunk.choices[0].delta
+            yield from self.streamExtra(delta, reply_state)
+            if delta.content is not None:
+                yield { 'type': 'token', 'text': delta.content }
+
+    # Events other than the reply text a delta carries, e.g. the On Your Data context
+    def streamExtra(self, delta, reply_state: dict):
+        return iter(())
+
+class AzureOpenAIAdapter(OpenAICompatibleAdapter):
+    """
+    Azure OpenAI, with On Your Data: the data sources of the client are sent along, and the documents they retrieve
+    come back as citations and as context for the chat history.
+    options: deployment_name (overrides the configured deployment), data_sources.
+    """
+    name = 'azureOpenAI'
+    label = 'Azure OpenAI'
+
+    def createCompletion(self, messages: list, backend_state: dict, **options):
+        data_sources = options.get('data_sources') or []
+        extra_body = { 'data_sources': data_sources } if len(data_sources) > 0 else None
+        return self.client.chat.completions.create(
+            model=options.get('deployment_name') or self.model,
+            messages=messages,
+            extra_body=extra_body,
+            stream=True)
+
+    def stream(self, messages: list, backend_state: dict, **options):
+        reply_state = { 'context_content': '' }
+        yield from self.streamCompletion(self.createCompletion(messages, backend_state, **options), reply_state)
+        # On Your Data needs the retrieved documents in the history, as a tool message after the user query
+        if options.get('data_sources'):
+            yield { 'type': 'context', 'content': reply_state['context_content'] }
+
+    def streamExtra(self, delta, reply_state: dict):
+        # For 'on your data' scenario, the retrieved documents come in the context of the first delta
+        delta_context = (delta.model_extra or {}).get('context')
+        if delta_context:
+            reply_state['context_content'] = json.dumps(delta_context)
+        if delta_context and delta_context.get('citations'):
+            yield { 'type': 'citations', 'citations': [{
+                'title': citation.get('title') or '',
+                'url': citation.get('url') or '',
+                'filepath': citation.get('filepath') or '',
+                'chunkId': citation.get('chunk_id') or '',
+                'content': citation.get('content') or ''
+            } for citation in delta_context['citations']] }
+
+class DirectLineAdapter(ChatAdapter):
+    """
+    A Bot Framework bot, e.g. Copilot Studio, over the Direct Line 3.0 REST protocol.
+    The bot keeps the conversation, so only the user query is sent; the bot's replies come back whole, and are split into tokens.
+    """
+    name = 'directLine'
+    label = 'Bot Framework Direct Line (e.g. Copilot Studio)'
+    keeps_conversation = True
+
+    def __init__(self, secret: str, endpoint: str = 'https://directline.botframework.com/v3/directline', timeout_seconds: float = 30, poll_interval_seconds: float = 0.5):
+        self.secret = secret
+        self.endpoint = endpoint.rstrip('/')
+        self.timeout_seconds = timeout_seconds
+        self.poll_interval_seconds = poll_interval_seconds
+
+    def startConversation(self, backend_state: dict) -> None:
+        response = requests.post(f'{self.endpoint}/conversations', headers={ 'Authorization': f'Bearer {self.secret}' })
+        response.raise_for_status()
+        conversation = response.json()
+        backend_state['conversation_id'] = conversation['conversationId']
+        backend_state['token'] = conversation.get('token') or self.secret
+        backend_state['watermark'] = None
+
+    def stream(self, messages: list, backend_state: dict, **options):
+        if not backend_state.get('conversation_id'):
+            self.startConversation(backend_state)
+        conversation_url = f"{self.endpoint}/conversations/{backend_state['conversation_id']}/activities"
+        headers = { 'Authorization': f"Bearer {backend_state['token']}" }
+        user_query = messages[-1]['content']
+        response = requests.post(conversation_url, headers=headers, json={
+            'type': 'message',
+            'from': { 'id': backend_state.get('user_id', 'user') },
+            'text': user_query
+        })
+        response.raise_for_status()
+        activity_id = response.json().get('id')
+
+        # Poll for the bot's replies to the query, until the bot is done or the time is up
+        deadline = time.time() + self.timeout_seconds
+        replied = False
+        while time.time() < deadline:
+            params = { 'watermark': backend_state['watermark'] } if backend_state.get('watermark') else {}
+            response = requests.get(conversation_url, headers=headers, params=params)
+            response.raise_for_status()
+            activity_set = response.json()
+            backend_state['watermark'] = activity_set.get('watermark')
+            for activity in activity_set.get('activities', []):
+                if activity.get('replyToId') != activity_id or activity.get('from', {}).get('role') == 'user':
+                    continue
+                if activity.get('type') == 'message' and activity.get('text'):
+                    if replied:
+                        yield { 'type': 'token', 'text': '\n\n' }
+                    for token in splitIntoTokens(activity['text']):
+                        yield { 'type': 'token', 'text': token }
+                    replied = True
+                    if activity.get('inputHint') != 'ignoringInput':
+                        return # The bot is waiting for the user
+            time.sleep(self.poll_interval_seconds)
+        if not replied:
+            raise Exception(f'No reply from the bot within {self.timeout_seconds} seconds')
+
+class EchoAdapter(ChatAdapter):
+    """
+    A local stand-in for offline testing: repeats the user query back, a token at a time.
+    Only offered in mock mode or with ENABLE_ECHO_BACKEND, so a misconfigured server does not silently echo its users.
+    """
+    name = 'echo'
+    label = 'Echo (offline testing)'
+
+    def __init__(self, token_delay_seconds: float = 0.05):
+        self.token_delay_seconds = token_delay_seconds
+
+    def stream(self, messages: list, backend_state: dict, **options):
+        for token in splitIntoTokens(f"You said: {messages[-1]['content']}"):
+            time.sleep(self.token_delay_seconds)
+            yield { 'type': 'token', 'text': token }
+
+class ScriptedAdapter(ChatAdapter):
+    """
+    Canned replies for mock mode, so the app runs without any chat service. The replies come word by word after a first-token delay,
+    like a model's, so the latency frames have realistic values. They take turns, in order; a query asking for sources gets the reply with citations.
+    """
+    name = 'mock'
+    label = 'Scripted replies (mock mode)'
+
+    word_regex = re.compile(r'\n\n|\n|[.?!:;]|\s*[^\s.?!:;]+')
+
+    opening_line = "Hello, I'm the mock avatar. Everything you see here runs offline, so feel free to try anything."
+    replies = [
+        "Thanks for telling me that. Could you say a little more about what happened?",
+        "That sounds like it has been hard for you. What would help you most right now?",
+        "Here is what I would suggest:\n\n- Write down the main points first.\n- Then talk them through with someone you trust.\n\nWould that work for you?",
+        "I understand. Let's take it one step at a time, and you tell me when you are ready to go on."
+    ]
+    cited_reply = "According to the policy, requests are answered within five working days [doc1]. You can also ask for an extension in writing [doc2]."
+    citations = [
+        { 'title': 'Mock policy handbook', 'url': '', 'filepath': 'mock/policy-handbook.md', 'chunkId': '0', 'content': 'Requests are answered within five working days of being received.' },
+        { 'title': 'Mock extension guidelines', 'url': '', 'filepath': 'mock/extension-guidelines.md', 'chunkId': '0', 'content': 'An extension can be asked for in writing, before the deadline.' }
+    ]
+
+    def __init__(self, first_token_delay_seconds: float = 0.6, token_delay_seconds: float = 0.04):
+        self.first_token_delay_seconds = first_token_delay_seconds
+        self.token_delay_seconds = token_delay_seconds
+
+    def stream(self, messages: list, backend_state: dict, **options):
+        user_query = messages[-1]['content']
+        time.sleep(self.first_token_delay_seconds)
+        if user_query.startswith('Start the conversation now'): # The app's opening line instruction
+            reply = self.opening_line
+        elif re.search(r'\b(source|sources|policy|document|documents)\b', user_query, re.IGNORECASE):
+            yield { 'type': 'citations', 'citations': self.citations }
+            reply = self.cited_reply
+        else:
+            user_turns = len([message for message in messages if message['role'] == 'user'])
+            reply = self.replies[(user_turns - 1) % len(self.replies)]
+        for index, token in enumerate(self.word_regex.findall(reply)):
+            if index > 0:
+                time.sleep(self.token_delay_seconds)
+            yield { 'type': 'token', 'text': token }
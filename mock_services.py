@@ -0,0 +1,72 @@
+import html
+import json
+import re
+
+# Stand-ins for the Azure services in mock mode (MOCK_MODE=true), so the pages can be developed and tested offline
+
+# Fake tokens, in the formats the pages expect. The page in mock mode ignores the ICE servers (see mock-avatar.js).
+mock_speech_token = 'mock-speech-token'
+mock_ice_token = json.dumps({
+    'Urls': [ 'turn:mock.invalid:3478' ],
+    'Username': 'mock',
+    'Password': 'mock'
+})
+
+mock_speaking_rate_ms_per_character = 65 # About 15 characters a second, the pace of a neural voice
+
+ssml_tag_regex = re.compile(r'<[^>]+>')
+scale_regex = re.compile(r'on a scale of (\d+)-(\d+)')
+json_format_regex = re.compile(r'Provide your response in the following JSON format:\s*(\{.*\})\s*$', re.DOTALL)
+numbered_turn_regex = re.compile(r'^\[(\d+)\] User\b', re.MULTILINE)
+dimension_list_regex = re.compile(r'rubric dimensions:\s*\n((?:- .+\n?)+)')
+dimension_regex = re.compile(r'^- (.+?): ', re.MULTILINE)
+
+# How long the avatar would take to speak the given SSML, for the mock avatar to look busy for as long
+def estimateSpeechDurationMs(ssml: str) -> int:
+    text = html.unescape(ssml_tag_regex.sub('', ssml)).strip()
+    return max(500, len(' '.join(text.split())) * mock_speaking_rate_ms_per_character)
+
+# A fixed evaluation for the prompts of test.js, valid against their response schemas.
+# The rubric dimensions, scale and turn numbers are taken from the prompt, so any rubric works.
+def mockEvaluation(prompt: str, request_type: str) -> dict:
+    request_type = request_type.removesuffix('-repair')
+    if request_type == 'executive-summary':
+        return {
+            'overallLevel': 'Good',
+            'strengths': 'The helper listened closely and reflected the person\'s feelings back to them. (Mock evaluation)',
+            'priorities': 'Ask more open questions before offering solutions. (Mock evaluation)'
+        }
+    if request_type == 'rubric-scores':
+        scale_match = scale_regex.search(prompt)
+        scale_min, scale_max = (int(scale_match.group(1)), int(scale_match.group(2))) if scale_match else (1, 4)
+        format_match = json_format_regex.search(prompt)
+        rubrics = json.loads(format_match.group(1)).get('rubrics', []) if format_match else []
+        # The scores step through the scale, so every level shows up in the page
+        return { 'rubrics': [{
+            'name': rubric['name'],
+            'score': scale_min + index % (scale_max - scale_min + 1),
+            'justification': f"Mock justification for {rubric['name']}."
+        } for index, rubric in enumerate(rubrics)] }
+    if request_type == 'recommendations':
+        return { 'recommendations': [
+            'Open with a question that lets the person set the direction of the conversation.',
+            'Summarise what you heard before moving on to the next topic.',
+            'Agree on one concrete next step at the end of the conversation.'
+        ] }
+    if request_type == 'suggested-reply':
+        return { 'suggestedReply': 'It sounds like this has been weighing on you for a while. What would feel like a good first step for you?' }
+    if request_type == 'turn-annotations':
+        turn_ids = [int(turn_id) for turn_id in numbered_turn_regex.findall(prompt)]
+        dimension_list_match = dimension_list_regex.search(prompt)
+        dimensions = dimension_regex.findall(dimension_list_match.group(1)) if dimension_list_match else []
+        if not dimensions:
+            return { 'annotations': [] }
+        return { 'annotations': [{
+            'turnId': turn_id,
+            'dimension': dimensions[index % len(dimensions)],
+            'type': 'strength' if index % 2 == 0 else 'missed',
+            'severity': 'low' if index % 2 == 0 else 'medium',
+            'comment': 'Mock annotation of this turn.',
+            'suggestedRewrite': '' if index % 2 == 0 else 'A mock rewrite of this turn.'
+        } for index, turn_id in enumerate(turn_ids[:3])] }
+    return {}
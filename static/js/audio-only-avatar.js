@@ -0,0 +1,129 @@
+// audio-only-avatar.js - Speak the replies in the browser when the avatar video cannot be used, with a persona image in its place
+
+class AudioOnlyAvatar {
+    constructor() {
+        this.speechConfig = null;
+        this.voiceSettings = null;
+        this.queue = [];
+        this.current = null;
+        this.speaking = false;
+        this.tokenTimer = null;
+        this.onSpeakingChange = null;
+    }
+
+    /**
+     * Get ready to speak with the given voice settings ({ ttsVoice, customVoiceEndpointId, personalVoiceSpeakerProfileId }).
+     * fetchToken() resolves to { token, region } for the speech service; it is called again every 9 minutes, before the token expires.
+     */
+    async start(voiceSettings, fetchToken) {
+        this.stop();
+        this.voiceSettings = voiceSettings;
+        const { token, region } = await fetchToken();
+        this.speechConfig = SpeechSDK.SpeechConfig.fromAuthorizationToken(token, region);
+        if (voiceSettings.customVoiceEndpointId) {
+            this.speechConfig.endpointId = voiceSettings.customVoiceEndpointId;
+        }
+        this.tokenTimer = setInterval(() => {
+            fetchToken()
+                .then(({ token }) => { this.speechConfig.authorizationToken = token; })
+                .catch(error => console.error('Failed to refresh the speech token for audio only:', error));
+        }, 9 * 60 * 1000);
+    }
+
+    isStarted() {
+        return this.speechConfig !== null;
+    }
+
+    /**
+     * The SSML to speak a text with, the same as the server uses for the avatar
+     */
+    buildSsml(text) {
+        const escapedText = String(text).replace(/[&<>"']/g, match => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[match]);
+        return `<speak version='1.0' xmlns='http://www.w3.org/2001/10/synthesis' xmlns:mstts='http://www.w3.org/2001/mstts' xml:lang='en-US'>` +
+            `<voice name='${this.voiceSettings.ttsVoice}'>` +
+            `<mstts:ttsembedding speakerProfileId='${this.voiceSettings.personalVoiceSpeakerProfileId || ''}'>` +
+            `<mstts:leadingsilence-exact value='0'/>${escapedText}` +
+            `</mstts:ttsembedding></voice></speak>`;
+    }
+
+    /**
+     * Queue a sentence to speak after the ones before it
+     */
+    speak(text) {
+        if (!this.isStarted() || !text || !text.trim()) {
+            return;
+        }
+        this.queue.push(this.buildSsml(text));
+        this.speakNext();
+    }
+
+    /**
+     * Each sentence gets its own player, as a player cannot be reused once its audio has ended
+     */
+    speakNext() {
+        if (this.current !== null || this.queue.length === 0) {
+            return;
+        }
+        const player = new SpeechSDK.SpeakerAudioDestination();
+        const synthesizer = new SpeechSDK.SpeechSynthesizer(this.speechConfig, SpeechSDK.AudioConfig.fromSpeakerOutput(player));
+        const current = { player: player, synthesizer: synthesizer };
+        this.current = current;
+
+        const finish = () => {
+            if (this.current !== current) {
+                return; // Stopped already
+            }
+            synthesizer.close();
+            this.current = null;
+            if (this.queue.length === 0) {
+                this.setSpeaking(false);
+            }
+            this.speakNext();
+        };
+        player.onAudioStart = () => this.setSpeaking(true);
+        player.onAudioEnd = finish;
+        synthesizer.speakSsmlAsync(this.queue.shift(), result => {
+            if (result.reason === SpeechSDK.ResultReason.Canceled) {
+                console.error('Audio only speech synthesis canceled:', SpeechSDK.CancellationDetails.fromResult(result).errorDetails);
+                finish();
+            }
+        }, error => {
+            console.error('Audio only speech synthesis failed:', error);
+            finish();
+        });
+    }
+
+    setSpeaking(speaking) {
+        if (this.speaking === speaking) {
+            return;
+        }
+        this.speaking = speaking;
+        if (this.onSpeakingChange) {
+            this.onSpeakingChange(speaking);
+        }
+    }
+
+    /**
+     * Stop the sentence being spoken and drop the queued ones
+     */
+    stopSpeaking() {
+        this.queue = [];
+        if (this.current !== null) {
+            const current = this.current;
+            this.current = null;
+            current.player.pause();
+            current.synthesizer.close();
+        }
+        this.setSpeaking(false);
+    }
+
+    stop() {
+        this.stopSpeaking();
+        clearInterval(this.tokenTimer);
+        this.tokenTimer = null;
+        if (this.speechConfig !== null) {
+            this.speechConfig.close();
+            this.speechConfig = null;
+        }
+    }
+}
@@ -0,0 +1,124 @@
+// avatar-connection.js - The WebRTC connection to the avatar service, negotiated through the app's server
+
+class AvatarConnection {
+    /**
+     * A connection is made in two steps: open() creates the peer connection, for the page to watch its tracks and
+     * state, and connect() sends the offer to the server (/api/connectAvatar) and sets the avatar service's answer.
+     *
+     * options.onEvent(data) gets the events the avatar service sends on the data channel, e.g. EVENT_TYPE_SWITCH_TO_SPEAKING.
+     * options.fetch, options.createPeerConnection(configuration) and options.getRemoteDescription(remoteSdp, peerConnection)
+     * can be replaced, so tests can connect to a fake avatar service, and mock mode to the mock avatar (see useMockAvatar).
+     */
+    constructor(options = {}) {
+        this.onEvent = options.onEvent ?? (() => {});
+        this.fetch = options.fetch ?? ((url, init) => fetch(url, init));
+        this.createPeerConnection = options.createPeerConnection ?? (configuration => new RTCPeerConnection(configuration));
+        // The answer to the page's offer, from the remote SDP the avatar service returned
+        this.getRemoteDescription = options.getRemoteDescription ?? (remoteSdp => Promise.resolve(new RTCSessionDescription(JSON.parse(atob(remoteSdp)))));
+        this.iceGatheringTimeoutMs = options.iceGatheringTimeoutMs ?? 2000;
+        this.peerConnection = null;
+        this.dataChannel = null;
+    }
+
+    /**
+     * Connect to the mock avatar instead of the avatar service, in mock mode: it answers the offer on a loopback connection.
+     * The fake ICE servers are left out, so the connection stays on the local host.
+     */
+    useMockAvatar(mockAvatar) {
+        this.createPeerConnection = configuration => new RTCPeerConnection(Object.assign({}, configuration, { iceServers: [], iceTransportPolicy: 'all' }));
+        this.getRemoteDescription = (remoteSdp, peerConnection) => mockAvatar.answer(peerConnection);
+    }
+
+    /**
+     * Fetch the ICE token and create a peer connection which receives one video and one audio track. The events of
+     * the connection before, if any, are no longer passed on. Resolves to the new peer connection.
+     */
+    async open() {
+        const response = await this.fetch('/api/getIceToken', { method: 'GET' });
+        if (!response.ok) {
+            throw new Error(`Failed fetching ICE token: ${response.status} ${response.statusText}`);
+        }
+        const iceToken = await response.json();
+
+        this.detach();
+        const peerConnection = this.createPeerConnection({
+            iceServers: [{
+                urls: [ iceToken.Urls[0] ],
+                username: iceToken.Username,
+                credential: iceToken.Password
+            }],
+            iceTransportPolicy: 'relay'
+        });
+        this.peerConnection = peerConnection;
+
+        // Listen to data channel, to get the event from the avatar service
+        peerConnection.addEventListener('datachannel', event => {
+            if (this.peerConnection !== peerConnection) {
+                return;
+            }
+            this.dataChannel = event.channel;
+            this.dataChannel.onmessage = e => this.onEvent(e.data);
+        });
+
+        // This is a workaround to make sure the data channel listening is working by creating a data channel from the client side
+        peerConnection.createDataChannel('eventChannel');
+
+        // Offer to receive 1 audio, and 1 video track
+        peerConnection.addTransceiver('video', { direction: 'sendrecv' });
+        peerConnection.addTransceiver('audio', { direction: 'sendrecv' });
+        return peerConnection;
+    }
+
+    /**
+     * Make the offer and, once the ICE candidates are gathered or after iceGatheringTimeoutMs, send it to the server
+     * with the given request headers. Resolves once the answer of the avatar service is set.
+     */
+    async connect(headers) {
+        const peerConnection = this.peerConnection;
+        let iceGatheringTimer = null;
+        const iceGatheringDone = new Promise(resolve => {
+            peerConnection.onicecandidate = e => {
+                if (!e.candidate) {
+                    resolve();
+                }
+            };
+            iceGatheringTimer = setTimeout(resolve, this.iceGatheringTimeoutMs);
+        });
+
+        await peerConnection.setLocalDescription(await peerConnection.createOffer());
+        await iceGatheringDone;
+        clearTimeout(iceGatheringTimer);
+
+        const response = await this.fetch('/api/connectAvatar', {
+            method: 'POST',
+            headers: headers,
+            body: btoa(JSON.stringify(peerConnection.localDescription))
+        });
+        if (!response.ok) {
+            throw new Error(`Failed connecting to the Avatar service: ${response.status} ${response.statusText}`);
+        }
+        const remoteSdp = await response.text();
+        await peerConnection.setRemoteDescription(await this.getRemoteDescription(remoteSdp, peerConnection));
+    }
+
+    /**
+     * Stop passing on the events of the connection, e.g. once it is lost, so they are not taken for the ones of the next
+     */
+    detach() {
+        if (this.dataChannel !== null) {
+            this.dataChannel.onmessage = null;
+            this.dataChannel = null;
+        }
+    }
+
+    close() {
+        this.detach();
+        if (this.peerConnection !== null) {
+            this.peerConnection.close();
+        }
+    }
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { AvatarConnection };
+}
@@ -2,9 +2,20 @@
 // Licensed under the MIT license.
 
 // Global objects
-var clientId
-var peerConnection
+var serverTransport
 var previousAnimationFrameTimestamp = 0;
+var mockAvatar = null
+
+var avatarConnection = new AvatarConnection({
+    onEvent: data => {
+        console.log("[" + (new Date()).toISOString() + "] WebRTC event received: " + data)
+
+        if (data.includes("EVENT_TYPE_SWITCH_TO_IDLE")) {
+            document.getElementById('speak').disabled = false
+            document.getElementById('stopSpeaking').disabled = true
+        }
+    }
+})
 
 // Logger
 const log = msg => {
@@ -12,16 +23,8 @@ const log = msg => {
 }
 
 // Setup WebRTC
-function setupWebRTC(iceServerUrl, iceServerUsername, iceServerCredential) {
-    // Create WebRTC peer connection
-    peerConnection = new RTCPeerConnection({
-        iceServers: [{
-            urls: [ iceServerUrl ],
-            username: iceServerUsername,
-            credential: iceServerCredential
-        }],
-        iceTransportPolicy: 'relay'
-    })
+async function setupWebRTC() {
+    const peerConnection = await avatarConnection.open()
 
     // Fetch WebRTC video stream and mount it to an HTML video element
     peerConnection.ontrack = function (event) {
@@ -69,22 +72,6 @@ function setupWebRTC(iceServerUrl, iceServerUsername, iceServerCredential) {
         }
     }
 
-    // Listen to data channel, to get the event from the server
-    peerConnection.addEventListener("datachannel", event => {
-        const dataChannel = event.channel
-        dataChannel.onmessage = e => {
-            console.log("[" + (new Date()).toISOString() + "] WebRTC event received: " + e.data)
-
-            if (e.data.includes("EVENT_TYPE_SWITCH_TO_IDLE")) {
-                document.getElementById('speak').disabled = false
-                document.getElementById('stopSpeaking').disabled = true
-            }
-        }
-    })
-
-    // This is a workaround to make sure the data channel listening is working by creating a data channel from the client side
-    c = peerConnection.createDataChannel("eventChannel")
-
     // Make necessary update to the web page when the connection state changes
     peerConnection.oniceconnectionstatechange = e => {
         log("WebRTC status: " + peerConnection.iceConnectionState)
@@ -104,35 +91,13 @@ function setupWebRTC(iceServerUrl, iceServerUsername, iceServerCredential) {
         }
     }
 
-    // Offer to receive 1 audio, and 1 video track
-    peerConnection.addTransceiver('video', { direction: 'sendrecv' })
-    peerConnection.addTransceiver('audio', { direction: 'sendrecv' })
-
-    // Connect to avatar service when ICE candidates gathering is done
-    iceGatheringDone = false
-
-    peerConnection.onicecandidate = e => {
-        if (!e.candidate && !iceGatheringDone) {
-            iceGatheringDone = true
-            connectToAvatarService(peerConnection)
-        }
-    }
-
-    peerConnection.createOffer().then(sdp => {
-        peerConnection.setLocalDescription(sdp).then(() => { setTimeout(() => {
-            if (!iceGatheringDone) {
-                iceGatheringDone = true
-                connectToAvatarService(peerConnection)
-            }
-        }, 2000) })
-    })
+    await avatarConnection.connect(getAvatarHeaders())
 }
 
-// Connect to TTS Avatar Service
-function connectToAvatarService(peerConnection) {
-    let localSdp = btoa(JSON.stringify(peerConnection.localDescription))
+// The avatar and voice settings of the configuration, as request headers
+function getAvatarHeaders() {
     let headers = {
-        'ClientId': clientId,
+        'ClientId': serverTransport.clientId,
         'AvatarCharacter': document.getElementById('talkingAvatarCharacter').value,
         'AvatarStyle': document.getElementById('talkingAvatarStyle').value,
         'BackgroundColor': document.getElementById('backgroundColor').value,
@@ -146,23 +111,7 @@ function connectToAvatarService(peerConnection) {
         headers['CustomVoiceEndpointId'] = document.getElementById('customVoiceEndpointId').value
     }
 
-    fetch('/api/connectAvatar', {
-        method: 'POST',
-        headers: headers,
-        body: localSdp
-    })
-    .then(response => {
-        if (response.ok) {
-            response.text().then(text => {
-                const remoteSdp = text
-                peerConnection.setRemoteDescription(new RTCSessionDescription(JSON.parse(atob(remoteSdp))))
-            })
-        } else {
-            document.getElementById('startSession').disabled = false;
-            document.getElementById('configuration').hidden = false;
-            throw new Error(`Failed connecting to the Avatar service: ${response.status} ${response.statusText}`)
-        }
-    })
+    return headers
 }
 
 // Make video background transparent by matting
@@ -223,26 +172,34 @@ function htmlEncode(text) {
 }
 
 window.onload = () => {
-    clientId = document.getElementById('clientId').value
+    serverTransport = new ServerTransport(document.getElementById('clientId').value)
+    if (document.getElementById('mockMode').value === 'True') {
+        useMockAvatar()
+    }
+
+    // Tell the server the page is still open, so its client is not released as idle while no session is running
+    serverTransport.startKeepAlive(parseFloat(document.getElementById('keepAliveIntervalSeconds').value))
+}
+
+// In mock mode the mock avatar answers the WebRTC offer on a loopback connection, as on the chat page. This page has no websocket,
+// so the server's word on the mock avatar speaking comes with the status, polled every half second.
+function useMockAvatar() {
+    console.log('Mock mode: the avatar is a stand-in, and no Azure service is used.')
+    mockAvatar = new MockAvatar()
+    avatarConnection.useMockAvatar(mockAvatar)
+    serverTransport.onServerEvent = event => mockAvatar.handleServerEvent(event)
+    setInterval(() => {
+        serverTransport.checkStatus().catch(error => console.warn(error.message))
+    }, 500)
 }
 
 window.startSession = () => {
     document.getElementById('startSession').disabled = true
-    
-    fetch('/api/getIceToken', {
-        method: 'GET',
-    })
-    .then(response => {
-        if (response.ok) {
-            response.json().then(data => {
-                const iceServerUrl = data.Urls[0]
-                const iceServerUsername = data.Username
-                const iceServerCredential = data.Password
-                setupWebRTC(iceServerUrl, iceServerUsername, iceServerCredential)
-            })
-        } else {
-            throw new Error(`Failed fetching ICE token: ${response.status} ${response.statusText}`)
-        }
+
+    setupWebRTC().catch(err => {
+        console.error(err)
+        document.getElementById('startSession').disabled = false
+        document.getElementById('configuration').hidden = false
     })
 }
 
@@ -259,7 +216,7 @@ window.speak = () => {
     fetch('/api/speak', {
         method: 'POST',
         headers: {
-            'ClientId': clientId,
+            'ClientId': serverTransport.clientId,
             'Content-Type': 'application/ssml+xml'
         },
         body: spokenSsml
@@ -281,7 +238,7 @@ window.stopSpeaking = () => {
     fetch('/api/stopSpeaking', {
         method: 'POST',
         headers: {
-            'ClientId': clientId
+            'ClientId': serverTransport.clientId
         },
         body: ''
     })
@@ -302,7 +259,7 @@ window.stopSession = () => {
     fetch('/api/disconnectAvatar', {
         method: 'POST',
         headers: {
-            'ClientId': clientId
+            'ClientId': serverTransport.clientId
         },
         body: ''
     })
@@ -324,5 +281,5 @@ window.updataTransparentBackground = () => {
 }
 
 window.onbeforeunload = () => {
-    navigator.sendBeacon('/api/releaseClient', JSON.stringify({ clientId: clientId }))
+    serverTransport.release()
 }
@@ -0,0 +1,186 @@
+// chat-conversation.js - The conversation of the chat page: its transcript, the replies streamed into it and their latencies
+
+class ChatConversation {
+    /**
+     * The view shows the conversation, and is told of its changes:
+     * - onReplyStarted(turn): the frames of a new assistant reply start coming in
+     * - onReplyUpdated(turn): the text or citations of the reply changed
+     * - onReplyError(turn, message): the reply failed
+     * - onSpeech(text): a sentence for the browser to speak, in audio-only mode
+     * - onLatency(turn, name, ms): a latency figure was recorded on a turn ('stt', 'aoaiFirstToken', 'appService',
+     *   'aoaiFirstSentence' or 'tts')
+     *
+     * options.transcript is the ConversationTranscript to keep the turns in, and options.now() can be replaced for tests.
+     */
+    constructor(view = {}, options = {}) {
+        this.view = Object.assign({
+            onReplyStarted: () => {},
+            onReplyUpdated: () => {},
+            onReplyError: () => {},
+            onSpeech: () => {},
+            onLatency: () => {}
+        }, view);
+        this.transcript = options.transcript ?? new ConversationTranscript();
+        this.now = options.now ?? (() => new Date());
+        this.assistantTurn = null;
+        // Whether the frames coming in belong to the reply of assistantTurn, or start a new one
+        this.replying = false;
+        // Only typed queries have a sent time; spoken queries are sent by the speech recognizer on the server
+        this.querySentTime = null;
+        // Set when the first sentence of a reply arrives, until the avatar starts speaking it
+        this.replyReceivedTime = null;
+        // The conversation is opened once, not again on every start of a session, until its history is cleared
+        this.openingLineSpoken = false;
+
+        // The handlers of the chat frames, the same for the websocket and HTTP transports (see ChatStreamDecoder)
+        this.frameHandlers = {
+            token: frame => {
+                const turn = this.getReplyTurn();
+                this.transcript.appendText(turn, frame.text);
+                this.replyUpdated(turn);
+            },
+            latency: frame => this.handleLatencyFrame(frame),
+            citations: frame => {
+                // The On Your Data documents of the answer, sent before its first token
+                const turn = this.getReplyTurn();
+                this.transcript.setCitations(turn, frame.citations);
+                this.replyUpdated(turn);
+            },
+            error: frame => {
+                console.error(`Chat response failed: ${frame.message}`);
+                this.view.onReplyError(this.getReplyTurn(), frame.message);
+            },
+            speech: frame => {
+                // Audio-only mode: the browser speaks the reply, a sentence at a time
+                this.view.onSpeech(frame.text);
+            },
+            done: () => {
+                // The next frames belong to a new reply
+                this.replying = false;
+            }
+        };
+    }
+
+    /**
+     * Add a turn of the user, typed or recognized from speech ('typed' or 'stt'). The frames after it start a new reply.
+     */
+    addUserTurn(source, text) {
+        this.replying = false;
+        return this.transcript.addTurn('user', source, text);
+    }
+
+    /**
+     * A typed query was sent to the chat, at the time its app service latency is measured from
+     */
+    querySent() {
+        this.replying = false;
+        this.querySentTime = this.now();
+    }
+
+    /**
+     * The assistant turn of the reply being streamed, started on the first frame of the reply
+     */
+    getReplyTurn() {
+        if (!this.replying || this.assistantTurn === null) {
+            this.assistantTurn = this.transcript.startTurn('assistant', 'llm');
+            this.replying = true;
+            this.view.onReplyStarted(this.assistantTurn);
+        }
+        return this.assistantTurn;
+    }
+
+    /**
+     * The whole text of the reply is shown again for every chunk, so Markdown split across chunks comes out right.
+     * Its citation markers are left out of the displayed text.
+     */
+    replyUpdated(turn) {
+        this.transcript.setDisplayText(turn, turn.rawText.replace(/\s*\[doc\d+\]/g, ''));
+        this.view.onReplyUpdated(turn);
+    }
+
+    /**
+     * Keep a latency figure on its transcript turn, and tell the view
+     */
+    recordLatency(turn, name, ms) {
+        this.transcript.setLatency(turn, name, ms);
+        this.view.onLatency(turn, name, ms);
+    }
+
+    handleLatencyFrame(frame) {
+        if (frame.name === 'stt') {
+            this.recordLatency(this.transcript.lastTurn('user'), 'stt', frame.ms);
+        } else if (frame.name === 'aoaiFirstToken') {
+            this.recordLatency(this.getReplyTurn(), 'aoaiFirstToken', frame.ms);
+        } else if (frame.name === 'aoaiFirstSentence') {
+            const turn = this.getReplyTurn();
+            this.replyReceivedTime = this.now();
+            if (this.querySentTime !== null) {
+                this.recordLatency(turn, 'appService', (this.replyReceivedTime - this.querySentTime) - frame.ms);
+                this.querySentTime = null;
+            }
+            this.recordLatency(turn, 'aoaiFirstSentence', frame.ms);
+        }
+    }
+
+    /**
+     * The avatar, or the browser in audio-only mode, started speaking: the TTS latency of the reply is the time since
+     * its first sentence arrived
+     */
+    speakingStarted() {
+        if (this.replyReceivedTime !== null) {
+            this.recordLatency(this.assistantTurn, 'tts', this.now() - this.replyReceivedTime);
+            this.replyReceivedTime = null;
+        }
+    }
+
+    /**
+     * The user stopped the avatar in the middle of its reply
+     */
+    interrupted() {
+        this.transcript.markInterrupted(this.assistantTurn);
+    }
+
+    /**
+     * Add the opening line of the conversation, as configured ('typed') or generated ('llm')
+     */
+    addOpeningLine(text, generated) {
+        this.assistantTurn = this.transcript.addTurn('assistant', generated ? 'llm' : 'typed', text);
+        this.replying = false;
+        return this.assistantTurn;
+    }
+
+    /**
+     * Add the chat history of a resumed session ({ role, content, interrupted } messages). Citation markers are left
+     * out of the displayed text. Returns the turns added.
+     */
+    restore(messages) {
+        const turns = messages.map(message => {
+            const displayText = message.role === 'user' ? message.content : message.content.replace(/\s*\[doc\d+\]/g, '');
+            const turn = this.transcript.addTurn(message.role, 'restored', message.content);
+            this.transcript.setDisplayText(turn, displayText);
+            if (message.interrupted) {
+                this.transcript.markInterrupted(turn);
+            }
+            return turn;
+        });
+        // The conversation has been opened already, so it goes on without another opening line
+        if (messages.length > 0) {
+            this.openingLineSpoken = true;
+        }
+        return turns;
+    }
+
+    /**
+     * Start the conversation over, as the chat history is cleared
+     */
+    clear() {
+        this.transcript.clear();
+        this.assistantTurn = null;
+        this.replying = false;
+        this.openingLineSpoken = false;
+    }
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { ChatConversation };
+}
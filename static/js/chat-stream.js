@@ -0,0 +1,66 @@
+// chat-stream.js - Decode the chat response stream, the same way for the HTTP and websocket transports
+
+class ChatStreamDecoder {
+    /**
+     * handlers maps a frame type to the function handling it. The server sends these frames:
+     * token { text }, latency { name, ms }, citations { citations }, speech { text }, error { message } and done.
+     * Over HTTP the frames come as NDJSON, one per line; over websocket each 'api.chat' response
+     * event carries one frame.
+     */
+    constructor(handlers) {
+        this.handlers = handlers;
+        this.buffer = '';
+        this.textDecoder = new TextDecoder();
+    }
+
+    /**
+     * Add a chunk of the NDJSON stream (bytes or text). Complete lines are dispatched;
+     * a frame split across chunks waits until the rest of its line arrives.
+     */
+    push(chunk) {
+        this.buffer += typeof chunk === 'string' ? chunk : this.textDecoder.decode(chunk, { stream: true });
+        const lines = this.buffer.split('\n');
+        this.buffer = lines.pop();
+        lines.forEach(line => this.dispatchLine(line));
+    }
+
+    /**
+     * Dispatch what is left when the stream ends
+     */
+    end() {
+        this.buffer += this.textDecoder.decode();
+        const line = this.buffer;
+        this.buffer = '';
+        this.dispatchLine(line);
+    }
+
+    dispatchLine(line) {
+        if (line.trim() === '') {
+            return;
+        }
+        let frame;
+        try {
+            frame = JSON.parse(line);
+        } catch (error) {
+            console.warn('Ignoring unreadable chat frame:', line);
+            return;
+        }
+        this.dispatch(frame);
+    }
+
+    /**
+     * Pass a frame to the handler of its type
+     */
+    dispatch(frame) {
+        const handler = frame ? this.handlers[frame.type] : undefined;
+        if (handler) {
+            handler(frame);
+        } else {
+            console.warn('Ignoring chat frame of unknown type:', frame);
+        }
+    }
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { ChatStreamDecoder };
+}
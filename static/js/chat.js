@@ -2,8 +2,8 @@
 // Licensed under the MIT license.
 
 // Global objects
-var clientId
 var enableWebSockets
+var mockMode = false
 var map
 var locationRegex = /(?:take me to|show|display)\s+(?:zip|postal code)\s+(\d{6})|(?:take me to|show|display)\s+(?:location|address)\s+(\S+(?:\s+\S+)*)/i
 var userCameraStream = null
@@ -101,17 +101,16 @@ function initMap(location) {
 async function startUserCamera() {
     try {
         // First, enumerate all video devices
-        const devices = await navigator.mediaDevices.enumerateDevices();
-        const videoDevices = devices.filter(device => device.kind === 'videoinput');
+        const videoDevices = (await deviceSettings.listDevices()).cameras;
         
         console.log('Available cameras:', videoDevices.map(d => ({
             id: d.deviceId,
             label: d.label
         })));
         
-        // Try to find the built-in/integrated camera
+        // Use the camera picked in the device settings. Otherwise try to find the built-in/integrated camera
         // Priority: built-in > integrated > facetime > any camera that's not phone/virtual
-        let selectedDeviceId = null;
+        let selectedDeviceId = deviceSettings.getDeviceId('camera') || null;
         let builtInCamera = null;
         let integratedCamera = null;
         let fallbackCamera = null;
@@ -145,7 +144,9 @@ async function startUserCamera() {
         
         // Select camera in order of preference
         const selectedCamera = builtInCamera || integratedCamera || fallbackCamera || videoDevices[0];
-        if (selectedCamera) {
+        if (selectedDeviceId) {
+            console.log('Selected camera (device settings):', deviceSettings.settings.cameraLabel);
+        } else if (selectedCamera) {
             selectedDeviceId = selectedCamera.deviceId;
             console.log('Selected camera:', selectedCamera.label);
         }
@@ -226,48 +227,69 @@ function stopUserCamera() {
     }
 }
 
-var socket
 var audioContext
-var isFirstResponseChunk
+var micAudioSender
 var speechRecognizer
-var peerConnection
-var peerConnectionDataChannel
 var speechSynthesizerConnected = false
 var isSpeaking = false
-var isReconnecting = false
-var sessionActive = false
-var userClosedSession = false
 var recognitionStartedTime
-var chatRequestSentTime
-var chatResponseReceivedTime
-var lastInteractionTime = new Date()
 var lastSpeakTime
 var isFirstRecognizingEvent = true
-var sttLatencyRegex = new RegExp(/<STTL>(\d+)<\/STTL>/)
-var firstTokenLatencyRegex = new RegExp(/<FTL>(\d+)<\/FTL>/)
-var firstSentenceLatencyRegex = new RegExp(/<FSL>(\d+)<\/FSL>/)
+var markdownRenderer = new MarkdownRenderer()
+var currentAssistantMessage
+var latencyDashboard = new LatencyDashboard()
+var speechRegion
+var sessionRecorder = new SessionRecorder()
+var scenarioLibrary = new ScenarioLibrary()
+var deviceSettings = new DeviceSettings()
+var configurationStore = new ConfigurationStore()
+var audioOnlyAvatar = new AudioOnlyAvatar()
+var audioOnlyMode = false
+var avatarConnectedOnce = false
+var sessionState = new SessionStateMachine({
+    reconnect: reconnectAvatar,
+    canReconnect: () => document.getElementById('autoReconnectAvatar').checked && !audioOnlyMode
+})
+
+var connectionQualityMonitor = new ConnectionQualityMonitor({
+    onEvent: logQualityEvent,
+    onAction: handlePoorConnection
+})
+
+var mockAvatar = new MockAvatar()
+
+var chatConversation = new ChatConversation({
+    onReplyStarted: showAssistantMessage,
+    onReplyUpdated: renderAssistantMessage,
+    onReplyError: showReplyError,
+    onSpeech: text => audioOnlyAvatar.speak(text),
+    onLatency: handleLatency
+})
+
+var avatarConnection = new AvatarConnection({
+    onEvent: handleAvatarEvent
+})
+
+// The page's requests to the server, created once the page has loaded with its client id
+var serverTransport
 
 // Connect to avatar service
 function connectAvatar() {
     document.getElementById('startSession').disabled = true
+    document.getElementById('configuration').hidden = true
 
-    fetch('/api/getIceToken', {
-        method: 'GET',
-    })
-    .then(response => {
-        if (response.ok) {
-            response.json().then(data => {
-                const iceServerUrl = data.Urls[0]
-                const iceServerUsername = data.Username
-                const iceServerCredential = data.Password
-                setupWebRTC(iceServerUrl, iceServerUsername, iceServerCredential)
-            })
-        } else {
-            throw new Error(`Failed fetching ICE token: ${response.status} ${response.statusText}`)
-        }
+    setupWebRTC().catch(err => {
+        console.error('Error connecting to the avatar:', err)
+        sessionState.connectionLost(err.message)
     })
+}
 
-    document.getElementById('configuration').hidden = true
+// Connect the avatar again after the connection was lost. The session state machine calls this, after a backoff delay.
+function reconnectAvatar() {
+    // Stop the events of the lost connection, so they cannot start another reconnect
+    avatarConnection.detach()
+    connectAvatar()
+    createSpeechRecognizer()
 }
 
 // Create speech recognizer
@@ -277,7 +299,7 @@ function createSpeechRecognizer() {
     })
     .then(response => {
         if (response.ok) {
-            const speechRegion = response.headers.get('SpeechRegion')
+            speechRegion = response.headers.get('SpeechRegion')
             const speechPrivateEndpoint = response.headers.get('SpeechPrivateEndpoint')
             response.text().then(text => {
                 const speechToken = text
@@ -289,7 +311,7 @@ function createSpeechRecognizer() {
                 speechRecognitionConfig.setProperty("SpeechContext-PhraseDetection.Dictation.Segmentation.SegmentationSilenceTimeoutMs", "200")
                 var sttLocales = document.getElementById('sttLocales').value.split(',').map(l => l.trim())
                 var autoDetectSourceLanguageConfig = SpeechSDK.AutoDetectSourceLanguageConfig.fromLanguages(sttLocales)
-                speechRecognizer = SpeechSDK.SpeechRecognizer.FromConfig(speechRecognitionConfig, autoDetectSourceLanguageConfig, SpeechSDK.AudioConfig.fromDefaultMicrophoneInput())
+                speechRecognizer = SpeechSDK.SpeechRecognizer.FromConfig(speechRecognitionConfig, autoDetectSourceLanguageConfig, deviceSettings.getDeviceId('microphone') ? SpeechSDK.AudioConfig.fromMicrophoneInput(deviceSettings.getDeviceId('microphone')) : SpeechSDK.AudioConfig.fromDefaultMicrophoneInput())
             }).catch(err => {
                 console.error('Error processing speech token:', err)
             })
@@ -307,7 +329,7 @@ function disconnectAvatar(closeSpeechRecognizer = false) {
     fetch('/api/disconnectAvatar', {
         method: 'POST',
         headers: {
-            'ClientId': clientId
+            'ClientId': serverTransport.clientId
         },
         body: ''
     })
@@ -318,126 +340,31 @@ function disconnectAvatar(closeSpeechRecognizer = false) {
             speechRecognizer.close()
         }
     }
+}
 
-    sessionActive = false
+// The server recognized the user's speech, in websocket mode
+function showSpokenUserMessage(userMessage) {
+    sessionState.interacted()
+    console.log('Displaying user message:', userMessage);
+    const chatMessages = document.getElementById('chatMessages');
+    chatMessages.appendChild(createMessageElement(userMessage, true));
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+    chatConversation.addUserTurn('stt', userMessage);
 }
 
-function setupWebSocket() {
-    // Don't create a new socket if one already exists
-    if (socket && socket.connected) {
-        console.log('WebSocket already connected, reusing existing connection.');
-        return;
+// An event of the server, over the websocket or with the status polls
+function handleServerEvent(data) {
+    if (data.eventType === 'SPEECH_SYNTHESIZER_DISCONNECTED' && !audioOnlyMode) {
+        sessionState.connectionLost('The speech synthesizer got disconnected')
+    }
+    if (mockMode) {
+        mockAvatar.handleServerEvent(data)
     }
-    
-    socket = io.connect(`${window.location.origin}?clientId=${clientId}`, {
-        transports: ['websocket'], // Force WebSocket transport only (no polling)
-        reconnection: true,
-        reconnectionDelay: 1000,
-        reconnectionAttempts: 5
-    })
-    
-    socket.on('connect', function() {
-        console.log('WebSocket connected. Socket ID:', socket.id);
-    })
-    
-    socket.on('disconnect', function() {
-        console.log('WebSocket disconnected.');
-    })
-    
-    socket.on('reconnect', function() {
-        console.log('WebSocket reconnected. Socket ID:', socket.id);
-    })
-
-    socket.on('response', function(data) {
-        // Filter messages - only process if it's for this client or no clientId specified
-        if (data.clientId && data.clientId !== clientId) {
-            console.log('Ignoring message for different client. Expected:', clientId, 'Got:', data.clientId);
-            return;
-        }
-        
-        let path = data.path
-        console.log('WebSocket response received:', path, data);
-        if (path === 'api.userMessage') {
-            // Display user message from speech recognition
-            console.log('Displaying user message:', data.userMessage);
-            const chatMessages = document.getElementById('chatMessages');
-            const messageElement = createMessageElement(data.userMessage, true);
-            console.log('Created message element:', messageElement);
-            chatMessages.appendChild(messageElement);
-            chatMessages.scrollTop = chatMessages.scrollHeight;
-            console.log('User message appended, total messages:', chatMessages.children.length);
-            // Set flag so next response creates a new bot message bubble
-            isFirstResponseChunk = true;
-        } else if (path === 'api.chat') {
-            lastInteractionTime = new Date()
-            let chunkString = data.chatResponse
-            const chatMessages = document.getElementById('chatMessages')
-            
-            if (sttLatencyRegex.test(chunkString)) {
-                let sttLatency = parseInt(sttLatencyRegex.exec(chunkString)[0].replace('<STTL>', '').replace('</STTL>', ''))
-                console.log(`STT latency: ${sttLatency} ms`)
-                let latencyLogTextArea = document.getElementById('latencyLog')
-                latencyLogTextArea.innerHTML += `STT latency: ${sttLatency} ms\n`
-                chunkString = chunkString.replace(sttLatencyRegex, '')
-            }
-
-            if (firstTokenLatencyRegex.test(chunkString)) {
-                let aoaiFirstTokenLatency = parseInt(firstTokenLatencyRegex.exec(chunkString)[0].replace('<FTL>', '').replace('</FTL>', ''))
-                chunkString = chunkString.replace(firstTokenLatencyRegex, '')
-            }
-
-            if (firstSentenceLatencyRegex.test(chunkString)) {
-                let aoaiFirstSentenceLatency = parseInt(firstSentenceLatencyRegex.exec(chunkString)[0].replace('<FSL>', '').replace('</FSL>', ''))
-                chatResponseReceivedTime = new Date()
-                console.log(`AOAI latency: ${aoaiFirstSentenceLatency} ms`)
-                let latencyLogTextArea = document.getElementById('latencyLog')
-                latencyLogTextArea.innerHTML += `AOAI latency: ${aoaiFirstSentenceLatency} ms\n`
-                latencyLogTextArea.scrollTop = latencyLogTextArea.scrollHeight
-                chunkString = chunkString.replace(firstSentenceLatencyRegex, '')
-            }
-
-            if (isFirstResponseChunk) {
-                // Create new bot message element for first chunk
-                const botMessageDiv = createMessageElement('', false);
-                chatMessages.appendChild(botMessageDiv);
-                isFirstResponseChunk = false;
-            }
-
-            // Update the last bot message with new content
-            if (chunkString) {
-                const lastMessage = chatMessages.lastElementChild;
-                lastMessage.textContent += chunkString;
-                chatMessages.scrollTop = chatMessages.scrollHeight;
-            }
-        } else if (path === 'api.event') {
-            console.log("[" + (new Date()).toISOString() + "] WebSocket event received: " + data.eventType)
-            if (data.eventType === 'SPEECH_SYNTHESIZER_DISCONNECTED') {
-                if (document.getElementById('autoReconnectAvatar').checked && !userClosedSession && !isReconnecting) {
-                    // No longer reconnect when there is no interaction for a while
-                    if (new Date() - lastInteractionTime < 300000) {
-                        // Session disconnected unexpectedly, need reconnect
-                        console.log(`[${(new Date()).toISOString()}] The speech synthesizer got disconnected unexpectedly, need reconnect.`)
-                        isReconnecting = true
-                        connectAvatar()
-                        createSpeechRecognizer()
-                    }
-                }
-            }
-        }
-    })
 }
 
 // Setup WebRTC
-function setupWebRTC(iceServerUrl, iceServerUsername, iceServerCredential) {
-    // Create WebRTC peer connection
-    peerConnection = new RTCPeerConnection({
-        iceServers: [{
-            urls: [ iceServerUrl ],
-            username: iceServerUsername,
-            credential: iceServerCredential
-        }],
-        iceTransportPolicy: 'relay'
-    })
+async function setupWebRTC() {
+    const peerConnection = await avatarConnection.open()
 
     // Fetch WebRTC video stream and mount it to an HTML video element
     peerConnection.ontrack = function (event) {
@@ -471,11 +398,11 @@ function setupWebRTC(iceServerUrl, iceServerUsername, iceServerCredential) {
             videoElement.playsInline = true
 
             // Continue speaking if there are unfinished sentences while reconnecting
-            if (isReconnecting) {
+            if (sessionState.isReconnecting()) {
                 fetch('/api/chat/continueSpeaking', {
                     method: 'POST',
                     headers: {
-                        'ClientId': clientId
+                        'ClientId': serverTransport.clientId
                     },
                     body: ''
                 })
@@ -496,6 +423,7 @@ function setupWebRTC(iceServerUrl, iceServerUsername, iceServerCredential) {
                 console.log(`WebRTC ${event.track.kind} channel connected.`)
                 document.getElementById('microphone').disabled = false
                 document.getElementById('stopSession').disabled = false
+                document.getElementById('recordSession').disabled = false
                 document.getElementById('remoteVideo').style.width = '450px'
                 document.getElementById('chatMessages').hidden = false
                 document.getElementById('latencyLog').hidden = false
@@ -508,54 +436,17 @@ function setupWebRTC(iceServerUrl, iceServerUsername, iceServerCredential) {
                     }
                 }
 
-                isReconnecting = false
-                setTimeout(() => { sessionActive = true }, 5000) // Set session active after 5 seconds
-            }
-        }
-    }
-
-    // Listen to data channel, to get the event from the server
-    peerConnection.addEventListener("datachannel", event => {
-        peerConnectionDataChannel = event.channel
-        peerConnectionDataChannel.onmessage = e => {
-            console.log("[" + (new Date()).toISOString() + "] WebRTC event received: " + e.data)
-
-            if (e.data.includes("EVENT_TYPE_SWITCH_TO_SPEAKING")) {
-                if (chatResponseReceivedTime !== undefined) {
-                    let speakStartTime = new Date()
-                    let ttsLatency = speakStartTime - chatResponseReceivedTime
-                    console.log(`TTS latency: ${ttsLatency} ms`)
-                    let latencyLogTextArea = document.getElementById('latencyLog')
-                    latencyLogTextArea.innerHTML += `TTS latency: ${ttsLatency} ms\n\n`
-                    latencyLogTextArea.scrollTop = latencyLogTextArea.scrollHeight
-                    chatResponseReceivedTime = undefined
-                }
-
-                isSpeaking = true
-                document.getElementById('stopSpeaking').disabled = false
-            } else if (e.data.includes("EVENT_TYPE_SWITCH_TO_IDLE")) {
-                isSpeaking = false
-                lastSpeakTime = new Date()
-                document.getElementById('stopSpeaking').disabled = true
-            } else if (e.data.includes("EVENT_TYPE_SESSION_END")) {
-                if (document.getElementById('autoReconnectAvatar').checked && !userClosedSession && !isReconnecting) {
-                    // No longer reconnect when there is no interaction for a while
-                    if (new Date() - lastInteractionTime < 300000) {
-                        // Session disconnected unexpectedly, need reconnect
-                        console.log(`[${(new Date()).toISOString()}] The session ended unexpectedly, need reconnect.`)
-                        isReconnecting = true
-                        // Remove data channel onmessage callback to avoid duplicatedly triggering reconnect
-                        peerConnectionDataChannel.onmessage = null
-                        connectAvatar()
-                        createSpeechRecognizer()
-                    }
+                // Open the conversation once, not again after an auto-reconnect
+                const wasReconnecting = sessionState.isReconnecting()
+                avatarConnectedOnce = true
+                sessionState.connected()
+                startConnectionQualityMonitor()
+                if (!wasReconnecting && isOpeningLineDue()) {
+                    speakOpeningLine()
                 }
             }
         }
-    })
-
-    // This is a workaround to make sure the data channel listening is working by creating a data channel from the client side
-    c = peerConnection.createDataChannel("eventChannel")
+    }
 
     // Make necessary update to the web page when the connection state changes
     peerConnection.oniceconnectionstatechange = e => {
@@ -567,43 +458,46 @@ function setupWebRTC(iceServerUrl, iceServerUsername, iceServerCredential) {
             }
         }
     }
+    sessionState.watchPeerConnection(peerConnection)
 
-    // Offer to receive 1 audio, and 1 video track
-    peerConnection.addTransceiver('video', { direction: 'sendrecv' })
-    peerConnection.addTransceiver('audio', { direction: 'sendrecv' })
-
-    // Connect to avatar service when ICE candidates gathering is done
-    iceGatheringDone = false
+    await avatarConnection.connect(getAvatarHeaders())
+}
 
-    peerConnection.onicecandidate = e => {
-        if (!e.candidate && !iceGatheringDone) {
-            iceGatheringDone = true
-            connectToAvatarService(peerConnection)
-        }
+// An event of the avatar service, on the data channel of the connection
+function handleAvatarEvent(data) {
+    console.log("[" + (new Date()).toISOString() + "] WebRTC event received: " + data)
+
+    if (data.includes("EVENT_TYPE_SWITCH_TO_SPEAKING")) {
+        handleSpeakingStarted()
+    } else if (data.includes("EVENT_TYPE_SWITCH_TO_IDLE")) {
+        handleSpeakingStopped()
+    } else if (data.includes("EVENT_TYPE_SESSION_END")) {
+        // Ignored when the session was closed or let go on purpose
+        sessionState.connectionLost('The avatar session ended')
     }
+}
 
-    peerConnection.createOffer().then(sdp => {
-        peerConnection.setLocalDescription(sdp).then(() => { setTimeout(() => {
-            if (!iceGatheringDone) {
-                iceGatheringDone = true
-                connectToAvatarService(peerConnection)
-            }
-        }, 2000) })
-    })
+// The avatar, or the browser in audio-only mode, started speaking
+function handleSpeakingStarted() {
+    chatConversation.speakingStarted()
+    isSpeaking = true
+    sessionState.speakingStarted()
+    document.getElementById('stopSpeaking').disabled = false
 }
 
-// Connect to TTS Avatar Service
-function connectToAvatarService(peerConnection) {
-    let localSdp = btoa(JSON.stringify(peerConnection.localDescription))
-    let headers = {
-        'ClientId': clientId,
-        'AvatarCharacter': document.getElementById('AvatarCharacter').value,
-        'AvatarStyle': document.getElementById('AvatarStyle').value,
-        'IsCustomAvatar': document.getElementById('customizedAvatar').checked
-    }
+// The avatar, or the browser in audio-only mode, stopped speaking
+function handleSpeakingStopped() {
+    isSpeaking = false
+    sessionState.speakingStopped()
+    lastSpeakTime = new Date()
+    document.getElementById('stopSpeaking').disabled = true
+}
 
-    if (isReconnecting) {
-        headers['Reconnect'] = true
+// The chat and voice settings of the configuration, as request headers
+function getSessionHeaders() {
+    let headers = {
+        'ClientId': serverTransport.clientId,
+        'ChatBackend': document.getElementById('chatBackend').value
     }
 
     if (document.getElementById('azureOpenAIDeploymentName').value !== '') {
@@ -626,187 +520,218 @@ function connectToAvatarService(peerConnection) {
         headers['PersonalVoiceSpeakerProfileId'] = document.getElementById('personalVoiceSpeakerProfileID').value
     }
 
-    fetch('/api/connectAvatar', {
-        method: 'POST',
-        headers: headers,
-        body: localSdp
+    return headers
+}
+
+// The avatar, chat and voice settings of the configuration, as the headers of the avatar connection request
+function getAvatarHeaders() {
+    let headers = getSessionHeaders()
+    headers['AvatarCharacter'] = document.getElementById('AvatarCharacter').value
+    headers['AvatarStyle'] = document.getElementById('AvatarStyle').value
+    headers['IsCustomAvatar'] = document.getElementById('customizedAvatar').checked
+
+    if (sessionState.isReconnecting()) {
+        headers['Reconnect'] = true
+    }
+
+    return headers
+}
+
+// Encode the text for use in SSML
+function htmlEncode(text) {
+    const entityMap = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;',
+        '/': '&#x2F;'
+    };
+
+    return String(text).replace(/[&<>"'\/]/g, (match) => entityMap[match])
+}
+
+// Whether the conversation still has to be opened with an opening line, configured or generated
+function isOpeningLineDue() {
+    if (chatConversation.openingLineSpoken) {
+        return false
+    }
+    return document.getElementById('openingLine').value.trim() !== '' || document.getElementById('generateOpeningLine').checked
+}
+
+// Speak the opening line of the scenario, as configured or generated from the system prompt, and add it to the chat
+function speakOpeningLine() {
+    const openingLine = document.getElementById('openingLine').value.trim()
+    chatConversation.openingLineSpoken = true
+    serverTransport.requestOpeningLine(openingLine, document.getElementById('prompt').value)
+    .then(data => {
+        if (!data.openingLine) {
+            return
+        }
+
+        const chatMessages = document.getElementById('chatMessages')
+        chatMessages.appendChild(createMessageElement(data.openingLine, false))
+        chatMessages.scrollTop = chatMessages.scrollHeight
+        chatConversation.addOpeningLine(data.openingLine, data.generated)
+
+        if (audioOnlyMode) {
+            audioOnlyAvatar.speak(data.openingLine)
+            return
+        }
+
+        const ttsVoice = document.getElementById('ttsVoice').value
+        const personalVoiceSpeakerProfileID = document.getElementById('personalVoiceSpeakerProfileID').value
+        const spokenSsml = `<speak version='1.0' xmlns='http://www.w3.org/2001/10/synthesis' xmlns:mstts='http://www.w3.org/2001/mstts' xml:lang='en-US'><voice name='${ttsVoice}'><mstts:ttsembedding speakerProfileId='${personalVoiceSpeakerProfileID}'><mstts:leadingsilence-exact value='0'/>${htmlEncode(data.openingLine)}</mstts:ttsembedding></voice></speak>`
+        return fetch('/api/speak', {
+            method: 'POST',
+            headers: {
+                'ClientId': serverTransport.clientId,
+                'Content-Type': 'application/ssml+xml'
+            },
+            body: spokenSsml
+        })
     })
     .then(response => {
-        if (response.ok) {
-            response.text().then(text => {
-                const remoteSdp = text
-                peerConnection.setRemoteDescription(new RTCSessionDescription(JSON.parse(atob(remoteSdp))))
-            })
-        } else {
-            document.getElementById('startSession').disabled = false;
-            document.getElementById('configuration').hidden = false;
-            throw new Error(`Failed connecting to the Avatar service: ${response.status} ${response.statusText}`)
+        if (response && !response.ok) {
+            throw new Error(`Unable to speak the opening line: ${response.status} ${response.statusText}`)
         }
     })
+    .catch(error => {
+        console.error(error)
+    })
 }
 
 // Handle user query. Send user query to the chat API and display the response.
-    // Helper function to create a message element
-    function formatResponseText(text) {
-        // First, normalize basic whitespace and line endings
-        text = text.replace(/\s+/g, ' ').trim();
-        
-        // Helper function to deduplicate content
-        function deduplicate(str, separator = ' ') {
-            const parts = str.split(separator);
-            return [...new Set(parts)].join(separator);
-        }
-        
-        // Handle common prefixes like "Your first" that might be repeated
-        text = text.replace(/(\b(?:Your|The|This|[Aa]|[Aa]n)\s+\w+)(?:\s+\1)+/g, '$1');
-        
-        // Remove duplicate clauses and phrases
-        text = text.replace(/(.{10,}?)(?:\s*[-,]\s*\1)+/g, '$1');
-        
-        // Clean up key-value pairs and ensure consistent formatting
-        const pairs = new Map();
-        text = text.replace(/([A-Za-z][A-Za-z\s]*?):\s*([^:\n]+?)(?=\s*(?:[A-Za-z][\w\s]*:|$))/g, 
-            (match, key, value) => {
-                key = key.trim();
-                value = value.trim();
-                if (!pairs.has(key)) {
-                    pairs.set(key, value);
-                    return `\n${key}:\n    ${value}`;
-                }
-                return '';
-            }
-        );
-        
-        // Special handling for ticket information
-        text = text.replace(/(?:Ticket ID|Task ID|Assignment ID|Reference):\s*([^:\n]+)/g, '\nTicket ID: $1');
-        
-        // Clean up various formatting issues
-        text = text
-            .replace(/\(([^()]*?)\)\s*\(\1\)/g, '($1)') // Deduplicate parenthetical content
-            .replace(/([:\-])\s*\1+/g, '$1') // Fix repeated punctuation
-            .replace(/[,\s]*,/g, ',') // Fix multiple commas
-            .replace(/\(\s*\)/g, '') // Remove empty parentheses
-            .replace(/([.!?])\s+/g, '$1\n\n') // Add line breaks after sentences
-            .replace(/(\d+)\.\s*/g, '\n$1. '); // Format list numbers
-            
-        // Final cleanup
-        text = text
-            .split('\n')
-            .map(line => deduplicate(line.trim())) // Deduplicate each line
-            .filter(line => line) // Remove empty lines
-            .join('\n');
-            
-        // Ensure consistent spacing
-        text = text.replace(/\n{3,}/g, '\n\n');
-        
-        return text.trim();
-    }
-
+    // Helper function to create a message element. Assistant messages are rendered from Markdown.
     function createMessageElement(text, isUser) {
         const messageDiv = document.createElement('div');
         messageDiv.className = `message ${isUser ? 'user-message' : 'bot-message'}`;
-        
-        if (!isUser) {
-            text = formatResponseText(text);
-            // Use white-space: pre-wrap to preserve formatting
-            messageDiv.style.whiteSpace = 'pre-wrap';
+
+        if (isUser) {
+            messageDiv.textContent = text;
+        } else {
+            messageDiv.innerHTML = markdownRenderer.render(text);
         }
-        
-        messageDiv.textContent = text;
         return messageDiv;
     }
 
-    function handleUserQuery(userQuery) {
-        lastInteractionTime = new Date()
-        chatRequestSentTime = new Date()
+    // A new assistant reply starts: add its message element, which the reply is rendered into as it is streamed
+    function showAssistantMessage(turn) {
+        currentAssistantMessage = createMessageElement('', false)
+        currentAssistantMessage.dataset.turnId = turn.id
+        document.getElementById('chatMessages').appendChild(currentAssistantMessage)
+    }
 
-        // Check for location request
-        const locationMatch = userQuery.match(locationRegex);
-        if (locationMatch) {
-            // Extract either postal code or location, whichever matched
-            const location = locationMatch[1] || locationMatch[2];
-            if (location) {
-                // Show map for the location
-                initMap(location.trim());
-            }
-        }
+    // Render the assistant reply into its message element, the same way for the websocket and HTTP streams
+    function renderAssistantMessage(turn) {
+        const chatMessages = document.getElementById('chatMessages')
+        currentAssistantMessage.innerHTML = markdownRenderer.render(turn.rawText, turn.citations)
+        chatMessages.scrollTop = chatMessages.scrollHeight
+    }
 
-        if (socket !== undefined) {
-            socket.emit('message', { clientId: clientId, path: 'api.chat', systemPrompt: document.getElementById('prompt').value, userQuery: userQuery })
-            isFirstResponseChunk = true
-            return
-        }
+    function showReplyError(turn, message) {
+        const chatMessages = document.getElementById('chatMessages')
+        const errorDiv = document.createElement('div')
+        errorDiv.className = 'message-error'
+        errorDiv.textContent = `⚠️ ${message}`
+        currentAssistantMessage.appendChild(errorDiv)
+        chatMessages.scrollTop = chatMessages.scrollHeight
+    }
 
-    fetch('/api/chat', {
-        method: 'POST',
-        headers: {
-            'ClientId': clientId,
-            'SystemPrompt': document.getElementById('prompt').value,
-            'Content-Type': 'text/plain'
-        },
-        body: userQuery
-    })
-    .then(response => {
-        if (!response.ok) {
-            throw new Error(`Chat API response status: ${response.status} ${response.statusText}`)
+    // Log a latency figure of the conversation, and keep it in the latency dashboard under the exchange started by the latest user turn
+    function handleLatency(turn, name, ms) {
+        const labels = {
+            stt: 'STT latency',
+            appService: 'App service latency',
+            aoaiFirstSentence: 'AOAI latency',
+            tts: 'TTS latency'
+        }
+        if (labels[name] !== undefined) {
+            console.log(`${labels[name]}: ${ms} ms`)
+            let latencyLogTextArea = document.getElementById('latencyLog')
+            // The TTS latency is the last of an exchange
+            latencyLogTextArea.innerHTML += `${labels[name]}: ${ms} ms\n${name === 'tts' ? '\n' : ''}`
+            latencyLogTextArea.scrollTop = latencyLogTextArea.scrollHeight
         }
 
-        let currentBotMessage = '';
-        const chatMessages = document.getElementById('chatMessages');
-        const botMessageDiv = createMessageElement('', false);
-        chatMessages.appendChild(botMessageDiv);
-
-        const reader = response.body.getReader()
+        const exchangeTurn = turn && turn.speaker === 'user' ? turn : chatConversation.transcript.lastTurn('user')
+        latencyDashboard.record(exchangeTurn, name, ms, {
+            deployment: document.getElementById('azureOpenAIDeploymentName').value,
+            region: speechRegion
+        })
+    }
 
-        // Function to recursively read chunks from the stream
-        function read() {
-            return reader.read().then(({ value, done }) => {
-                if (done) {
-                    return;
+    // Open the citation panel with the source documents of an assistant turn, the selected one expanded
+    function showCitationPanel(turn, selectedIndex) {
+        const citationList = document.getElementById('citationList')
+        citationList.innerHTML = ''
+        citationList.dataset.turnId = turn.id
+        turn.citations.forEach((citation, index) => {
+            const item = document.createElement('details')
+            item.className = 'citation-item'
+            item.open = index === selectedIndex
+
+            const summary = document.createElement('summary')
+            const number = document.createElement('span')
+            number.className = 'citation-number'
+            number.textContent = index + 1
+            summary.appendChild(number)
+            summary.appendChild(document.createTextNode(citation.title || citation.filepath || citation.url || `Document ${index + 1}`))
+            item.appendChild(summary)
+
+            const source = citation.url || citation.filepath
+            if (source) {
+                const sourceElement = document.createElement(markdownRenderer.isSafeUrl(citation.url) ? 'a' : 'div')
+                sourceElement.className = 'citation-source'
+                sourceElement.textContent = source
+                if (sourceElement.tagName === 'A') {
+                    sourceElement.href = citation.url
+                    sourceElement.target = '_blank'
+                    sourceElement.rel = 'noopener noreferrer'
                 }
+                item.appendChild(sourceElement)
+            }
 
-                let chunkString = new TextDecoder().decode(value, { stream: true })
+            const snippet = document.createElement('div')
+            snippet.className = 'citation-snippet'
+            snippet.textContent = citation.content || '(No retrieved text)'
+            item.appendChild(snippet)
+            citationList.appendChild(item)
+        })
 
-                if (firstTokenLatencyRegex.test(chunkString)) {
-                    let aoaiFirstTokenLatency = parseInt(firstTokenLatencyRegex.exec(chunkString)[0].replace('<FTL>', '').replace('</FTL>', ''))
-                    // console.log(`AOAI first token latency: ${aoaiFirstTokenLatency} ms`)
-                    chunkString = chunkString.replace(firstTokenLatencyRegex, '')
-                    if (chunkString === '') {
-                        return read()
-                    }
-                }
+        document.getElementById('citationPanel').hidden = false
+        const selectedItem = citationList.children[selectedIndex]
+        if (selectedItem) {
+            selectedItem.scrollIntoView({ block: 'nearest' })
+        }
+    }
 
-                if (firstSentenceLatencyRegex.test(chunkString)) {
-                    let aoaiFirstSentenceLatency = parseInt(firstSentenceLatencyRegex.exec(chunkString)[0].replace('<FSL>', '').replace('</FSL>', ''))
-                    chatResponseReceivedTime = new Date()
-                    let chatLatency = chatResponseReceivedTime - chatRequestSentTime
-                    let appServiceLatency = chatLatency - aoaiFirstSentenceLatency
-                    console.log(`App service latency: ${appServiceLatency} ms`)
-                    console.log(`AOAI latency: ${aoaiFirstSentenceLatency} ms`)
-                    let latencyLogTextArea = document.getElementById('latencyLog')
-                    latencyLogTextArea.innerHTML += `App service latency: ${appServiceLatency} ms\n`
-                    latencyLogTextArea.innerHTML += `AOAI latency: ${aoaiFirstSentenceLatency} ms\n`
-                    latencyLogTextArea.scrollTop = latencyLogTextArea.scrollHeight
-                    chunkString = chunkString.replace(firstSentenceLatencyRegex, '')
-                    if (chunkString === '') {
-                        return read()
-                    }
-                }
+    window.closeCitationPanel = () => {
+        document.getElementById('citationPanel').hidden = true
+    }
 
-                if (chunkString) {
-                    currentBotMessage += chunkString;
-                    botMessageDiv.textContent = currentBotMessage;
-                    chatMessages.scrollTop = chatMessages.scrollHeight;
-                }
+    function handleUserQuery(userQuery) {
+        sessionState.interacted()
+        chatConversation.querySent()
 
-                // Continue reading the next chunk
-                return read()
-            })
+        // Check for location request
+        const locationMatch = userQuery.match(locationRegex);
+        if (locationMatch) {
+            // Extract either postal code or location, whichever matched
+            const location = locationMatch[1] || locationMatch[2];
+            if (location) {
+                // Show map for the location
+                initMap(location.trim());
+            }
         }
 
-        // Start reading the stream
-        return read()
-    })
+        serverTransport.sendQuery(userQuery, {
+            chatBackend: document.getElementById('chatBackend').value,
+            systemPrompt: document.getElementById('prompt').value
+        })
+        .catch(error => {
+            console.error(error)
+        })
 }
 
 // Handle local video. If the user is not speaking for 15 seconds, switch to local video.
@@ -817,46 +742,27 @@ function handleLocalVideo() {
 
     let currentTime = new Date()
     if (currentTime - lastSpeakTime > 15000) {
-        if (document.getElementById('useLocalVideoForIdle').checked && sessionActive && !isSpeaking) {
+        if (document.getElementById('useLocalVideoForIdle').checked && sessionState.isConnected() && !isSpeaking) {
+            sessionState.suspend() // The avatar is let go on purpose, not due to network issue
             disconnectAvatar()
-            userClosedSession = true // Indicating the session was closed on purpose, not due to network issue
             document.getElementById('localVideo').hidden = false
             document.getElementById('remoteVideo').style.width = '0.1px'
-            sessionActive = false
         }
     }
 }
 
 // Check server status
 function checkServerStatus() {
-    fetch('/api/getStatus', {
-        method: 'GET',
-        headers: {
-            'ClientId': clientId
+    serverTransport.checkStatus()
+    .then(status => {
+        if (speechSynthesizerConnected === true && status.speechSynthesizerConnected === false && !audioOnlyMode) {
+            console.log(`[${(new Date()).toISOString()}] The speech synthesizer connection is closed.`)
+            sessionState.connectionLost('The speech synthesizer got disconnected')
         }
+        speechSynthesizerConnected = status.speechSynthesizerConnected
     })
-    .then(response => {
-        if (response.ok) {
-            response.text().then(text => {
-                responseJson = JSON.parse(text)
-                synthesizerConnected = responseJson.speechSynthesizerConnected
-                if (speechSynthesizerConnected === true && synthesizerConnected === false) {
-                    console.log(`[${(new Date()).toISOString()}] The speech synthesizer connection is closed.`)
-                    if (document.getElementById('autoReconnectAvatar').checked && !userClosedSession && !isReconnecting) {
-                        // No longer reconnect when there is no interaction for a while
-                        if (new Date() - lastInteractionTime < 300000) {
-                            // Session disconnected unexpectedly, need reconnect
-                            console.log(`[${(new Date()).toISOString()}] The speech synthesizer got disconnected unexpectedly, need reconnect.`)
-                            isReconnecting = true
-                            connectAvatar()
-                            createSpeechRecognizer()
-                        }
-                    }
-                }
-
-                speechSynthesizerConnected = synthesizerConnected
-            })
-        }
+    .catch(error => {
+        console.warn(error.message)
     })
 }
 
@@ -864,58 +770,307 @@ function checkServerStatus() {
 function checkHung() {
     // Check whether the avatar video stream is hung, by checking whether the video time is advancing
     let videoElement = document.getElementById('videoPlayer')
-    if (videoElement !== null && videoElement !== undefined && sessionActive) {
+    // Give the video 5 seconds after connecting to start playing
+    if (videoElement !== null && videoElement !== undefined && sessionState.connectedFor() > 5000) {
         let videoTime = videoElement.currentTime
         setTimeout(() => {
-            // Check whether the video time is advancing
-            if (videoElement.currentTime === videoTime) {
-                // Check whether the session is active to avoid duplicatedly triggering reconnect
-                if (sessionActive) {
-                    sessionActive = false
-                    if (document.getElementById('autoReconnectAvatar').checked) {
-                        // No longer reconnect when there is no interaction for a while
-                        if (new Date() - lastInteractionTime < 300000) {
-                            console.log(`[${(new Date()).toISOString()}] The video stream got disconnected, need reconnect.`)
-                            isReconnecting = true
-                            // Remove data channel onmessage callback to avoid duplicatedly triggering reconnect
-                            peerConnectionDataChannel.onmessage = null
-                            connectAvatar()
-                            createSpeechRecognizer()
-                        }
-                    }
-                }
+            // Check whether the video time is advancing, and the session is still connected to avoid duplicatedly triggering reconnect
+            if (videoElement.currentTime === videoTime && sessionState.isConnected()) {
+                sessionState.connectionLost('The video stream got disconnected')
             }
         }, 2000)
     }
 }
 
 window.onload = () => {
-    clientId = document.getElementById('clientId').value
+    serverTransport = new ServerTransport(document.getElementById('clientId').value, {
+        frameHandlers: chatConversation.frameHandlers,
+        onUserMessage: showSpokenUserMessage,
+        onServerEvent: handleServerEvent
+    })
+    resumeSession(document.getElementById('sessionToken').value)
     enableWebSockets = document.getElementById('enableWebSockets').value === 'True'
+    mockMode = document.getElementById('mockMode').value === 'True'
+    if (mockMode) {
+        useMockAvatar()
+    }
 
     if (!enableWebSockets) {
         setInterval(() => {
             checkServerStatus()
-        }, 2000) // Check server status every 2 seconds
+        }, mockMode ? 500 : 2000) // Check server status every 2 seconds, or more often for the speaking of the mock avatar
     }
 
     setInterval(() => {
         checkHung()
     }, 2000) // Check session activity every 2 seconds
+
+    // Tell the server the page is still open, so its client is not released as idle, e.g. before a session is started
+    serverTransport.startKeepAlive(parseFloat(document.getElementById('keepAliveIntervalSeconds').value))
+
+    // Citation chips in assistant messages show their source document
+    document.getElementById('chatMessages').addEventListener('click', (event) => {
+        const chip = event.target.closest('.citation-chip')
+        if (chip) {
+            const turnId = chip.closest('.bot-message').dataset.turnId
+            const turn = chatConversation.transcript.turns.find(item => String(item.id) === turnId)
+            if (turn) {
+                showCitationPanel(turn, Number(chip.dataset.citationIndex))
+            }
+        }
+    })
+
+    // Restore the saved configuration, or the one of a shared link
+    configurationStore.setup(document.getElementById('configuration'))
+    configurationStore.setupPresets(
+        document.getElementById('configurationPreset'),
+        document.getElementById('savePreset'),
+        document.getElementById('deletePreset'),
+        document.getElementById('shareConfiguration'),
+        document.getElementById('resetConfiguration'))
+    scenarioLibrary.onScenarioApplied = () => configurationStore.save()
+
+    sessionState.onChange(renderSessionStatus)
+    sessionState.onChange(handleAvatarFailure)
+    audioOnlyAvatar.onSpeakingChange = speaking => {
+        document.getElementById('audioOnlyPersona').classList.toggle('speaking', speaking)
+        if (speaking) {
+            handleSpeakingStarted()
+        } else {
+            handleSpeakingStopped()
+        }
+    }
+    connectionQualityMonitor.attach(document.getElementById('connectionQuality'))
+    sessionState.onChange(() => {
+        if (!sessionState.isConnected()) {
+            connectionQualityMonitor.stop()
+        }
+    })
+
+    latencyDashboard.attach(document.getElementById('latencyDashboard'))
+
+    deviceSettings.setupPanel({
+        microphoneSelect: document.getElementById('microphoneDevice'),
+        cameraSelect: document.getElementById('cameraDevice'),
+        cameraPreview: document.getElementById('cameraPreview'),
+        levelMeter: document.getElementById('microphoneLevel')
+    }, handleDeviceChange)
+
+    scenarioLibrary.setupPicker(
+        document.getElementById('scenarioSelect'),
+        document.getElementById('scenarioFile'),
+        document.getElementById('exportScenario'))
+}
+
+// In mock mode the page plays the avatar service's part itself: the mock avatar answers the WebRTC offer on a loopback connection,
+// and shows the speaking the server tells it about (see handleServerEvent).
+function useMockAvatar() {
+    console.log('Mock mode: the avatar is a stand-in, and no Azure service is used.')
+    avatarConnection.useMockAvatar(mockAvatar)
+}
+
+// Resume the session this tab had before a reload, so the conversation goes on where it was. The client id and session token
+// are kept in the session storage, which lasts as long as the tab; without a session to resume, the one of this page is kept instead.
+function resumeSession(sessionToken) {
+    const savedSession = JSON.parse(sessionStorage.getItem('avatarChatSession') || 'null')
+    const keepSession = token => sessionStorage.setItem('avatarChatSession', JSON.stringify({ clientId: serverTransport.clientId, sessionToken: token }))
+    if (!savedSession) {
+        keepSession(sessionToken)
+        return
+    }
+
+    document.getElementById('startSession').disabled = true
+    serverTransport.resume(savedSession)
+    .then(messages => {
+        sessionToken = savedSession.sessionToken
+        restoreChatHistory(messages)
+        console.log(`Resumed the session of client ${serverTransport.clientId}, with ${messages.length} messages.`)
+    })
+    .catch(error => {
+        console.warn(`${error.message}. Starting a new session.`)
+    })
+    .finally(() => {
+        keepSession(sessionToken)
+        document.getElementById('startSession').disabled = false
+    })
+}
+
+// Show the chat history of a resumed session, shown once the session is started again
+function restoreChatHistory(messages) {
+    const chatMessages = document.getElementById('chatMessages')
+    chatConversation.restore(messages).forEach(turn => {
+        chatMessages.appendChild(createMessageElement(turn.displayText, turn.speaker === 'user'))
+    })
+    chatMessages.scrollTop = chatMessages.scrollHeight
+}
+
+// Get a speech token and region for the browser to use the speech service with
+function fetchSpeechToken() {
+    return fetch('/api/getSpeechToken', {
+        method: 'GET',
+    })
+    .then(response => {
+        if (!response.ok) {
+            throw new Error(`Failed fetching speech token: ${response.status} ${response.statusText}`)
+        }
+        const region = response.headers.get('SpeechRegion')
+        return response.text().then(token => ({ token: token, region: region }))
+    })
+}
+
+// Continue the session without the avatar video: the browser speaks the replies, with a persona image in place of the avatar.
+// Used when the avatar video fails, when the connection is poor, or when the user chooses it.
+function startAudioOnly(reason) {
+    if (audioOnlyMode) {
+        return
+    }
+    console.log(`[${(new Date()).toISOString()}] Switching to audio only: ${reason}`)
+    audioOnlyMode = true
+    sessionState.start()
+    connectionQualityMonitor.stop()
+
+    // Let the avatar connection go, without its events being taken for a lost connection
+    avatarConnection.close()
+    document.getElementById('remoteVideo').innerHTML = ''
+    document.getElementById('localVideo').hidden = true
+    document.getElementById('audioOnlyPersona').hidden = false
+    document.getElementById('startSession').disabled = true
+    document.getElementById('configuration').hidden = true
+
+    fetch('/api/connectAudioOnly', {
+        method: 'POST',
+        headers: getSessionHeaders(),
+        body: ''
+    })
+    .then(response => {
+        if (!response.ok) {
+            throw new Error(`Failed to start audio only: ${response.status} ${response.statusText}`)
+        }
+        return response.json()
+    })
+    .then(voiceSettings => audioOnlyAvatar.start(voiceSettings, fetchSpeechToken))
+    .then(() => {
+        document.getElementById('microphone').disabled = false
+        document.getElementById('stopSession').disabled = false
+        document.getElementById('chatMessages').hidden = false
+        document.getElementById('latencyLog').hidden = false
+        document.getElementById('showTypeMessage').disabled = false
+        sessionState.connected()
+        if (isOpeningLineDue()) {
+            speakOpeningLine()
+        }
+    })
+    .catch(err => {
+        console.error(err)
+        sessionState.connectionLost(err.message)
+    })
+}
+
+// Fall back to audio only when the avatar video cannot be established: the first connection failed, or the reconnects ran out
+function handleAvatarFailure(state) {
+    if (audioOnlyMode || !document.getElementById('audioOnlyFallback').checked) {
+        return
+    }
+    if ((state === 'reconnecting' || state === 'failed') && !avatarConnectedOnce) {
+        startAudioOnly('The avatar video could not be established')
+    } else if (state === 'failed' && sessionState.attempt > sessionState.maxAttempts) {
+        startAudioOnly('The avatar video could not be reconnected')
+    }
+}
+
+// Watch the quality of the avatar connection, with the thresholds of the configuration
+function startConnectionQualityMonitor() {
+    connectionQualityMonitor.setThresholds({
+        minFps: parseFloat(document.getElementById('qualityMinFps').value),
+        maxPacketLossPercent: parseFloat(document.getElementById('qualityMaxPacketLoss').value),
+        maxJitterMs: parseFloat(document.getElementById('qualityMaxJitterMs').value),
+        maxRoundTripTimeMs: parseFloat(document.getElementById('qualityMaxRoundTripTimeMs').value)
+    })
+    connectionQualityMonitor.start(avatarConnection.peerConnection)
+}
+
+// Log a connection quality change on the server, so degraded sessions can be found afterwards
+function logQualityEvent(qualityEvent) {
+    console.log(`[${(new Date()).toISOString()}] Connection quality ${qualityEvent.type}: ${(qualityEvent.reasons || []).join(', ')}`)
+    if (qualityEvent.type === 'action') {
+        qualityEvent.action = document.getElementById('poorConnectionAction').value
+    }
+    fetch('/api/logQualityEvent', {
+        method: 'POST',
+        headers: {
+            'ClientId': serverTransport.clientId,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(qualityEvent)
+    })
+    .catch(err => {
+        console.warn('Failed to log the connection quality event:', err)
+    })
+}
+
+// The connection stayed poor: act as configured
+function handlePoorConnection(qualityEvent) {
+    const poorConnectionAction = document.getElementById('poorConnectionAction').value
+    if (poorConnectionAction === 'reconnect') {
+        sessionState.connectionLost(`Poor connection quality (${qualityEvent.reasons.join(', ')})`)
+    } else if (poorConnectionAction === 'audioOnly') {
+        startAudioOnly(`Poor connection quality (${qualityEvent.reasons.join(', ')})`)
+    }
+}
+
+// Show the session state in the status banner
+function renderSessionStatus(state, detail) {
+    const labels = {
+        idle: '💤 Idle, the avatar connects when you speak',
+        connecting: '🟡 Connecting to the avatar…',
+        active: '🟢 Connected',
+        speaking: '🗣️ Speaking',
+        reconnecting: '🟠 Reconnecting',
+        failed: '🔴 Connection lost',
+        closed: '⚪ Session closed'
+    }
+    let text = labels[state]
+    if (audioOnlyMode && (state === 'active' || state === 'speaking')) {
+        text = state === 'speaking' ? '🗣️ Speaking (audio only)' : '🔊 Audio only, the avatar video is off'
+    }
+    if (state === 'reconnecting' && sessionState.nextRetryAt !== null) {
+        text += ` in ${Math.ceil((sessionState.nextRetryAt - Date.now()) / 1000)} s (attempt ${sessionState.attempt} of ${sessionState.maxAttempts})`
+    }
+    if (detail) {
+        text += `: ${detail}`
+    }
+
+    const statusBanner = document.getElementById('sessionStatus')
+    statusBanner.className = `session-status ${state}`
+    statusBanner.hidden = false
+    document.getElementById('sessionStatusText').textContent = text
+    document.getElementById('retrySession').hidden = state !== 'failed'
+    if (state === 'failed') {
+        // Let the user close the session and change the configuration
+        document.getElementById('stopSession').disabled = false
+    }
+}
+
+window.retrySession = () => {
+    sessionState.retry()
 }
 
 window.startSession = () => {
-    lastInteractionTime = new Date()
     if (enableWebSockets) {
-        setupWebSocket()
+        serverTransport.openWebSocket()
     }
 
-    userClosedSession = false
+    avatarConnectedOnce = false
 
     createSpeechRecognizer()
     
     // Start user camera
     startUserCamera()
+
+    if (document.getElementById('audioOnlyMode').checked) {
+        startAudioOnly('Chosen in the configuration')
+        return
+    }
     
     if (document.getElementById('useLocalVideoForIdle').checked) {
         document.getElementById('startSession').disabled = true
@@ -927,39 +1082,43 @@ window.startSession = () => {
         document.getElementById('chatMessages').hidden = false
         document.getElementById('latencyLog').hidden = false
         document.getElementById('showTypeMessage').disabled = false
+        if (isOpeningLineDue()) {
+            // The avatar connects to speak the opening line, and is let go once it has been idle for a while
+            sessionState.start()
+            connectAvatar()
+        } else {
+            // The avatar connects once the user speaks
+            sessionState.suspend()
+        }
         return
     }
 
+    sessionState.start()
     connectAvatar()
 }
 
-window.stopSpeaking = () => {
-    lastInteractionTime = new Date()
+// Stop the avatar speaking. reason is 'button' or 'bargeIn' (the user started talking over the avatar).
+window.stopSpeaking = (reason = 'button') => {
+    sessionState.interacted()
     document.getElementById('stopSpeaking').disabled = true
 
-    if (socket !== undefined) {
-        socket.emit('message', { clientId: clientId, path: 'api.stopSpeaking' })
-        return
+    // The avatar was cut off in the middle of its reply, which the server marks in the chat history as well
+    const interrupted = isSpeaking
+    if (interrupted) {
+        chatConversation.interrupted()
+    }
+    if (audioOnlyMode) {
+        audioOnlyAvatar.stopSpeaking()
     }
 
-    fetch('/api/stopSpeaking', {
-        method: 'POST',
-        headers: {
-            'ClientId': clientId
-        },
-        body: ''
-    })
-    .then(response => {
-        if (response.ok) {
-            console.log('Successfully stopped speaking.')
-        } else {
-            throw new Error(`Failed to stop speaking: ${response.status} ${response.statusText}`)
-        }
+    serverTransport.stopSpeaking(interrupted, reason)
+    .catch(error => {
+        console.error(error.message)
     })
 }
 
 window.stopSession = () => {
-    lastInteractionTime = new Date()
+    sessionState.interacted()
     document.getElementById('startSession').disabled = false
     document.getElementById('microphone').disabled = true
     document.getElementById('stopSession').disabled = true
@@ -974,10 +1133,21 @@ window.stopSession = () => {
         document.getElementById('localVideo').hidden = true
     }
 
+    // Finish any recording before the streams go away
+    if (sessionRecorder.isRecording()) {
+        window.toggleSessionRecording()
+    }
+    document.getElementById('recordSession').disabled = true
+
     // Stop user camera
     stopUserCamera()
 
-    userClosedSession = true // Indicating the session was closed by user on purpose, not due to network issue
+    sessionState.close() // The session was closed by user on purpose, not due to network issue
+    if (audioOnlyMode) {
+        audioOnlyAvatar.stop()
+        audioOnlyMode = false
+        document.getElementById('audioOnlyPersona').hidden = true
+    }
     disconnectAvatar(true)
 }
 
@@ -991,63 +1161,172 @@ function resetMap() {
 }
 
 window.exportChatTranscript = () => {
-    const chatMessages = document.getElementById('chatMessages');
-    if (!chatMessages) return '';
-    
-    let transcript = '';
-    const messages = chatMessages.querySelectorAll('.message');
-    
-    messages.forEach((message, index) => {
-        const isUser = message.classList.contains('user-message');
-        const speaker = isUser ? 'User' : 'Assistant';
-        const text = message.textContent.trim();
-        
-        if (text) {
-            transcript += `${speaker}: ${text}\n\n`;
-        }
-    });
-    
-    return transcript;
+    return chatConversation.transcript.toPlainText();
+}
+
+window.exportChatTranscriptJson = () => {
+    return JSON.stringify(chatConversation.transcript.toJSON(), null, 2);
+}
+
+// Save the given content as a file through a temporary download link
+function downloadFile(fileName, content, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Download the transcript as 'json', 'vtt' (WebVTT), 'srt' or 'txt' (plain "User: / Assistant:" text)
+window.downloadChatTranscript = (format = document.getElementById('transcriptFormat').value) => {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const fileName = `transcript-${timestamp}.${format}`;
+    if (format === 'vtt') {
+        downloadFile(fileName, chatConversation.transcript.toWebVtt(), 'text/vtt');
+    } else if (format === 'srt') {
+        downloadFile(fileName, chatConversation.transcript.toSrt(), 'application/x-subrip');
+    } else if (format === 'txt') {
+        downloadFile(fileName, window.exportChatTranscript(), 'text/plain');
+    } else {
+        downloadFile(`transcript-${timestamp}.json`, window.exportChatTranscriptJson(), 'application/json');
+    }
+}
+
+// Apply a change of the selected microphone or camera. The camera switches right away;
+// the microphone is picked up the next time it is started.
+function handleDeviceChange(kind) {
+    if (kind === 'camera' && userCameraStream) {
+        stopUserCamera()
+        startUserCamera()
+    } else if (kind === 'microphone' && document.getElementById('microphone').innerHTML === 'Stop Microphone') {
+        console.log('The selected microphone will be used the next time the microphone is started.')
+    }
+}
+
+// Show or hide the device settings, with the camera preview and microphone level meter while they are shown
+window.toggleDeviceSettings = () => {
+    const devicePanel = document.getElementById('deviceSettings')
+    devicePanel.hidden = !devicePanel.hidden
+    if (devicePanel.hidden) {
+        deviceSettings.stopPreview()
+        return
+    }
+    deviceSettings.startPreview().catch(error => {
+        console.error('Unable to preview the microphone and camera:', error)
+        alert('Unable to access the microphone or camera: ' + error.message)
+    })
+}
+
+// Show or hide the latency dashboard
+window.toggleLatencyDashboard = () => {
+    const dashboardPanel = document.getElementById('latencyDashboardPanel')
+    dashboardPanel.hidden = !dashboardPanel.hidden
+}
+
+// Download the latency figures of the session as 'csv' or 'json'
+window.exportLatency = (format) => {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
+    if (format === 'csv') {
+        downloadFile(`latency-${timestamp}.csv`, latencyDashboard.toCsv(), 'text/csv')
+    } else {
+        downloadFile(`latency-${timestamp}.json`, latencyDashboard.toJson(), 'application/json')
+    }
+}
+
+// Start recording the avatar and user camera, or stop and download the recording with its captions
+window.toggleSessionRecording = async () => {
+    const recordButton = document.getElementById('recordSession')
+    if (sessionRecorder.isRecording()) {
+        const startedAt = sessionRecorder.startedAt
+        const recording = await sessionRecorder.stop()
+        recordButton.innerHTML = '⏺️ Record Session'
+        const timestamp = startedAt.replace(/[:.]/g, '-')
+        downloadFile(`session-${timestamp}.webm`, recording, 'video/webm')
+        downloadFile(`session-${timestamp}.vtt`, chatConversation.transcript.since(startedAt).toWebVtt(), 'text/vtt')
+        return
+    }
+
+    const audioPlayer = document.getElementById('audioPlayer')
+    try {
+        await sessionRecorder.start({
+            avatarVideo: document.getElementById('videoPlayer'),
+            avatarAudioStream: audioPlayer ? audioPlayer.srcObject : null,
+            userVideo: userCameraStream ? document.getElementById('userCameraVideo') : null,
+            microphoneConstraints: deviceSettings.getAudioConstraints({ echoCancellation: true, noiseSuppression: true })
+        })
+        recordButton.innerHTML = '⏹️ Stop Recording'
+    } catch (error) {
+        console.error('Failed to start session recording:', error)
+        sessionRecorder.cleanUp()
+        alert('Failed to start session recording: ' + error.message)
+    }
 }
 
 window.navigateToEvaluation = () => {
-    const transcript = window.exportChatTranscript();
     // Store transcript in localStorage to pass to test.html
-    localStorage.setItem('chatTranscript', transcript);
+    localStorage.setItem('chatTranscript', window.exportChatTranscript());
+    localStorage.setItem('chatTranscriptJson', window.exportChatTranscriptJson());
+    // Pass the scenario on, so the evaluation uses its rubric and reads transcripts labelled with its persona's name
+    if (scenarioLibrary.scenario) {
+        localStorage.setItem('chatScenario', JSON.stringify({
+            id: scenarioLibrary.scenario.id,
+            name: scenarioLibrary.scenario.name,
+            personaName: scenarioLibrary.scenario.personaName || '',
+            rubricId: scenarioLibrary.scenario.rubricId || ''
+        }));
+    } else {
+        localStorage.removeItem('chatScenario');
+    }
     window.location.href = '/test';
 }
 
 window.clearChatHistory = () => {
-    lastInteractionTime = new Date()
+    sessionState.interacted()
     resetMap();
-    fetch('/api/chat/clearHistory', {
-        method: 'POST',
-        headers: {
-            'ClientId': clientId,
-            'SystemPrompt': document.getElementById('prompt').value
-        },
-        body: ''
+    serverTransport.clearHistory(document.getElementById('prompt').value)
+    .then(() => {
+        document.getElementById('chatMessages').innerHTML = ''
+        document.getElementById('latencyLog').innerHTML = ''
+        chatConversation.clear()
+        currentAssistantMessage = undefined
+        window.closeCitationPanel()
     })
-    .then(response => {
-        if (response.ok) {
-            document.getElementById('chatMessages').innerHTML = ''
-            document.getElementById('latencyLog').innerHTML = ''
-        } else {
-            throw new Error(`Failed to clear chat history: ${response.status} ${response.statusText}`)
-        }
+    .catch(error => {
+        console.error(error.message)
     })
 }
 
+// The speech detection settings of barge-in. A field left empty or out of range keeps its default,
+// as NaN would make the worklet never (or always) detect speech.
+function getBargeInOptions() {
+    const thresholdDb = parseFloat(document.getElementById('bargeInThresholdDb').value)
+    const minSpeechMs = parseInt(document.getElementById('bargeInMinSpeechMs').value)
+    const hangoverMs = parseInt(document.getElementById('bargeInHangoverMs').value)
+    return {
+        thresholdDb: Number.isFinite(thresholdDb) && thresholdDb <= 0 ? thresholdDb : -45,
+        minSpeechMs: Number.isFinite(minSpeechMs) && minSpeechMs > 0 ? minSpeechMs : 200,
+        hangoverMs: Number.isFinite(hangoverMs) && hangoverMs >= 0 ? hangoverMs : 500
+    }
+}
+
 window.microphone = () => {
-    lastInteractionTime = new Date()
+    sessionState.interacted()
     if (document.getElementById('microphone').innerHTML === 'Stop Microphone') {
         // Stop microphone for websocket mode
-        if (socket !== undefined) {
+        if (serverTransport.usesWebSocket()) {
             document.getElementById('microphone').disabled = true
+            if (micAudioSender !== undefined) {
+                micAudioSender.stop()
+                micAudioSender = undefined
+            }
             fetch('/api/disconnectSTT', {
                 method: 'POST',
                 headers: {
-                    'ClientId': clientId
+                    'ClientId': serverTransport.clientId
                 },
                 body: ''
             })
@@ -1082,12 +1361,22 @@ window.microphone = () => {
     }
 
     // Start microphone for websocket mode
-    if (socket !== undefined) {
+    if (serverTransport.usesWebSocket()) {
         document.getElementById('microphone').disabled = true
-        // Audio worklet script (https://developer.chrome.com/blog/audio-worklet) for recording audio
+        // Audio worklet script (https://developer.chrome.com/blog/audio-worklet) for recording audio.
+        // It also detects the user speaking from the signal energy, for barge-in: speech starts once the level
+        // stays above the threshold for minSpeechMs, and ends after hangoverMs below it.
         const audioWorkletScript = `class MicAudioWorkletProcessor extends AudioWorkletProcessor {
                 constructor(options) {
                     super(options)
+                    const vadOptions = options.processorOptions
+                    const frameMs = 128 / sampleRate * 1000
+                    this.thresholdDb = vadOptions.thresholdDb
+                    this.minSpeechFrames = Math.max(1, Math.round(vadOptions.minSpeechMs / frameMs))
+                    this.hangoverFrames = Math.max(1, Math.round(vadOptions.hangoverMs / frameMs))
+                    this.speechFrames = 0
+                    this.silenceFrames = 0
+                    this.inSpeech = false
                 }
 
                 process(inputs, outputs, parameters) {
@@ -1096,22 +1385,57 @@ window.microphone = () => {
                     for (let channel = 0; channel < input.length; channel += 1) {
                         output[channel] = input[channel]
                     }
-                    this.port.postMessage(output[0])
+                    if (output[0]) {
+                        this.detectSpeech(output[0])
+                    }
+                    this.port.postMessage({ type: 'audio', samples: output[0] })
                     return true
                 }
+
+                detectSpeech(samples) {
+                    let energy = 0
+                    for (let i = 0; i < samples.length; i += 1) {
+                        energy += samples[i] * samples[i]
+                    }
+                    const levelDb = 10 * Math.log10(energy / samples.length + 1e-10)
+                    if (levelDb >= this.thresholdDb) {
+                        this.silenceFrames = 0
+                        this.speechFrames += 1
+                        if (!this.inSpeech && this.speechFrames >= this.minSpeechFrames) {
+                            this.inSpeech = true
+                            this.port.postMessage({ type: 'speechStart', levelDb: levelDb })
+                        }
+                    } else {
+                        this.speechFrames = Math.max(0, this.speechFrames - 1)
+                        this.silenceFrames += 1
+                        if (this.inSpeech && this.silenceFrames >= this.hangoverFrames) {
+                            this.inSpeech = false
+                            this.speechFrames = 0
+                            this.port.postMessage({ type: 'speechEnd' })
+                        }
+                    }
+                }
             }
 
             registerProcessor('mic-audio-worklet-processor', MicAudioWorkletProcessor)`
         const audioWorkletScriptBlob = new Blob([audioWorkletScript], { type: 'application/javascript; charset=utf-8' })
         const audioWorkletScriptUrl = URL.createObjectURL(audioWorkletScriptBlob)
 
+        let useOpus = document.getElementById('audioEncoding').value === 'opus'
+        if (useOpus && MicAudioSender.getOpusMimeType() === undefined) {
+            console.warn('This browser cannot record Opus, sending the microphone audio as PCM.')
+            useOpus = false
+        }
+
         const sttLocales = document.getElementById('sttLocales').value;
         fetch('/api/connectSTT', {
             method: 'POST',
             headers: {
-                'ClientId': clientId,
+                'ClientId': serverTransport.clientId,
+                'ChatBackend': document.getElementById('chatBackend').value,
                 'SystemPrompt': document.getElementById('prompt').value,
-                'SttLocales': sttLocales
+                'SttLocales': sttLocales,
+                'AudioFormat': useOpus ? 'opus' : 'pcm'
             },
             body: ''
         })
@@ -1122,28 +1446,38 @@ window.microphone = () => {
 
                 navigator.mediaDevices
                 .getUserMedia({
-                    audio: {
+                    audio: deviceSettings.getAudioConstraints({
                         echoCancellation: true,
                         noiseSuppression: true,
                         sampleRate: 16000
-                    }
+                    })
                 })
                 .then((stream) => {
+                    // Audio goes to the server as binary frames of 20-100 ms, instead of a message per worklet frame
+                    micAudioSender = new MicAudioSender(audioFrame => serverTransport.sendAudio(audioFrame), parseInt(document.getElementById('audioFrameMs').value))
+                    if (useOpus) {
+                        micAudioSender.startOpus(stream)
+                    }
+
                     audioContext = new AudioContext({ sampleRate: 16000 })
                     const audioSource = audioContext.createMediaStreamSource(stream)
                     audioContext.audioWorklet
                         .addModule(audioWorkletScriptUrl)
                         .then(() => {
-                            const audioWorkletNode = new AudioWorkletNode(audioContext, 'mic-audio-worklet-processor')
+                            const audioWorkletNode = new AudioWorkletNode(audioContext, 'mic-audio-worklet-processor', {
+                                processorOptions: getBargeInOptions()
+                            })
                             audioWorkletNode.port.onmessage = (e) => {
-                                const audioDataFloat32 = e.data
-                                const audioDataInt16 = new Int16Array(audioDataFloat32.length)
-                                for (let i = 0; i < audioDataFloat32.length; i++) {
-                                    audioDataInt16[i] = Math.max(-0x8000, Math.min(0x7FFF, audioDataFloat32[i] * 0x7FFF))
+                                if (e.data.type === 'speechStart') {
+                                    console.log(`[${(new Date()).toISOString()}] User speech detected (${e.data.levelDb.toFixed(1)} dBFS).`)
+                                    if (isSpeaking && document.getElementById('enableBargeIn').checked) {
+                                        window.stopSpeaking('bargeIn')
+                                    }
+                                    return
+                                }
+                                if (e.data.type === 'audio' && e.data.samples && micAudioSender !== undefined && !micAudioSender.isOpus()) {
+                                    micAudioSender.pushPcm(e.data.samples)
                                 }
-                                const audioDataBytes = new Uint8Array(audioDataInt16.buffer)
-                                const audioDataBase64 = btoa(String.fromCharCode(...audioDataBytes))
-                                socket.emit('message', { clientId: clientId, path: 'api.audio', audioChunk: audioDataBase64 })
                             }
 
                             audioSource.connect(audioWorkletNode)
@@ -1164,8 +1498,11 @@ window.microphone = () => {
         return
     }
 
-    if (document.getElementById('useLocalVideoForIdle').checked) {
-        if (!sessionActive) {
+    if (audioOnlyMode) {
+        // No avatar audio to start, the browser speaks the replies
+    } else if (document.getElementById('useLocalVideoForIdle').checked) {
+        if (sessionState.state === 'idle') {
+            sessionState.start()
             connectAvatar()
         }
 
@@ -1179,7 +1516,7 @@ window.microphone = () => {
     document.getElementById('microphone').disabled = true
     speechRecognizer.recognizing = async (s, e) => {
         if (isFirstRecognizingEvent && isSpeaking) {
-            window.stopSpeaking()
+            window.stopSpeaking('bargeIn')
             isFirstRecognizingEvent = false
         }
     }
@@ -1194,11 +1531,6 @@ window.microphone = () => {
             let recognitionResultReceivedTime = new Date()
             let speechFinishedOffset = (e.result.offset + e.result.duration) / 10000
             let sttLatency = recognitionResultReceivedTime - recognitionStartedTime - speechFinishedOffset
-            console.log(`STT latency: ${sttLatency} ms`)
-            let latencyLogTextArea = document.getElementById('latencyLog')
-            latencyLogTextArea.innerHTML += `STT latency: ${sttLatency} ms\n`
-            latencyLogTextArea.scrollTop = latencyLogTextArea.scrollHeight
-
             // Auto stop microphone when a phrase is recognized, when it's not continuous conversation mode
             if (!document.getElementById('continuousConversation').checked) {
                 document.getElementById('microphone').disabled = true
@@ -1215,6 +1547,8 @@ window.microphone = () => {
             const chatMessages = document.getElementById('chatMessages');
             chatMessages.appendChild(createMessageElement(userQuery, true));
             chatMessages.scrollTop = chatMessages.scrollHeight;
+            const userTurn = chatConversation.addUserTurn('stt', userQuery)
+            chatConversation.recordLatency(userTurn, 'stt', sttLatency)
             
             handleUserQuery(userQuery)
 
@@ -1251,6 +1585,7 @@ window.updateTypeMessageBox = () => {
                     const chatMessages = document.getElementById('chatMessages');
                     chatMessages.appendChild(createMessageElement(userQuery.trim('\n'), true));
                     chatMessages.scrollTop = chatMessages.scrollHeight;
+                    chatConversation.addUserTurn('typed', userQuery.trim('\n'))
 
                     if (isSpeaking) {
                         window.stopSpeaking()
@@ -1274,6 +1609,7 @@ window.updateLocalVideoForIdle = () => {
     }
 }
 
+// The client is kept for the page to resume after a reload; the server releases it once it has been idle for long enough
 window.onbeforeunload = () => {
-    navigator.sendBeacon('/api/releaseClient', JSON.stringify({ clientId: clientId }))
+    serverTransport.suspend()
 }
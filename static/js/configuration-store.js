@@ -0,0 +1,203 @@
+// configuration-store.js - Keep the chat configuration panel across reloads, as named presets and as shareable links
+
+class ConfigurationStore {
+    constructor() {
+        this.settingsKey = 'configurationSettings';
+        this.presetsKey = 'configurationPresets';
+        // Fields left out of shared links: a personal voice identifies a real person's voice
+        this.privateFields = ['personalVoiceSpeakerProfileID'];
+        // Fields that are not settings: the pickers apply settings of their own, and file inputs cannot be set
+        this.excludedFields = ['scenarioSelect', 'configurationPreset'];
+        this.panel = null;
+        this.defaults = {};
+        this.saveTimer = null;
+    }
+
+    /**
+     * The setting fields of the panel: every input, textarea and select with an id
+     */
+    getFields() {
+        return Array.from(this.panel.querySelectorAll('input[id], textarea[id], select[id]'))
+            .filter(field => field.type !== 'file' && !this.excludedFields.includes(field.id));
+    }
+
+    /**
+     * The current settings, e.g. { prompt: '...', enableOyd: true }
+     */
+    capture() {
+        const settings = {};
+        this.getFields().forEach(field => {
+            settings[field.id] = field.type === 'checkbox' ? field.checked : field.value;
+        });
+        return settings;
+    }
+
+    /**
+     * Fill the panel with settings. Fields the settings leave out keep their value.
+     * Checkboxes fire their change handlers, so dependent fields are shown or hidden.
+     */
+    apply(settings) {
+        this.getFields().forEach(field => {
+            if (!(field.id in settings)) {
+                return;
+            }
+            if (field.type === 'checkbox') {
+                const checked = settings[field.id] === true || settings[field.id] === 'true';
+                if (field.checked !== checked) {
+                    field.checked = checked;
+                    field.dispatchEvent(new Event('change'));
+                }
+            } else {
+                field.value = settings[field.id];
+            }
+        });
+    }
+
+    /**
+     * Remember the page defaults, restore the saved settings, then apply the settings of a shared link,
+     * and save the panel whenever it changes
+     */
+    setup(panel) {
+        this.panel = panel;
+        this.defaults = this.capture();
+
+        const savedSettings = this.load(this.settingsKey, {});
+        this.apply(savedSettings);
+        const sharedSettings = this.fromUrl(window.location.search);
+        if (Object.keys(sharedSettings).length > 0) {
+            this.apply(sharedSettings);
+            this.save();
+            // Leave a clean address, so a reload uses the saved settings rather than the link again
+            window.history.replaceState(null, '', window.location.pathname);
+        }
+
+        const scheduleSave = () => {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = setTimeout(() => this.save(), 500);
+        };
+        panel.addEventListener('input', scheduleSave);
+        panel.addEventListener('change', scheduleSave);
+    }
+
+    load(key, fallback) {
+        try {
+            return JSON.parse(localStorage.getItem(key)) || fallback;
+        } catch (error) {
+            console.warn(`Ignoring unreadable ${key}:`, error);
+            return fallback;
+        }
+    }
+
+    save() {
+        localStorage.setItem(this.settingsKey, JSON.stringify(this.capture()));
+    }
+
+    /**
+     * Put the page defaults back and forget the saved settings
+     */
+    reset() {
+        this.apply(this.defaults);
+        localStorage.removeItem(this.settingsKey);
+    }
+
+    getPresets() {
+        return this.load(this.presetsKey, {});
+    }
+
+    savePreset(name) {
+        const presets = this.getPresets();
+        presets[name] = this.capture();
+        localStorage.setItem(this.presetsKey, JSON.stringify(presets));
+    }
+
+    applyPreset(name) {
+        const preset = this.getPresets()[name];
+        if (preset) {
+            this.apply(preset);
+            this.save();
+        }
+    }
+
+    deletePreset(name) {
+        const presets = this.getPresets();
+        delete presets[name];
+        localStorage.setItem(this.presetsKey, JSON.stringify(presets));
+    }
+
+    /**
+     * A link to this page with the settings that differ from the page defaults, private fields left out
+     */
+    getShareUrl() {
+        const parameters = new URLSearchParams();
+        Object.entries(this.capture()).forEach(([id, value]) => {
+            if (!this.privateFields.includes(id) && value !== this.defaults[id]) {
+                parameters.set(id, String(value));
+            }
+        });
+        const query = parameters.toString();
+        return `${window.location.origin}${window.location.pathname}${query ? '?' + query : ''}`;
+    }
+
+    /**
+     * The settings in the query string of a shared link. Unknown and private parameters are ignored.
+     */
+    fromUrl(search) {
+        const settings = {};
+        const fieldIds = this.getFields().map(field => field.id);
+        new URLSearchParams(search).forEach((value, id) => {
+            if (fieldIds.includes(id) && !this.privateFields.includes(id)) {
+                settings[id] = value;
+            }
+        });
+        return settings;
+    }
+
+    /**
+     * Wire the preset picker and its buttons
+     */
+    setupPresets(presetSelect, saveButton, deleteButton, shareButton, resetButton) {
+        const fillPresets = (selectedName = '') => {
+            presetSelect.innerHTML = '';
+            const emptyOption = document.createElement('option');
+            emptyOption.value = '';
+            emptyOption.textContent = '— Presets —';
+            presetSelect.appendChild(emptyOption);
+            Object.keys(this.getPresets()).sort().forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                presetSelect.appendChild(option);
+            });
+            presetSelect.value = selectedName;
+        };
+        fillPresets();
+
+        presetSelect.addEventListener('change', () => {
+            if (presetSelect.value) {
+                this.applyPreset(presetSelect.value);
+            }
+        });
+        saveButton.addEventListener('click', () => {
+            const name = window.prompt('Preset name:', presetSelect.value);
+            if (!name) return;
+            this.savePreset(name);
+            fillPresets(name);
+        });
+        deleteButton.addEventListener('click', () => {
+            if (!presetSelect.value || !window.confirm(`Delete preset "${presetSelect.value}"?`)) return;
+            this.deletePreset(presetSelect.value);
+            fillPresets();
+        });
+        shareButton.addEventListener('click', () => {
+            const url = this.getShareUrl();
+            navigator.clipboard.writeText(url)
+                .then(() => alert('Link copied to the clipboard. It opens this page with the current settings.'))
+                .catch(() => window.prompt('Copy this link:', url));
+        });
+        resetButton.addEventListener('click', () => {
+            if (!window.confirm('Reset all settings to their defaults?')) return;
+            this.reset();
+            fillPresets();
+        });
+    }
+}
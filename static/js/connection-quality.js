@@ -0,0 +1,234 @@
+// connection-quality.js - Watch the quality of the avatar WebRTC connection through getStats
+
+class ConnectionQualityMonitor {
+    /**
+     * thresholds: below minFps, or above maxPacketLossPercent, maxJitterMs or maxRoundTripTimeMs, the connection is poor.
+     * onEvent(event) is called with the 'degraded', 'recovered' and 'action' events, e.g. to log them on the server.
+     * onAction(event) is called once the connection has stayed poor for actionAfterMs, e.g. to reconnect.
+     */
+    constructor(options = {}) {
+        this.defaultThresholds = {
+            minFps: 15,
+            maxPacketLossPercent: 5,
+            maxJitterMs: 50,
+            maxRoundTripTimeMs: 500
+        };
+        this.setThresholds(options.thresholds);
+        this.intervalMs = options.intervalMs || 2000;
+        this.degradedSamples = options.degradedSamples || 2; // Consecutive poor samples before the connection counts as degraded
+        this.actionAfterMs = options.actionAfterMs || 10000;
+        this.onEvent = options.onEvent || (() => {});
+        this.onAction = options.onAction || (() => {});
+        this.container = null;
+        this.peerConnection = null;
+        this.timer = null;
+        this.reset();
+    }
+
+    /**
+     * Set the thresholds, e.g. from the settings form. Values which are not finite numbers, such as an empty
+     * field parsed to NaN, keep their default.
+     */
+    setThresholds(thresholds = {}) {
+        this.thresholds = Object.assign({}, this.defaultThresholds);
+        Object.keys(this.defaultThresholds).forEach(name => {
+            if (thresholds && Number.isFinite(thresholds[name])) {
+                this.thresholds[name] = thresholds[name];
+            }
+        });
+    }
+
+    reset() {
+        this.previous = null;
+        this.metrics = null;
+        this.poorSamples = 0;
+        this.degradedSince = null;
+        this.actionTaken = false;
+        this.stallCount = 0;
+        this.stalled = false;
+    }
+
+    /**
+     * Show the quality indicator in the given element
+     */
+    attach(container) {
+        this.container = container;
+        this.render();
+    }
+
+    /**
+     * Poll the stats of a peer connection (a real RTCPeerConnection, or a fake with getStats() in tests)
+     */
+    start(peerConnection) {
+        this.stop();
+        this.reset();
+        this.peerConnection = peerConnection;
+        this.timer = setInterval(() => this.poll(), this.intervalMs);
+        this.render();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.peerConnection = null;
+        this.render();
+    }
+
+    async poll() {
+        const peerConnection = this.peerConnection;
+        try {
+            const stats = await peerConnection.getStats();
+            if (peerConnection === this.peerConnection) {
+                this.sample(stats, Date.now());
+            }
+        } catch (error) {
+            console.warn('Unable to get the WebRTC stats:', error);
+        }
+    }
+
+    /**
+     * Calculate the metrics from a stats report and check them against the thresholds
+     */
+    sample(stats, time) {
+        let video = null;
+        let candidatePair = null;
+        let selectedCandidatePairId = null;
+        stats.forEach(report => {
+            if (report.type === 'inbound-rtp' && (report.kind || report.mediaType) === 'video') {
+                video = report;
+            } else if (report.type === 'transport' && report.selectedCandidatePairId) {
+                selectedCandidatePairId = report.selectedCandidatePairId;
+            } else if (report.type === 'candidate-pair' && report.nominated && report.state === 'succeeded') {
+                candidatePair = report;
+            }
+        });
+        if (selectedCandidatePairId && stats.get(selectedCandidatePairId)) {
+            candidatePair = stats.get(selectedCandidatePairId);
+        }
+        if (!video) {
+            return null;
+        }
+
+        const current = {
+            time: time,
+            framesDecoded: video.framesDecoded || 0,
+            packetsReceived: video.packetsReceived || 0,
+            packetsLost: video.packetsLost || 0
+        };
+        const previous = this.previous;
+        this.previous = current;
+        if (!previous) {
+            return null; // Rates need two samples
+        }
+
+        const seconds = Math.max(0.001, (current.time - previous.time) / 1000);
+        const framesDecoded = current.framesDecoded - previous.framesDecoded;
+        const packetsReceived = current.packetsReceived - previous.packetsReceived;
+        const packetsLost = Math.max(0, current.packetsLost - previous.packetsLost);
+
+        // A stall is a whole interval without a decoded frame, counted once until frames come again
+        if (framesDecoded <= 0 && !this.stalled) {
+            this.stallCount++;
+        }
+        this.stalled = framesDecoded <= 0;
+
+        this.metrics = {
+            fps: Math.round(framesDecoded / seconds * 10) / 10,
+            packetLossPercent: packetsReceived + packetsLost > 0 ? Math.round(packetsLost / (packetsReceived + packetsLost) * 1000) / 10 : 0,
+            jitterMs: typeof video.jitter === 'number' ? Math.round(video.jitter * 1000) : undefined,
+            roundTripTimeMs: candidatePair && typeof candidatePair.currentRoundTripTime === 'number' ? Math.round(candidatePair.currentRoundTripTime * 1000) : undefined,
+            freezeCount: typeof video.freezeCount === 'number' ? video.freezeCount : undefined,
+            stallCount: this.stallCount
+        };
+        this.evaluate(time);
+        this.render();
+        return this.metrics;
+    }
+
+    /**
+     * The thresholds the current metrics break, e.g. ['fps 4 < 15']
+     */
+    getReasons(metrics = this.metrics) {
+        const reasons = [];
+        if (!metrics) {
+            return reasons;
+        }
+        if (metrics.fps < this.thresholds.minFps) {
+            reasons.push(`fps ${metrics.fps} < ${this.thresholds.minFps}`);
+        }
+        if (metrics.packetLossPercent > this.thresholds.maxPacketLossPercent) {
+            reasons.push(`packet loss ${metrics.packetLossPercent}% > ${this.thresholds.maxPacketLossPercent}%`);
+        }
+        if (metrics.jitterMs > this.thresholds.maxJitterMs) {
+            reasons.push(`jitter ${metrics.jitterMs} ms > ${this.thresholds.maxJitterMs} ms`);
+        }
+        if (metrics.roundTripTimeMs > this.thresholds.maxRoundTripTimeMs) {
+            reasons.push(`round-trip time ${metrics.roundTripTimeMs} ms > ${this.thresholds.maxRoundTripTimeMs} ms`);
+        }
+        return reasons;
+    }
+
+    isDegraded() {
+        return this.degradedSince !== null;
+    }
+
+    evaluate(time) {
+        const reasons = this.getReasons();
+        if (reasons.length === 0) {
+            this.poorSamples = 0;
+            if (this.isDegraded()) {
+                this.degradedSince = null;
+                this.actionTaken = false;
+                this.onEvent({ type: 'recovered', metrics: this.metrics });
+            }
+            return;
+        }
+
+        this.poorSamples++;
+        if (!this.isDegraded() && this.poorSamples >= this.degradedSamples) {
+            this.degradedSince = time;
+            this.onEvent({ type: 'degraded', reasons: reasons, metrics: this.metrics });
+        }
+        if (this.isDegraded() && !this.actionTaken && time - this.degradedSince >= this.actionAfterMs) {
+            this.actionTaken = true;
+            const event = { type: 'action', reasons: reasons, metrics: this.metrics };
+            this.onEvent(event);
+            this.onAction(event);
+        }
+    }
+
+    render() {
+        if (!this.container) {
+            return;
+        }
+        this.container.hidden = this.timer === null;
+        if (!this.metrics) {
+            this.container.className = 'connection-quality';
+            this.container.textContent = '📶 Measuring connection…';
+            return;
+        }
+
+        const degraded = this.isDegraded();
+        const parts = [
+            `${this.metrics.fps} fps`,
+            `${this.metrics.packetLossPercent}% loss`
+        ];
+        if (this.metrics.jitterMs !== undefined) {
+            parts.push(`${this.metrics.jitterMs} ms jitter`);
+        }
+        if (this.metrics.roundTripTimeMs !== undefined) {
+            parts.push(`${this.metrics.roundTripTimeMs} ms RTT`);
+        }
+        if (this.metrics.freezeCount !== undefined) {
+            parts.push(`${this.metrics.freezeCount} freezes`);
+        }
+        parts.push(`${this.metrics.stallCount} stalls`);
+        this.container.className = `connection-quality ${degraded ? 'poor' : 'good'}`;
+        this.container.textContent = `${degraded ? '🔴 Poor' : '🟢 Good'} · ${parts.join(' · ')}`;
+        this.container.title = degraded ? this.getReasons().join(', ') : '';
+    }
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { ConnectionQualityMonitor };
+}
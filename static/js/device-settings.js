@@ -0,0 +1,209 @@
+// device-settings.js - Microphone and camera selection, with a camera preview and a live microphone level meter
+
+class DeviceSettings {
+    constructor() {
+        this.storageKey = 'deviceSettings';
+        this.settings = this.load();
+        this.devices = { microphones: [], cameras: [] };
+        this.devicesListed = false;
+        this.elements = null;
+        this.previewStream = null;
+        this.audioContext = null;
+        this.levelTimer = null;
+        this.onChange = null;
+    }
+
+    /**
+     * The saved selection: { microphoneId, microphoneLabel, cameraId, cameraLabel }
+     */
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+        } catch (error) {
+            console.warn('Ignoring unreadable device settings:', error);
+            return {};
+        }
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+    }
+
+    /**
+     * List the audio and video inputs. Labels are only given once the user has allowed the microphone or camera.
+     */
+    async listDevices() {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        this.devices = {
+            microphones: devices.filter(device => device.kind === 'audioinput' && device.deviceId !== 'default' && device.deviceId !== 'communications'),
+            cameras: devices.filter(device => device.kind === 'videoinput')
+        };
+        this.devicesListed = true;
+        return this.devices;
+    }
+
+    /**
+     * The id of the selected device of a kind ('microphone' or 'camera') if it is plugged in, or undefined for the default device.
+     * Device ids can change between sessions, so a device is also recognized by its label.
+     */
+    getDeviceId(kind) {
+        const id = this.settings[`${kind}Id`];
+        const label = this.settings[`${kind}Label`];
+        if (!id) {
+            return undefined;
+        }
+        const devices = kind === 'microphone' ? this.devices.microphones : this.devices.cameras;
+        if (!this.devicesListed) {
+            return id; // Not listed yet, trust the saved id
+        }
+        const device = devices.find(item => item.deviceId === id) || devices.find(item => label && item.label === label);
+        return device ? device.deviceId : undefined;
+    }
+
+    /**
+     * getUserMedia audio constraints for the selected microphone, on top of the given ones
+     */
+    getAudioConstraints(constraints = {}) {
+        const deviceId = this.getDeviceId('microphone');
+        return deviceId ? Object.assign({}, constraints, { deviceId: { exact: deviceId } }) : constraints;
+    }
+
+    select(kind, deviceId) {
+        const devices = kind === 'microphone' ? this.devices.microphones : this.devices.cameras;
+        const device = devices.find(item => item.deviceId === deviceId);
+        this.settings[`${kind}Id`] = device ? device.deviceId : '';
+        this.settings[`${kind}Label`] = device ? device.label : '';
+        this.save();
+        if (this.onChange) {
+            this.onChange(kind);
+        }
+    }
+
+    /**
+     * Wire the device panel: elements.microphoneSelect, elements.cameraSelect, elements.cameraPreview and elements.levelMeter.
+     * onChange(kind) is called when the user selects another device, or when the selected one is unplugged.
+     */
+    async setupPanel(elements, onChange) {
+        this.elements = elements;
+        this.onChange = onChange;
+        elements.microphoneSelect.addEventListener('change', () => {
+            this.select('microphone', elements.microphoneSelect.value);
+            this.restartPreview();
+        });
+        elements.cameraSelect.addEventListener('change', () => {
+            this.select('camera', elements.cameraSelect.value);
+            this.restartPreview();
+        });
+        navigator.mediaDevices.addEventListener('devicechange', () => this.handleDeviceChange());
+        await this.refresh();
+    }
+
+    /**
+     * Fill the device lists, keeping the saved selection
+     */
+    async refresh() {
+        try {
+            await this.listDevices();
+        } catch (error) {
+            console.error('Unable to list media devices:', error);
+            return;
+        }
+        if (!this.elements) {
+            return;
+        }
+        const fill = (select, devices, kind) => {
+            select.innerHTML = '';
+            const defaultOption = document.createElement('option');
+            defaultOption.value = '';
+            defaultOption.textContent = 'Default';
+            select.appendChild(defaultOption);
+            devices.forEach((device, index) => {
+                const option = document.createElement('option');
+                option.value = device.deviceId;
+                option.textContent = device.label || `${kind === 'microphone' ? 'Microphone' : 'Camera'} ${index + 1}`;
+                select.appendChild(option);
+            });
+            select.value = this.getDeviceId(kind) || '';
+        };
+        fill(this.elements.microphoneSelect, this.devices.microphones, 'microphone');
+        fill(this.elements.cameraSelect, this.devices.cameras, 'camera');
+    }
+
+    /**
+     * A device was plugged in or out. If the selected device is gone, the default device is used until it comes back.
+     */
+    async handleDeviceChange() {
+        const selectedBefore = { microphone: this.getDeviceId('microphone'), camera: this.getDeviceId('camera') };
+        await this.refresh();
+        ['microphone', 'camera'].forEach(kind => {
+            if (this.getDeviceId(kind) !== selectedBefore[kind]) {
+                console.log(`[${new Date().toISOString()}] Selected ${kind} ${selectedBefore[kind] ? 'unplugged' : 'plugged in'}.`);
+                if (this.onChange) {
+                    this.onChange(kind);
+                }
+            }
+        });
+        this.restartPreview();
+    }
+
+    isPreviewing() {
+        return this.previewStream !== null;
+    }
+
+    /**
+     * Preview the selected camera and show the level of the selected microphone
+     */
+    async startPreview() {
+        this.stopPreview();
+        const cameraId = this.getDeviceId('camera');
+        this.previewStream = await navigator.mediaDevices.getUserMedia({
+            audio: this.getAudioConstraints({ echoCancellation: true, noiseSuppression: true }),
+            video: cameraId ? { deviceId: { exact: cameraId } } : true
+        });
+        // Device labels become available once access is allowed
+        await this.refresh();
+
+        this.elements.cameraPreview.srcObject = this.previewStream;
+        this.audioContext = new AudioContext();
+        const analyser = this.audioContext.createAnalyser();
+        analyser.fftSize = 1024;
+        this.audioContext.createMediaStreamSource(this.previewStream).connect(analyser);
+        const samples = new Float32Array(analyser.fftSize);
+        this.levelTimer = setInterval(() => {
+            analyser.getFloatTimeDomainData(samples);
+            const rms = Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length);
+            // Map -60..0 dBFS to an empty..full meter
+            const levelDb = 20 * Math.log10(rms + 1e-10);
+            this.elements.levelMeter.value = Math.max(0, Math.min(100, (levelDb + 60) / 60 * 100));
+        }, 50);
+    }
+
+    async restartPreview() {
+        if (!this.isPreviewing()) {
+            return;
+        }
+        try {
+            await this.startPreview();
+        } catch (error) {
+            console.error('Unable to preview the selected devices:', error);
+            this.stopPreview();
+        }
+    }
+
+    stopPreview() {
+        clearInterval(this.levelTimer);
+        this.levelTimer = null;
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+        if (this.previewStream) {
+            this.previewStream.getTracks().forEach(track => track.stop());
+            this.previewStream = null;
+        }
+        if (this.elements) {
+            this.elements.cameraPreview.srcObject = null;
+            this.elements.levelMeter.value = 0;
+        }
+    }
+}
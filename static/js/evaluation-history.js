@@ -0,0 +1,307 @@
+// evaluation-history.js - Persist evaluations per trainee in IndexedDB and show progress over time
+
+class EvaluationHistory {
+    constructor() {
+        this.databaseName = 'avatar-ai-evaluations';
+        this.storeName = 'evaluations';
+        this.databaseVersion = 1;
+        this.database = null;
+    }
+
+    /**
+     * Open (and create on first use) the IndexedDB database
+     */
+    open() {
+        if (this.database) {
+            return Promise.resolve(this.database);
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.databaseName, this.databaseVersion);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                store.createIndex('traineeId', 'traineeId', { unique: false });
+                store.createIndex('timestamp', 'timestamp', { unique: false });
+            };
+            request.onsuccess = () => {
+                this.database = request.result;
+                resolve(this.database);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run a request against the evaluations store and resolve with its result
+     */
+    async runRequest(mode, createRequest) {
+        const database = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.storeName, mode);
+            const request = createRequest(transaction.objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Save an evaluation record, assigning an id and timestamp when missing
+     */
+    async save(record) {
+        const entry = Object.assign({
+            id: crypto.randomUUID(),
+            timestamp: new Date().toISOString()
+        }, record);
+        await this.runRequest('readwrite', store => store.put(entry));
+        return entry;
+    }
+
+    /**
+     * Get a single evaluation record by id
+     */
+    get(id) {
+        return this.runRequest('readonly', store => store.get(id));
+    }
+
+    /**
+     * Delete a single evaluation record by id
+     */
+    delete(id) {
+        return this.runRequest('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * All evaluations of a trainee, oldest first
+     */
+    async listByTrainee(traineeId) {
+        const records = await this.runRequest('readonly', store => store.index('traineeId').getAll(traineeId));
+        return records.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+
+    /**
+     * Distinct trainee identifiers that have at least one saved evaluation
+     */
+    async listTrainees() {
+        const records = await this.runRequest('readonly', store => store.getAll());
+        return [...new Set(records.map(record => record.traineeId))].filter(id => id).sort();
+    }
+}
+
+class EvaluationHistoryView {
+    constructor(history, container) {
+        this.history = history;
+        this.container = container;
+        this.traineeId = '';
+        this.rubricId = '';
+        this.records = [];
+        this.selectedIds = [];
+        this.palette = ['#0078d4', '#d13438', '#ff8c00', '#8764b8', '#00b7c3', '#498205', '#e3008c', '#986f0b'];
+    }
+
+    /**
+     * Load and render the history of the given trainee, limited to evaluations made with the given rubric
+     */
+    async show(traineeId, rubricId) {
+        this.traineeId = traineeId;
+        this.rubricId = rubricId;
+        this.selectedIds = [];
+
+        if (!traineeId) {
+            this.records = [];
+            this.renderMessage('Enter a trainee ID to see their evaluation history.');
+            return;
+        }
+
+        const records = await this.history.listByTrainee(traineeId);
+        this.records = records.filter(record => !rubricId || record.rubric.id === rubricId);
+        this.render();
+    }
+
+    renderMessage(message) {
+        this.container.innerHTML = `<p class="history-empty">${this.escapeHtml(message)}</p>`;
+    }
+
+    render() {
+        if (this.records.length === 0) {
+            this.renderMessage(`No saved evaluations for "${this.traineeId}" with this rubric yet.`);
+            return;
+        }
+
+        let html = '<div class="history-trend">' + this.renderTrendChart() + '</div>';
+        html += '<table class="history-table"><thead><tr><th></th><th>Date</th><th>Scenario</th><th>Overall</th><th></th></tr></thead><tbody>';
+        this.records.forEach(record => {
+            const overall = record.overallScore === null || record.overallScore === undefined ? '&mdash;' : record.overallScore.toFixed(1);
+            html += `
+                <tr>
+                    <td><input type="checkbox" class="history-select" data-id="${record.id}" ${this.selectedIds.includes(record.id) ? 'checked' : ''}></td>
+                    <td>${this.escapeHtml(new Date(record.timestamp).toLocaleString())}</td>
+                    <td>${this.escapeHtml(record.scenario || '')}</td>
+                    <td>${overall}/${record.rubric.scale.max}</td>
+                    <td><button class="history-delete" data-id="${record.id}" title="Delete this evaluation">🗑️</button></td>
+                </tr>
+            `;
+        });
+        html += '</tbody></table>';
+        html += '<p class="history-hint">Select two sessions to compare them side by side.</p>';
+        html += '<div class="history-compare"></div>';
+        this.container.innerHTML = html;
+
+        this.container.querySelectorAll('.history-select').forEach(checkbox => {
+            checkbox.addEventListener('change', () => this.toggleSelection(checkbox.dataset.id, checkbox.checked));
+        });
+        this.container.querySelectorAll('.history-delete').forEach(button => {
+            button.addEventListener('click', () => {
+                if (confirm('Delete this saved evaluation?')) {
+                    this.history.delete(button.dataset.id).then(() => this.show(this.traineeId, this.rubricId));
+                }
+            });
+        });
+
+        this.renderComparison();
+    }
+
+    /**
+     * Keep at most two sessions selected, dropping the oldest selection
+     */
+    toggleSelection(id, selected) {
+        this.selectedIds = this.selectedIds.filter(selectedId => selectedId !== id);
+        if (selected) {
+            this.selectedIds.push(id);
+        }
+        if (this.selectedIds.length > 2) {
+            this.selectedIds.shift();
+        }
+        this.container.querySelectorAll('.history-select').forEach(checkbox => {
+            checkbox.checked = this.selectedIds.includes(checkbox.dataset.id);
+        });
+        this.renderComparison();
+    }
+
+    /**
+     * Line chart (inline SVG) of the overall and per-dimension scores across sessions
+     */
+    renderTrendChart() {
+        const width = 640;
+        const height = 220;
+        const padding = { top: 16, right: 16, bottom: 28, left: 36 };
+        const scale = this.records[this.records.length - 1].rubric.scale;
+        const dimensions = this.records[this.records.length - 1].rubric.dimensions.map(dimension => dimension.name);
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        const x = index => padding.left + (this.records.length === 1 ? plotWidth / 2 : (index / (this.records.length - 1)) * plotWidth);
+        const y = score => padding.top + plotHeight - ((score - scale.min) / (scale.max - scale.min)) * plotHeight;
+
+        let svg = `<svg viewBox="0 0 ${width} ${height}" class="history-chart" role="img" aria-label="Score trend">`;
+        for (let level = scale.min; level <= scale.max; level++) {
+            svg += `<line x1="${padding.left}" x2="${width - padding.right}" y1="${y(level)}" y2="${y(level)}" stroke="#e0e0e0" />`;
+            svg += `<text x="${padding.left - 8}" y="${y(level) + 4}" text-anchor="end" font-size="11" fill="#666">${level}</text>`;
+        }
+        this.records.forEach((record, index) => {
+            svg += `<text x="${x(index)}" y="${height - 8}" text-anchor="middle" font-size="10" fill="#666">${this.escapeHtml(new Date(record.timestamp).toLocaleDateString())}</text>`;
+        });
+
+        const series = dimensions.map((name, index) => ({
+            name,
+            color: this.palette[index % this.palette.length],
+            strokeWidth: 1.5,
+            points: this.records.map(record => {
+                const rubric = (record.rubricScores || []).find(item => item.name === name);
+                return rubric ? rubric.score : null;
+            })
+        }));
+        series.push({
+            name: 'Overall (weighted)',
+            color: '#107c10',
+            strokeWidth: 3,
+            points: this.records.map(record => record.overallScore)
+        });
+
+        let legend = '<div class="history-legend">';
+        series.forEach(line => {
+            const coordinates = line.points
+                .map((score, index) => score === null || score === undefined ? null : `${x(index)},${y(score)}`)
+                .filter(point => point !== null);
+            if (coordinates.length > 1) {
+                svg += `<polyline points="${coordinates.join(' ')}" fill="none" stroke="${line.color}" stroke-width="${line.strokeWidth}" />`;
+            }
+            coordinates.forEach(point => {
+                const [cx, cy] = point.split(',');
+                svg += `<circle cx="${cx}" cy="${cy}" r="3" fill="${line.color}"><title>${this.escapeHtml(line.name)}</title></circle>`;
+            });
+            legend += `<span class="history-legend-item"><span class="history-legend-swatch" style="background: ${line.color};"></span>${this.escapeHtml(line.name)}</span>`;
+        });
+        svg += '</svg>';
+        legend += '</div>';
+
+        return svg + legend;
+    }
+
+    /**
+     * Side-by-side table of the two selected sessions, with the score change per dimension
+     */
+    renderComparison() {
+        const compareContainer = this.container.querySelector('.history-compare');
+        if (!compareContainer) return;
+
+        if (this.selectedIds.length !== 2) {
+            compareContainer.innerHTML = '';
+            return;
+        }
+
+        const [first, second] = this.selectedIds
+            .map(id => this.records.find(record => record.id === id))
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        const scoreOf = (record, name) => {
+            const rubric = (record.rubricScores || []).find(item => item.name === name);
+            return rubric ? rubric.score : null;
+        };
+        const formatScore = score => score === null || score === undefined ? '&mdash;' : Number(score).toFixed(1).replace(/\.0$/, '');
+        const formatDelta = (before, after) => {
+            if (before === null || before === undefined || after === null || after === undefined) return '';
+            const delta = after - before;
+            const className = delta > 0 ? 'delta-up' : (delta < 0 ? 'delta-down' : '');
+            return `<span class="${className}">${delta > 0 ? '+' : ''}${delta.toFixed(1).replace(/\.0$/, '')}</span>`;
+        };
+
+        let html = `
+            <table class="history-table history-compare-table">
+                <thead>
+                    <tr>
+                        <th>Dimension</th>
+                        <th>${this.escapeHtml(new Date(first.timestamp).toLocaleString())}<br><small>${this.escapeHtml(first.scenario || '')}</small></th>
+                        <th>${this.escapeHtml(new Date(second.timestamp).toLocaleString())}<br><small>${this.escapeHtml(second.scenario || '')}</small></th>
+                        <th>Change</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        second.rubric.dimensions.forEach(dimension => {
+            const before = scoreOf(first, dimension.name);
+            const after = scoreOf(second, dimension.name);
+            html += `<tr><td>${this.escapeHtml(dimension.name)}</td><td>${formatScore(before)}</td><td>${formatScore(after)}</td><td>${formatDelta(before, after)}</td></tr>`;
+        });
+        html += `<tr class="history-overall-row"><td>Overall (weighted)</td><td>${formatScore(first.overallScore)}</td><td>${formatScore(second.overallScore)}</td><td>${formatDelta(first.overallScore, second.overallScore)}</td></tr>`;
+        html += '</tbody></table>';
+
+        html += '<div class="history-compare-summaries">';
+        [first, second].forEach(record => {
+            const summary = record.executiveSummary || {};
+            html += `
+                <div class="history-compare-summary">
+                    <p><b>Overall Level:</b> ${this.escapeHtml(summary.overallLevel || 'N/A')}</p>
+                    <p><b>Strengths:</b> ${this.escapeHtml(summary.strengths || '')}</p>
+                    <p><b>Priorities:</b> ${this.escapeHtml(summary.priorities || '')}</p>
+                </div>
+            `;
+        });
+        html += '</div>';
+
+        compareContainer.innerHTML = html;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
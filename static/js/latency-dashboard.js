@@ -0,0 +1,199 @@
+// latency-dashboard.js - Per-turn latency breakdown and session percentiles for tuning the avatar experience
+
+class LatencyDashboard {
+    constructor() {
+        // The stages of a turn, in the order they happen. aoaiFirstSentence includes aoaiFirstToken,
+        // so the bar shows the part after the first token as its own segment.
+        this.metrics = [
+            { key: 'stt', label: 'STT', color: '#48bb78' },
+            { key: 'appService', label: 'App service', color: '#ed8936' },
+            { key: 'aoaiFirstToken', label: 'AOAI first token', color: '#667eea' },
+            { key: 'aoaiFirstSentence', label: 'AOAI first sentence', color: '#9f7aea' },
+            { key: 'tts', label: 'TTS', color: '#e53e3e' }
+        ];
+        this.percentiles = [50, 90, 99];
+        this.records = [];
+        this.recordsByTurn = new Map();
+        this.container = null;
+    }
+
+    /**
+     * Render the dashboard into the given element, and again whenever a latency is recorded
+     */
+    attach(container) {
+        this.container = container;
+        this.render();
+    }
+
+    /**
+     * Record a latency figure (in ms) for the exchange started by the given user turn.
+     * context holds the settings the figure was measured with ({ deployment, region }).
+     * The records outlive the chat history, so clearing the chat keeps the session's figures.
+     */
+    record(exchangeTurn, name, ms, context = {}) {
+        if (!exchangeTurn || typeof ms !== 'number' || !Number.isFinite(ms)) {
+            return;
+        }
+
+        let record = this.recordsByTurn.get(exchangeTurn);
+        if (!record) {
+            record = {
+                turn: this.records.length + 1,
+                time: new Date().toISOString(),
+                deployment: context.deployment || '',
+                region: context.region || ''
+            };
+            this.records.push(record);
+            this.recordsByTurn.set(exchangeTurn, record);
+        }
+        record[name] = Math.round(ms);
+        this.render();
+    }
+
+    /**
+     * End-to-end latency of a turn: from the end of the user's speech to the avatar starting to speak
+     */
+    getTotal(record) {
+        return ['stt', 'appService', 'aoaiFirstSentence', 'tts']
+            .reduce((total, key) => total + (record[key] || 0), 0);
+    }
+
+    /**
+     * Bar segments of a turn, in ms
+     */
+    getSegments(record) {
+        return this.metrics.map(metric => {
+            let value = record[metric.key] || 0;
+            if (metric.key === 'aoaiFirstSentence') {
+                value = Math.max(0, value - (record.aoaiFirstToken || 0));
+            }
+            return { metric: metric, value: value };
+        });
+    }
+
+    /**
+     * Nearest-rank percentile of a list of numbers
+     */
+    percentile(values, p) {
+        if (values.length === 0) {
+            return undefined;
+        }
+        const sorted = values.slice().sort((a, b) => a - b);
+        const rank = Math.ceil(p / 100 * sorted.length);
+        return sorted[Math.max(0, rank - 1)];
+    }
+
+    /**
+     * Session percentiles of every metric and of the total, e.g. { stt: { count: 3, p50: 420, p90: ..., p99: ... } }
+     */
+    getSummary() {
+        const summary = {};
+        const columns = this.metrics.map(metric => metric.key).concat('total');
+        columns.forEach(key => {
+            const values = this.records
+                .map(record => key === 'total' ? this.getTotal(record) : record[key])
+                .filter(value => typeof value === 'number');
+            summary[key] = { count: values.length };
+            this.percentiles.forEach(p => {
+                summary[key][`p${p}`] = this.percentile(values, p);
+            });
+        });
+        return summary;
+    }
+
+    toJson() {
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            turns: this.records.map(record => Object.assign({}, record, { total: this.getTotal(record) })),
+            summary: this.getSummary()
+        }, null, 2);
+    }
+
+    toCsv() {
+        const columns = ['turn', 'time', 'deployment', 'region'].concat(this.metrics.map(metric => metric.key), 'total');
+        const escapeCsv = value => {
+            const text = value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const rows = this.records.map(record => {
+            const row = Object.assign({}, record, { total: this.getTotal(record) });
+            return columns.map(column => escapeCsv(row[column])).join(',');
+        });
+        return [columns.join(',')].concat(rows).join('\n') + '\n';
+    }
+
+    render() {
+        if (!this.container) {
+            return;
+        }
+        this.container.innerHTML = '';
+
+        const summary = this.getSummary();
+        const table = document.createElement('table');
+        table.className = 'latency-summary';
+        const headerRow = table.insertRow();
+        ['', 'n'].concat(this.percentiles.map(p => `p${p}`)).forEach(text => {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            headerRow.appendChild(cell);
+        });
+        this.metrics.concat({ key: 'total', label: 'Total' }).forEach(metric => {
+            const row = table.insertRow();
+            row.insertCell().textContent = metric.label;
+            row.insertCell().textContent = summary[metric.key].count;
+            this.percentiles.forEach(p => {
+                const value = summary[metric.key][`p${p}`];
+                row.insertCell().textContent = value === undefined ? '–' : `${value} ms`;
+            });
+        });
+        this.container.appendChild(table);
+
+        const legend = document.createElement('div');
+        legend.className = 'latency-legend';
+        this.metrics.forEach(metric => {
+            const item = document.createElement('span');
+            const swatch = document.createElement('i');
+            swatch.style.background = metric.color;
+            item.appendChild(swatch);
+            item.appendChild(document.createTextNode(metric.key === 'aoaiFirstSentence' ? 'AOAI to first sentence' : metric.label));
+            legend.appendChild(item);
+        });
+        this.container.appendChild(legend);
+
+        const bars = document.createElement('div');
+        bars.className = 'latency-bars';
+        const maxTotal = Math.max(1, ...this.records.map(record => this.getTotal(record)));
+        if (this.records.length === 0) {
+            bars.textContent = 'No turns measured yet.';
+        }
+        this.records.forEach(record => {
+            const row = document.createElement('div');
+            row.className = 'latency-bar-row';
+            row.title = `${record.deployment}${record.region ? ` (${record.region})` : ''} at ${record.time}`;
+
+            const label = document.createElement('span');
+            label.className = 'latency-bar-label';
+            label.textContent = `#${record.turn}`;
+            row.appendChild(label);
+
+            const bar = document.createElement('div');
+            bar.className = 'latency-bar';
+            this.getSegments(record).forEach(segment => {
+                if (segment.value <= 0) return;
+                const part = document.createElement('div');
+                part.style.width = `${segment.value / maxTotal * 100}%`;
+                part.style.background = segment.metric.color;
+                part.title = `${segment.metric.label}: ${record[segment.metric.key]} ms`;
+                bar.appendChild(part);
+            });
+            row.appendChild(bar);
+
+            const total = document.createElement('span');
+            total.className = 'latency-bar-total';
+            total.textContent = `${this.getTotal(record)} ms`;
+            row.appendChild(total);
+            bars.appendChild(row);
+        });
+        this.container.appendChild(bars);
+    }
+}
@@ -0,0 +1,143 @@
+// markdown.js - Safe Markdown rendering for assistant chat messages, with On Your Data citations
+
+class MarkdownRenderer {
+    /**
+     * Render Markdown to HTML. All text is escaped before any markup is added, so the model
+     * cannot inject HTML. Supports paragraphs, headings, bullet and numbered lists, fenced and
+     * inline code, bold, italic and links. [docN] references become citation chips for the
+     * Nth entry of citations ({ title, url, filepath, content }).
+     */
+    render(markdown, citations = []) {
+        const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+        let html = '';
+        let paragraph = [];
+        let list = null;
+
+        const flushParagraph = () => {
+            if (paragraph.length > 0) {
+                html += `<p>${paragraph.map(line => this.renderInline(line, citations)).join('<br>')}</p>`;
+                paragraph = [];
+            }
+        };
+        const flushList = () => {
+            if (list) {
+                html += `<${list.type}>${list.items.map(item => `<li>${this.renderInline(item, citations)}</li>`).join('')}</${list.type}>`;
+                list = null;
+            }
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+
+            // Fenced code block; an unclosed fence (e.g. while streaming) runs to the end
+            if (/^\s*```/.test(line)) {
+                flushParagraph();
+                flushList();
+                const code = [];
+                for (i++; i < lines.length && !/^\s*```/.test(lines[i]); i++) {
+                    code.push(lines[i]);
+                }
+                html += `<pre><code>${this.escapeHtml(code.join('\n'))}</code></pre>`;
+                continue;
+            }
+
+            const heading = line.match(/^\s*(#{1,6})\s+(.*)$/);
+            const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+            const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+
+            if (line.trim() === '') {
+                flushParagraph();
+                flushList();
+            } else if (heading) {
+                flushParagraph();
+                flushList();
+                html += `<h${heading[1].length}>${this.renderInline(heading[2], citations)}</h${heading[1].length}>`;
+            } else if (bullet || numbered) {
+                flushParagraph();
+                const type = bullet ? 'ul' : 'ol';
+                if (list && list.type !== type) {
+                    flushList();
+                }
+                list = list || { type: type, items: [] };
+                list.items.push((bullet || numbered)[1]);
+            } else if (list && /^\s+/.test(line)) {
+                // Indented continuation of the last list item
+                list.items[list.items.length - 1] += ' ' + line.trim();
+            } else {
+                flushList();
+                paragraph.push(line.trim());
+            }
+        }
+
+        flushParagraph();
+        flushList();
+        return html;
+    }
+
+    /**
+     * Render the inline markup of a single line. Code spans and links are set aside as placeholders before the
+     * emphasis is rendered, so the underscores and asterisks in code or in a URL are left as they are.
+     */
+    renderInline(text, citations) {
+        const placeholders = [];
+        const setAside = html => {
+            placeholders.push(html);
+            return `\u0000${placeholders.length - 1}\u0000`;
+        };
+        const restore = html => html.replace(/\u0000(\d+)\u0000/g, (match, index) => placeholders[Number(index)]);
+
+        let html = this.escapeHtml(String(text).replace(/\u0000/g, ''))
+            .replace(/`([^`]+)`/g, (match, code) => setAside(`<code>${code}</code>`))
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => this.isSafeUrl(url)
+                ? setAside(`<a href="${url}" target="_blank" rel="noopener noreferrer">${restore(this.renderEmphasis(label))}</a>`)
+                : label);
+
+        html = this.renderEmphasis(html)
+            .replace(/\[doc(\d+)\]/g, (match, number) => this.renderCitation(Number(number), citations));
+
+        return restore(html);
+    }
+
+    /**
+     * Bold and italic, with asterisks or underscores
+     */
+    renderEmphasis(html) {
+        return html
+            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+            .replace(/__([^_]+)__/g, '<strong>$1</strong>')
+            .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+            .replace(/(^|[^\w])_([^_\s][^_]*)_(?=[^\w]|$)/g, '$1<em>$2</em>');
+    }
+
+    /**
+     * Citation chip for a [docN] reference, titled with the source document
+     */
+    renderCitation(number, citations) {
+        const citation = citations[number - 1];
+        if (!citation) {
+            return `<sup class="citation-missing">[${number}]</sup>`;
+        }
+        const title = citation.title || citation.filepath || citation.url || `Document ${number}`;
+        return `<button type="button" class="citation-chip" data-citation-index="${number - 1}" title="${this.escapeHtml(title)}">${number}</button>`;
+    }
+
+    /**
+     * Only allow web and mail links; the URL has already been HTML-escaped
+     */
+    isSafeUrl(url) {
+        return /^(https?:\/\/|mailto:)/i.test(url);
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { MarkdownRenderer };
+}
@@ -0,0 +1,88 @@
+// mic-audio-sender.js - Batch the websocket microphone audio into binary frames, as 16-bit PCM or Opus
+
+class MicAudioSender {
+    /**
+     * sendFrame(frame) sends one binary frame (an ArrayBuffer) to the server.
+     * frameMs is the length of audio per frame, between 20 and 100 ms.
+     */
+    constructor(sendFrame, frameMs = 40, sampleRate = 16000) {
+        this.sendFrame = sendFrame;
+        this.frameMs = Math.min(100, Math.max(20, frameMs));
+        this.frameSamples = Math.round(sampleRate * this.frameMs / 1000);
+        this.pcmFrame = new Int16Array(this.frameSamples);
+        this.pcmFrameLength = 0;
+        this.mediaRecorder = null;
+        this.pendingOpusFrame = Promise.resolve();
+    }
+
+    /**
+     * The MediaRecorder type to record Opus with, or undefined if the browser cannot.
+     * The server feeds the container as it is to the speech service, which accepts both WebM and Ogg.
+     */
+    static getOpusMimeType() {
+        if (typeof MediaRecorder === 'undefined') {
+            return undefined;
+        }
+        return ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus'].find(type => MediaRecorder.isTypeSupported(type));
+    }
+
+    /**
+     * Add the Float32 samples of a worklet frame, sending a PCM frame each time one is full
+     */
+    pushPcm(samples) {
+        let offset = 0;
+        while (offset < samples.length) {
+            const count = Math.min(samples.length - offset, this.frameSamples - this.pcmFrameLength);
+            for (let i = 0; i < count; i++) {
+                this.pcmFrame[this.pcmFrameLength + i] = Math.max(-0x8000, Math.min(0x7FFF, samples[offset + i] * 0x7FFF));
+            }
+            this.pcmFrameLength += count;
+            offset += count;
+            if (this.pcmFrameLength === this.frameSamples) {
+                this.flush();
+            }
+        }
+    }
+
+    /**
+     * Send the PCM samples not sent yet, e.g. when the microphone stops
+     */
+    flush() {
+        if (this.pcmFrameLength > 0) {
+            this.sendFrame(this.pcmFrame.slice(0, this.pcmFrameLength).buffer);
+            this.pcmFrameLength = 0;
+        }
+    }
+
+    /**
+     * Record the microphone stream as Opus instead of sending PCM, one frame per frameMs
+     */
+    startOpus(stream) {
+        this.mediaRecorder = new MediaRecorder(stream, { mimeType: MicAudioSender.getOpusMimeType(), audioBitsPerSecond: 24000 });
+        this.mediaRecorder.ondataavailable = event => {
+            if (event.data && event.data.size > 0) {
+                // Blob reads are asynchronous; chain them so the frames are sent in order
+                const data = event.data;
+                this.pendingOpusFrame = this.pendingOpusFrame
+                    .then(() => data.arrayBuffer())
+                    .then(frame => this.sendFrame(frame))
+                    .catch(error => console.error('Failed to send Opus audio frame:', error));
+            }
+        };
+        this.mediaRecorder.start(this.frameMs);
+    }
+
+    isOpus() {
+        return this.mediaRecorder !== null;
+    }
+
+    stop() {
+        if (this.mediaRecorder) {
+            if (this.mediaRecorder.state !== 'inactive') {
+                this.mediaRecorder.stop();
+            }
+            this.mediaRecorder = null;
+        }
+        this.flush();
+    }
+}
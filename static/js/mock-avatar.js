@@ -0,0 +1,168 @@
+// mock-avatar.js - A stand-in for the avatar service in mock mode: an animated persona streamed to the page over a loopback WebRTC connection
+
+class MockAvatar {
+    /**
+     * imageUrl: the persona image the stand-in video is drawn from
+     */
+    constructor(options = {}) {
+        this.imageUrl = options.imageUrl || '/static/image/persona.svg';
+        this.width = options.width || 480;
+        this.height = options.height || 720;
+        this.frameRate = options.frameRate || 25;
+        this.servicePeerConnection = null;
+        this.eventChannel = null;
+        this.canvas = null;
+        this.image = null;
+        this.audioContext = null;
+        this.drawTimer = null;
+        this.speaking = false;
+    }
+
+    /**
+     * The stream the mock service sends: the persona, drawn on a canvas, and a silent audio track
+     */
+    createStream() {
+        if (this.image === null) {
+            this.image = new Image();
+            this.image.src = this.imageUrl;
+        }
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = this.width;
+        this.canvas.height = this.height;
+        // A timer rather than requestAnimationFrame, which does not run at all in background tabs. Timers there are
+        // throttled to about once a second, so the video slows down while the tab is hidden, but does not freeze.
+        this.drawTimer = setInterval(() => this.draw(Date.now()), 1000 / this.frameRate);
+        this.draw(Date.now());
+
+        this.audioContext = new AudioContext();
+        const audioDestination = this.audioContext.createMediaStreamDestination();
+        return new MediaStream([
+            ...this.canvas.captureStream(this.frameRate).getVideoTracks(),
+            ...audioDestination.stream.getAudioTracks()
+        ]);
+    }
+
+    draw(time) {
+        const context = this.canvas.getContext('2d');
+        const gradient = context.createLinearGradient(0, 0, this.width, this.height);
+        gradient.addColorStop(0, '#edf2f7');
+        gradient.addColorStop(1, '#cbd5e0');
+        context.fillStyle = gradient;
+        context.fillRect(0, 0, this.width, this.height);
+
+        // The persona breathes slowly when idle, and a ring pulses around it while it speaks
+        const size = this.width * 0.75;
+        const centerX = this.width / 2;
+        const centerY = this.height * 0.45;
+        const scale = 1 + Math.sin(time / 800) * 0.01;
+        if (this.speaking) {
+            context.beginPath();
+            context.arc(centerX, centerY, size / 2 + 12 + Math.abs(Math.sin(time / 120)) * 14, 0, 2 * Math.PI);
+            context.fillStyle = 'rgba(102, 126, 234, 0.35)';
+            context.fill();
+        }
+        if (this.image.complete && this.image.naturalWidth > 0) {
+            context.drawImage(this.image, centerX - size * scale / 2, centerY - size * scale / 2, size * scale, size * scale);
+        }
+
+        context.fillStyle = '#4a5568';
+        context.font = '20px sans-serif';
+        context.textAlign = 'center';
+        context.fillText(this.speaking ? '🔊 Mock avatar speaking' : '🧪 Mock avatar', centerX, this.height * 0.88);
+    }
+
+    /**
+     * Answer the offer of the page's peer connection from a loopback peer connection playing the avatar service's part.
+     * Resolves to the answer, to set as the remote description of the page's peer connection.
+     */
+    async answer(peerConnection) {
+        this.close();
+        const servicePeerConnection = new RTCPeerConnection();
+        this.servicePeerConnection = servicePeerConnection;
+
+        await servicePeerConnection.setRemoteDescription(peerConnection.localDescription);
+        // The tracks take the transceivers of the offer, like the service's video and audio do
+        const stream = this.createStream();
+        stream.getTracks().forEach(track => servicePeerConnection.addTrack(track, stream));
+        // The service sends its events on a data channel of its own, which the page gets with its 'datachannel' event
+        this.eventChannel = servicePeerConnection.createDataChannel('mockAvatarEvents');
+
+        // The page cannot tell the mock service it is gone, so stop once the page's connection is closed
+        servicePeerConnection.addEventListener('iceconnectionstatechange', () => {
+            if (this.servicePeerConnection === servicePeerConnection && peerConnection.signalingState === 'closed') {
+                this.close();
+            }
+        });
+
+        await servicePeerConnection.setLocalDescription(await servicePeerConnection.createAnswer());
+        await this.waitForIceGathering(servicePeerConnection, 2000);
+        return servicePeerConnection.localDescription;
+    }
+
+    waitForIceGathering(peerConnection, timeoutMs) {
+        return new Promise(resolve => {
+            if (peerConnection.iceGatheringState === 'complete') {
+                resolve();
+                return;
+            }
+            const timer = setTimeout(resolve, timeoutMs);
+            peerConnection.addEventListener('icegatheringstatechange', () => {
+                if (peerConnection.iceGatheringState === 'complete') {
+                    clearTimeout(timer);
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+     * The server tells the page when the mock avatar speaks, through the 'api.event' websocket events, or with
+     * /api/getStatus when the page has no websocket
+     */
+    handleServerEvent(data) {
+        if (data.eventType === 'MOCK_AVATAR_SPEAKING') {
+            this.setSpeaking(true);
+        } else if (data.eventType === 'MOCK_AVATAR_IDLE') {
+            this.setSpeaking(false);
+        }
+    }
+
+    setSpeaking(speaking) {
+        if (this.speaking === speaking) {
+            return;
+        }
+        this.speaking = speaking;
+        this.sendEvent(speaking ? 'EVENT_TYPE_SWITCH_TO_SPEAKING' : 'EVENT_TYPE_SWITCH_TO_IDLE');
+    }
+
+    /**
+     * End the session from the service side, as the avatar service does when it drops a session, e.g. to check the page reconnects
+     */
+    endSession() {
+        this.sendEvent('EVENT_TYPE_SESSION_END');
+    }
+
+    /**
+     * Send an event the way the avatar service does
+     */
+    sendEvent(eventType) {
+        if (this.eventChannel !== null && this.eventChannel.readyState === 'open') {
+            this.eventChannel.send(JSON.stringify({ event: { eventType: eventType, eventTime: new Date().toISOString() } }));
+        }
+    }
+
+    close() {
+        clearInterval(this.drawTimer);
+        this.drawTimer = null;
+        this.speaking = false;
+        if (this.servicePeerConnection !== null) {
+            this.servicePeerConnection.close();
+            this.servicePeerConnection = null;
+        }
+        this.eventChannel = null;
+        if (this.audioContext !== null) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+    }
+}
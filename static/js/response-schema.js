@@ -0,0 +1,114 @@
+// response-schema.js - Validate the evaluator's JSON replies against a JSON schema
+
+class ResponseSchemaValidator {
+    /**
+     * Validate a value against a schema using the JSON Schema keywords the evaluator needs:
+     * type, properties, required, items, minItems, enum, minLength, minimum and maximum.
+     * Returns a cleaned copy of the value with the errors that make it invalid and the warnings
+     * for what was corrected on the way:
+     * - numbers given as strings are converted
+     * - numbers outside minimum/maximum are clamped to the range
+     * - enum strings are matched ignoring case and spacing
+     */
+    validate(value, schema) {
+        const result = { value: undefined, errors: [], warnings: [] };
+        result.value = this.validateValue(value, schema, '$', result);
+        return result;
+    }
+
+    validateValue(value, schema, path, result) {
+        switch (schema.type) {
+            case 'object':
+                return this.validateObject(value, schema, path, result);
+            case 'array':
+                return this.validateArray(value, schema, path, result);
+            case 'string':
+                return this.validateString(value, schema, path, result);
+            case 'number':
+            case 'integer':
+                return this.validateNumber(value, schema, path, result);
+            default:
+                return value;
+        }
+    }
+
+    validateObject(value, schema, path, result) {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            result.errors.push(`${path} must be an object.`);
+            return value;
+        }
+
+        const cleaned = Object.assign({}, value);
+        (schema.required || []).forEach(name => {
+            if (value[name] === undefined || value[name] === null) {
+                result.errors.push(`${path}.${name} is required.`);
+            }
+        });
+        Object.entries(schema.properties || {}).forEach(([name, propertySchema]) => {
+            if (value[name] !== undefined && value[name] !== null) {
+                cleaned[name] = this.validateValue(value[name], propertySchema, `${path}.${name}`, result);
+            }
+        });
+        return cleaned;
+    }
+
+    validateArray(value, schema, path, result) {
+        if (!Array.isArray(value)) {
+            result.errors.push(`${path} must be an array.`);
+            return value;
+        }
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            result.errors.push(`${path} must have at least ${schema.minItems} item(s).`);
+        }
+        return schema.items ? value.map((item, index) => this.validateValue(item, schema.items, `${path}[${index}]`, result)) : value.slice();
+    }
+
+    validateString(value, schema, path, result) {
+        if (typeof value !== 'string') {
+            result.errors.push(`${path} must be a string.`);
+            return value;
+        }
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            result.errors.push(`${path} must not be empty.`);
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            const normalize = text => text.toLowerCase().replace(/\s+/g, ' ').trim();
+            const match = schema.enum.find(option => normalize(option) === normalize(value));
+            if (match === undefined) {
+                result.errors.push(`${path} must be one of: ${schema.enum.join(', ')} (got "${value}").`);
+                return value;
+            }
+            return match;
+        }
+        return value;
+    }
+
+    validateNumber(value, schema, path, result) {
+        let number = value;
+        if (typeof number === 'string' && number.trim() !== '' && Number.isFinite(Number(number))) {
+            number = Number(number);
+            result.warnings.push(`${path} was given as text ("${value}").`);
+        }
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+            result.errors.push(`${path} must be a number.`);
+            return value;
+        }
+        if (schema.type === 'integer' && !Number.isInteger(number)) {
+            result.errors.push(`${path} must be a whole number.`);
+            return number;
+        }
+        if (schema.minimum !== undefined && number < schema.minimum) {
+            result.warnings.push(`${path} (${number}) was raised to the minimum of ${schema.minimum}.`);
+            return schema.minimum;
+        }
+        if (schema.maximum !== undefined && number > schema.maximum) {
+            result.warnings.push(`${path} (${number}) was lowered to the maximum of ${schema.maximum}.`);
+            return schema.maximum;
+        }
+        return number;
+    }
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { ResponseSchemaValidator };
+}
@@ -0,0 +1,639 @@
+// rubric-evaluator.js - Evaluate a transcript against a rubric: the prompt of each evaluation section, and the validation of the evaluator's replies
+
+class RubricEvaluator {
+    /**
+     * The methods take the rubric to evaluate with, as returned by normalizeRubric, so an evaluation keeps the rubric
+     * it was started with.
+     * options.apiEndpoint, options.fetch and options.schemaValidator (a ResponseSchemaValidator) can be replaced, e.g. by tests.
+     */
+    constructor(options = {}) {
+        this.apiEndpoint = options.apiEndpoint ?? '/api/evaluate';
+        this.fetch = options.fetch ?? ((url, init) => fetch(url, init));
+        this.schemaValidator = options.schemaValidator ?? new ResponseSchemaValidator();
+    }
+    /**
+     * Validate a rubric definition, and return it with the defaults of its optional fields filled in
+     */
+    normalizeRubric(rubric) {
+        const errors = this.validateRubricDefinition(rubric);
+        if (errors.length > 0) {
+            throw new Error(`Invalid rubric definition: ${errors.join('; ')}`);
+        }
+
+        return {
+            id: rubric.id || rubric.name,
+            name: rubric.name,
+            description: rubric.description || '',
+            context: rubric.context || 'a transcript between a helper/counselor and a person seeking help',
+            scale: {
+                min: rubric.scale.min,
+                max: rubric.scale.max,
+                labels: rubric.scale.labels || {}
+            },
+            dimensions: rubric.dimensions.map(dimension => ({
+                name: dimension.name,
+                description: dimension.description || '',
+                weight: dimension.weight === undefined ? 1 : dimension.weight,
+                descriptors: dimension.descriptors || {}
+            }))
+        };
+    }
+
+    /**
+     * Check a rubric definition has a usable scale and uniquely named, weighted dimensions
+     */
+    validateRubricDefinition(rubric) {
+        const errors = [];
+        if (!rubric || typeof rubric !== 'object') {
+            return ['rubric must be a JSON object'];
+        }
+        if (!rubric.name) {
+            errors.push('"name" is required');
+        }
+
+        const scale = rubric.scale;
+        if (!scale || !Number.isInteger(scale.min) || !Number.isInteger(scale.max) || scale.min >= scale.max) {
+            errors.push('"scale" must have integer "min" and "max" with min < max');
+        }
+
+        if (!Array.isArray(rubric.dimensions) || rubric.dimensions.length === 0) {
+            errors.push('"dimensions" must be a non-empty array');
+            return errors;
+        }
+
+        const names = new Set();
+        rubric.dimensions.forEach((dimension, index) => {
+            if (!dimension || !dimension.name) {
+                errors.push(`dimension ${index + 1} is missing a "name"`);
+                return;
+            }
+            const key = this.normalizeDimensionName(dimension.name);
+            if (names.has(key)) {
+                errors.push(`dimension "${dimension.name}" is defined more than once`);
+            }
+            names.add(key);
+            if (dimension.weight !== undefined && !(typeof dimension.weight === 'number' && dimension.weight >= 0)) {
+                errors.push(`dimension "${dimension.name}" has an invalid weight`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * All score levels of the rubric's scale, e.g. [1, 2, 3, 4]
+     */
+    getScaleLevels(rubric) {
+        const levels = [];
+        for (let level = rubric.scale.min; level <= rubric.scale.max; level++) {
+            levels.push(level);
+        }
+        return levels;
+    }
+
+    /**
+     * Label of a score level, e.g. "Excellent" for 4, falling back to the number itself
+     */
+    getScaleLabel(rubric, level) {
+        return rubric.scale.labels[level] || String(level);
+    }
+
+    /**
+     * Normalize a dimension name so model replies match regardless of case and spacing
+     */
+    normalizeDimensionName(name) {
+        return String(name).toLowerCase().replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Prompt 1: Generate Executive Summary
+     */
+    async getExecutiveSummary(rubric, transcript, onPartial = null) {
+        const prompt = `
+You are an expert evaluator analyzing ${rubric.context}.
+
+Analyze the following transcript and provide an executive summary with these three components:
+
+1. Overall Level: Rate the conversation quality (Excellent/Good/Fair/Needs Improvement)
+2. Strengths: Identify 1-2 key strengths demonstrated in the conversation
+3. Priorities: Identify 1-2 priority areas for improvement
+
+Transcript:
+${transcript}
+
+Provide your response in the following JSON format:
+{
+    "overallLevel": "string",
+    "strengths": "string",
+    "priorities": "string"
+}`;
+
+        return await this.callValidatedLLM(rubric, prompt, 'executive-summary', 1000, onPartial);
+    }
+
+    /**
+     * Prompt 2: Generate Rubric Scores
+     */
+    async getRubricScores(rubric, transcript) {
+        const scale = rubric.scale;
+        const levels = this.getScaleLevels(rubric);
+        const scaleLabels = levels.map(level => `${level}=${this.getScaleLabel(rubric, level)}`).join(', ');
+
+        const dimensionList = rubric.dimensions.map((dimension, index) => {
+            let entry = `${index + 1}. ${dimension.name}: ${dimension.description}`;
+            levels.forEach(level => {
+                if (dimension.descriptors[level]) {
+                    entry += `\n   - ${level} (${this.getScaleLabel(rubric, level)}): ${dimension.descriptors[level]}`;
+                }
+            });
+            return entry;
+        }).join('\n');
+
+        const responseFormat = {
+            rubrics: rubric.dimensions.map(dimension => ({
+                name: dimension.name,
+                score: 0,
+                justification: 'string'
+            }))
+        };
+
+        const prompt = `
+You are an expert evaluator analyzing ${rubric.context}.
+
+Evaluate the following transcript using the "${rubric.name}" rubric across these ${rubric.dimensions.length} dimensions on a scale of ${scale.min}-${scale.max}:
+
+${dimensionList}
+
+For each dimension, provide:
+- A score from ${scale.min}-${scale.max} (${scaleLabels})
+- A brief justification (1-2 sentences)
+
+Use the dimension names exactly as written above.
+
+Transcript:
+${transcript}
+
+Provide your response in the following JSON format:
+${JSON.stringify(responseFormat, null, 4)}`;
+
+        return await this.callValidatedLLM(rubric, prompt, 'rubric-scores');
+    }
+
+    /**
+     * Prompt 3: Generate Recommendations
+     */
+    async getRecommendations(rubric, transcript, onPartial = null) {
+        const prompt = `
+You are an expert evaluator analyzing ${rubric.context}.
+
+Based on the following transcript, provide 3-5 specific, actionable recommendations for how the helper could improve their approach in future conversations.
+
+Each recommendation should:
+- Be specific and actionable
+- Focus on concrete behaviors or techniques
+- Be relevant to the conversation context
+
+Transcript:
+${transcript}
+
+Provide your response in the following JSON format:
+{
+    "recommendations": [
+        "Recommendation 1",
+        "Recommendation 2",
+        "Recommendation 3"
+    ]
+}`;
+
+        return await this.callValidatedLLM(rubric, prompt, 'recommendations', 1000, onPartial);
+    }
+
+    /**
+     * Prompt 4: Generate Suggested Reply, which shows the dimensions of the rubric in the setting it describes
+     */
+    async getSuggestedReply(rubric, transcript, onPartial = null) {
+        const dimensionList = rubric.dimensions.map(dimension => `  - ${dimension.name}: ${dimension.description}`).join('\n');
+
+        const prompt = `
+You are an expert evaluator analyzing ${rubric.context}.
+
+Based on the following transcript, generate a suggested next reply that the helper could use to continue the conversation effectively.
+
+The suggested reply should:
+- Demonstrate these "${rubric.name}" rubric dimensions where they fit the conversation:
+${dimensionList}
+- Be natural and conversational (2-4 sentences)
+- Build on what was already discussed
+
+Transcript:
+${transcript}
+
+Provide your response in the following JSON format:
+{
+    "suggestedReply": "string"
+}`;
+
+        return await this.callValidatedLLM(rubric, prompt, 'suggested-reply', 1000, onPartial);
+    }
+
+    /**
+     * Prompt 5: Annotate individual helper turns.
+     * Turns are numbered by their id so the annotations can be shown next to them.
+     */
+    async getTurnAnnotations(rubric, structuredTranscript) {
+        const numberedTurns = structuredTranscript.turns
+            .filter(turn => turn.rawText.trim() !== '')
+            .map(turn => `[${turn.id}] ${ConversationTranscript.speakerLabel(turn.speaker)}${turn.interrupted ? ' (interrupted)' : ''}: ${turn.rawText.trim()}`)
+            .join('\n\n');
+        const dimensionList = rubric.dimensions.map(dimension => `- ${dimension.name}: ${dimension.description}`).join('\n');
+
+        const prompt = `
+You are an expert evaluator analyzing ${rubric.context}.
+
+In the transcript below, the helper's turns are labelled "User" and each turn starts with its number in square brackets.
+Annotate the helper's turns that clearly show or clearly miss one of these "${rubric.name}" rubric dimensions:
+
+${dimensionList}
+
+For each annotation, provide:
+- turnId: the number of the turn
+- dimension: the dimension name, exactly as written above
+- type: "strength" when the turn shows the dimension well, "missed" when it misses it
+- severity: "low", "medium" or "high" (how much the turn helps or hurts the conversation)
+- comment: which words or sentence in the turn the annotation is about, and why (1-2 sentences)
+- suggestedRewrite: for a missed dimension, a better way the helper could have phrased the turn; otherwise an empty string
+
+Only annotate turns where something worth pointing out happens. A turn may have several annotations.
+
+Transcript:
+${numberedTurns}
+
+Provide your response in the following JSON format:
+{
+    "annotations": [
+        {
+            "turnId": 1,
+            "dimension": "string",
+            "type": "strength",
+            "severity": "low",
+            "comment": "string",
+            "suggestedRewrite": "string"
+        }
+    ]
+}`;
+
+        // Annotations cover the whole conversation, so allow a longer reply than the other prompts
+        return await this.callValidatedLLM(rubric, prompt, 'turn-annotations', 3000);
+    }
+
+    /**
+     * JSON schema of the reply expected for each request type
+     */
+    getResponseSchema(rubric, requestType) {
+        const scale = rubric.scale;
+        const dimensionNames = rubric.dimensions.map(dimension => dimension.name);
+        const text = { type: 'string', minLength: 1 };
+
+        switch (requestType) {
+            case 'executive-summary':
+                return {
+                    type: 'object',
+                    required: ['overallLevel', 'strengths', 'priorities'],
+                    properties: {
+                        overallLevel: { type: 'string', enum: ['Excellent', 'Good', 'Fair', 'Needs Improvement'] },
+                        strengths: text,
+                        priorities: text
+                    }
+                };
+            case 'rubric-scores':
+                return {
+                    type: 'object',
+                    required: ['rubrics'],
+                    properties: {
+                        rubrics: {
+                            type: 'array',
+                            minItems: dimensionNames.length,
+                            items: {
+                                type: 'object',
+                                required: ['name', 'score', 'justification'],
+                                properties: {
+                                    name: { type: 'string', enum: dimensionNames },
+                                    score: { type: 'number', minimum: scale.min, maximum: scale.max },
+                                    justification: text
+                                }
+                            }
+                        }
+                    }
+                };
+            case 'recommendations':
+                return {
+                    type: 'object',
+                    required: ['recommendations'],
+                    properties: {
+                        recommendations: { type: 'array', minItems: 1, items: text }
+                    }
+                };
+            case 'suggested-reply':
+                return {
+                    type: 'object',
+                    required: ['suggestedReply'],
+                    properties: {
+                        suggestedReply: text
+                    }
+                };
+            case 'turn-annotations':
+                return {
+                    type: 'object',
+                    required: ['annotations'],
+                    properties: {
+                        annotations: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['turnId', 'dimension', 'type', 'severity', 'comment'],
+                                properties: {
+                                    turnId: { type: 'integer', minimum: 1 },
+                                    dimension: { type: 'string', enum: dimensionNames },
+                                    type: { type: 'string', enum: ['strength', 'missed'] },
+                                    severity: { type: 'string', enum: ['low', 'medium', 'high'] },
+                                    comment: text,
+                                    suggestedRewrite: { type: 'string' }
+                                }
+                            }
+                        }
+                    }
+                };
+            default:
+                return { type: 'object' };
+        }
+    }
+
+    /**
+     * Validate a reply against its schema. Rubric scores must also cover every rubric dimension.
+     */
+    validateResponse(rubric, requestType, response) {
+        const validation = this.schemaValidator.validate(response, this.getResponseSchema(rubric, requestType));
+        if (requestType === 'rubric-scores' && validation.value && Array.isArray(validation.value.rubrics)) {
+            const names = validation.value.rubrics.map(item => item && item.name);
+            rubric.dimensions.forEach(dimension => {
+                if (!names.includes(dimension.name)) {
+                    validation.errors.push(`$.rubrics has no score for "${dimension.name}".`);
+                }
+            });
+        }
+        return validation;
+    }
+
+    /**
+     * Prompt asking the model to correct a reply that did not validate
+     */
+    getRepairPrompt(rubric, prompt, requestType, response, errors) {
+        const previousReply = response && response.raw !== undefined ? String(response.raw) : JSON.stringify(response, null, 4);
+        return `${prompt}
+
+Your previous reply did not match the required format. These problems were found:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Previous reply:
+${previousReply}
+
+Reply again with the corrected JSON only. It must be valid against this JSON schema:
+${JSON.stringify(this.getResponseSchema(rubric, requestType), null, 4)}`;
+    }
+
+    /**
+     * Call the LLM and validate the reply against the schema of its request type.
+     * An invalid reply is sent back once with a repair prompt. Data that still does not validate is
+     * returned with validation.valid set to false, so the UI can mark it as unvalidated.
+     */
+    async callValidatedLLM(rubric, prompt, requestType, maxTokens = 1000, onPartial = null) {
+        const response = await this.callLLM(prompt, requestType, maxTokens, onPartial);
+        let validation = this.validateResponse(rubric, requestType, response);
+        let repaired = false;
+
+        if (validation.errors.length > 0) {
+            console.warn(`The ${requestType} reply is invalid, asking for a repair:`, validation.errors);
+            try {
+                const repairedResponse = await this.callLLM(this.getRepairPrompt(rubric, prompt, requestType, response, validation.errors), `${requestType}-repair`, maxTokens);
+                const repairedValidation = this.validateResponse(rubric, requestType, repairedResponse);
+                if (repairedValidation.errors.length <= validation.errors.length) {
+                    validation = repairedValidation;
+                    repaired = true;
+                }
+            } catch (error) {
+                console.error(`Error repairing the ${requestType} reply:`, error);
+            }
+        }
+
+        const value = validation.value && typeof validation.value === 'object' && !Array.isArray(validation.value) ? validation.value : {};
+        value.validation = {
+            valid: validation.errors.length === 0,
+            repaired: repaired,
+            errors: validation.errors,
+            warnings: validation.warnings
+        };
+        return value;
+    }
+
+    /**
+     * Call LLM API with the given prompt.
+     * With onPartial, the reply is streamed and onPartial is called with the JSON parsed so far.
+     */
+    async callLLM(prompt, requestType, maxTokens = 1000, onPartial = null) {
+        try {
+            const response = await this.fetch(this.apiEndpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    prompt: prompt,
+                    requestType: requestType,
+                    temperature: 0.7,
+                    maxTokens: maxTokens,
+                    stream: !!onPartial
+                })
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            let content;
+            if (onPartial) {
+                content = await this.readStream(response, text => onPartial(this.parsePartialJson(text)));
+            } else {
+                const data = await response.json();
+                content = data.response || data.content || data.message;
+            }
+
+            // Parse JSON response from LLM
+            try {
+                return JSON.parse(content);
+            } catch (e) {
+                if (onPartial) {
+                    // A stream that breaks off after the status was sent leaves incomplete JSON
+                    throw new Error('The streamed reply ended before it was complete.');
+                }
+                console.warn('Failed to parse LLM response as JSON, returning raw response:', e);
+                return { raw: content };
+            }
+
+        } catch (error) {
+            console.error(`Error calling LLM for ${requestType}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Read a streamed text response to the end, calling onText with the text received so far
+     */
+    async readStream(response, onText) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let text = '';
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            text += decoder.decode(value, { stream: true });
+            onText(text);
+        }
+        return text + decoder.decode();
+    }
+
+    /**
+     * Parse the start of a JSON document by closing its open strings, arrays and objects.
+     * Returns null when the text so far cannot be completed into valid JSON.
+     */
+    parsePartialJson(text) {
+        const closers = [];
+        let inString = false;
+        let escaped = false;
+        for (const char of text) {
+            if (inString) {
+                if (escaped) {
+                    escaped = false;
+                } else if (char === '\\') {
+                    escaped = true;
+                } else if (char === '"') {
+                    inString = false;
+                }
+            } else if (char === '"') {
+                inString = true;
+            } else if (char === '{' || char === '[') {
+                closers.push(char === '{' ? '}' : ']');
+            } else if (char === '}' || char === ']') {
+                closers.pop();
+            }
+        }
+
+        let completed = escaped ? text.slice(0, -1) : text;
+        if (inString) {
+            completed += '"';
+        }
+        const closing = closers.reverse().join('');
+
+        // Drop a dangling comma, or a key still waiting for its value
+        const candidates = [completed, completed.replace(/,\s*$/, ''), completed.replace(/,?\s*"[^"]*"\s*:?\s*$/, '')];
+        for (const candidate of candidates) {
+            try {
+                return JSON.parse(candidate + closing);
+            } catch (e) {
+                // Try the next candidate
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Match the model's rubric scores against the rubric.
+     * Every rubric dimension gets an entry; scores outside the scale, missing dimensions
+     * and dimensions the rubric does not define are reported as issues.
+     */
+    matchRubricScores(rubric, scores) {
+        const scale = rubric.scale;
+        const returned = Array.isArray(scores && scores.rubrics) ? scores.rubrics : [];
+        const issues = [];
+        const returnedByName = new Map();
+
+        returned.forEach(item => {
+            if (!item || !item.name) {
+                return;
+            }
+            const key = this.normalizeDimensionName(item.name);
+            if (!rubric.dimensions.some(dimension => this.normalizeDimensionName(dimension.name) === key)) {
+                issues.push(`Unexpected dimension "${item.name}" was ignored.`);
+                return;
+            }
+            returnedByName.set(key, item);
+        });
+
+        const rubrics = rubric.dimensions.map(dimension => {
+            const item = returnedByName.get(this.normalizeDimensionName(dimension.name));
+            let score = item ? Number(item.score) : NaN;
+            if (!item) {
+                issues.push(`"${dimension.name}" was not scored.`);
+                score = null;
+            } else if (!Number.isFinite(score) || score < scale.min || score > scale.max) {
+                issues.push(`"${dimension.name}" has an out of range score (${item.score}).`);
+                score = null;
+            }
+
+            return {
+                name: dimension.name,
+                weight: dimension.weight,
+                score: score,
+                justification: item && item.justification ? String(item.justification) : ''
+            };
+        });
+
+        return {
+            rubrics,
+            overallScore: this.calculateOverallScore(rubrics),
+            issues
+        };
+    }
+
+    /**
+     * Weighted average of the scored dimensions, or null when nothing was scored
+     */
+    calculateOverallScore(rubrics) {
+        let weightedTotal = 0;
+        let totalWeight = 0;
+        rubrics.forEach(rubric => {
+            if (rubric.score !== null) {
+                weightedTotal += rubric.score * rubric.weight;
+                totalWeight += rubric.weight;
+            }
+        });
+        return totalWeight > 0 ? weightedTotal / totalWeight : null;
+    }
+
+    /**
+     * Keep the annotations that belong to a helper turn of the transcript, with their dimension
+     * matched to the rubric and type/severity limited to the known values
+     */
+    matchTurnAnnotations(rubric, structuredTranscript, annotations) {
+        const returned = Array.isArray(annotations && annotations.annotations) ? annotations.annotations : [];
+        const userTurnIds = new Set(structuredTranscript.turns.filter(turn => turn.speaker === 'user').map(turn => turn.id));
+
+        return returned
+            .filter(item => item && userTurnIds.has(Number(item.turnId)) && item.comment)
+            .map(item => {
+                const dimension = rubric.dimensions.find(candidate =>
+                    this.normalizeDimensionName(candidate.name) === this.normalizeDimensionName(String(item.dimension || '')));
+                return {
+                    turnId: Number(item.turnId),
+                    dimension: dimension ? dimension.name : String(item.dimension || 'General'),
+                    type: item.type === 'strength' ? 'strength' : 'missed',
+                    severity: ['low', 'medium', 'high'].includes(item.severity) ? item.severity : 'medium',
+                    comment: String(item.comment),
+                    suggestedRewrite: item.suggestedRewrite ? String(item.suggestedRewrite) : ''
+                };
+            });
+    }
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { RubricEvaluator };
+}
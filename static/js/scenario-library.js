@@ -0,0 +1,219 @@
+// scenario-library.js - Role-play scenarios bundling the persona prompt, voice, avatar, speech and evaluation settings
+
+class ScenarioLibrary {
+    constructor() {
+        this.libraryEndpoint = '/api/scenarios';
+        this.importedScenariosKey = 'importedScenarios';
+        this.scenario = null;
+        this.onScenarioApplied = null;
+    }
+
+    /**
+     * Fetch the list of scenario files available on the server
+     */
+    async loadLibrary() {
+        const response = await fetch(this.libraryEndpoint);
+        if (!response.ok) {
+            throw new Error(`Unable to load the scenario library: ${response.status}`);
+        }
+        return await response.json();
+    }
+
+    /**
+     * Fetch a scenario file from the library
+     */
+    async loadScenario(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Unable to load scenario ${url}: ${response.status}`);
+        }
+        return this.validateScenario(await response.json());
+    }
+
+    /**
+     * Check that a scenario has what the picker and the chat need. Everything else is optional,
+     * and settings a scenario leaves out keep their current value when it is applied.
+     */
+    validateScenario(scenario) {
+        if (!scenario || typeof scenario !== 'object') {
+            throw new Error('A scenario must be a JSON object.');
+        }
+        if (!scenario.id || !scenario.name) {
+            throw new Error('A scenario needs an "id" and a "name".');
+        }
+        if (!scenario.systemPrompt || typeof scenario.systemPrompt !== 'string') {
+            throw new Error(`Scenario "${scenario.name}" needs a "systemPrompt".`);
+        }
+        return scenario;
+    }
+
+    /**
+     * Scenarios imported from files, kept in this browser
+     */
+    getImportedScenarios() {
+        try {
+            return JSON.parse(localStorage.getItem(this.importedScenariosKey) || '[]');
+        } catch (error) {
+            console.warn('Ignoring unreadable imported scenarios:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Keep an imported scenario, replacing an earlier import with the same id
+     */
+    saveImportedScenario(scenario) {
+        const scenarios = this.getImportedScenarios().filter(item => item.id !== scenario.id);
+        scenarios.push(scenario);
+        localStorage.setItem(this.importedScenariosKey, JSON.stringify(scenarios));
+    }
+
+    /**
+     * Fill the chat configuration panel with the settings of a scenario
+     */
+    applyScenario(scenario) {
+        const setValue = (id, value) => {
+            if (value !== undefined && value !== null) {
+                document.getElementById(id).value = value;
+            }
+        };
+        const setChecked = (id, checked) => {
+            if (checked !== undefined && checked !== null) {
+                document.getElementById(id).checked = !!checked;
+            }
+        };
+        const voice = scenario.voice || {};
+        const avatar = scenario.avatar || {};
+        const onYourData = scenario.onYourData || {};
+
+        setValue('prompt', scenario.systemPrompt);
+        setValue('openingLine', scenario.openingLine);
+        setChecked('generateOpeningLine', scenario.generateOpeningLine);
+        setValue('ttsVoice', voice.name);
+        setValue('customVoiceEndpointId', voice.customVoiceEndpointId);
+        setValue('personalVoiceSpeakerProfileID', voice.personalVoiceSpeakerProfileId);
+        setValue('AvatarCharacter', avatar.character);
+        setValue('AvatarStyle', avatar.style);
+        setChecked('customizedAvatar', avatar.customized);
+        setValue('sttLocales', Array.isArray(scenario.sttLocales) ? scenario.sttLocales.join(',') : scenario.sttLocales);
+        setChecked('enableOyd', onYourData.enabled);
+        setValue('azureCogSearchIndexName', onYourData.indexName);
+        window.updataEnableOyd();
+
+        this.scenario = scenario;
+        if (this.onScenarioApplied) {
+            this.onScenarioApplied(scenario);
+        }
+    }
+
+    /**
+     * Build a scenario from the current settings of the chat configuration panel
+     */
+    captureScenario(id, name, description) {
+        const value = elementId => document.getElementById(elementId).value;
+        return {
+            id: id,
+            name: name,
+            description: description || '',
+            personaName: this.scenario ? this.scenario.personaName || '' : '',
+            systemPrompt: value('prompt'),
+            openingLine: value('openingLine'),
+            generateOpeningLine: document.getElementById('generateOpeningLine').checked,
+            voice: {
+                name: value('ttsVoice'),
+                customVoiceEndpointId: value('customVoiceEndpointId'),
+                personalVoiceSpeakerProfileId: value('personalVoiceSpeakerProfileID')
+            },
+            avatar: {
+                character: value('AvatarCharacter'),
+                style: value('AvatarStyle'),
+                customized: document.getElementById('customizedAvatar').checked
+            },
+            sttLocales: value('sttLocales'),
+            onYourData: {
+                enabled: document.getElementById('enableOyd').checked,
+                indexName: value('azureCogSearchIndexName')
+            },
+            rubricId: this.scenario ? this.scenario.rubricId : ''
+        };
+    }
+
+    /**
+     * Populate the scenario picker from the library and the imported scenarios.
+     * Selecting a scenario applies it; the first option keeps the settings as they are.
+     */
+    async setupPicker(selectElement, fileInput, exportButton) {
+        const scenarioSources = new Map();
+        const addOption = (value, label, title) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            option.title = title || '';
+            selectElement.appendChild(option);
+            return option;
+        };
+
+        selectElement.innerHTML = '';
+        addOption('', '— Custom (manual settings) —');
+        try {
+            (await this.loadLibrary()).forEach(scenario => {
+                scenarioSources.set(scenario.url, () => this.loadScenario(scenario.url));
+                addOption(scenario.url, scenario.name, scenario.description);
+            });
+        } catch (error) {
+            console.error('Error loading the scenario library:', error);
+        }
+        this.getImportedScenarios().forEach(scenario => {
+            const value = `imported:${scenario.id}`;
+            scenarioSources.set(value, () => Promise.resolve(scenario));
+            addOption(value, `${scenario.name} (imported)`, scenario.description);
+        });
+
+        selectElement.addEventListener('change', () => {
+            const loadScenario = scenarioSources.get(selectElement.value);
+            if (!loadScenario) {
+                this.scenario = null;
+                return;
+            }
+            loadScenario().then(scenario => this.applyScenario(scenario)).catch(error => {
+                console.error('Error loading scenario:', error);
+                alert(error.message);
+            });
+        });
+
+        if (fileInput) {
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files[0];
+                if (!file) return;
+                file.text().then(text => {
+                    const scenario = this.validateScenario(JSON.parse(text));
+                    this.saveImportedScenario(scenario);
+                    const value = `imported:${scenario.id}`;
+                    scenarioSources.set(value, () => Promise.resolve(scenario));
+                    const existingOption = Array.from(selectElement.options).find(option => option.value === value);
+                    const option = existingOption || addOption(value, `${scenario.name} (imported)`, scenario.description);
+                    option.selected = true;
+                    this.applyScenario(scenario);
+                }).catch(error => {
+                    console.error('Error importing scenario:', error);
+                    alert(`Unable to import scenario: ${error.message}`);
+                }).finally(() => {
+                    fileInput.value = '';
+                });
+            });
+        }
+
+        if (exportButton) {
+            exportButton.addEventListener('click', () => {
+                const defaultName = this.scenario ? this.scenario.name : '';
+                const name = window.prompt('Scenario name:', defaultName);
+                if (!name) return;
+                const id = this.scenario && name === this.scenario.name
+                    ? this.scenario.id
+                    : name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+                const scenario = this.captureScenario(id, name, this.scenario && name === this.scenario.name ? this.scenario.description : '');
+                downloadFile(`${id || 'scenario'}.json`, JSON.stringify(scenario, null, 4), 'application/json');
+            });
+        }
+    }
+}
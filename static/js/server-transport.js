@@ -0,0 +1,277 @@
+// server-transport.js - The page's requests to the app's server for its client: the chat, over the websocket or HTTP, and the status polls and keepalives
+
+class ServerTransport {
+    /**
+     * clientId is the page's client on the server. It changes when the page resumes the session of its tab (see resume).
+     *
+     * options.frameHandlers: the handlers of the chat frames (see ChatStreamDecoder), the same for the websocket and HTTP
+     * options.onUserMessage(text): the server recognized the user's speech, over the websocket
+     * options.onServerEvent(data): an 'api.event' of the server over the websocket, e.g. SPEECH_SYNTHESIZER_DISCONNECTED,
+     * or a mock avatar event which came with a status poll
+     * options.fetch, options.createSocket(url, socketOptions), options.sendBeacon(url, data), options.createDecoder(handlers)
+     * and options.origin can be replaced, e.g. by tests
+     */
+    constructor(clientId, options = {}) {
+        this.clientId = clientId;
+        this.frameHandlers = options.frameHandlers ?? {};
+        this.onUserMessage = options.onUserMessage ?? (() => {});
+        this.onServerEvent = options.onServerEvent ?? (() => {});
+        this.fetch = options.fetch ?? ((url, init) => fetch(url, init));
+        this.createSocket = options.createSocket ?? ((url, socketOptions) => io.connect(url, socketOptions));
+        this.sendBeacon = options.sendBeacon ?? ((url, data) => navigator.sendBeacon(url, data));
+        this.createDecoder = options.createDecoder ?? (handlers => new ChatStreamDecoder(handlers));
+        this.origin = options.origin ?? null;
+        this.socket = null;
+        this.socketDecoder = null;
+        this.keepAliveTimer = null;
+    }
+
+    /**
+     * Whether the chat goes over the websocket, once it is opened, rather than over HTTP
+     */
+    usesWebSocket() {
+        return this.socket !== null;
+    }
+
+    /**
+     * Open the websocket, unless it is connected already. The chat replies and the server's events come over it from then on.
+     */
+    openWebSocket() {
+        if (this.socket !== null && this.socket.connected) {
+            console.log('WebSocket already connected, reusing existing connection.');
+            return;
+        }
+
+        const origin = this.origin ?? window.location.origin;
+        const socket = this.createSocket(`${origin}?clientId=${this.clientId}`, {
+            transports: ['websocket'], // Force WebSocket transport only (no polling)
+            reconnection: true,
+            reconnectionDelay: 1000,
+            reconnectionAttempts: 5
+        });
+        this.socket = socket;
+        this.socketDecoder = this.createDecoder(this.frameHandlers);
+
+        socket.on('connect', () => {
+            console.log('WebSocket connected. Socket ID:', socket.id);
+        });
+        socket.on('disconnect', () => {
+            console.log('WebSocket disconnected.');
+        });
+        socket.on('reconnect', () => {
+            console.log('WebSocket reconnected. Socket ID:', socket.id);
+        });
+        socket.on('response', data => this.handleSocketResponse(data));
+    }
+
+    /**
+     * Pass on a 'response' event of the websocket. Events for another client, e.g. the chat frames the server
+     * broadcasts with their client id, are ignored.
+     */
+    handleSocketResponse(data) {
+        if (data.clientId && data.clientId !== this.clientId) {
+            console.log('Ignoring message for different client. Expected:', this.clientId, 'Got:', data.clientId);
+            return;
+        }
+
+        console.log('WebSocket response received:', data.path, data);
+        if (data.path === 'api.userMessage') {
+            this.onUserMessage(data.userMessage);
+        } else if (data.path === 'api.chat') {
+            this.socketDecoder.dispatch(data.frame);
+        } else if (data.path === 'api.event') {
+            console.log("[" + (new Date()).toISOString() + "] WebSocket event received: " + data.eventType);
+            this.onServerEvent(data);
+        }
+    }
+
+    /**
+     * Send a user query to the chat. The frames of the reply go to the frame handlers: over the websocket as they come,
+     * or read from the HTTP response stream, which resolves once the whole reply is read.
+     */
+    async sendQuery(userQuery, { chatBackend, systemPrompt }) {
+        if (this.usesWebSocket()) {
+            this.socket.emit('message', { clientId: this.clientId, path: 'api.chat', chatBackend: chatBackend, systemPrompt: systemPrompt, userQuery: userQuery });
+            return;
+        }
+
+        const response = await this.fetch('/api/chat', {
+            method: 'POST',
+            headers: {
+                'ClientId': this.clientId,
+                'ChatBackend': chatBackend,
+                'SystemPrompt': systemPrompt,
+                'Content-Type': 'text/plain'
+            },
+            body: userQuery
+        });
+        if (!response.ok) {
+            throw new Error(`Chat API response status: ${response.status} ${response.statusText}`);
+        }
+
+        const decoder = this.createDecoder(this.frameHandlers);
+        const reader = response.body.getReader();
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            decoder.push(value);
+        }
+        decoder.end();
+    }
+
+    /**
+     * Stop the avatar speaking. interrupted tells the server to mark the reply as cut off in the chat history;
+     * reason is 'button' or 'bargeIn'.
+     */
+    async stopSpeaking(interrupted, reason) {
+        if (this.usesWebSocket()) {
+            this.socket.emit('message', { clientId: this.clientId, path: 'api.stopSpeaking', interrupted: interrupted, reason: reason });
+            return;
+        }
+
+        const response = await this.fetch('/api/stopSpeaking', {
+            method: 'POST',
+            headers: {
+                'ClientId': this.clientId,
+                'Interrupted': interrupted
+            },
+            body: ''
+        });
+        if (!response.ok) {
+            throw new Error(`Failed to stop speaking: ${response.status} ${response.statusText}`);
+        }
+        console.log('Successfully stopped speaking.');
+    }
+
+    /**
+     * Send a frame of the microphone audio to the server's speech recognition, over the websocket
+     */
+    sendAudio(audioFrame) {
+        this.socket.emit('message', { clientId: this.clientId, path: 'api.audio', audioFrame: audioFrame });
+    }
+
+    /**
+     * Get the opening line of the conversation: the given one, or one generated from the system prompt when it is empty.
+     * The server adds it to the chat history. Resolves to { openingLine, generated }.
+     */
+    async requestOpeningLine(openingLine, systemPrompt) {
+        const response = await this.fetch('/api/chat/openingLine', {
+            method: 'POST',
+            headers: {
+                'ClientId': this.clientId,
+                'SystemPrompt': systemPrompt
+            },
+            body: openingLine
+        });
+        if (!response.ok) {
+            throw new Error(`Failed to get the opening line: ${response.status} ${response.statusText}`);
+        }
+        return await response.json();
+    }
+
+    /**
+     * Clear the chat history on the server, starting again from the given system prompt
+     */
+    async clearHistory(systemPrompt) {
+        const response = await this.fetch('/api/chat/clearHistory', {
+            method: 'POST',
+            headers: {
+                'ClientId': this.clientId,
+                'SystemPrompt': systemPrompt
+            },
+            body: ''
+        });
+        if (!response.ok) {
+            throw new Error(`Failed to clear chat history: ${response.status} ${response.statusText}`);
+        }
+    }
+
+    /**
+     * Take over the client of the session the tab had before a reload ({ clientId, sessionToken }), in place of the page's
+     * own client, which the server releases. Resolves to the chat history of the session.
+     */
+    async resume(savedSession) {
+        const response = await this.fetch('/api/resumeClient', {
+            method: 'POST',
+            headers: {
+                'ClientId': this.clientId,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(savedSession)
+        });
+        if (!response.ok) {
+            throw new Error(`Unable to resume the previous session: ${response.status} ${response.statusText}`);
+        }
+        const data = await response.json();
+        this.clientId = data.clientId;
+        return data.messages;
+    }
+
+    /**
+     * Poll the status of the client, e.g. whether its speech synthesizer is connected. Without a websocket, the events
+     * of the mock avatar come with the status, and are passed on to onServerEvent.
+     */
+    async checkStatus() {
+        const response = await this.fetch('/api/getStatus', {
+            method: 'GET',
+            headers: {
+                'ClientId': this.clientId
+            }
+        });
+        if (!response.ok) {
+            throw new Error(`Failed to get the status: ${response.status} ${response.statusText}`);
+        }
+        const status = JSON.parse(await response.text());
+        (status.mockAvatarEvents || []).forEach(event => this.onServerEvent(event));
+        return status;
+    }
+
+    /**
+     * Tell the server every intervalSeconds that the page is still open, so its client is not released as idle,
+     * e.g. before a session is started. An interval of 0 sends no keepalives.
+     */
+    startKeepAlive(intervalSeconds) {
+        this.stopKeepAlive();
+        if (!(intervalSeconds > 0)) {
+            return;
+        }
+
+        this.keepAliveTimer = setInterval(() => {
+            this.fetch('/api/keepAlive', {
+                method: 'POST',
+                headers: {
+                    'ClientId': this.clientId
+                },
+                body: ''
+            }).catch(error => {
+                console.warn('Failed to send a keepalive:', error);
+            });
+        }, intervalSeconds * 1000);
+    }
+
+    stopKeepAlive() {
+        if (this.keepAliveTimer !== null) {
+            clearInterval(this.keepAliveTimer);
+            this.keepAliveTimer = null;
+        }
+    }
+
+    /**
+     * Keep the client for the page to resume after a reload, as the page unloads; the server releases it once it has
+     * been idle for long enough
+     */
+    suspend() {
+        this.sendBeacon('/api/suspendClient', JSON.stringify({ clientId: this.clientId }));
+    }
+
+    /**
+     * Release the client right away, as the page unloads
+     */
+    release() {
+        this.sendBeacon('/api/releaseClient', JSON.stringify({ clientId: this.clientId }));
+    }
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { ServerTransport };
+}
@@ -0,0 +1,127 @@
+// session-recorder.js - Record the avatar and the user camera side by side, with both audio sources mixed, to a WebM file
+
+class SessionRecorder {
+    constructor() {
+        this.width = 1280;
+        this.height = 480;
+        this.frameRate = 30;
+        this.mediaRecorder = null;
+        this.recordedChunks = [];
+        this.canvas = null;
+        this.drawTimer = null;
+        this.audioContext = null;
+        this.microphoneStream = null;
+        this.startedAt = null;
+    }
+
+    isRecording() {
+        return this.mediaRecorder !== null && this.mediaRecorder.state === 'recording';
+    }
+
+    /**
+     * Start recording.
+     * sources.avatarVideo / sources.userVideo are the video elements to composite side by side,
+     * sources.avatarAudioStream is the avatar's remote audio stream and sources.microphoneConstraints
+     * the getUserMedia audio constraints for the user's microphone.
+     */
+    async start(sources) {
+        if (this.isRecording()) {
+            return;
+        }
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = this.width;
+        this.canvas.height = this.height;
+        const canvasContext = this.canvas.getContext('2d');
+
+        // Drawn on a timer: requestAnimationFrame stops in a hidden tab, while the browser only slows timers down there,
+        // to about one frame a second. A recording made while the tab is hidden is choppy, but has no gap.
+        this.drawTimer = setInterval(() => {
+            canvasContext.fillStyle = '#000';
+            canvasContext.fillRect(0, 0, this.width, this.height);
+            this.drawVideo(canvasContext, sources.avatarVideo, 0);
+            this.drawVideo(canvasContext, sources.userVideo, this.width / 2);
+        }, 1000 / this.frameRate);
+
+        // Mix the avatar audio and the user microphone into a single track
+        this.audioContext = new AudioContext();
+        const audioDestination = this.audioContext.createMediaStreamDestination();
+        if (sources.avatarAudioStream && sources.avatarAudioStream.getAudioTracks().length > 0) {
+            this.audioContext.createMediaStreamSource(sources.avatarAudioStream).connect(audioDestination);
+        }
+        try {
+            this.microphoneStream = await navigator.mediaDevices.getUserMedia({ audio: sources.microphoneConstraints || true });
+            this.audioContext.createMediaStreamSource(this.microphoneStream).connect(audioDestination);
+        } catch (error) {
+            console.warn('Recording without the microphone:', error);
+        }
+
+        const recordedStream = new MediaStream([
+            ...this.canvas.captureStream(this.frameRate).getVideoTracks(),
+            ...audioDestination.stream.getAudioTracks()
+        ]);
+
+        const mimeType = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type));
+        this.recordedChunks = [];
+        this.mediaRecorder = new MediaRecorder(recordedStream, mimeType ? { mimeType: mimeType } : undefined);
+        this.mediaRecorder.ondataavailable = event => {
+            if (event.data && event.data.size > 0) {
+                this.recordedChunks.push(event.data);
+            }
+        };
+        this.mediaRecorder.start(1000); // Collect data every second so a crash loses at most a second
+        this.startedAt = new Date().toISOString();
+        console.log(`[${this.startedAt}] Session recording started (${this.mediaRecorder.mimeType}).`);
+    }
+
+    /**
+     * Draw a video element into one half of the canvas, keeping its aspect ratio
+     */
+    drawVideo(canvasContext, video, left) {
+        if (!video || video.readyState < 2 || !video.videoWidth) {
+            return;
+        }
+        const areaWidth = this.width / 2;
+        const ratio = Math.min(areaWidth / video.videoWidth, this.height / video.videoHeight);
+        const drawWidth = video.videoWidth * ratio;
+        const drawHeight = video.videoHeight * ratio;
+        canvasContext.drawImage(video, left + (areaWidth - drawWidth) / 2, (this.height - drawHeight) / 2, drawWidth, drawHeight);
+    }
+
+    /**
+     * Stop recording and resolve with the recorded WebM blob
+     */
+    stop() {
+        if (!this.mediaRecorder) {
+            return Promise.resolve(null);
+        }
+
+        const mediaRecorder = this.mediaRecorder;
+        return new Promise(resolve => {
+            mediaRecorder.onstop = () => {
+                const blob = new Blob(this.recordedChunks, { type: 'video/webm' });
+                this.cleanUp();
+                console.log(`[${new Date().toISOString()}] Session recording stopped (${blob.size} bytes).`);
+                resolve(blob);
+            };
+            mediaRecorder.stop();
+        });
+    }
+
+    cleanUp() {
+        clearInterval(this.drawTimer);
+        this.drawTimer = null;
+        if (this.microphoneStream) {
+            this.microphoneStream.getTracks().forEach(track => track.stop());
+            this.microphoneStream = null;
+        }
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+        this.mediaRecorder = null;
+        this.recordedChunks = [];
+        this.canvas = null;
+    }
+}
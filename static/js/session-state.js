@@ -0,0 +1,241 @@
+// session-state.js - State of the avatar session, with reconnection after unexpected disconnects
+
+class SessionStateMachine {
+    /**
+     * The session is in one of these states:
+     * - idle: no avatar connection yet, or the avatar was let go while idle (local video for idle)
+     * - connecting: connecting to the avatar for a new session
+     * - active: the avatar video is playing
+     * - speaking: the avatar is speaking
+     * - reconnecting: the connection was lost and is being retried, with bounded exponential backoff
+     * - failed: the connection was lost and is not retried any more (reconnection is off, the retries
+     *   ran out, or there was no interaction for a while)
+     * - closed: the user closed the session
+     *
+     * options.reconnect() starts a new connection attempt, and options.canReconnect() tells whether
+     * automatic reconnection is on. The clock and timers can be replaced (options.now, options.setTimer,
+     * options.clearTimer and options.random), so tests can drive the machine without waiting.
+     */
+    constructor(options = {}) {
+        this.state = 'idle';
+        this.detail = '';
+        this.reconnect = options.reconnect ?? (() => {});
+        this.canReconnect = options.canReconnect ?? (() => true);
+        this.maxAttempts = options.maxAttempts ?? 5;
+        this.baseDelayMs = options.baseDelayMs ?? 1000;
+        this.maxDelayMs = options.maxDelayMs ?? 30000;
+        this.connectTimeoutMs = options.connectTimeoutMs ?? 30000;
+        this.interactionWindowMs = options.interactionWindowMs ?? 300000; // No longer reconnect when there is no interaction for a while
+        this.iceDisconnectGraceMs = options.iceDisconnectGraceMs ?? 5000;
+        this.now = options.now ?? (() => Date.now());
+        this.setTimer = options.setTimer ?? ((callback, ms) => setTimeout(callback, ms));
+        this.clearTimer = options.clearTimer ?? (timer => clearTimeout(timer));
+        this.random = options.random ?? Math.random;
+        this.attempt = 0;
+        this.retryTimer = null;
+        this.connectTimer = null;
+        this.nextRetryAt = null;
+        this.connectedAt = null;
+        this.lastInteractionTime = this.now();
+        this.listeners = [];
+        this.peerConnection = null;
+    }
+
+    /**
+     * Call listener(state, detail, machine) on every state change
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    setState(state, detail = '') {
+        const previousState = this.state;
+        this.state = state;
+        this.detail = detail;
+        console.log(`[${new Date(this.now()).toISOString()}] Session state: ${previousState} -> ${state}${detail ? ` (${detail})` : ''}`);
+        this.listeners.forEach(listener => listener(state, detail, this));
+    }
+
+    isConnected() {
+        return this.state === 'active' || this.state === 'speaking';
+    }
+
+    isReconnecting() {
+        return this.state === 'reconnecting';
+    }
+
+    /**
+     * How long the avatar has been connected, in ms (0 when not connected)
+     */
+    connectedFor() {
+        return this.isConnected() && this.connectedAt !== null ? this.now() - this.connectedAt : 0;
+    }
+
+    /**
+     * Note user activity; reconnection is only attempted within the interaction window after it
+     */
+    interacted() {
+        this.lastInteractionTime = this.now();
+    }
+
+    /**
+     * The user opens the session, or the avatar is connected again after being let go while idle
+     */
+    start() {
+        this.clearTimers();
+        this.attempt = 0;
+        this.interacted();
+        this.setState('connecting');
+        this.startConnectTimer();
+    }
+
+    /**
+     * The avatar video is playing
+     */
+    connected() {
+        if (this.isConnected()) {
+            return;
+        }
+        this.clearTimers();
+        this.attempt = 0;
+        this.connectedAt = this.now();
+        this.setState('active');
+    }
+
+    speakingStarted() {
+        if (this.state === 'active') {
+            this.setState('speaking');
+        }
+    }
+
+    speakingStopped() {
+        if (this.state === 'speaking') {
+            this.setState('active');
+        }
+    }
+
+    /**
+     * The connection was lost or a connection attempt failed. Every way of noticing it ends up here,
+     * so reconnection is started once, however many of them notice.
+     */
+    connectionLost(reason) {
+        if (this.state === 'idle' || this.state === 'closed' || this.state === 'failed') {
+            return;
+        }
+        if (this.state === 'reconnecting' && this.retryTimer !== null) {
+            return; // A retry is already scheduled
+        }
+        this.clearTimers();
+        this.connectedAt = null;
+
+        if (!this.canReconnect()) {
+            this.setState('failed', `${reason}. Automatic reconnection is off.`);
+            return;
+        }
+        if (this.now() - this.lastInteractionTime >= this.interactionWindowMs) {
+            this.setState('failed', `${reason}. Not reconnecting after ${Math.round(this.interactionWindowMs / 60000)} minutes without interaction.`);
+            return;
+        }
+        this.scheduleRetry(reason);
+    }
+
+    scheduleRetry(reason) {
+        this.attempt++;
+        if (this.attempt > this.maxAttempts) {
+            this.setState('failed', `${reason}. Gave up after ${this.maxAttempts} attempts.`);
+            return;
+        }
+        // Exponential backoff with up to 20% jitter, so many clients do not retry at the same moment
+        const delayMs = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, this.attempt - 1)) * (1 + 0.2 * this.random());
+        this.nextRetryAt = this.now() + delayMs;
+        // The timer is set before the listeners hear of the state, so one that starts over (e.g. the audio
+        // only fallback) cancels the retry
+        this.retryTimer = this.setTimer(() => {
+            this.retryTimer = null;
+            this.nextRetryAt = null;
+            this.startConnectTimer();
+            this.setState('reconnecting', `Attempt ${this.attempt} of ${this.maxAttempts}`);
+            this.reconnect();
+        }, delayMs);
+        this.setState('reconnecting', reason);
+    }
+
+    /**
+     * Try again right away after the session failed, e.g. from a retry button
+     */
+    retry() {
+        if (this.state !== 'failed' && this.state !== 'reconnecting') {
+            return;
+        }
+        this.clearTimers();
+        this.attempt = 0;
+        this.interacted();
+        this.scheduleRetry('Retrying');
+    }
+
+    /**
+     * The avatar is let go on purpose while the session stays open (local video for idle)
+     */
+    suspend() {
+        this.clearTimers();
+        this.connectedAt = null;
+        this.setState('idle');
+    }
+
+    /**
+     * The user closed the session
+     */
+    close() {
+        this.clearTimers();
+        this.connectedAt = null;
+        this.setState('closed');
+    }
+
+    startConnectTimer() {
+        this.clearTimer(this.connectTimer);
+        this.connectTimer = this.setTimer(() => {
+            this.connectTimer = null;
+            this.connectionLost('Timed out connecting to the avatar');
+        }, this.connectTimeoutMs);
+    }
+
+    clearTimers() {
+        this.clearTimer(this.retryTimer);
+        this.clearTimer(this.connectTimer);
+        this.retryTimer = null;
+        this.connectTimer = null;
+        this.nextRetryAt = null;
+    }
+
+    /**
+     * Watch the ICE connection of a peer connection (a real RTCPeerConnection, or a fake one in tests
+     * that fires 'iceconnectionstatechange' events). A failed connection is lost right away; a
+     * disconnected one gets a grace period to recover on its own. Only the last peer connection
+     * watched counts, so the one replaced by a reconnect cannot start another.
+     */
+    watchPeerConnection(peerConnection) {
+        this.peerConnection = peerConnection;
+        let disconnectTimer = null;
+        peerConnection.addEventListener('iceconnectionstatechange', () => {
+            this.clearTimer(disconnectTimer);
+            disconnectTimer = null;
+            if (peerConnection !== this.peerConnection) {
+                return;
+            }
+            if (peerConnection.iceConnectionState === 'failed') {
+                this.connectionLost('The WebRTC connection failed');
+            } else if (peerConnection.iceConnectionState === 'disconnected') {
+                disconnectTimer = this.setTimer(() => {
+                    disconnectTimer = null;
+                    if (peerConnection === this.peerConnection && peerConnection.iceConnectionState === 'disconnected') {
+                        this.connectionLost('The WebRTC connection was interrupted');
+                    }
+                }, this.iceDisconnectGraceMs);
+            }
+        });
+    }
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { SessionStateMachine };
+}
@@ -1,13 +1,54 @@
-// test.js - Handle evaluation generation with 4 different LLM prompts
+// test.js - Handle evaluation generation on the evaluation page, with a separate LLM prompt per evaluation section (see rubric-evaluator.js)
 
 class TranscriptEvaluator {
     constructor() {
-        this.apiEndpoint = '/api/evaluate';  // Adjust this to match your backend endpoint
+        this.rubricLibraryEndpoint = '/api/rubrics';
+        this.defaultRubricId = 'helper-counseling';
+        this.rubric = null;
+        this.history = null;
+        this.historyView = null;
+        this.onRubricChanged = null;
         this.isGenerating = false;
+        this.currentEvaluation = null;
+        this.rubricEvaluator = new RubricEvaluator();
     }
 
     /**
-     * Main method to trigger evaluation
+     * Fetch the list of rubric files available on the server
+     */
+    async loadRubricLibrary() {
+        const response = await fetch(this.rubricLibraryEndpoint);
+        if (!response.ok) {
+            throw new Error(`Failed fetching rubric library: ${response.status} ${response.statusText}`);
+        }
+        return await response.json();
+    }
+
+    /**
+     * Load a rubric definition from the given url and make it the active rubric
+     */
+    async loadRubric(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed fetching rubric ${url}: ${response.status} ${response.statusText}`);
+        }
+        return this.setRubric(await response.json());
+    }
+
+    /**
+     * Validate and normalize a rubric definition, then make it the active rubric
+     */
+    setRubric(rubric) {
+        this.rubric = this.rubricEvaluator.normalizeRubric(rubric);
+        if (this.onRubricChanged) {
+            this.onRubricChanged(this.rubric);
+        }
+        return this.rubric;
+    }
+
+    /**
+     * Main method to trigger evaluation.
+     * The transcript is either plain "User: / Assistant:" text or a structured ConversationTranscript.
      */
     async generateEvaluation(transcript) {
         if (this.isGenerating) {
@@ -15,34 +56,43 @@ class TranscriptEvaluator {
             return;
         }
 
+        const structuredTranscript = transcript instanceof ConversationTranscript ? transcript : null;
+        if (structuredTranscript) {
+            transcript = structuredTranscript.toPromptText();
+        }
+
         if (!transcript || transcript.trim() === '') {
             alert('Please enter a transcript to evaluate.');
             return;
         }
 
+        if (!this.rubric) {
+            alert('Please select a rubric before generating the evaluation.');
+            return;
+        }
+
+        // Turn annotations need the transcript split into speaker turns
+        const annotateTurnsInput = document.querySelector('.annotate-turns-input');
+        const annotateTurns = !!structuredTranscript && (!annotateTurnsInput || annotateTurnsInput.checked);
+
         this.isGenerating = true;
         this.updateButtonState(true);
 
-        try {
-            // Execute all 4 prompts in parallel for efficiency
-            const [executiveSummary, rubricScores, recommendations, suggestedReply] = await Promise.all([
-                this.getExecutiveSummary(transcript),
-                this.getRubricScores(transcript),
-                this.getRecommendations(transcript),
-                this.getSuggestedReply(transcript)
-            ]);
-
-            // Display all results
-            this.displayResults({
-                executiveSummary,
-                rubricScores,
-                recommendations,
-                suggestedReply
-            });
+        // The rubric is captured for the whole run, so picking another one meanwhile cannot mix two rubrics in one evaluation
+        const rubric = this.rubric;
+        const evaluation = {
+            rubric: rubric,
+            transcript: structuredTranscript ? structuredTranscript.toJSON() : transcript,
+            sections: this.getSections(rubric, transcript, structuredTranscript, annotateTurns),
+            results: {},
+            saved: false
+        };
+        this.currentEvaluation = evaluation;
 
-        } catch (error) {
-            console.error('Error generating evaluation:', error);
-            alert('An error occurred while generating the evaluation. Please try again.');
+        try {
+            // Run all prompts in parallel; each section renders as soon as its own result arrives
+            await Promise.allSettled(evaluation.sections.map(section => this.runSection(evaluation, section)));
+            await this.saveIfComplete(evaluation);
         } finally {
             this.isGenerating = false;
             this.updateButtonState(false);
@@ -50,215 +100,156 @@ class TranscriptEvaluator {
     }
 
     /**
-     * Prompt 1: Generate Executive Summary
+     * The evaluation sections: the prompt behind each one and how its result is displayed.
+     * Sections with stream set show their partial result while the reply is still being generated.
+     * Every prompt, validation and display of the run uses the rubric it started with.
      */
-    async getExecutiveSummary(transcript) {
-        const prompt = `
-You are an expert evaluator analyzing a transcript between a helper/counselor and a person seeking help.
-
-Analyze the following transcript and provide an executive summary with these three components:
-
-1. Overall Level: Rate the conversation quality (Excellent/Good/Fair/Needs Improvement)
-2. Strengths: Identify 1-2 key strengths demonstrated in the conversation
-3. Priorities: Identify 1-2 priority areas for improvement
-
-Transcript:
-${transcript}
-
-Provide your response in the following JSON format:
-{
-    "overallLevel": "string",
-    "strengths": "string",
-    "priorities": "string"
-}`;
-
-        return await this.callLLM(prompt, 'executive-summary');
+    getSections(rubric, transcript, structuredTranscript, annotateTurns) {
+        return [
+            {
+                key: 'executiveSummary',
+                section: 'summary',
+                title: 'Executive Summary',
+                stream: true,
+                request: onPartial => this.rubricEvaluator.getExecutiveSummary(rubric, transcript, onPartial),
+                display: result => this.displayExecutiveSummary(result)
+            },
+            {
+                key: 'recommendations',
+                section: 'recommendations',
+                title: 'Recommendations',
+                stream: true,
+                request: onPartial => this.rubricEvaluator.getRecommendations(rubric, transcript, onPartial),
+                display: result => this.displayRecommendations(result)
+            },
+            {
+                // Scores are only matched against the rubric once they are complete
+                key: 'rubricScores',
+                section: 'rubric',
+                title: 'Rubric Scores',
+                stream: false,
+                request: () => this.rubricEvaluator.getRubricScores(rubric, transcript),
+                display: result => this.displayRubricScores(rubric, result)
+            },
+            {
+                key: 'suggestedReply',
+                section: 'reply',
+                title: 'Suggested Reply',
+                stream: true,
+                request: onPartial => this.rubricEvaluator.getSuggestedReply(rubric, transcript, onPartial),
+                display: result => this.displaySuggestedReply(result)
+            },
+            {
+                key: 'turnAnnotations',
+                section: 'annotations',
+                title: 'Turn Annotations',
+                stream: false,
+                request: () => annotateTurns ? this.rubricEvaluator.getTurnAnnotations(rubric, structuredTranscript) : Promise.resolve(null),
+                display: result => this.displayTurnAnnotations(rubric, structuredTranscript, result)
+            }
+        ];
     }
 
     /**
-     * Prompt 2: Generate Rubric Scores
+     * Run the prompt of one section, showing its loading state, partial results and outcome.
+     * A failed section shows its error with a retry button; the other sections are not affected.
      */
-    async getRubricScores(transcript) {
-        const prompt = `
-You are an expert evaluator analyzing a transcript between a helper/counselor and a person seeking help.
-
-Evaluate the following transcript across these 7 dimensions on a scale of 1-4:
-
-1. Rapport & Safety: Building trust and creating a safe space
-2. Emotional Validation: Acknowledging and validating feelings
-3. Clarification: Asking questions to understand the situation better
-4. Issue Framing: Helping frame the problem clearly
-5. Options: Exploring different possibilities and choices
-6. Empowerment: Encouraging autonomy and self-efficacy
-7. Next Steps: Establishing concrete action items
-
-For each dimension, provide:
-- A score from 1-4 (1=Poor, 2=Fair, 3=Good, 4=Excellent)
-- A brief justification (1-2 sentences)
-
-Transcript:
-${transcript}
-
-Provide your response in the following JSON format:
-{
-    "rubrics": [
-        {
-            "name": "Rapport & Safety",
-            "score": 0,
-            "justification": "string"
-        },
-        {
-            "name": "Emotional Validation",
-            "score": 0,
-            "justification": "string"
-        },
-        {
-            "name": "Clarification",
-            "score": 0,
-            "justification": "string"
-        },
-        {
-            "name": "Issue Framing",
-            "score": 0,
-            "justification": "string"
-        },
-        {
-            "name": "Options",
-            "score": 0,
-            "justification": "string"
-        },
-        {
-            "name": "Empowerment",
-            "score": 0,
-            "justification": "string"
-        },
-        {
-            "name": "Next Steps",
-            "score": 0,
-            "justification": "string"
-        }
-    ]
-}`;
+    async runSection(evaluation, section) {
+        const container = document.querySelector(`.eval-section[data-section="${section.section}"]`);
+        const isCurrent = () => this.currentEvaluation === evaluation;
+        this.renderSectionLoading(container, section);
 
-        return await this.callLLM(prompt, 'rubric-scores');
+        try {
+            const onPartial = section.stream ? partial => {
+                if (partial && isCurrent()) {
+                    section.display(partial);
+                }
+            } : null;
+            const result = await section.request(onPartial);
+            if (!isCurrent()) return;
+            evaluation.results[section.key] = result;
+            section.display(result);
+        } catch (error) {
+            console.error(`Error generating ${section.title}:`, error);
+            if (isCurrent()) {
+                this.renderSectionError(container, section, error, () => this.retrySection(evaluation, section));
+            }
+            throw error;
+        }
     }
 
     /**
-     * Prompt 3: Generate Recommendations
+     * Run a failed section again, and save the evaluation once every section has a result
      */
-    async getRecommendations(transcript) {
-        const prompt = `
-You are an expert evaluator analyzing a transcript between a helper/counselor and a person seeking help.
-
-Based on the following transcript, provide 3-5 specific, actionable recommendations for how the helper could improve their approach in future conversations.
-
-Each recommendation should:
-- Be specific and actionable
-- Focus on concrete behaviors or techniques
-- Be relevant to the conversation context
-
-Transcript:
-${transcript}
-
-Provide your response in the following JSON format:
-{
-    "recommendations": [
-        "Recommendation 1",
-        "Recommendation 2",
-        "Recommendation 3"
-    ]
-}`;
-
-        return await this.callLLM(prompt, 'recommendations');
+    async retrySection(evaluation, section) {
+        try {
+            await this.runSection(evaluation, section);
+            await this.saveIfComplete(evaluation);
+        } catch (error) {
+            // The section shows the error and another retry button
+        }
     }
 
-    /**
-     * Prompt 4: Generate Suggested Reply
-     */
-    async getSuggestedReply(transcript) {
-        const prompt = `
-You are an expert counselor/helper providing guidance.
-
-Based on the following transcript, generate a suggested next reply that the helper could use to continue the conversation effectively.
-
-The suggested reply should:
-- Demonstrate empathy and emotional validation
-- Ask clarifying questions if needed
-- Offer support or guidance as appropriate
-- Be natural and conversational (2-4 sentences)
-- Build on what was already discussed
-
-Transcript:
-${transcript}
-
-Provide your response in the following JSON format:
-{
-    "suggestedReply": "string"
-}`;
+    renderSectionLoading(container, section) {
+        if (!container) return;
+        container.innerHTML = `
+            <h3>${section.title}</h3>
+            <p class="section-loading">⏳ Generating ${section.title.toLowerCase()}...</p>
+        `;
+    }
 
-        return await this.callLLM(prompt, 'suggested-reply');
+    renderSectionError(container, section, error, retry) {
+        if (!container) return;
+        container.innerHTML = `
+            <h3>${section.title}</h3>
+            <div class="section-error">
+                <p>⚠️ Unable to generate the ${section.title.toLowerCase()}: ${this.escapeHtml(error.message)}</p>
+                <button class="retry-btn">🔄 Retry</button>
+            </div>
+        `;
+        container.querySelector('.retry-btn').addEventListener('click', retry);
     }
 
     /**
-     * Call LLM API with the given prompt
+     * Save the evaluation to the history once all of its sections have a result
      */
-    async callLLM(prompt, requestType) {
-        try {
-            const response = await fetch(this.apiEndpoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    prompt: prompt,
-                    requestType: requestType,
-                    temperature: 0.7,
-                    maxTokens: 1000
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-
-            const data = await response.json();
-            
-            // Parse JSON response from LLM
-            try {
-                return JSON.parse(data.response || data.content || data.message);
-            } catch (e) {
-                console.warn('Failed to parse LLM response as JSON, returning raw response:', e);
-                return { raw: data.response || data.content || data.message };
-            }
-
-        } catch (error) {
-            console.error(`Error calling LLM for ${requestType}:`, error);
-            throw error;
+    async saveIfComplete(evaluation) {
+        const results = evaluation.results;
+        if (evaluation.saved || !evaluation.sections.every(section => section.key in results)) {
+            return;
         }
+        evaluation.saved = true;
+
+        const structuredTranscript = results.turnAnnotations ? ConversationTranscript.fromJSON(evaluation.transcript) : null;
+        await this.saveEvaluation(evaluation.rubric, evaluation.transcript, {
+            executiveSummary: results.executiveSummary,
+            rubricScores: results.rubricScores,
+            recommendations: results.recommendations,
+            suggestedReply: results.suggestedReply,
+            turnAnnotations: structuredTranscript ? this.rubricEvaluator.matchTurnAnnotations(evaluation.rubric, structuredTranscript, results.turnAnnotations) : []
+        });
     }
 
     /**
-     * Display all evaluation results in the UI
+     * Notice marking a result that did not validate, even after the repair request
      */
-    displayResults(results) {
-        // Display Executive Summary
-        this.displayExecutiveSummary(results.executiveSummary);
+    renderValidationNotice(result) {
+        const validation = result && result.validation;
+        if (!validation || validation.valid) return '';
 
-        // Display Rubric Scores
-        this.displayRubricScores(results.rubricScores);
-
-        // Display Recommendations
-        this.displayRecommendations(results.recommendations);
-
-        // Display Suggested Reply
-        this.displaySuggestedReply(results.suggestedReply);
+        let html = '<div class="unvalidated-notice"><b>⚠️ Unvalidated:</b> the evaluator\'s reply did not match the expected format, so this section may be incomplete or wrong.<ul>';
+        validation.errors.forEach(error => {
+            html += `<li>${this.escapeHtml(error)}</li>`;
+        });
+        html += '</ul></div>';
+        return html;
     }
 
     /**
      * Display Executive Summary
      */
     displayExecutiveSummary(summary) {
-        const container = document.querySelector('.eval-section:nth-of-type(1)');
+        const container = document.querySelector('.eval-section[data-section="summary"]');
         if (!container) return;
 
         const overallLevel = summary.overallLevel || 'N/A';
@@ -267,6 +258,7 @@ Provide your response in the following JSON format:
 
         container.innerHTML = `
             <h3>Executive Summary</h3>
+            ${this.renderValidationNotice(summary)}
             <p style="color: #333; font-style: normal; margin: 8px 0; line-height: 1.6; font-size: 14px;"><b>Overall Level:</b> ${this.escapeHtml(overallLevel)}</p>
             <p style="color: #333; font-style: normal; margin: 8px 0; line-height: 1.6; font-size: 14px;"><b>Strengths:</b> ${this.escapeHtml(strengths)}</p>
             <p style="color: #333; font-style: normal; margin: 8px 0; line-height: 1.6; font-size: 14px;"><b>Priorities:</b> ${this.escapeHtml(priorities)}</p>
@@ -274,36 +266,64 @@ Provide your response in the following JSON format:
     }
 
     /**
-     * Display Rubric Scores
+     * Display Rubric Scores, matched against the rubric of the evaluation
      */
-    displayRubricScores(scores) {
-        const container = document.querySelector('.eval-section:nth-of-type(3)');
+    displayRubricScores(rubric, scores) {
+        const container = document.querySelector('.eval-section[data-section="rubric"]');
         if (!container) return;
 
-        const rubrics = scores.rubrics || [];
-        
-        let html = '<h3>Rubric Scores</h3>';
-        
-        rubrics.forEach(rubric => {
-            const score = rubric.score || 0;
-            const maxScore = 4;
-            const percentage = (score / maxScore) * 100;
+        const result = this.rubricEvaluator.matchRubricScores(rubric, scores);
+        const scale = rubric.scale;
+        const toPercentage = score => (score / scale.max) * 100;
+
+        let html = `<h3>Rubric Scores &middot; ${this.escapeHtml(rubric.name)}</h3>` + this.renderValidationNotice(scores);
+
+        if (result.overallScore !== null) {
+            const overallPercentage = toPercentage(result.overallScore);
+            html += `
+                <div class="rubric-item rubric-overall">
+                    <div class="rubric-header">
+                        <span class="rubric-name">Overall (weighted)</span>
+                        <span class="rubric-score">${result.overallScore.toFixed(1)}/${scale.max}</span>
+                    </div>
+                    <div class="progress-bar">
+                        <div class="progress-fill ${this.getProgressClass(overallPercentage)}" style="width: ${overallPercentage}%;"></div>
+                    </div>
+                </div>
+            `;
+        }
+
+        result.rubrics.forEach(item => {
+            const percentage = item.score === null ? 0 : toPercentage(item.score);
             const progressClass = this.getProgressClass(percentage);
+            const scoreText = item.score === null ? '&mdash;' : `${item.score}`;
+            const weightText = item.weight !== 1 ? ` <span class="rubric-weight">&times;${item.weight}</span>` : '';
 
             html += `
                 <div class="rubric-item">
                     <div class="rubric-header">
-                        <span class="rubric-name">${this.escapeHtml(rubric.name)}</span>
-                        <span class="rubric-score">${score}/${maxScore}</span>
+                        <span class="rubric-name">${this.escapeHtml(item.name)}${weightText}</span>
+                        <span class="rubric-score">${scoreText}/${scale.max}</span>
                     </div>
                     <div class="progress-bar">
                         <div class="progress-fill ${progressClass}" style="width: ${percentage}%;"></div>
                     </div>
-                    ${rubric.justification ? `<p style="margin-top: 8px; font-size: 13px; color: #666;">${this.escapeHtml(rubric.justification)}</p>` : ''}
+                    ${item.score !== null ? `<p style="margin-top: 8px; font-size: 12px; color: #0078d4;">${this.escapeHtml(this.rubricEvaluator.getScaleLabel(rubric, item.score))}</p>` : ''}
+                    ${item.justification ? `<p style="margin-top: 8px; font-size: 13px; color: #666;">${this.escapeHtml(item.justification)}</p>` : ''}
                 </div>
             `;
         });
 
+        // Corrections made while validating, e.g. scores clamped to the rubric scale
+        const issues = result.issues.concat(scores && scores.validation ? scores.validation.warnings : []);
+        if (issues.length > 0) {
+            html += `<div class="rubric-issues"><b>⚠️ The evaluator's reply did not fully match the rubric:</b>`;
+            issues.forEach(issue => {
+                html += `<p>${this.escapeHtml(issue)}</p>`;
+            });
+            html += '</div>';
+        }
+
         container.innerHTML = html;
     }
 
@@ -311,12 +331,12 @@ Provide your response in the following JSON format:
      * Display Recommendations
      */
     displayRecommendations(recommendations) {
-        const container = document.querySelector('.eval-section:nth-of-type(2)');
+        const container = document.querySelector('.eval-section[data-section="recommendations"]');
         if (!container) return;
 
         const items = recommendations.recommendations || [];
         
-        let html = '<h3>Recommendations</h3>';
+        let html = '<h3>Recommendations</h3>' + this.renderValidationNotice(recommendations);
         
         items.forEach(item => {
             html += `<p style="color: #333; font-style: normal; margin: 8px 0; line-height: 1.6; font-size: 14px;">• ${this.escapeHtml(item)}</p>`;
@@ -329,8 +349,15 @@ Provide your response in the following JSON format:
      * Display Suggested Reply
      */
     displaySuggestedReply(reply) {
-        const textarea = document.querySelector('.suggestion-input');
-        if (!textarea) return;
+        const container = document.querySelector('.eval-section[data-section="reply"]');
+        if (!container) return;
+
+        // The loading and error states replace the textarea
+        let textarea = container.querySelector('.suggestion-input');
+        if (!textarea) {
+            container.innerHTML = '<h3>Suggested Reply</h3><textarea class="suggestion-input"></textarea>';
+            textarea = container.querySelector('.suggestion-input');
+        }
 
         const suggestedText = reply.suggestedReply || 'No suggestion available';
         textarea.value = suggestedText;
@@ -338,6 +365,123 @@ Provide your response in the following JSON format:
         textarea.removeAttribute('placeholder');
         textarea.style.color = '#333';
         textarea.style.fontStyle = 'normal';
+
+        const previousNotice = container.querySelector('.unvalidated-notice');
+        if (previousNotice) {
+            previousNotice.remove();
+        }
+        textarea.insertAdjacentHTML('beforebegin', this.renderValidationNotice(reply));
+    }
+
+    /**
+     * Display the transcript turn by turn, with the annotations of each helper turn as expandable notes
+     */
+    displayTurnAnnotations(rubric, structuredTranscript, annotations) {
+        const container = document.querySelector('.eval-section[data-section="annotations"]');
+        if (!container) return;
+
+        if (!structuredTranscript || annotations === null) {
+            container.innerHTML = `
+                <h3>Turn Annotations</h3>
+                <p style="color: #999; font-style: italic; text-align: center; padding: 20px;">${structuredTranscript
+                    ? 'Turn annotations were not requested for this evaluation.'
+                    : 'Turn annotations need a transcript with "User:" / "Assistant:" speaker turns.'}</p>
+            `;
+            return;
+        }
+
+        const annotationsByTurn = new Map();
+        this.rubricEvaluator.matchTurnAnnotations(rubric, structuredTranscript, annotations).forEach(annotation => {
+            if (!annotationsByTurn.has(annotation.turnId)) {
+                annotationsByTurn.set(annotation.turnId, []);
+            }
+            annotationsByTurn.get(annotation.turnId).push(annotation);
+        });
+
+        let html = '<h3>Turn Annotations</h3>' + this.renderValidationNotice(annotations) + '<div class="turn-list">';
+        structuredTranscript.turns
+            .filter(turn => turn.displayText.trim() !== '')
+            .forEach(turn => {
+                html += `
+                    <div class="turn turn-${turn.speaker}">
+                        <div class="turn-speaker">${ConversationTranscript.speakerLabel(turn.speaker)}${turn.interrupted ? ' (interrupted)' : ''}</div>
+                        <p class="turn-text">${this.escapeHtml(turn.displayText.trim())}</p>
+                `;
+                (annotationsByTurn.get(turn.id) || []).forEach(annotation => {
+                    const icon = annotation.type === 'strength' ? '✅' : '⚠️';
+                    html += `
+                        <details class="turn-annotation type-${annotation.type} severity-${annotation.severity}">
+                            <summary>${icon} ${this.escapeHtml(annotation.dimension)} &middot; ${annotation.severity}</summary>
+                            <p>${this.escapeHtml(annotation.comment)}</p>
+                            ${annotation.suggestedRewrite ? `<p><b>Try instead:</b> ${this.escapeHtml(annotation.suggestedRewrite)}</p>` : ''}
+                        </details>
+                    `;
+                });
+                html += '</div>';
+            });
+        html += '</div>';
+
+        container.innerHTML = html;
+    }
+
+    /**
+     * The trainee and scenario an evaluation with the given rubric belongs to, as entered on the page
+     */
+    getSessionInfo(rubric) {
+        const traineeInput = document.querySelector('.trainee-input');
+        const scenarioInput = document.querySelector('.scenario-input');
+        return {
+            traineeId: (traineeInput && traineeInput.value.trim()) || 'anonymous',
+            scenario: (scenarioInput && scenarioInput.value.trim()) || rubric.name
+        };
+    }
+
+    /**
+     * Save the evaluation to the history store and refresh the trainee's progress view
+     */
+    async saveEvaluation(rubric, transcript, results) {
+        if (!this.history) return;
+
+        const sessionInfo = this.getSessionInfo(rubric);
+        const rubricResult = this.rubricEvaluator.matchRubricScores(rubric, results.rubricScores);
+        try {
+            await this.history.save({
+                traineeId: sessionInfo.traineeId,
+                scenario: sessionInfo.scenario,
+                rubric: {
+                    id: rubric.id,
+                    name: rubric.name,
+                    scale: rubric.scale,
+                    dimensions: rubric.dimensions.map(dimension => ({ name: dimension.name, weight: dimension.weight }))
+                },
+                transcript: transcript,
+                executiveSummary: results.executiveSummary,
+                rubricScores: rubricResult.rubrics,
+                overallScore: rubricResult.overallScore,
+                recommendations: results.recommendations.recommendations || [],
+                suggestedReply: results.suggestedReply.suggestedReply || '',
+                turnAnnotations: results.turnAnnotations
+            });
+        } catch (error) {
+            console.error('Error saving evaluation history:', error);
+            return;
+        }
+
+        await this.showHistory();
+    }
+
+    /**
+     * Render the progress history of the trainee entered on the page, for the active rubric
+     */
+    async showHistory() {
+        if (!this.historyView || !this.rubric) return;
+        const traineeInput = document.querySelector('.trainee-input');
+        const traineeId = (traineeInput && traineeInput.value.trim()) || 'anonymous';
+        try {
+            await this.historyView.show(traineeId, this.rubric.id);
+        } catch (error) {
+            console.error('Error loading evaluation history:', error);
+        }
     }
 
     /**
@@ -358,6 +502,61 @@ Provide your response in the following JSON format:
         return div.innerHTML;
     }
 
+    /**
+     * Populate the rubric picker from the rubric library and load the selected rubric.
+     * A rubric JSON file can also be loaded from disk through the file input.
+     */
+    async setupRubricPicker(selectElement, fileInput) {
+        const rubrics = await this.loadRubricLibrary();
+        selectElement.innerHTML = '';
+        rubrics.forEach(rubric => {
+            const option = document.createElement('option');
+            option.value = rubric.url;
+            option.textContent = rubric.name;
+            option.title = rubric.description;
+            option.selected = rubric.id === this.defaultRubricId;
+            selectElement.appendChild(option);
+        });
+
+        const uploadedRubrics = new Map();
+        selectElement.addEventListener('change', () => {
+            if (uploadedRubrics.has(selectElement.value)) {
+                this.setRubric(uploadedRubrics.get(selectElement.value));
+                return;
+            }
+            this.loadRubric(selectElement.value).catch(error => {
+                console.error('Error loading rubric:', error);
+                alert(error.message);
+            });
+        });
+
+        if (fileInput) {
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files[0];
+                if (!file) return;
+                file.text().then(text => {
+                    const definition = JSON.parse(text);
+                    const rubric = this.setRubric(definition);
+                    const option = document.createElement('option');
+                    option.value = `file:${file.name}`;
+                    uploadedRubrics.set(option.value, definition);
+                    option.textContent = `${rubric.name} (${file.name})`;
+                    option.selected = true;
+                    selectElement.appendChild(option);
+                }).catch(error => {
+                    console.error('Error loading rubric file:', error);
+                    alert(`Unable to load rubric file: ${error.message}`);
+                }).finally(() => {
+                    fileInput.value = '';
+                });
+            });
+        }
+
+        if (selectElement.value) {
+            await this.loadRubric(selectElement.value);
+        }
+    }
+
     /**
      * Update button state during generation
      */
@@ -384,10 +583,118 @@ document.addEventListener('DOMContentLoaded', function() {
     const evaluator = new TranscriptEvaluator();
     const generateBtn = document.querySelector('.generate-btn');
     const transcriptInput = document.querySelector('.transcript-input');
+    const rubricSelect = document.querySelector('.rubric-select');
+    const rubricFileInput = document.querySelector('.rubric-file');
+
+    const traineeInput = document.querySelector('.trainee-input');
+    const historyContainer = document.querySelector('.history-content');
+
+    if (historyContainer && window.indexedDB) {
+        evaluator.history = new EvaluationHistory();
+        evaluator.historyView = new EvaluationHistoryView(evaluator.history, historyContainer);
+    }
+
+    if (traineeInput) {
+        traineeInput.value = localStorage.getItem('evaluationTraineeId') || '';
+        traineeInput.addEventListener('change', function() {
+            localStorage.setItem('evaluationTraineeId', traineeInput.value.trim());
+            evaluator.showHistory();
+        });
+    }
+
+    // Use the rubric and name of the scenario the chat was run with, if any, and read transcripts which label the
+    // assistant with the name of its persona
+    const personaNames = [];
+    const chatScenarioJson = localStorage.getItem('chatScenario');
+    localStorage.removeItem('chatScenario');
+    if (chatScenarioJson) {
+        try {
+            const chatScenario = JSON.parse(chatScenarioJson);
+            if (chatScenario.rubricId) {
+                evaluator.defaultRubricId = chatScenario.rubricId;
+            }
+            if (chatScenario.personaName) {
+                personaNames.push(chatScenario.personaName);
+            }
+            const scenarioInput = document.querySelector('.scenario-input');
+            if (scenarioInput && chatScenario.name) {
+                scenarioInput.value = chatScenario.name;
+            }
+        } catch (error) {
+            console.warn('Failed to parse the chat scenario:', error);
+        }
+    }
+
+    if (rubricSelect) {
+        // The history view only shows evaluations made with the active rubric
+        evaluator.onRubricChanged = () => evaluator.showHistory();
+        evaluator.setupRubricPicker(rubricSelect, rubricFileInput).catch(error => {
+            console.error('Error loading rubrics:', error);
+        });
+    }
+
+    // Load the transcript passed over from the chat page, preferring the structured record
+    let chatTranscript = null;
+    const chatTranscriptJson = localStorage.getItem('chatTranscriptJson');
+    if (chatTranscriptJson) {
+        try {
+            chatTranscript = ConversationTranscript.fromJSON(JSON.parse(chatTranscriptJson));
+        } catch (error) {
+            console.warn('Failed to parse the structured chat transcript:', error);
+        }
+    }
+    if (transcriptInput) {
+        const plainTranscript = chatTranscript ? chatTranscript.toPlainText() : localStorage.getItem('chatTranscript');
+        if (plainTranscript) {
+            transcriptInput.value = plainTranscript;
+        }
+    }
+    // Clear the stored transcript after loading
+    localStorage.removeItem('chatTranscript');
+    localStorage.removeItem('chatTranscriptJson');
+
+    // Load an archived session transcript (WebVTT, SRT, JSON or plain text)
+    const transcriptFileInput = document.querySelector('.transcript-file');
+    const transcriptFileInfo = document.querySelector('.transcript-file-info');
+    if (transcriptFileInput && transcriptInput) {
+        transcriptFileInput.addEventListener('change', function() {
+            const file = transcriptFileInput.files[0];
+            if (!file) return;
+            file.text().then(text => {
+                chatTranscript = ConversationTranscript.parse(text, personaNames);
+                if (chatTranscript.turns.length === 0) {
+                    throw new Error('No speaker turns were found in the file.');
+                }
+                transcriptInput.value = chatTranscript.toPlainText();
+                if (transcriptFileInfo) {
+                    transcriptFileInfo.textContent = `Loaded ${chatTranscript.turns.length} turns from ${file.name}`;
+                }
+            }).catch(error => {
+                console.error('Error loading transcript file:', error);
+                alert(`Unable to load transcript file: ${error.message}`);
+            }).finally(() => {
+                transcriptFileInput.value = '';
+            });
+        });
+    }
 
     if (generateBtn && transcriptInput) {
         generateBtn.addEventListener('click', function() {
-            const transcript = transcriptInput.value;
+            // Evaluate the loaded structured transcript as long as the text has not been edited,
+            // otherwise parse the pasted text into speaker turns
+            let transcript = transcriptInput.value;
+            if (chatTranscript && transcriptInput.value === chatTranscript.toPlainText()) {
+                transcript = chatTranscript;
+            } else {
+                try {
+                    const parsedTranscript = ConversationTranscript.parse(transcriptInput.value, personaNames);
+                    if (parsedTranscript.turns.length > 0) {
+                        transcript = parsedTranscript;
+                    }
+                } catch (error) {
+                    console.warn('Evaluating the transcript as free text:', error);
+                }
+            }
             evaluator.generateEvaluation(transcript);
         });
     }
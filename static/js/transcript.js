@@ -0,0 +1,391 @@
+// transcript.js - Structured record of a conversation, shared by the chat and evaluation pages
+
+class ConversationTranscript {
+    constructor() {
+        this.version = 1;
+        this.startedAt = new Date().toISOString();
+        this.turns = [];
+        this.nextTurnId = 1;
+    }
+
+    /**
+     * Start a new turn.
+     * speaker is 'user' or 'assistant'; source is 'stt', 'typed', 'llm' or 'restored' (from the chat history of a resumed session).
+     */
+    startTurn(speaker, source, text = '') {
+        const now = new Date().toISOString();
+        const turn = {
+            id: this.nextTurnId++,
+            speaker: speaker,
+            source: source,
+            rawText: text,
+            displayText: text,
+            startTime: now,
+            endTime: now,
+            interrupted: false,
+            latency: {},
+            citations: []
+        };
+        this.turns.push(turn);
+        return turn;
+    }
+
+    /**
+     * Add a complete turn, e.g. a recognized or typed user message
+     */
+    addTurn(speaker, source, text) {
+        return this.startTurn(speaker, source, text);
+    }
+
+    /**
+     * Append a streamed chunk to a turn. The display text defaults to the raw text until set explicitly.
+     */
+    appendText(turn, chunk) {
+        turn.rawText += chunk;
+        turn.displayText = turn.rawText;
+        turn.endTime = new Date().toISOString();
+    }
+
+    /**
+     * Record the text as it was rendered in the chat, when it differs from the raw text
+     */
+    setDisplayText(turn, text) {
+        turn.displayText = text;
+    }
+
+    /**
+     * Record a latency figure (in milliseconds) for a turn, e.g. 'stt', 'appService', 'aoaiFirstToken', 'aoaiFirstSentence' or 'tts'
+     */
+    setLatency(turn, name, milliseconds) {
+        if (turn) {
+            turn.latency[name] = milliseconds;
+        }
+    }
+
+    /**
+     * Record the On Your Data source documents ({ title, url, filepath, content }) an assistant turn refers to as [docN]
+     */
+    setCitations(turn, citations) {
+        if (turn) {
+            turn.citations = citations;
+        }
+    }
+
+    /**
+     * Mark a turn as interrupted by the user barging in
+     */
+    markInterrupted(turn) {
+        if (turn) {
+            turn.interrupted = true;
+            turn.endTime = new Date().toISOString();
+        }
+    }
+
+    /**
+     * The most recent turn, optionally of the given speaker
+     */
+    lastTurn(speaker) {
+        for (let i = this.turns.length - 1; i >= 0; i--) {
+            if (!speaker || this.turns[i].speaker === speaker) {
+                return this.turns[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Remove all turns and restart the clock
+     */
+    clear() {
+        this.startedAt = new Date().toISOString();
+        this.turns = [];
+        this.nextTurnId = 1;
+    }
+
+    toJSON() {
+        return {
+            version: this.version,
+            startedAt: this.startedAt,
+            turns: this.turns
+        };
+    }
+
+    /**
+     * Rebuild a transcript from the object produced by toJSON()
+     */
+    static fromJSON(data) {
+        const transcript = new ConversationTranscript();
+        transcript.startedAt = data.startedAt || transcript.startedAt;
+        (data.turns || []).forEach(item => {
+            const turn = transcript.startTurn(item.speaker === 'user' ? 'user' : 'assistant', item.source || 'typed', item.rawText || item.displayText || '');
+            turn.displayText = item.displayText || turn.rawText;
+            turn.startTime = item.startTime || turn.startTime;
+            turn.endTime = item.endTime || turn.startTime;
+            turn.interrupted = !!item.interrupted;
+            turn.latency = item.latency || {};
+            turn.citations = item.citations || [];
+        });
+        return transcript;
+    }
+
+    static speakerLabel(speaker) {
+        return speaker === 'user' ? 'User' : 'Assistant';
+    }
+
+    /**
+     * Plain "User: / Assistant:" text of the displayed messages
+     */
+    toPlainText() {
+        return this.turns
+            .filter(turn => turn.displayText.trim() !== '')
+            .map(turn => `${ConversationTranscript.speakerLabel(turn.speaker)}: ${turn.displayText.trim()}\n\n`)
+            .join('');
+    }
+
+    /**
+     * Milliseconds between the start of the transcript and the given ISO timestamp
+     */
+    offsetOf(timestamp) {
+        return Math.max(0, new Date(timestamp) - new Date(this.startedAt));
+    }
+
+    /**
+     * A copy with only the turns still running at or after the given ISO timestamp, timed from that moment.
+     * Used to align captions with a recording started part way through the conversation.
+     */
+    since(timestamp) {
+        const transcript = ConversationTranscript.fromJSON(this.toJSON());
+        transcript.startedAt = timestamp;
+        transcript.turns = transcript.turns.filter(turn => new Date(turn.endTime) >= new Date(timestamp));
+        return transcript;
+    }
+
+    /**
+     * Caption cues (start/end offsets in milliseconds) for the turns with text.
+     * Turns recorded without a duration get an estimated one based on their length,
+     * and cues never overlap the previous one.
+     */
+    toCues() {
+        let previousEnd = 0;
+        return this.turns
+            .filter(turn => turn.displayText.trim() !== '')
+            .map(turn => {
+                const start = Math.max(this.offsetOf(turn.startTime), previousEnd);
+                let end = this.offsetOf(turn.endTime);
+                if (end <= start) {
+                    const wordCount = turn.displayText.trim().split(/\s+/).length;
+                    end = start + Math.max(1000, wordCount * 400);
+                }
+                previousEnd = end;
+                return {
+                    start: start,
+                    end: end,
+                    speaker: ConversationTranscript.speakerLabel(turn.speaker),
+                    text: turn.displayText.trim()
+                };
+            });
+    }
+
+    /**
+     * Format milliseconds as HH:MM:SS.mmm (WebVTT) or HH:MM:SS,mmm (SRT)
+     */
+    static formatTimestamp(milliseconds, fractionSeparator) {
+        const pad = (value, length) => String(value).padStart(length, '0');
+        const hours = Math.floor(milliseconds / 3600000);
+        const minutes = Math.floor((milliseconds % 3600000) / 60000);
+        const seconds = Math.floor((milliseconds % 60000) / 1000);
+        return `${pad(hours, 2)}:${pad(minutes, 2)}:${pad(seconds, 2)}${fractionSeparator}${pad(Math.floor(milliseconds % 1000), 3)}`;
+    }
+
+    /**
+     * Parse HH:MM:SS.mmm, HH:MM:SS,mmm or MM:SS.mmm into milliseconds
+     */
+    static parseTimestamp(text) {
+        const parts = text.trim().replace(',', '.').split(':');
+        const seconds = parseFloat(parts.pop());
+        const minutes = parseInt(parts.pop() || '0');
+        const hours = parseInt(parts.pop() || '0');
+        return Math.round(((hours * 60 + minutes) * 60 + seconds) * 1000);
+    }
+
+    /**
+     * WebVTT captions, with the speaker as a voice span
+     */
+    toWebVtt() {
+        let vtt = 'WEBVTT\n\n';
+        this.toCues().forEach((cue, index) => {
+            vtt += `${index + 1}\n`;
+            vtt += `${ConversationTranscript.formatTimestamp(cue.start, '.')} --> ${ConversationTranscript.formatTimestamp(cue.end, '.')}\n`;
+            vtt += `<v ${cue.speaker}>${cue.text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}\n\n`;
+        });
+        return vtt;
+    }
+
+    /**
+     * SRT subtitles, with the speaker as a "Speaker:" prefix
+     */
+    toSrt() {
+        let srt = '';
+        this.toCues().forEach((cue, index) => {
+            srt += `${index + 1}\n`;
+            srt += `${ConversationTranscript.formatTimestamp(cue.start, ',')} --> ${ConversationTranscript.formatTimestamp(cue.end, ',')}\n`;
+            srt += `${cue.speaker}: ${cue.text}\n\n`;
+        });
+        return srt;
+    }
+
+    /**
+     * Parse a transcript in any of the supported formats: the JSON produced by toJSON(), WebVTT, SRT
+     * or plain "User: / Assistant:" text. personaNames are the names the assistant may be labelled with instead,
+     * e.g. the persona of the scenario.
+     */
+    static parse(text, personaNames = []) {
+        const content = text.replace(/^\uFEFF/, '').trim();
+        if (content.startsWith('{')) {
+            return ConversationTranscript.fromJSON(JSON.parse(content));
+        }
+        if (/^WEBVTT/.test(content)) {
+            return ConversationTranscript.fromCaptions(content, personaNames);
+        }
+        if (/^\d+\s*\r?\n\s*[\d:,.]+\s*-->/.test(content)) {
+            return ConversationTranscript.fromCaptions(content, personaNames);
+        }
+        return ConversationTranscript.fromPlainText(content, personaNames);
+    }
+
+    /**
+     * Map a speaker label from an imported file to 'user' or 'assistant': the labels the exports write, or one of
+     * the persona names of the assistant. Any other label is no speaker, and gives null.
+     */
+    static speakerFromLabel(label, personaNames = []) {
+        const name = label.trim().toLowerCase();
+        const speaker = ['user', 'assistant'].find(item => ConversationTranscript.speakerLabel(item).toLowerCase() === name);
+        if (speaker) {
+            return speaker;
+        }
+        return personaNames.some(personaName => personaName.trim().toLowerCase() === name) ? 'assistant' : null;
+    }
+
+    /**
+     * The labels speakerFromLabel() knows, for error messages
+     */
+    static knownLabels(personaNames = []) {
+        return ['user', 'assistant'].map(speaker => ConversationTranscript.speakerLabel(speaker))
+            .concat(personaNames.map(personaName => personaName.trim()).filter(personaName => personaName !== ''));
+    }
+
+    /**
+     * Parse WebVTT or SRT captions. Consecutive cues of the same speaker are merged into one turn.
+     * A "Label:" prefix which is no known speaker, e.g. "Note:", is part of the text, and a cue without a speaker
+     * continues the previous turn. A voice span of an unknown speaker, or a cue without a speaker before the first
+     * one with a speaker, is rejected rather than given to the wrong speaker.
+     */
+    static fromCaptions(content, personaNames = []) {
+        const transcript = new ConversationTranscript();
+        const startedAt = new Date(transcript.startedAt).getTime();
+        const labels = ConversationTranscript.knownLabels(personaNames);
+        let previousTurn = null;
+        let cueNumber = 0;
+
+        content.split(/\r?\n\s*\r?\n/).forEach(block => {
+            const lines = block.split(/\r?\n/);
+            const timingIndex = lines.findIndex(line => line.includes('-->'));
+            if (timingIndex < 0) {
+                return; // Header, NOTE or STYLE block
+            }
+            cueNumber++;
+
+            const [startText, endText] = lines[timingIndex].split('-->');
+            const start = ConversationTranscript.parseTimestamp(startText);
+            const end = ConversationTranscript.parseTimestamp(endText.trim().split(/\s+/)[0]);
+            let text = lines.slice(timingIndex + 1).join(' ').trim();
+            let speaker = null;
+
+            const voiceMatch = text.match(/^<v(?:\.[\w.]+)?\s+([^>]+)>/);
+            const prefixMatch = text.match(/^([A-Za-z][\w .'-]{0,30}):\s+/);
+            if (voiceMatch) {
+                speaker = ConversationTranscript.speakerFromLabel(voiceMatch[1], personaNames);
+                if (!speaker) {
+                    throw new Error(`Cue ${cueNumber} is spoken by "${voiceMatch[1].trim()}", which is none of the speakers (${labels.join(', ')})`);
+                }
+                text = text.replace(/<\/?v[^>]*>/g, '');
+            } else if (prefixMatch) {
+                speaker = ConversationTranscript.speakerFromLabel(prefixMatch[1], personaNames);
+                if (speaker) {
+                    text = text.slice(prefixMatch[0].length);
+                }
+            }
+            text = text.replace(/<[^>]+>/g, '').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&').trim();
+            if (!text) {
+                return;
+            }
+
+            if (!speaker) {
+                if (!previousTurn) {
+                    throw new Error(`Cue ${cueNumber} comes before the first speaker label (${labels.map(label => `${label}:`).join(' or ')}): ${text}`);
+                }
+                speaker = previousTurn.speaker;
+            }
+            if (previousTurn && previousTurn.speaker === speaker) {
+                previousTurn.rawText += ' ' + text;
+                previousTurn.displayText = previousTurn.rawText;
+                previousTurn.endTime = new Date(startedAt + end).toISOString();
+                return;
+            }
+
+            const turn = transcript.startTurn(speaker, 'typed', text);
+            turn.startTime = new Date(startedAt + start).toISOString();
+            turn.endTime = new Date(startedAt + end).toISOString();
+            previousTurn = turn;
+        });
+
+        return transcript;
+    }
+
+    /**
+     * Parse plain "User: / Assistant:" text, as in samples/sample-transcript.txt, or as toPlainText() and toPromptText()
+     * write it, with "(interrupted)" after the label of an interrupted turn. Lines without a speaker label continue the
+     * previous turn, as do lines with another label, e.g. "Note:". Text before the first label belongs to no turn, so it
+     * is rejected rather than dropped. The assistant may be labelled with one of personaNames instead.
+     */
+    static fromPlainText(content, personaNames = []) {
+        const transcript = new ConversationTranscript();
+        const labels = ConversationTranscript.knownLabels(personaNames);
+        const escapedLabels = labels.map(label => label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const labelPattern = new RegExp(`^\\s*(${escapedLabels.join('|')})(\\s*\\(interrupted\\))?\\s*:\\s*(.*)$`, 'i');
+        let currentTurn = null;
+
+        content.split(/\r?\n/).forEach((line, index) => {
+            const match = line.match(labelPattern);
+            if (match) {
+                currentTurn = transcript.startTurn(ConversationTranscript.speakerFromLabel(match[1], personaNames), 'typed', match[3].trim());
+                currentTurn.interrupted = match[2] !== undefined;
+            } else if (line.trim() !== '') {
+                if (!currentTurn) {
+                    throw new Error(`Line ${index + 1} comes before the first speaker label (${labels.map(label => `${label}:`).join(' or ')}): ${line.trim()}`);
+                }
+                currentTurn.rawText += (currentTurn.rawText ? '\n' : '') + line.trim();
+                currentTurn.displayText = currentTurn.rawText;
+            }
+        });
+
+        return transcript;
+    }
+
+    /**
+     * Text for the evaluator prompts, built from the raw text and flagging interrupted turns
+     */
+    toPromptText() {
+        return this.turns
+            .filter(turn => turn.rawText.trim() !== '')
+            .map(turn => {
+                const label = ConversationTranscript.speakerLabel(turn.speaker) + (turn.interrupted ? ' (interrupted)' : '');
+                return `${label}: ${turn.rawText.trim()}\n\n`;
+            })
+            .join('');
+    }
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { ConversationTranscript };
+}
@@ -0,0 +1,99 @@
+// avatar-connection.test.js - Negotiating the WebRTC connection to the avatar service through the server, with fake peer connections
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { AvatarConnection } = require('../static/js/avatar-connection');
+const { MockBackend } = require('./helpers/mock-backend');
+const { FakeAvatarService, FakePeerConnection } = require('./helpers/fake-media');
+
+// A connection of a new client of the backend, which the fake avatar service answers
+function createConnection(backendOptions = {}) {
+    const backend = new MockBackend(backendOptions);
+    const { clientId } = backend.initializeClient();
+    const service = new FakeAvatarService();
+    const events = [];
+    const connection = new AvatarConnection({
+        onEvent: data => events.push(JSON.parse(data).event.eventType),
+        fetch: backend.fetch,
+        createPeerConnection: configuration => new FakePeerConnection(configuration),
+        getRemoteDescription: (remoteSdp, peerConnection) => service.answer(peerConnection)
+    });
+    return { backend, clientId, service, events, connection };
+}
+
+function waitFor(predicate) {
+    return new Promise(resolve => {
+        const check = () => (predicate() ? resolve() : setTimeout(check, 1));
+        check();
+    });
+}
+
+test('the offer goes to the server with the headers, and the events of the avatar service come from the data channel', async () => {
+    const { backend, clientId, service, events, connection } = createConnection();
+    const peerConnection = await connection.open();
+    assert.deepStrictEqual(peerConnection.configuration, {
+        iceServers: [{ urls: ['turn:mock.invalid:3478'], username: 'mock', credential: 'mock' }],
+        iceTransportPolicy: 'relay'
+    });
+    assert.deepStrictEqual(peerConnection.transceivers.map(transceiver => transceiver.kind), ['video', 'audio']);
+
+    await connection.connect({ ClientId: clientId, AvatarCharacter: 'lisa' });
+    const connectRequest = backend.requestsTo('/api/connectAvatar')[0];
+    assert.strictEqual(connectRequest.headers['AvatarCharacter'], 'lisa');
+    assert.deepStrictEqual(JSON.parse(atob(connectRequest.body)), peerConnection.localDescription);
+    assert.strictEqual(peerConnection.remoteDescription.sdp, service.peerConnection.localDescription.sdp);
+
+    await waitFor(() => connection.dataChannel !== null && connection.dataChannel.readyState === 'open');
+    service.sendEvent('EVENT_TYPE_SWITCH_TO_SPEAKING');
+    await waitFor(() => events.length === 1);
+    assert.deepStrictEqual(events, ['EVENT_TYPE_SWITCH_TO_SPEAKING']);
+
+    // A lost connection's events are not taken for the ones of the next
+    connection.detach();
+    service.sendEvent('EVENT_TYPE_SESSION_END');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.deepStrictEqual(events, ['EVENT_TYPE_SWITCH_TO_SPEAKING']);
+    connection.close();
+    assert.strictEqual(peerConnection.signalingState, 'closed');
+});
+
+test('the offer is sent once the ICE gathering times out', async () => {
+    const { backend, clientId, connection } = createConnection();
+    connection.iceGatheringTimeoutMs = 10;
+    const peerConnection = await connection.open();
+    // ICE gathering which never completes
+    peerConnection.setLocalDescription = async description => {
+        peerConnection.localDescription = description;
+    };
+
+    await connection.connect({ ClientId: clientId });
+    assert.strictEqual(backend.requestsTo('/api/connectAvatar').length, 1);
+});
+
+test('a failed connection request is thrown with the status of the server', async () => {
+    const { clientId, connection } = createConnection({ failedAvatarConnections: 1 });
+    await connection.open();
+    await assert.rejects(connection.connect({ ClientId: clientId }), { message: 'Failed connecting to the Avatar service: 400 ' });
+});
+
+test('the mock avatar answers on a loopback connection without the ICE servers', async (t) => {
+    const created = [];
+    global.RTCPeerConnection = class extends FakePeerConnection {
+        constructor(configuration) {
+            super(configuration);
+            created.push(this);
+        }
+    };
+    t.after(() => delete global.RTCPeerConnection);
+    const { clientId, connection } = createConnection();
+    const answered = [];
+    connection.useMockAvatar({ answer: peerConnection => answered.push(peerConnection) && new FakeAvatarService().answer(peerConnection) });
+
+    const peerConnection = await connection.open();
+    await connection.connect({ ClientId: clientId });
+    assert.deepStrictEqual(created, [peerConnection]);
+    assert.deepStrictEqual(peerConnection.configuration.iceServers, []);
+    assert.strictEqual(peerConnection.configuration.iceTransportPolicy, 'all');
+    assert.deepStrictEqual(answered, [peerConnection]);
+    connection.close();
+});
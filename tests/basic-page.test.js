@@ -0,0 +1,135 @@
+// basic-page.test.js - The basic page: a session with the avatar service, speaking a text and stopping it
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { openBasicPage } = require('./helpers/page');
+const { MockBackend } = require('./helpers/mock-backend');
+const { FakeAvatarService } = require('./helpers/fake-media');
+
+// Start the session, with the fake avatar service answering the page's offer
+async function startSession(page) {
+    const service = new FakeAvatarService();
+    page.evaluate('avatarConnection').getRemoteDescription = (remoteSdp, peerConnection) => service.answer(peerConnection);
+    page.click('startSession');
+    await page.waitFor(() => page.element('speak').disabled === false, 'the session to connect');
+    return service;
+}
+
+test('the basic page starts a session, speaks a text and stops', async () => {
+    const backend = new MockBackend();
+    const page = await openBasicPage(backend);
+    try {
+        const service = await startSession(page);
+
+        const connectRequests = backend.requestsTo('/api/connectAvatar');
+        assert.strictEqual(connectRequests.length, 1);
+        assert.strictEqual(connectRequests[0].headers['ClientId'], page.element('clientId').value);
+        assert.strictEqual(connectRequests[0].headers['AvatarCharacter'], 'lisa');
+        assert.deepStrictEqual(page.read('avatarConnection.peerConnection.configuration.iceServers[0].urls'), ['turn:mock.invalid:3478']);
+        assert.strictEqual(page.element('configuration').hidden, true);
+        assert.strictEqual(page.element('stopSession').disabled, false);
+        assert.ok(page.document.getElementById('video'));
+        assert.strictEqual(page.document.getElementById('audio').muted, true);
+
+        page.element('spokenText').value = 'Fish & chips <tonight>';
+        page.click('speak');
+        await page.waitFor(() => backend.requestsTo('/api/speak').length === 1, 'the speak request');
+        const speakRequest = backend.requestsTo('/api/speak')[0];
+        assert.strictEqual(speakRequest.headers['Content-Type'], 'application/ssml+xml');
+        assert.match(speakRequest.body, /<voice name='en-US-AmandaMultilingualNeural'>/);
+        assert.match(speakRequest.body, /Fish &amp; chips &lt;tonight&gt;<\/mstts:ttsembedding>/);
+        assert.strictEqual(page.element('speak').disabled, true);
+        assert.strictEqual(page.element('stopSpeaking').disabled, false);
+        assert.strictEqual(page.document.getElementById('audio').muted, false);
+
+        // The avatar service tells the page when the avatar is done speaking
+        service.sendEvent('EVENT_TYPE_SWITCH_TO_IDLE');
+        await page.waitFor(() => page.element('speak').disabled === false, 'the avatar to stop speaking');
+        assert.strictEqual(page.element('stopSpeaking').disabled, true);
+
+        page.click('stopSession');
+        await page.waitFor(() => backend.requestsTo('/api/disconnectAvatar').length === 1, 'the avatar to disconnect');
+        assert.strictEqual(page.element('speak').disabled, true);
+        assert.strictEqual(page.element('stopSession').disabled, true);
+        assert.deepStrictEqual(page.errors(), []);
+    } finally {
+        await page.close();
+    }
+});
+
+test('the basic page stops speaking on request', async () => {
+    const backend = new MockBackend({ speakingMs: 1000 });
+    const page = await openBasicPage(backend);
+    try {
+        await startSession(page);
+        page.click('speak');
+        page.click('stopSpeaking');
+        await page.waitFor(() => backend.requestsTo('/api/stopSpeaking').length === 1, 'the stop speaking request');
+        assert.strictEqual(backend.requestsTo('/api/stopSpeaking')[0].headers['ClientId'], page.element('clientId').value);
+        assert.strictEqual(page.element('stopSpeaking').disabled, true);
+    } finally {
+        await page.close();
+    }
+});
+
+test('the basic page offers to start again when the connection is lost', async () => {
+    const backend = new MockBackend();
+    const page = await openBasicPage(backend);
+    try {
+        const service = await startSession(page);
+        service.peerConnection.close();
+        await page.waitFor(() => page.element('startSession').disabled === false, 'the page to notice');
+        assert.strictEqual(page.element('speak').disabled, true);
+        assert.strictEqual(page.element('configuration').hidden, false);
+    } finally {
+        await page.close();
+    }
+});
+
+test('the basic page in mock mode speaks with the mock avatar, which it hears of with the status polls', async () => {
+    const backend = new MockBackend({ speakingMs: 100 });
+    const page = await openBasicPage(backend, { mockMode: true });
+    try {
+        page.click('startSession');
+        await page.waitFor(() => page.element('speak').disabled === false, 'the session to connect');
+        assert.deepStrictEqual(page.read('avatarConnection.peerConnection.configuration.iceServers'), []);
+        assert.strictEqual(page.evaluate('mockAvatar.servicePeerConnection').peer, page.evaluate('avatarConnection.peerConnection'));
+
+        const speakingStates = [];
+        const mockAvatar = page.evaluate('mockAvatar');
+        const setSpeaking = mockAvatar.setSpeaking.bind(mockAvatar);
+        mockAvatar.setSpeaking = speaking => {
+            speakingStates.push(speaking);
+            setSpeaking(speaking);
+        };
+        page.click('speak');
+        assert.strictEqual(page.element('speak').disabled, true);
+        // The mock avatar's idle event on its data channel lets the page speak again
+        await page.waitFor(() => page.element('speak').disabled === false, 'the avatar to stop speaking');
+        assert.deepStrictEqual(speakingStates, [true, false]);
+        assert.strictEqual(page.element('stopSpeaking').disabled, true);
+        assert.deepStrictEqual(page.errors(), []);
+    } finally {
+        await page.close();
+    }
+});
+
+test('the basic page keeps its client alive while no session is running', async () => {
+    const backend = new MockBackend();
+    const page = await openBasicPage(backend, { keepAliveIntervalSeconds: 0.02 });
+    try {
+        await page.waitFor(() => backend.requestsTo('/api/keepAlive').length >= 2, 'the keepalives');
+        assert.ok(backend.requestsTo('/api/keepAlive').every(request => request.headers['ClientId'] === page.element('clientId').value));
+    } finally {
+        await page.close();
+    }
+});
+
+test('the basic page releases its client when it is closed', async () => {
+    const backend = new MockBackend();
+    const page = await openBasicPage(backend);
+    const clientId = page.element('clientId').value;
+    await page.unload();
+    assert.deepStrictEqual(backend.beacons.map(beacon => beacon.path), ['/api/releaseClient']);
+    assert.strictEqual(backend.clients.has(clientId), false);
+});
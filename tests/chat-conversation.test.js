@@ -0,0 +1,110 @@
+// chat-conversation.test.js - The turns and latencies of the chat conversation, from the chat frames of its replies
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ChatConversation } = require('../static/js/chat-conversation');
+const { ConversationTranscript } = require('../static/js/transcript');
+
+// A conversation on a clock which only moves when told to, with the view changes it makes
+function createConversation() {
+    const clock = { time: 0 };
+    const changes = [];
+    const conversation = new ChatConversation({
+        onReplyStarted: turn => changes.push(['started', turn.id]),
+        onReplyUpdated: turn => changes.push(['updated', turn.displayText]),
+        onReplyError: (turn, message) => changes.push(['error', turn.id, message]),
+        onSpeech: text => changes.push(['speech', text]),
+        onLatency: (turn, name, ms) => changes.push(['latency', turn.speaker, name, ms])
+    }, {
+        transcript: new ConversationTranscript(),
+        now: () => clock.time
+    });
+    return { conversation, clock, changes };
+}
+
+test('the frames of a reply go into one assistant turn, and the next reply starts another', () => {
+    const { conversation, changes } = createConversation();
+    const handlers = conversation.frameHandlers;
+    conversation.addUserTurn('typed', 'Which policy applies to me?');
+    handlers.citations({ citations: [{ title: 'Leave policy' }] });
+    handlers.token({ text: 'The leave policy [doc1]' });
+    handlers.token({ text: ' applies.' });
+    handlers.done();
+    handlers.token({ text: 'Anything else?' });
+
+    const turns = conversation.transcript.turns;
+    assert.deepStrictEqual(turns.map(turn => [turn.speaker, turn.rawText]), [
+        ['user', 'Which policy applies to me?'],
+        ['assistant', 'The leave policy [doc1] applies.'],
+        ['assistant', 'Anything else?']
+    ]);
+    assert.strictEqual(turns[1].displayText, 'The leave policy applies.');
+    assert.deepStrictEqual(turns[1].citations, [{ title: 'Leave policy' }]);
+    assert.deepStrictEqual(changes.filter(change => change[0] === 'started'), [['started', turns[1].id], ['started', turns[2].id]]);
+    assert.strictEqual(conversation.replying, true);
+});
+
+test('a failed reply and the sentences of audio-only mode go to the view', (t) => {
+    t.mock.method(console, 'error', () => {});
+    const { conversation, changes } = createConversation();
+    conversation.frameHandlers.speech({ text: 'Hello.' });
+    conversation.frameHandlers.error({ message: 'The chat backend is unavailable' });
+    const turn = conversation.assistantTurn;
+    assert.deepStrictEqual(changes, [['speech', 'Hello.'], ['started', turn.id], ['error', turn.id, 'The chat backend is unavailable']]);
+});
+
+test('the app service and TTS latencies are measured from the query and the first sentence', () => {
+    const { conversation, clock, changes } = createConversation();
+    conversation.addUserTurn('typed', 'I had a hard week.');
+    clock.time = 1000;
+    conversation.querySent();
+    clock.time = 2000;
+    conversation.frameHandlers.latency({ name: 'aoaiFirstToken', ms: 600 });
+    conversation.frameHandlers.latency({ name: 'aoaiFirstSentence', ms: 700 });
+    clock.time = 2500;
+    conversation.speakingStarted();
+    // Only the first speaking of a reply counts
+    conversation.speakingStarted();
+
+    assert.deepStrictEqual(changes.filter(change => change[0] === 'latency'), [
+        ['latency', 'assistant', 'aoaiFirstToken', 600],
+        ['latency', 'assistant', 'appService', 300],
+        ['latency', 'assistant', 'aoaiFirstSentence', 700],
+        ['latency', 'assistant', 'tts', 500]
+    ]);
+    assert.deepStrictEqual(conversation.assistantTurn.latency, { aoaiFirstToken: 600, appService: 300, aoaiFirstSentence: 700, tts: 500 });
+});
+
+test('the STT latency of a spoken query is kept on its user turn', () => {
+    const { conversation, changes } = createConversation();
+    const userTurn = conversation.addUserTurn('stt', 'I had a hard week.');
+    conversation.frameHandlers.latency({ name: 'stt', ms: 400 });
+    assert.strictEqual(userTurn.latency.stt, 400);
+    assert.deepStrictEqual(changes, [['latency', 'user', 'stt', 400]]);
+});
+
+test('a restored history is shown without its citation markers and needs no opening line, until the conversation is cleared', () => {
+    const { conversation } = createConversation();
+    const turns = conversation.restore([
+        { role: 'user', content: 'Which policy applies to me?', interrupted: false },
+        { role: 'assistant', content: 'The leave policy [doc1] applies.', interrupted: true }
+    ]);
+    assert.deepStrictEqual(turns.map(turn => [turn.speaker, turn.source, turn.displayText, turn.interrupted]), [
+        ['user', 'restored', 'Which policy applies to me?', false],
+        ['assistant', 'restored', 'The leave policy applies.', true]
+    ]);
+    assert.strictEqual(conversation.openingLineSpoken, true);
+
+    conversation.clear();
+    assert.deepStrictEqual(conversation.transcript.turns, []);
+    assert.strictEqual(conversation.openingLineSpoken, false);
+});
+
+test('stopping the avatar marks the latest reply as interrupted', () => {
+    const { conversation } = createConversation();
+    conversation.interrupted();
+    const openingTurn = conversation.addOpeningLine("Hello, I'm the mock avatar.", true);
+    assert.strictEqual(openingTurn.source, 'llm');
+    conversation.interrupted();
+    assert.strictEqual(openingTurn.interrupted, true);
+});
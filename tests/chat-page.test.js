@@ -0,0 +1,377 @@
+// chat-page.test.js - The chat page in mock mode: session start and stop, typed chat over both transports, reconnects and transcript export
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { openChatPage, readBlob } = require('./helpers/page');
+const { MockBackend } = require('./helpers/mock-backend');
+
+const reply = 'Thanks for telling me that. Could you say a little more about what happened?';
+
+// Start the session and wait for the mock avatar's video to play
+async function startSession(page) {
+    page.click('startSession');
+    await page.waitFor(() => page.document.getElementById('videoPlayer'), 'the avatar video');
+    await page.waitFor(() => page.evaluate('sessionState.isConnected()'), 'the session to connect');
+}
+
+// Type a message and wait for the whole reply to show
+async function typeMessage(page, text) {
+    page.check('showTypeMessage');
+    page.type('userMessageBox', text);
+    return page.waitFor(() => {
+        const botMessages = page.document.querySelectorAll('#chatMessages .bot-message');
+        const lastMessage = botMessages[botMessages.length - 1];
+        return lastMessage && lastMessage.textContent.trim() === reply && page.evaluate('chatConversation.replying') === false ? lastMessage : null;
+    }, 'the reply');
+}
+
+test('the chat page starts a session with the mock avatar and stops it', async () => {
+    const backend = new MockBackend();
+    const page = await openChatPage(backend);
+    try {
+        assert.strictEqual(page.element('stopSession').disabled, true);
+        await startSession(page);
+
+        assert.strictEqual(backend.requestsTo('/api/connectAvatar').length, 1);
+        assert.strictEqual(page.element('configuration').hidden, true);
+        assert.strictEqual(page.element('stopSession').disabled, false);
+        assert.strictEqual(page.element('chatMessages').hidden, false);
+        assert.match(page.element('sessionStatusText').textContent, /Connected/);
+        // The mock avatar answered the page's offer itself, without the fake ICE servers
+        const pagePeerConnection = page.evaluate('avatarConnection.peerConnection');
+        assert.deepStrictEqual(page.read('avatarConnection.peerConnection.configuration.iceServers'), []);
+        const mockPeerConnection = page.evaluate('mockAvatar.servicePeerConnection');
+        assert.strictEqual(mockPeerConnection.peer, pagePeerConnection);
+
+        page.click('stopSession');
+        await page.waitFor(() => backend.requestsTo('/api/disconnectAvatar').length === 1, 'the avatar to disconnect');
+        assert.strictEqual(page.evaluate('sessionState.state'), 'closed');
+        assert.strictEqual(page.element('configuration').hidden, false);
+        assert.strictEqual(page.element('startSession').disabled, false);
+        assert.strictEqual(page.element('stopSession').disabled, true);
+        assert.deepStrictEqual(page.errors(), []);
+    } finally {
+        await page.close();
+    }
+});
+
+test('the opening line is spoken once, not again when the session is stopped and started', async () => {
+    const backend = new MockBackend();
+    const page = await openChatPage(backend);
+    try {
+        page.element('openingLine').value = 'I have been feeling low.';
+        await startSession(page);
+        await page.waitFor(() => page.document.querySelector('#chatMessages .bot-message'), 'the opening line');
+
+        page.click('stopSession');
+        await page.waitFor(() => backend.requestsTo('/api/disconnectAvatar').length === 1, 'the avatar to disconnect');
+        await startSession(page);
+        assert.strictEqual(backend.requestsTo('/api/chat/openingLine').length, 1);
+        assert.strictEqual(page.document.querySelectorAll('#chatMessages .bot-message').length, 1);
+        const clientId = page.evaluate('serverTransport.clientId');
+        assert.deepStrictEqual(backend.clients.get(clientId).messages.map(message => message.content), ['I have been feeling low.']);
+        assert.deepStrictEqual(page.errors(), []);
+    } finally {
+        await page.close();
+    }
+});
+
+test('with local video for idle, the avatar connects to speak the opening line', async () => {
+    const backend = new MockBackend();
+    const page = await openChatPage(backend);
+    try {
+        page.element('openingLine').value = 'I have been feeling low.';
+        page.check('useLocalVideoForIdle');
+        await startSession(page);
+        await page.waitFor(() => backend.requestsTo('/api/speak').length === 1, 'the opening line to be spoken');
+        assert.strictEqual(backend.requestsTo('/api/chat/openingLine').length, 1);
+        assert.deepStrictEqual(page.errors(), []);
+    } finally {
+        await page.close();
+    }
+});
+
+test('a typed message streams its reply over HTTP', async () => {
+    const backend = new MockBackend({ websockets: false, chunkLength: 7 });
+    const page = await openChatPage(backend);
+    try {
+        await startSession(page);
+        const botMessage = await typeMessage(page, 'I had a hard week.');
+
+        const chatRequests = backend.requestsTo('/api/chat');
+        assert.strictEqual(chatRequests.length, 1);
+        assert.strictEqual(chatRequests[0].body, 'I had a hard week.');
+        assert.strictEqual(chatRequests[0].headers['ChatBackend'], 'mock');
+        assert.strictEqual(backend.sockets.length, 0);
+        assert.strictEqual(page.element('userMessageBox').value, '');
+
+        const userMessages = page.document.querySelectorAll('#chatMessages .user-message');
+        assert.strictEqual(userMessages[userMessages.length - 1].textContent, 'I had a hard week.');
+        assert.ok(botMessage.dataset.turnId);
+
+        const turns = page.read('chatConversation.transcript.turns');
+        const assistantTurn = turns[turns.length - 1];
+        assert.deepStrictEqual(turns.slice(-2).map(turn => [turn.speaker, turn.source]), [['user', 'typed'], ['assistant', 'llm']]);
+        assert.strictEqual(assistantTurn.rawText, reply);
+        assert.strictEqual(assistantTurn.latency.aoaiFirstToken, 600);
+        assert.strictEqual(assistantTurn.latency.aoaiFirstSentence, 700);
+        assert.deepStrictEqual(page.errors(), []);
+    } finally {
+        await page.close();
+    }
+});
+
+test('a typed message streams its reply over the websocket', async () => {
+    const backend = new MockBackend({ websockets: true });
+    const page = await openChatPage(backend);
+    try {
+        await startSession(page);
+        assert.strictEqual(backend.sockets.length, 1);
+        assert.strictEqual(backend.sockets[0].clientId, page.evaluate('serverTransport.clientId'));
+
+        await typeMessage(page, 'I had a hard week.');
+        assert.strictEqual(backend.requestsTo('/api/chat').length, 0);
+        const chatMessages = backend.sockets[0].sent.filter(message => message.data.path === 'api.chat');
+        assert.strictEqual(chatMessages.length, 1);
+        assert.strictEqual(chatMessages[0].data.userQuery, 'I had a hard week.');
+        assert.strictEqual(chatMessages[0].data.chatBackend, 'mock');
+
+        const turns = page.read('chatConversation.transcript.turns');
+        assert.strictEqual(turns[turns.length - 1].rawText, reply);
+        assert.deepStrictEqual(page.errors(), []);
+    } finally {
+        await page.close();
+    }
+});
+
+test('the chat page ignores the chat frames of other clients on the websocket', async () => {
+    const backend = new MockBackend({ websockets: true });
+    const page = await openChatPage(backend);
+    try {
+        await startSession(page);
+        const messageCount = page.element('chatMessages').children.length;
+        backend.broadcast({ path: 'api.chat', frame: { type: 'token', text: 'Not for this page.' }, clientId: 'another-client' });
+        assert.strictEqual(page.element('chatMessages').children.length, messageCount);
+    } finally {
+        await page.close();
+    }
+});
+
+test('the mock avatar speaks the reply over the websocket', async () => {
+    const backend = new MockBackend({ websockets: true, speakingMs: 100 });
+    const page = await openChatPage(backend);
+    try {
+        await startSession(page);
+        const states = [];
+        page.evaluate('sessionState').onChange(state => states.push(state));
+        await typeMessage(page, 'I had a hard week.');
+        await page.waitFor(() => states.includes('speaking') && page.evaluate('sessionState.state') === 'active', 'the avatar to speak and stop');
+        assert.ok(backend.spoken.length > 0);
+        assert.strictEqual(page.element('stopSpeaking').disabled, true);
+    } finally {
+        await page.close();
+    }
+});
+
+test('the mock avatar speaks the reply over HTTP, with the status polls', async () => {
+    const backend = new MockBackend({ websockets: false, speakingMs: 100 });
+    const page = await openChatPage(backend);
+    try {
+        await startSession(page);
+        const states = [];
+        page.evaluate('sessionState').onChange(state => states.push(state));
+        await typeMessage(page, 'I had a hard week.');
+        await page.waitFor(() => states.includes('speaking') && page.evaluate('sessionState.state') === 'active', 'the avatar to speak and stop');
+        assert.strictEqual(backend.sockets.length, 0);
+        assert.ok(backend.requestsTo('/api/getStatus').length > 0);
+    } finally {
+        await page.close();
+    }
+});
+
+test('the mock avatar of one client does not speak on the page of another', async () => {
+    const backend = new MockBackend({ websockets: true, speakingMs: 100 });
+    const speakingPage = await openChatPage(backend);
+    const otherPage = await openChatPage(backend);
+    try {
+        await startSession(speakingPage);
+        await startSession(otherPage);
+        const otherStates = [];
+        otherPage.evaluate('sessionState').onChange(state => otherStates.push(state));
+        await typeMessage(speakingPage, 'I had a hard week.');
+        await speakingPage.waitFor(() => backend.spoken.length > 0 && speakingPage.evaluate('sessionState.state') === 'active', 'the avatar to speak and stop');
+
+        const speakingEvents = clientId => backend.sockets
+            .find(socket => socket.clientId === clientId).received
+            .filter(message => message.event === 'response' && message.data.eventType === 'MOCK_AVATAR_SPEAKING');
+        assert.ok(speakingEvents(speakingPage.evaluate('serverTransport.clientId')).length > 0);
+        assert.deepStrictEqual(speakingEvents(otherPage.evaluate('serverTransport.clientId')), []);
+        assert.deepStrictEqual(otherStates, []);
+    } finally {
+        await speakingPage.close();
+        await otherPage.close();
+    }
+});
+
+test('the chat page reconnects when the avatar service ends the session', async () => {
+    const backend = new MockBackend();
+    const page = await openChatPage(backend);
+    try {
+        page.check('autoReconnectAvatar');
+        page.evaluate('sessionState.baseDelayMs = 10');
+        await startSession(page);
+        const firstPeerConnection = page.evaluate('avatarConnection.peerConnection');
+
+        page.evaluate('mockAvatar.endSession()');
+        await page.waitFor(() => page.evaluate('sessionState.state') === 'reconnecting', 'the session to reconnect');
+        await page.waitFor(() => page.evaluate('sessionState.isConnected()') && page.evaluate('avatarConnection.peerConnection') !== firstPeerConnection, 'the session to connect again');
+
+        const connectRequests = backend.requestsTo('/api/connectAvatar');
+        assert.strictEqual(connectRequests.length, 2);
+        assert.strictEqual(connectRequests[0].headers['Reconnect'], undefined);
+        assert.strictEqual(connectRequests[1].headers['Reconnect'], 'true');
+        assert.strictEqual(backend.requestsTo('/api/chat/continueSpeaking').length, 1);
+        assert.strictEqual(page.evaluate('sessionState.attempt'), 0);
+    } finally {
+        await page.close();
+    }
+});
+
+test('the session fails instead of reconnecting when automatic reconnection is off', async () => {
+    const backend = new MockBackend();
+    const page = await openChatPage(backend);
+    try {
+        page.check('autoReconnectAvatar', false);
+        await startSession(page);
+        page.evaluate('mockAvatar.endSession()');
+        await page.waitFor(() => page.evaluate('sessionState.state') === 'failed', 'the session to fail');
+        assert.strictEqual(page.element('retrySession').hidden, false);
+        assert.strictEqual(backend.requestsTo('/api/connectAvatar').length, 1);
+    } finally {
+        await page.close();
+    }
+});
+
+test('the transcript of the chat is exported as WebVTT, SRT, text and JSON', async () => {
+    const backend = new MockBackend();
+    const page = await openChatPage(backend);
+    try {
+        await startSession(page);
+        await typeMessage(page, 'I had a hard week.');
+
+        for (const format of ['vtt', 'srt', 'txt', 'json']) {
+            page.evaluate(`window.downloadChatTranscript('${format}')`);
+        }
+        assert.deepStrictEqual(page.downloads.map(download => download.fileName.split('.').pop()), ['vtt', 'srt', 'txt', 'json']);
+        const [vtt, srt, text, json] = await Promise.all(page.downloads.map(download => readBlob(page, download.blob)));
+
+        assert.match(vtt, /^WEBVTT/);
+        assert.match(vtt, /<v User>I had a hard week\./);
+        assert.match(vtt, new RegExp(`<v Assistant>${reply.replace(/[.?]/g, '\\$&')}`));
+        assert.match(srt, /^1\r?\n\d\d:\d\d:\d\d,\d\d\d --> /);
+        assert.strictEqual(text, `User: I had a hard week.\n\nAssistant: ${reply}\n\n`);
+        const transcript = JSON.parse(json);
+        assert.deepStrictEqual(transcript.turns.map(turn => turn.displayText), ['I had a hard week.', reply]);
+
+        // The evaluation page gets the same transcript
+        page.evaluate('window.navigateToEvaluation()');
+        assert.strictEqual(page.window.localStorage.getItem('chatTranscript'), text);
+    } finally {
+        await page.close();
+    }
+});
+
+test('barge-in settings which are empty or out of range keep their defaults', async () => {
+    const backend = new MockBackend({ websockets: true });
+    const page = await openChatPage(backend);
+    try {
+        assert.deepStrictEqual(page.read('getBargeInOptions()'), { thresholdDb: -45, minSpeechMs: 200, hangoverMs: 500 });
+        page.element('bargeInThresholdDb').value = '-30';
+        page.element('bargeInMinSpeechMs').value = '';
+        page.element('bargeInHangoverMs').value = '0';
+        assert.deepStrictEqual(page.read('getBargeInOptions()'), { thresholdDb: -30, minSpeechMs: 200, hangoverMs: 0 });
+        page.element('bargeInThresholdDb').value = '12';
+        page.element('bargeInMinSpeechMs').value = '-5';
+        page.element('bargeInHangoverMs').value = '';
+        assert.deepStrictEqual(page.read('getBargeInOptions()'), { thresholdDb: -45, minSpeechMs: 200, hangoverMs: 500 });
+    } finally {
+        await page.close();
+    }
+});
+
+test('the chat page falls back to audio only when the avatar cannot connect, without retrying the avatar', async () => {
+    const backend = new MockBackend({ failedAvatarConnections: 1 });
+    const page = await openChatPage(backend);
+    try {
+        assert.strictEqual(page.element('audioOnlyFallback').checked, true);
+        page.check('autoReconnectAvatar');
+        // The retry would come before audio only has started
+        page.evaluate('sessionState.baseDelayMs = 0');
+        page.click('startSession');
+        await page.waitFor(() => page.evaluate('audioOnlyMode') && page.evaluate('sessionState.isConnected()'), 'the audio only session');
+        assert.strictEqual(page.element('audioOnlyPersona').hidden, false);
+        assert.match(page.element('sessionStatusText').textContent, /Audio only/);
+
+        // Well past the retry the avatar would have had
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.strictEqual(backend.requestsTo('/api/connectAvatar').length, 1);
+        assert.strictEqual(backend.requestsTo('/api/connectAudioOnly').length, 1);
+        assert.strictEqual(page.evaluate('sessionState.state'), 'active');
+        assert.strictEqual(page.evaluate('sessionState.retryTimer'), null);
+    } finally {
+        await page.close();
+    }
+});
+
+for (const websockets of [true, false]) {
+    test(`the chat page keeps its client alive before a session is started, ${websockets ? 'with' : 'without'} websockets`, async () => {
+        const backend = new MockBackend({ websockets: websockets });
+        const page = await openChatPage(backend, { keepAliveIntervalSeconds: 0.02 });
+        try {
+            await page.waitFor(() => backend.requestsTo('/api/keepAlive').length >= 2, 'the keepalives');
+            assert.ok(backend.requestsTo('/api/keepAlive').every(request => request.headers['ClientId'] === page.evaluate('serverTransport.clientId')));
+            assert.strictEqual(backend.sockets.length, 0);
+        } finally {
+            await page.close();
+        }
+    });
+}
+
+test('a reloaded page resumes its session while the websocket of the page before is still closing', async () => {
+    const backend = new MockBackend({ websockets: true });
+    const page = await openChatPage(backend);
+    let duplicatedPage = null;
+    let reloadedPage = null;
+    try {
+        await startSession(page);
+        await typeMessage(page, 'I had a hard week.');
+        const clientId = page.evaluate('serverTransport.clientId');
+        const sessionStorage = { avatarChatSession: page.window.sessionStorage.getItem('avatarChatSession') };
+
+        // A duplicated tab gets a session of its own while the page is open
+        duplicatedPage = await openChatPage(backend, { sessionStorage: sessionStorage });
+        await duplicatedPage.waitFor(() => duplicatedPage.element('startSession').disabled === false, 'the duplicated page to give up resuming');
+        assert.notStrictEqual(duplicatedPage.evaluate('serverTransport.clientId'), clientId);
+
+        // The page suspends its client as it goes away, before the server hears its websocket close
+        page.window.onbeforeunload();
+        reloadedPage = await openChatPage(backend, { sessionStorage: sessionStorage });
+        await reloadedPage.waitFor(() => reloadedPage.element('startSession').disabled === false, 'the reloaded page to resume');
+        assert.strictEqual(reloadedPage.evaluate('serverTransport.clientId'), clientId);
+        assert.strictEqual(reloadedPage.read('chatConversation.transcript.turns').length, 2);
+        assert.deepStrictEqual(backend.requestsTo('/api/resumeClient').map(request => request.headers['ClientId'] === clientId), [false, false]);
+
+        // The websocket of the reloaded page stays the one the server counts, once the page before has closed its own
+        await startSession(reloadedPage);
+        await page.close();
+        assert.strictEqual(backend.clients.get(clientId).websocketConnected, true);
+    } finally {
+        await page.close();
+        if (duplicatedPage) {
+            await duplicatedPage.close();
+        }
+        if (reloadedPage) {
+            await reloadedPage.close();
+        }
+    }
+});
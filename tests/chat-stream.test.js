@@ -0,0 +1,43 @@
+// chat-stream.test.js - Decoding the NDJSON chat stream, split anywhere by the network
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ChatStreamDecoder } = require('../static/js/chat-stream');
+
+function createDecoder() {
+    const frames = [];
+    const decoder = new ChatStreamDecoder({
+        token: frame => frames.push(['token', frame.text]),
+        latency: frame => frames.push(['latency', frame.name, frame.ms]),
+        done: () => frames.push(['done'])
+    });
+    return { decoder, frames };
+}
+
+test('frames split across chunks are dispatched once their line is complete', () => {
+    const { decoder, frames } = createDecoder();
+    const stream = '{"type":"latency","name":"aoaiFirstToken","ms":600}\n{"type":"token","text":"Héllo"}\n{"type":"done"}';
+    const bytes = new TextEncoder().encode(stream);
+    // Split inside the multi-byte é as well
+    for (let offset = 0; offset < bytes.length; offset += 5) {
+        decoder.push(bytes.slice(offset, offset + 5));
+    }
+    assert.deepStrictEqual(frames, [['latency', 'aoaiFirstToken', 600], ['token', 'Héllo']]);
+    decoder.end();
+    assert.deepStrictEqual(frames[frames.length - 1], ['done']);
+});
+
+test('unreadable lines and unknown frame types are skipped', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const { decoder, frames } = createDecoder();
+    decoder.push('not json\n{"type":"mystery"}\n\n{"type":"token","text":"ok"}\n');
+    assert.deepStrictEqual(frames, [['token', 'ok']]);
+    assert.strictEqual(warn.mock.callCount(), 2);
+});
+
+test('websocket frames are dispatched one by one', () => {
+    const { decoder, frames } = createDecoder();
+    decoder.dispatch({ type: 'token', text: 'Hi' });
+    decoder.dispatch({ type: 'done' });
+    assert.deepStrictEqual(frames, [['token', 'Hi'], ['done']]);
+});
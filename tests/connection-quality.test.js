@@ -0,0 +1,46 @@
+// connection-quality.test.js - Thresholds of the connection quality monitor, and degrading on the stats they break
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConnectionQualityMonitor } = require('../static/js/connection-quality');
+
+const defaultThresholds = { minFps: 15, maxPacketLossPercent: 5, maxJitterMs: 50, maxRoundTripTimeMs: 500 };
+
+// A getStats() report after the given number of decoded frames
+function videoStats(framesDecoded, jitter = 0.01) {
+    return new Map([['video', { type: 'inbound-rtp', kind: 'video', framesDecoded: framesDecoded, packetsReceived: framesDecoded * 10, packetsLost: 0, jitter: jitter }]]);
+}
+
+test('thresholds which are not finite numbers keep their default', () => {
+    const monitor = new ConnectionQualityMonitor({ thresholds: { minFps: NaN, maxJitterMs: 80 } });
+    assert.deepStrictEqual(monitor.thresholds, Object.assign({}, defaultThresholds, { maxJitterMs: 80 }));
+
+    // As read from a settings form with empty and invalid fields
+    monitor.setThresholds({ minFps: parseFloat(''), maxPacketLossPercent: parseFloat('abc'), maxJitterMs: Infinity, maxRoundTripTimeMs: 0 });
+    assert.deepStrictEqual(monitor.thresholds, Object.assign({}, defaultThresholds, { maxRoundTripTimeMs: 0 }));
+
+    monitor.setThresholds();
+    assert.deepStrictEqual(monitor.thresholds, defaultThresholds);
+});
+
+test('a NaN threshold does not hide a poor connection', () => {
+    const events = [];
+    const monitor = new ConnectionQualityMonitor({ onEvent: event => events.push(event), degradedSamples: 2 });
+    monitor.setThresholds({ minFps: NaN, maxPacketLossPercent: NaN, maxJitterMs: NaN, maxRoundTripTimeMs: NaN });
+    // 4 frames a second, well below the default 15
+    [0, 4, 8, 12].forEach((framesDecoded, index) => monitor.sample(videoStats(framesDecoded), index * 1000));
+    assert.deepStrictEqual(monitor.getReasons(), ['fps 4 < 15']);
+    assert.deepStrictEqual(events.map(event => event.type), ['degraded']);
+});
+
+test('the connection recovers once the metrics are within the thresholds again', () => {
+    const events = [];
+    const monitor = new ConnectionQualityMonitor({ onEvent: event => events.push(event), thresholds: { maxJitterMs: 30 } });
+    monitor.sample(videoStats(0), 0);
+    monitor.sample(videoStats(30, 0.04), 1000);
+    monitor.sample(videoStats(60, 0.04), 2000);
+    assert.deepStrictEqual(monitor.getReasons(), ['jitter 40 ms > 30 ms']);
+    monitor.sample(videoStats(90, 0.01), 3000);
+    assert.deepStrictEqual(events.map(event => event.type), ['degraded', 'recovered']);
+    assert.strictEqual(monitor.isDegraded(), false);
+});
@@ -0,0 +1,144 @@
+// evaluation-page.test.js - The evaluation page (test.html) with malformed replies from the evaluator: truncated
+// streams, text which is not JSON and JSON of the wrong shape
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { openPage } = require('./helpers/page');
+const { MockBackend } = require('./helpers/mock-backend');
+
+// The rubric the page selects by default
+const rubricFile = 'helper-counseling.json';
+const rubric = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'static', 'rubrics', rubricFile), 'utf8'));
+
+const transcript = 'User: How are you feeling about the meeting?\n\nAssistant: Worried, to be honest.\n\n';
+
+// Valid replies for every section, for the tests to break one of them
+function validReplies() {
+    return {
+        'executive-summary': JSON.stringify({ overallLevel: 'Good', strengths: 'Open questions.', priorities: 'Summarise more.' }),
+        'recommendations': JSON.stringify({ recommendations: ['Reflect the feeling back.'] }),
+        'rubric-scores': JSON.stringify({ rubrics: rubric.dimensions.map(dimension => ({ name: dimension.name, score: rubric.scale.max, justification: 'Shown throughout.' })) }),
+        'suggested-reply': JSON.stringify({ suggestedReply: 'What worries you most about it?' }),
+        'turn-annotations': JSON.stringify({ annotations: [] })
+    };
+}
+
+function section(page, name) {
+    return page.document.querySelector(`.eval-section[data-section="${name}"]`);
+}
+
+// Open the page, wait for its rubric and generate the evaluation of the transcript
+async function generateEvaluation(backend) {
+    const page = await openPage('test.html', backend, { client_id: backend.initializeClient().clientId }, { path: '/test' });
+    await page.waitFor(() => backend.requestsTo(`/static/rubrics/${rubricFile}`).length === 1, 'the rubric to load');
+    // The rubric is set once its response has been read
+    await new Promise(resolve => setTimeout(resolve, 20));
+    page.document.querySelector('.transcript-input').value = transcript;
+    page.document.querySelector('.generate-btn').click();
+    await page.waitFor(() => !page.document.querySelector('.generate-btn').disabled, 'the evaluation to finish');
+    return page;
+}
+
+test('a streamed section which ends before its JSON is complete shows an error and can be retried', async () => {
+    const replies = validReplies();
+    const summaryReplies = ['{"overallLevel": "Good", "strengths": "Open quest', replies['executive-summary']];
+    replies['executive-summary'] = () => summaryReplies.shift();
+    const backend = new MockBackend({ evaluationReplies: replies });
+    const page = await generateEvaluation(backend);
+    try {
+        const summary = section(page, 'summary');
+        assert.match(summary.querySelector('.section-error').textContent, /The streamed reply ended before it was complete\./);
+        // The other sections are not affected
+        assert.strictEqual(section(page, 'recommendations').textContent.includes('Reflect the feeling back.'), true);
+        assert.strictEqual(section(page, 'rubric').querySelector('.unvalidated-notice'), null);
+
+        summary.querySelector('.retry-btn').click();
+        await page.waitFor(() => summary.textContent.includes('Priorities: Summarise more.'), 'the retried summary');
+        assert.strictEqual(summary.querySelector('.section-error'), null);
+        assert.strictEqual(summary.querySelector('.unvalidated-notice'), null);
+        assert.match(summary.textContent, /Overall Level: Good/);
+    } finally {
+        await page.close();
+    }
+});
+
+test('rubric scores which are not JSON are repaired once and then shown as unvalidated', async () => {
+    const replies = validReplies();
+    replies['rubric-scores'] = 'Sorry, I cannot score <b>this</b> transcript.';
+    replies['rubric-scores-repair'] = '<img src=x onerror="alert(1)"> still no JSON';
+    const backend = new MockBackend({ evaluationReplies: replies });
+    const page = await generateEvaluation(backend);
+    try {
+        const requestTypes = backend.requestsTo('/api/evaluate').map(request => JSON.parse(request.body).requestType);
+        assert.strictEqual(requestTypes.filter(requestType => requestType === 'rubric-scores-repair').length, 1);
+
+        const rubricSection = section(page, 'rubric');
+        const notice = rubricSection.querySelector('.unvalidated-notice');
+        assert.ok(notice);
+        assert.match(notice.textContent, /Unvalidated/);
+        assert.ok(notice.querySelectorAll('li').length > 0);
+        // Nothing of the reply is rendered as markup
+        assert.strictEqual(rubricSection.querySelector('img, script'), null);
+        assert.ok([...rubricSection.querySelectorAll('b')].every(bold => bold.textContent !== 'this'));
+        // Every dimension is listed without a score
+        assert.strictEqual(rubricSection.querySelectorAll('.rubric-item:not(.rubric-overall)').length, rubric.dimensions.length);
+        assert.strictEqual(rubricSection.querySelector('.rubric-overall'), null);
+        assert.match(rubricSection.querySelector('.rubric-issues').textContent, /was not scored/);
+    } finally {
+        await page.close();
+    }
+});
+
+test('a suggested reply of the wrong type is shown as unvalidated', async () => {
+    const replies = validReplies();
+    replies['suggested-reply'] = JSON.stringify({ suggestedReply: 42 });
+    replies['suggested-reply-repair'] = JSON.stringify({ suggestedReply: ['<i>Tell me more.</i>'] });
+    const backend = new MockBackend({ evaluationReplies: replies });
+    const page = await generateEvaluation(backend);
+    try {
+        const replySection = section(page, 'reply');
+        const notice = replySection.querySelector('.unvalidated-notice');
+        assert.ok(notice);
+        assert.match(notice.textContent, /suggestedReply/);
+        assert.strictEqual(replySection.querySelector('i'), null);
+        assert.ok(replySection.querySelector('.suggestion-input'));
+        // The valid sections have no notice
+        assert.strictEqual(section(page, 'summary').querySelector('.unvalidated-notice'), null);
+        assert.deepStrictEqual(page.errors(), []);
+    } finally {
+        await page.close();
+    }
+});
+
+test('picking another rubric while the evaluation runs does not change the rubric it is scored against', async () => {
+    const replies = validReplies();
+    let page = null;
+    replies['rubric-scores'] = async () => {
+        // Pick the sales rubric before the scores arrive
+        const select = page.document.querySelector('.rubric-select');
+        select.value = Array.from(select.options).find(option => option.textContent === 'Sales Coaching').value;
+        select.dispatchEvent(new page.window.Event('change'));
+        await page.waitFor(() => backend.requestsTo('/static/rubrics/sales-coaching.json').length === 1, 'the sales rubric to load');
+        await new Promise(resolve => setTimeout(resolve, 20));
+        return validReplies()['rubric-scores'];
+    };
+    const backend = new MockBackend({ evaluationReplies: replies });
+    page = await openPage('test.html', backend, { client_id: backend.initializeClient().clientId }, { path: '/test' });
+    try {
+        await page.waitFor(() => backend.requestsTo(`/static/rubrics/${rubricFile}`).length === 1, 'the rubric to load');
+        await new Promise(resolve => setTimeout(resolve, 20));
+        page.document.querySelector('.transcript-input').value = transcript;
+        page.document.querySelector('.generate-btn').click();
+        await page.waitFor(() => !page.document.querySelector('.generate-btn').disabled, 'the evaluation to finish');
+
+        const scores = section(page, 'rubric');
+        assert.strictEqual(scores.querySelector('h3').textContent, `Rubric Scores · ${rubric.name}`);
+        assert.deepStrictEqual(Array.from(scores.querySelectorAll('.rubric-item:not(.rubric-overall) .rubric-name')).map(name => name.firstChild.textContent),
+            rubric.dimensions.map(dimension => dimension.name));
+        assert.strictEqual(scores.querySelector('.rubric-issues'), null);
+    } finally {
+        await page.close();
+    }
+});
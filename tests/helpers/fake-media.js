@@ -0,0 +1,342 @@
+// fake-media.js - Stand-ins for the WebRTC and media APIs jsdom does not have.
+// Two fake peer connections on the same page connect to each other once the offer and answer have been exchanged,
+// like the loopback connection of the mock avatar: the tracks and data channels of each end show up on the other.
+
+let nextId = 1;
+
+class FakeMediaStreamTrack {
+    constructor(kind) {
+        this.kind = kind;
+        this.id = `fake-${kind}-track-${nextId++}`;
+        this.enabled = true;
+        this.readyState = 'live';
+    }
+
+    stop() {
+        this.readyState = 'ended';
+    }
+}
+
+class FakeMediaStream {
+    constructor(tracks = []) {
+        this.id = `fake-stream-${nextId++}`;
+        this.tracks = [...tracks];
+    }
+
+    getTracks() {
+        return [...this.tracks];
+    }
+
+    getVideoTracks() {
+        return this.tracks.filter(track => track.kind === 'video');
+    }
+
+    getAudioTracks() {
+        return this.tracks.filter(track => track.kind === 'audio');
+    }
+
+    addTrack(track) {
+        this.tracks.push(track);
+    }
+}
+
+class FakeDataChannel extends EventTarget {
+    constructor(label) {
+        super();
+        this.label = label;
+        this.readyState = 'connecting';
+        this.onopen = null;
+        this.onmessage = null;
+        this.onclose = null;
+        this.remote = null;
+        this.sent = [];
+    }
+
+    send(data) {
+        if (this.readyState !== 'open') {
+            throw new Error(`The data channel ${this.label} is not open`);
+        }
+        this.sent.push(data);
+        const remote = this.remote;
+        setTimeout(() => remote.receive(data), 0);
+    }
+
+    receive(data) {
+        if (this.readyState !== 'open') {
+            return;
+        }
+        fire(this, 'message', { data: data });
+    }
+
+    open() {
+        this.readyState = 'open';
+        fire(this, 'open');
+    }
+
+    close() {
+        if (this.readyState === 'closed') {
+            return;
+        }
+        this.readyState = 'closed';
+        fire(this, 'close');
+    }
+}
+
+class FakePeerConnection extends EventTarget {
+    constructor(configuration = {}) {
+        super();
+        this.id = nextId++;
+        this.configuration = configuration;
+        this.localDescription = null;
+        this.remoteDescription = null;
+        this.signalingState = 'stable';
+        this.iceConnectionState = 'new';
+        this.iceGatheringState = 'new';
+        this.transceivers = [];
+        this.senders = [];
+        this.dataChannels = [];
+        this.peer = null;
+        this.stats = new Map();
+        this.ontrack = null;
+        this.onicecandidate = null;
+        this.oniceconnectionstatechange = null;
+        this.onicegatheringstatechange = null;
+        this.ondatachannel = null;
+        FakePeerConnection.instances.push(this);
+    }
+
+    addTransceiver(kind, init = {}) {
+        const transceiver = { kind: kind, direction: init.direction || 'sendrecv' };
+        this.transceivers.push(transceiver);
+        return transceiver;
+    }
+
+    addTrack(track, stream) {
+        const sender = { track: track, stream: stream };
+        this.senders.push(sender);
+        return sender;
+    }
+
+    createDataChannel(label) {
+        const channel = new FakeDataChannel(label);
+        this.dataChannels.push(channel);
+        return channel;
+    }
+
+    // The SDP names the peer connection it comes from, which is how the other end finds it
+    async createOffer() {
+        return { type: 'offer', sdp: `fake-sdp ${this.id}` };
+    }
+
+    async createAnswer() {
+        return { type: 'answer', sdp: `fake-sdp ${this.id}` };
+    }
+
+    async setLocalDescription(description) {
+        this.localDescription = { type: description.type, sdp: description.sdp };
+        this.signalingState = description.type === 'offer' ? 'have-local-offer' : 'stable';
+        // The ICE candidates are gathered right away, as there is no network to look at
+        setTimeout(() => {
+            if (this.signalingState === 'closed') {
+                return;
+            }
+            this.iceGatheringState = 'complete';
+            fire(this, 'icegatheringstatechange');
+            fire(this, 'icecandidate', { candidate: null });
+        }, 0);
+    }
+
+    async setRemoteDescription(description) {
+        if (!description || !/^fake-sdp \d+$/.test(description.sdp)) {
+            throw new Error('Invalid remote description');
+        }
+        this.remoteDescription = { type: description.type, sdp: description.sdp };
+        this.signalingState = description.type === 'offer' ? 'have-remote-offer' : 'stable';
+        this.peer = FakePeerConnection.find(Number(description.sdp.split(' ')[1]));
+        if (description.type === 'answer' && this.peer) {
+            setTimeout(() => connect(this, this.peer), 0);
+        }
+    }
+
+    async getStats() {
+        return this.stats;
+    }
+
+    /**
+     * Change the ICE connection state, e.g. to 'failed' to simulate a network error
+     */
+    setIceConnectionState(state) {
+        this.iceConnectionState = state;
+        fire(this, 'iceconnectionstatechange');
+    }
+
+    close() {
+        if (this.signalingState === 'closed') {
+            return;
+        }
+        this.signalingState = 'closed';
+        this.iceConnectionState = 'closed';
+        this.dataChannels.forEach(channel => channel.close());
+        // The other end notices the connection is gone
+        const peer = this.peer;
+        if (peer && peer.signalingState !== 'closed') {
+            setTimeout(() => peer.setIceConnectionState('disconnected'), 0);
+        }
+    }
+
+    static find(id) {
+        return FakePeerConnection.instances.find(peerConnection => peerConnection.id === id) || null;
+    }
+}
+
+FakePeerConnection.instances = [];
+
+// Connect the two ends: each one gets the tracks and data channels of the other
+function connect(offerer, answerer) {
+    answerer.peer = offerer;
+    [offerer, answerer].forEach(end => end.setIceConnectionState('connected'));
+    const dataChannels = new Map([[offerer, [...offerer.dataChannels]], [answerer, [...answerer.dataChannels]]]);
+    [[offerer, answerer], [answerer, offerer]].forEach(([local, remote]) => {
+        remote.senders.forEach(sender => fire(local, 'track', { track: sender.track, streams: [sender.stream] }));
+        dataChannels.get(remote).forEach(channel => {
+            const counterpart = new FakeDataChannel(channel.label);
+            counterpart.remote = channel;
+            channel.remote = counterpart;
+            local.dataChannels.push(counterpart);
+            fire(local, 'datachannel', { channel: counterpart });
+        });
+    });
+    [offerer, answerer].forEach(end => end.dataChannels.forEach(channel => {
+        if (channel.readyState === 'connecting') {
+            channel.open();
+        }
+    }));
+}
+
+// Call the on<type> handler and the listeners, the way the browser fires the events of these objects
+function fire(target, type, properties = {}) {
+    const event = new Event(type);
+    Object.assign(event, properties);
+    const handler = target[`on${type}`];
+    if (typeof handler === 'function') {
+        handler.call(target, event);
+    }
+    target.dispatchEvent(event);
+}
+
+/**
+ * Plays the avatar service's part for a page that is not in mock mode: answers the offer of the page's peer connection
+ * with a video and an audio track, and sends the service's events on a data channel
+ */
+class FakeAvatarService {
+    constructor() {
+        this.peerConnection = null;
+        this.eventChannel = null;
+    }
+
+    async answer(pagePeerConnection) {
+        const peerConnection = new FakePeerConnection();
+        this.peerConnection = peerConnection;
+        await peerConnection.setRemoteDescription(pagePeerConnection.localDescription);
+        const stream = new FakeMediaStream([new FakeMediaStreamTrack('video'), new FakeMediaStreamTrack('audio')]);
+        stream.getTracks().forEach(track => peerConnection.addTrack(track, stream));
+        this.eventChannel = peerConnection.createDataChannel('avatarEvents');
+        await peerConnection.setLocalDescription(await peerConnection.createAnswer());
+        return peerConnection.localDescription;
+    }
+
+    sendEvent(eventType) {
+        this.eventChannel.send(JSON.stringify({ event: { eventType: eventType, eventTime: new Date().toISOString() } }));
+    }
+}
+
+// A 2D context that draws nothing, for the canvas the mock avatar draws on
+function createFakeCanvasContext() {
+    return new Proxy({}, {
+        get: (target, name) => {
+            if (name in target) {
+                return target[name];
+            }
+            if (name === 'createLinearGradient') {
+                return () => ({ addColorStop: () => {} });
+            }
+            return () => {};
+        },
+        set: (target, name, value) => {
+            target[name] = value;
+            return true;
+        }
+    });
+}
+
+class FakeAudioContext {
+    constructor() {
+        this.state = 'running';
+    }
+
+    createMediaStreamDestination() {
+        return { stream: new FakeMediaStream([new FakeMediaStreamTrack('audio')]) };
+    }
+
+    close() {
+        this.state = 'closed';
+        return Promise.resolve();
+    }
+}
+
+/**
+ * Install the fakes in a jsdom window. Media elements start playing as soon as they get a stream, as with autoplay.
+ */
+function installFakeMedia(window) {
+    window.RTCPeerConnection = FakePeerConnection;
+    window.RTCSessionDescription = class {
+        constructor(description) {
+            this.type = description.type;
+            this.sdp = description.sdp;
+        }
+    };
+    window.MediaStream = FakeMediaStream;
+    window.AudioContext = FakeAudioContext;
+    window.HTMLCanvasElement.prototype.getContext = function () {
+        this.fakeContext = this.fakeContext || createFakeCanvasContext();
+        return this.fakeContext;
+    };
+    window.HTMLCanvasElement.prototype.captureStream = () => new FakeMediaStream([new FakeMediaStreamTrack('video')]);
+    Object.defineProperty(window.HTMLMediaElement.prototype, 'srcObject', {
+        configurable: true,
+        get() {
+            return this.fakeSrcObject || null;
+        },
+        set(stream) {
+            this.fakeSrcObject = stream;
+            if (stream) {
+                setTimeout(() => {
+                    this.dispatchEvent(new window.Event('play'));
+                    this.dispatchEvent(new window.Event('playing'));
+                }, 0);
+            }
+        }
+    });
+    window.HTMLMediaElement.prototype.play = () => Promise.resolve();
+    window.HTMLMediaElement.prototype.pause = () => {};
+    Object.defineProperty(window.navigator, 'mediaDevices', {
+        configurable: true,
+        value: {
+            getUserMedia: constraints => Promise.resolve(new FakeMediaStream([
+                ...(constraints.video ? [new FakeMediaStreamTrack('video')] : []),
+                ...(constraints.audio ? [new FakeMediaStreamTrack('audio')] : [])
+            ])),
+            enumerateDevices: () => Promise.resolve([]),
+            addEventListener: () => {}
+        }
+    });
+}
+
+module.exports = {
+    FakeAvatarService,
+    FakeDataChannel,
+    FakeMediaStream,
+    FakeMediaStreamTrack,
+    FakePeerConnection,
+    installFakeMedia
+};
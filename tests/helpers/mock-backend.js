@@ -0,0 +1,443 @@
+// mock-backend.js - The server of the pages in mock mode (MOCK_MODE=true), played in the test process:
+// the routes and websocket events the pages use, with scripted chat and evaluation replies and no Azure service.
+// It answers the pages for the tests of their browser behaviour; app.py itself is tested in test_app.py.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const staticDir = path.join(__dirname, '..', '..', 'static');
+
+// The tokens of a reply, as the scripted chat backend (ScriptedAdapter in chat_adapters.py) streams them
+const wordRegex = /\n\n|\n|[.?!:;]|\s*[^\s.?!:;]+/g;
+const sentencePunctuations = ['.', '?', '!', ':', ';'];
+
+const contentTypes = {
+    '.json': 'application/json',
+    '.js': 'text/javascript',
+    '.css': 'text/css',
+    '.svg': 'image/svg+xml'
+};
+
+class MockBackend {
+    /**
+     * websockets: whether the pages talk to the server over websocket (ENABLE_WEBSOCKETS)
+     * replies: the chat replies, taking turns in order
+     * evaluationReplies: the raw text /api/evaluate replies with, by request type (e.g. 'executive-summary'), to test
+     *   malformed replies; a function of the request data, which may return a promise of the text, can be given instead
+     * speakingMs: how long the mock avatar speaks for every /api/speak and reply sentence
+     * failedAvatarConnections: how many /api/connectAvatar requests fail before the avatar connects
+     */
+    constructor(options = {}) {
+        this.websockets = !!options.websockets;
+        this.replies = options.replies || ['Thanks for telling me that. Could you say a little more about what happened?'];
+        this.openingLine = options.openingLine || "Hello, I'm the mock avatar.";
+        this.evaluationReplies = options.evaluationReplies || {};
+        this.speakingMs = options.speakingMs || 50;
+        this.chunkLength = options.chunkLength || 16;
+        this.failedAvatarConnections = options.failedAvatarConnections || 0;
+        this.clients = new Map();
+        this.sockets = [];
+        this.requests = [];
+        this.beacons = [];
+        this.spoken = [];
+        this.fetch = this.fetch.bind(this);
+        this.sendBeacon = this.sendBeacon.bind(this);
+        this.connectSocket = this.connectSocket.bind(this);
+    }
+
+    /**
+     * Create a client context, as the page routes do, and return its client id and session token
+     */
+    initializeClient() {
+        const clientId = crypto.randomUUID();
+        const sessionToken = crypto.randomBytes(32).toString('base64url');
+        this.clients.set(clientId, {
+            sessionToken: sessionToken,
+            messages: [],
+            speechSynthesizerConnected: false,
+            websocketConnected: false,
+            websocketId: null,
+            suspended: false,
+            speechTurn: 0,
+            mockAvatarEvents: []
+        });
+        return { clientId: clientId, sessionToken: sessionToken };
+    }
+
+    /**
+     * The requests made to the given path, e.g. '/api/chat'
+     */
+    requestsTo(requestPath) {
+        return this.requests.filter(request => request.path === requestPath);
+    }
+
+    async fetch(url, init = {}) {
+        const requestUrl = new URL(url, 'http://localhost:5000');
+        const headers = Object.fromEntries(Object.entries(init.headers || {}).map(([name, value]) => [name, String(value)]));
+        const request = {
+            method: (init.method || 'GET').toUpperCase(),
+            path: requestUrl.pathname,
+            headers: headers,
+            body: typeof init.body === 'string' ? init.body : ''
+        };
+        this.requests.push(request);
+        // Let the page go on before the response arrives, as it would with a real server
+        await new Promise(resolve => setTimeout(resolve, 0));
+        return this.route(request);
+    }
+
+    sendBeacon(url, data) {
+        const request = { method: 'POST', path: new URL(url, 'http://localhost:5000').pathname, headers: {}, body: String(data) };
+        this.beacons.push(request);
+        this.route(request);
+        return true;
+    }
+
+    route(request) {
+        const client = this.clients.get(request.headers['ClientId']);
+        const route = `${request.method} ${request.path}`;
+        if (request.method === 'GET' && request.path.startsWith('/static/')) {
+            return this.serveStatic(request.path);
+        }
+        if (request.headers['ClientId'] !== undefined && !client) {
+            // The server has no context for the client, e.g. after releasing it
+            return new Response(`Unknown client ${request.headers['ClientId']}`, { status: 500 });
+        }
+        switch (route) {
+            case 'GET /api/getIceToken':
+                return jsonResponse({ Urls: ['turn:mock.invalid:3478'], Username: 'mock', Password: 'mock' });
+            case 'GET /api/getSpeechToken':
+                return new Response('mock-speech-token', { status: 200, headers: { SpeechRegion: 'mock', SpeechPrivateEndpoint: '' } });
+            case 'GET /api/getStatus':
+                if (!client) {
+                    return notFound();
+                }
+                // The mock avatar events of a page without a websocket come with its status polls
+                const mockAvatarEvents = client.mockAvatarEvents;
+                client.mockAvatarEvents = [];
+                return jsonResponse({ speechSynthesizerConnected: client.speechSynthesizerConnected, mockAvatarEvents: mockAvatarEvents });
+            case 'GET /api/rubrics':
+                return jsonResponse(this.listStaticDefinitions('rubrics'));
+            case 'GET /api/scenarios':
+                return jsonResponse(this.listStaticDefinitions('scenarios'));
+            case 'POST /api/connectAvatar':
+                if (this.failedAvatarConnections > 0) {
+                    this.failedAvatarConnections--;
+                    return new Response('Connect avatar failed. Error message: The mock avatar is unavailable', { status: 400 });
+                }
+                // The page answers its offer itself, with the mock avatar, so there is no remote SDP
+                client.speechSynthesizerConnected = true;
+                client.mockAvatarEvents = [];
+                this.emitToClient(request.headers['ClientId'], { path: 'api.event', eventType: 'SPEECH_SYNTHESIZER_CONNECTED', clientId: request.headers['ClientId'] });
+                return new Response('', { status: 200 });
+            case 'POST /api/connectAudioOnly':
+                this.stopSpeaking(client);
+                client.speechSynthesizerConnected = false;
+                return jsonResponse({ ttsVoice: request.headers['TtsVoice'] || 'en-US-AvaMultilingualNeural', customVoiceEndpointId: null, personalVoiceSpeakerProfileId: null });
+            case 'POST /api/disconnectAvatar':
+                this.stopSpeaking(client);
+                client.speechSynthesizerConnected = false;
+                return new Response('Disconnected avatar', { status: 200 });
+            case 'POST /api/speak':
+                return this.speak(request.headers['ClientId'], request.body);
+            case 'POST /api/stopSpeaking':
+                this.stopSpeaking(client);
+                return new Response('Speaking stopped.', { status: 200 });
+            case 'POST /api/chat':
+                return new Response(this.streamNdjson(this.reply(request.headers['ClientId'], request.body)), {
+                    status: 200,
+                    headers: { 'Content-Type': 'application/x-ndjson' }
+                });
+            case 'POST /api/chat/openingLine':
+                return this.speakOpeningLine(client, request.body.trim());
+            case 'POST /api/chat/continueSpeaking':
+                return new Response('Request sent.', { status: 200 });
+            case 'POST /api/chat/clearHistory':
+                client.messages = [];
+                return new Response('Chat history cleared.', { status: 200 });
+            case 'POST /api/evaluate':
+                return this.evaluate(JSON.parse(request.body));
+            case 'POST /api/logQualityEvent':
+                return new Response('Quality event logged.', { status: 200 });
+            case 'POST /api/releaseClient':
+                this.clients.delete(JSON.parse(request.body).clientId);
+                return new Response('Client context released.', { status: 200 });
+            case 'POST /api/keepAlive':
+                return new Response('', { status: 200 });
+            case 'POST /api/suspendClient': {
+                const suspended = this.clients.get(JSON.parse(request.body).clientId);
+                this.stopSpeaking(suspended);
+                if (suspended) {
+                    suspended.suspended = true;
+                }
+                return new Response('Client suspended.', { status: 200 });
+            }
+            case 'POST /api/resumeClient':
+                return this.resumeClient(request.headers['ClientId'], JSON.parse(request.body));
+            default:
+                return notFound();
+        }
+    }
+
+    serveStatic(requestPath) {
+        const file = path.join(staticDir, requestPath.slice('/static/'.length));
+        if (!file.startsWith(staticDir) || !fs.existsSync(file)) {
+            return notFound();
+        }
+        return new Response(fs.readFileSync(file), { status: 200, headers: { 'Content-Type': contentTypes[path.extname(file)] || 'application/octet-stream' } });
+    }
+
+    listStaticDefinitions(folderName) {
+        return fs.readdirSync(path.join(staticDir, folderName)).filter(fileName => fileName.endsWith('.json')).sort().map(fileName => {
+            const definition = JSON.parse(fs.readFileSync(path.join(staticDir, folderName, fileName), 'utf8'));
+            const id = fileName.slice(0, -'.json'.length);
+            return { id: definition.id || id, name: definition.name || id, description: definition.description || '', url: `/static/${folderName}/${fileName}` };
+        });
+    }
+
+    /**
+     * The chat frames of the reply to a user query, as handleUserQuery yields them; the sentences are spoken by the mock avatar
+     */
+    reply(clientId, userQuery) {
+        const client = this.clients.get(clientId);
+        client.messages.push({ role: 'user', content: userQuery });
+        const userTurns = client.messages.filter(message => message.role === 'user').length;
+        const reply = this.replies[(userTurns - 1) % this.replies.length];
+        const frames = [];
+        let sentence = '';
+        let firstSentence = true;
+        reply.match(wordRegex).forEach((token, index) => {
+            if (index === 0) {
+                frames.push({ type: 'latency', name: 'aoaiFirstToken', ms: 600 });
+            }
+            frames.push({ type: 'token', text: token });
+            sentence += token;
+            if (sentencePunctuations.includes(token) || token.startsWith('\n')) {
+                if (firstSentence) {
+                    frames.push({ type: 'latency', name: 'aoaiFirstSentence', ms: 700 });
+                    firstSentence = false;
+                }
+                this.speakText(clientId, sentence.trim());
+                sentence = '';
+            }
+        });
+        if (sentence.trim() !== '') {
+            this.speakText(clientId, sentence.trim());
+        }
+        frames.push({ type: 'done' });
+        client.messages.push({ role: 'assistant', content: reply });
+        return frames;
+    }
+
+    /**
+     * Stream chat frames as NDJSON
+     */
+    streamNdjson(frames) {
+        return this.streamText(frames.map(frame => JSON.stringify(frame) + '\n').join(''));
+    }
+
+    /**
+     * Stream a text in small chunks, which split its lines and words, as the network may
+     */
+    streamText(text) {
+        const bytes = new TextEncoder().encode(text);
+        const chunkLength = this.chunkLength;
+        let offset = 0;
+        return new ReadableStream({
+            pull(controller) {
+                return new Promise(resolve => setTimeout(resolve, 1)).then(() => {
+                    if (offset >= bytes.length) {
+                        controller.close();
+                        return;
+                    }
+                    controller.enqueue(bytes.slice(offset, offset + chunkLength));
+                    offset += chunkLength;
+                });
+            }
+        });
+    }
+
+    speakOpeningLine(client, openingLine) {
+        const generated = openingLine === '';
+        const line = generated ? this.openingLine : openingLine;
+        client.messages.push({ role: 'assistant', content: line });
+        return jsonResponse({ openingLine: line, generated: generated });
+    }
+
+    speak(clientId, ssml) {
+        const client = this.clients.get(clientId);
+        if (!client || !client.speechSynthesizerConnected) {
+            return new Response('Speak failed. Error message: The mock avatar is not connected', { status: 400 });
+        }
+        this.speakText(clientId, ssml.replace(/<[^>]+>/g, ''));
+        return new Response(`mock-${crypto.randomUUID()}`, { status: 200 });
+    }
+
+    /**
+     * The mock avatar speaks: the page is told when it starts and stops (see mockSpeakSsml)
+     */
+    speakText(clientId, text) {
+        const client = this.clients.get(clientId);
+        if (!client || !client.speechSynthesizerConnected) {
+            return;
+        }
+        this.spoken.push({ clientId: clientId, text: text });
+        const speechTurn = client.speechTurn;
+        this.emitMockAvatarEvent(clientId, { eventType: 'MOCK_AVATAR_SPEAKING', durationMs: this.speakingMs });
+        setTimeout(() => {
+            if (client.speechTurn === speechTurn) {
+                this.emitMockAvatarEvent(clientId, { eventType: 'MOCK_AVATAR_IDLE' });
+            }
+        }, this.speakingMs);
+    }
+
+    // Tell the page of a client about the mock avatar: over its websocket, or with its next status poll (see emitMockAvatarEvent)
+    emitMockAvatarEvent(clientId, event) {
+        const client = this.clients.get(clientId);
+        if (client.websocketConnected) {
+            this.emitToClient(clientId, Object.assign({ path: 'api.event', clientId: clientId }, event));
+        } else {
+            client.mockAvatarEvents.push(event);
+        }
+    }
+
+    stopSpeaking(client) {
+        if (client) {
+            client.speechTurn++;
+        }
+    }
+
+    resumeClient(clientId, resumeRequest) {
+        const resumed = this.clients.get(resumeRequest.clientId);
+        if (!resumed || resumed.sessionToken !== resumeRequest.sessionToken) {
+            return new Response('The session has expired or does not exist.', { status: 404 });
+        }
+        if (resumed.websocketConnected && !resumed.suspended) {
+            return new Response('The session is open in another page.', { status: 409 });
+        }
+        resumed.suspended = false;
+        if (resumeRequest.clientId !== clientId) {
+            this.clients.delete(clientId);
+        }
+        const messages = resumed.messages.map(message => ({ role: message.role, content: message.content, interrupted: false }));
+        return jsonResponse({ clientId: resumeRequest.clientId, messages: messages });
+    }
+
+    async evaluate(requestData) {
+        const requestType = requestData.requestType;
+        let reply = this.evaluationReplies[requestType];
+        if (typeof reply === 'function') {
+            reply = await reply(requestData);
+        }
+        if (reply === undefined) {
+            reply = '{}';
+        }
+        if (!requestData.stream) {
+            return jsonResponse({ success: true, requestType: requestType, response: reply });
+        }
+        return new Response(this.streamText(reply), { status: 200, headers: { 'Content-Type': 'text/plain' } });
+    }
+
+    /**
+     * The socket.io connection of a page, for its io.connect or the createSocket of a ServerTransport
+     */
+    connectSocket(url, options) {
+        const socket = new FakeSocket(this, new URL(url).searchParams.get('clientId'));
+        this.sockets.push(socket);
+        return socket;
+    }
+
+    // Send a 'response' event to every page, as socketio.emit does without a room
+    broadcast(data) {
+        this.sockets.filter(socket => socket.connected).forEach(socket => socket.receive('response', data));
+    }
+
+    // Send a 'response' event to the pages of one client, as socketio.emit does with room=client_id
+    emitToClient(clientId, data) {
+        this.sockets.filter(socket => socket.connected && socket.clientId === clientId).forEach(socket => socket.receive('response', data));
+    }
+
+    handleSocketMessage(socket, message) {
+        const client = this.clients.get(message.clientId);
+        if (message.path === 'api.chat') {
+            // Every frame is its own event, broadcast with the client id (see emitChatFrame), in order
+            const frames = this.reply(message.clientId, message.userQuery);
+            const emitNextFrame = () => {
+                if (frames.length > 0) {
+                    this.broadcast({ path: 'api.chat', frame: frames.shift(), clientId: message.clientId });
+                    setTimeout(emitNextFrame, 1);
+                }
+            };
+            setTimeout(emitNextFrame, 1);
+        } else if (message.path === 'api.stopSpeaking') {
+            this.stopSpeaking(client);
+        }
+    }
+}
+
+class FakeSocket {
+    constructor(backend, clientId) {
+        this.backend = backend;
+        this.clientId = clientId;
+        this.id = crypto.randomUUID();
+        this.connected = false;
+        this.handlers = {};
+        this.sent = [];
+        this.received = [];
+        setTimeout(() => this.connect(), 0);
+    }
+
+    on(event, handler) {
+        (this.handlers[event] = this.handlers[event] || []).push(handler);
+    }
+
+    emit(event, data) {
+        this.sent.push({ event: event, data: data });
+        if (event === 'message') {
+            setTimeout(() => this.backend.handleSocketMessage(this, data), 0);
+        }
+    }
+
+    receive(event, data) {
+        this.received.push({ event: event, data: data });
+        (this.handlers[event] || []).forEach(handler => handler(data));
+    }
+
+    connect() {
+        this.connected = true;
+        const client = this.backend.clients.get(this.clientId);
+        if (client) {
+            client.websocketConnected = true;
+            client.websocketId = this.id;
+            client.suspended = false;
+        }
+        this.receive('connect');
+    }
+
+    /**
+     * The connection goes away, e.g. with its page
+     */
+    disconnect() {
+        if (!this.connected) {
+            return;
+        }
+        this.connected = false;
+        // The websocket of a page before a reload may close after the reloaded page has opened its own
+        const client = this.backend.clients.get(this.clientId);
+        if (client && client.websocketId === this.id) {
+            client.websocketConnected = false;
+        }
+        this.receive('disconnect');
+    }
+}
+
+function jsonResponse(data) {
+    return new Response(JSON.stringify(data), { status: 200, headers: { 'Content-Type': 'application/json' } });
+}
+
+function notFound() {
+    return new Response('Not found', { status: 404 });
+}
+
+module.exports = { MockBackend, FakeSocket };
@@ -0,0 +1,270 @@
+// page.js - Open a page of the app in jsdom, against the mock backend, the way a browser loads it from the Flask server
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { renderTemplate } = require('./templates');
+const { installFakeMedia } = require('./fake-media');
+
+const rootDir = path.join(__dirname, '..', '..');
+
+/**
+ * The Speech SDK the pages load from the CDN: recognizers which never hear anything, and synthesizers which
+ * "speak" a sentence for a few ms through the player they are given
+ */
+function createFakeSpeechSdk() {
+    const configuration = () => ({ setProperty: () => {}, close: () => {} });
+    return {
+        PropertyId: { SpeechServiceConnection_LanguageIdMode: 'SpeechServiceConnection_LanguageIdMode' },
+        ResultReason: { RecognizedSpeech: 'RecognizedSpeech', Canceled: 'Canceled', SynthesizingAudioCompleted: 'SynthesizingAudioCompleted' },
+        SpeechConfig: { fromAuthorizationToken: configuration },
+        AutoDetectSourceLanguageConfig: { fromLanguages: languages => ({ languages: languages }) },
+        AudioConfig: {
+            fromDefaultMicrophoneInput: () => ({}),
+            fromMicrophoneInput: deviceId => ({ deviceId: deviceId }),
+            fromSpeakerOutput: player => ({ player: player })
+        },
+        SpeechRecognizer: {
+            FromConfig: () => ({
+                startContinuousRecognitionAsync: success => success && success(),
+                stopContinuousRecognitionAsync: () => {},
+                close: () => {}
+            })
+        },
+        SpeakerAudioDestination: class {
+            constructor() {
+                this.onAudioStart = null;
+                this.onAudioEnd = null;
+            }
+
+            pause() {}
+        },
+        SpeechSynthesizer: class {
+            constructor(speechConfig, audioConfig) {
+                this.player = audioConfig.player;
+                this.closed = false;
+            }
+
+            speakSsmlAsync(ssml, success) {
+                setTimeout(() => this.player.onAudioStart && this.player.onAudioStart(), 0);
+                setTimeout(() => {
+                    success({ reason: 'SynthesizingAudioCompleted' });
+                    if (!this.closed && this.player.onAudioEnd) {
+                        this.player.onAudioEnd();
+                    }
+                }, 20);
+            }
+
+            close() {
+                this.closed = true;
+            }
+        },
+        CancellationDetails: { fromResult: () => ({ errorDetails: '' }) }
+    };
+}
+
+class TestPage {
+    constructor(dom, backend, logs) {
+        this.dom = dom;
+        this.window = dom.window;
+        this.document = dom.window.document;
+        this.backend = backend;
+        this.logs = logs;
+        this.downloads = [];
+        this.closed = false;
+    }
+
+    element(id) {
+        const element = this.document.getElementById(id);
+        if (element === null) {
+            throw new Error(`The page has no element #${id}`);
+        }
+        return element;
+    }
+
+    /**
+     * Run code in the page, e.g. to read the state of its scripts
+     */
+    evaluate(code) {
+        return vm.runInContext(code, this.dom.getInternalVMContext());
+    }
+
+    /**
+     * Evaluate an expression in the page and return a copy of its value in plain Node objects, for deep comparisons
+     */
+    read(code) {
+        const value = this.evaluate(code);
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    click(id) {
+        this.element(id).click();
+    }
+
+    /**
+     * Type a line into a text box and press Enter
+     */
+    type(id, text) {
+        const input = this.element(id);
+        input.value = text;
+        input.dispatchEvent(new this.window.KeyboardEvent('keyup', { key: 'Enter', bubbles: true }));
+    }
+
+    check(id, checked = true) {
+        const input = this.element(id);
+        if (input.checked !== checked) {
+            input.click();
+        }
+    }
+
+    /**
+     * Wait until predicate() returns a truthy value, and return it
+     */
+    async waitFor(predicate, description = 'the condition', timeoutMs = 3000) {
+        const deadline = Date.now() + timeoutMs;
+        while (Date.now() < deadline) {
+            const value = predicate();
+            if (value) {
+                return value;
+            }
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        throw new Error(`Timed out waiting for ${description}. Page log:\n${this.logs.slice(-20).map(log => `${log.level}: ${log.text}`).join('\n')}`);
+    }
+
+    errors() {
+        return this.logs.filter(log => log.level === 'error' || log.level === 'jsdomError');
+    }
+
+    /**
+     * Leave the page, as the browser does on a reload or when the tab is closed
+     */
+    unload() {
+        if (typeof this.window.onbeforeunload === 'function') {
+            this.window.onbeforeunload();
+        }
+        return this.close();
+    }
+
+    /**
+     * Close the page. It gets no more responses or socket events, and the work already under way (responses
+     * being read, media events of the fakes) is let finish before the window goes away.
+     */
+    async close() {
+        this.closed = true;
+        this.backend.sockets.filter(socket => socket.page === this).forEach(socket => socket.disconnect());
+        await new Promise(resolve => setTimeout(resolve, 50));
+        this.window.close();
+    }
+}
+
+/**
+ * Render a template with the given variables and load its scripts from static/js, in order, with the browser APIs
+ * it needs faked and the server played by the backend. Resolves once the page has loaded.
+ * options.sessionStorage: the session storage of the tab, e.g. to reload a page
+ */
+async function openPage(templateName, backend, variables = {}, options = {}) {
+    const logs = [];
+    const virtualConsole = new VirtualConsole();
+    ['log', 'info', 'warn', 'error', 'debug'].forEach(level => {
+        virtualConsole.on(level, (...args) => logs.push({ level: level, text: args.map(arg => (arg instanceof Error ? arg.message : String(arg))).join(' ') }));
+    });
+    virtualConsole.on('jsdomError', error => logs.push({ level: 'jsdomError', text: error.message }));
+
+    const dom = new JSDOM(renderTemplate(templateName, Object.assign({ cache_bust: 'test' }, variables)), {
+        url: `http://localhost:5000${options.path || '/'}`,
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole: virtualConsole
+    });
+    const page = new TestPage(dom, backend, logs);
+    const window = dom.window;
+
+    installFakeMedia(window);
+    // A page which is gone gets no more responses
+    const pending = new Promise(() => {});
+    window.fetch = (url, init) => (page.closed ? pending : backend.fetch(url, init).then(response => (page.closed ? pending : response)));
+    window.TextDecoder = TextDecoder;
+    window.TextEncoder = TextEncoder;
+    window.SpeechSDK = createFakeSpeechSdk();
+    window.io = {
+        connect: (url, socketOptions) => {
+            const socket = backend.connectSocket(url, socketOptions);
+            socket.page = page;
+            return socket;
+        }
+    };
+    window.alert = message => logs.push({ level: 'alert', text: String(message) });
+    Object.defineProperty(window.navigator, 'sendBeacon', { configurable: true, value: backend.sendBeacon });
+    // Downloads are kept instead of navigating to them
+    let nextBlobId = 1;
+    const blobs = new Map();
+    window.URL.createObjectURL = blob => {
+        const url = `blob:http://localhost:5000/${nextBlobId++}`;
+        blobs.set(url, blob);
+        return url;
+    };
+    window.URL.revokeObjectURL = url => blobs.delete(url);
+    window.document.addEventListener('click', event => {
+        const link = event.target.closest && event.target.closest('a[download]');
+        if (link) {
+            event.preventDefault();
+            page.downloads.push({ fileName: link.download, blob: blobs.get(link.href) });
+        }
+    }, true);
+    Object.entries(options.sessionStorage || {}).forEach(([key, value]) => window.sessionStorage.setItem(key, value));
+
+    // The app's scripts, in the order of the page; the ones from a CDN are faked above
+    const vmContext = dom.getInternalVMContext();
+    window.document.querySelectorAll('script[src]').forEach(script => {
+        const src = script.getAttribute('src').split('?')[0];
+        if (src.startsWith('/static/')) {
+            const file = path.join(rootDir, src);
+            vm.runInContext(fs.readFileSync(file, 'utf8'), vmContext, { filename: file });
+        }
+    });
+
+    await new Promise(resolve => window.addEventListener('load', resolve));
+    return page;
+}
+
+/**
+ * Open the chat page (/chat) in mock mode, for a new client of the backend. The page sends no keepalives
+ * unless keepAliveIntervalSeconds is given.
+ */
+function openChatPage(backend, { keepAliveIntervalSeconds = 0, ...options } = {}) {
+    const { clientId, sessionToken } = backend.initializeClient();
+    return openPage('chat.html', backend, {
+        client_id: clientId,
+        session_token: sessionToken,
+        enable_websockets: backend.websockets,
+        mock_mode: true,
+        chat_backends: [{ name: 'mock', label: 'Scripted replies (mock mode)' }],
+        default_chat_backend: 'mock',
+        keep_alive_interval_seconds: keepAliveIntervalSeconds
+    }, Object.assign({ path: '/chat' }, options));
+}
+
+/**
+ * Open the basic page (/basic), for a new client of the backend. With mockMode, the page uses the mock avatar,
+ * as it does when the server runs in mock mode. The page sends no keepalives unless keepAliveIntervalSeconds is given.
+ */
+function openBasicPage(backend, { mockMode = false, keepAliveIntervalSeconds = 0 } = {}) {
+    const { clientId } = backend.initializeClient();
+    return openPage('basic.html', backend, { client_id: clientId, mock_mode: mockMode, keep_alive_interval_seconds: keepAliveIntervalSeconds }, { path: '/basic' });
+}
+
+/**
+ * Read a downloaded or uploaded blob as text
+ */
+function readBlob(page, blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new page.window.FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(blob);
+    });
+}
+
+module.exports = { openBasicPage, openChatPage, openPage, readBlob, TestPage };
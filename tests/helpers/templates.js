@@ -0,0 +1,99 @@
+// templates.js - Render the Flask templates of the pages for the tests, without Flask
+
+const fs = require('fs');
+const path = require('path');
+
+const templatesDir = path.join(__dirname, '..', '..', 'templates');
+
+// The Jinja the templates use: {{ expression }}, {% for x in xs %} and {% if a == b %}, with url_for('static', filename=...)
+const tagRegex = /{{\s*(.+?)\s*}}|{%\s*(.+?)\s*%}/g;
+
+/**
+ * Render templates/<name> with the given variables, as render_template does.
+ * Booleans are rendered the way Python prints them ('True' / 'False'), and missing variables as ''.
+ */
+function renderTemplate(name, variables = {}) {
+    const source = fs.readFileSync(path.join(templatesDir, name), 'utf8');
+    const nodes = parseTemplate(source);
+    return renderNodes(nodes, variables);
+}
+
+function parseTemplate(source) {
+    const root = { children: [] };
+    const stack = [root];
+    let lastIndex = 0;
+    let match;
+    while ((match = tagRegex.exec(source)) !== null) {
+        const current = stack[stack.length - 1];
+        current.children.push({ type: 'text', text: source.slice(lastIndex, match.index) });
+        lastIndex = tagRegex.lastIndex;
+        if (match[1] !== undefined) {
+            current.children.push({ type: 'expression', expression: match[1] });
+            continue;
+        }
+        const statement = match[2];
+        const forMatch = statement.match(/^for (\w+) in (.+)$/);
+        const ifMatch = statement.match(/^if (.+)$/);
+        if (forMatch) {
+            const node = { type: 'for', name: forMatch[1], iterable: forMatch[2], children: [] };
+            current.children.push(node);
+            stack.push(node);
+        } else if (ifMatch) {
+            const node = { type: 'if', condition: ifMatch[1], children: [] };
+            current.children.push(node);
+            stack.push(node);
+        } else if (statement === 'endfor' || statement === 'endif') {
+            stack.pop();
+        } else {
+            throw new Error(`Unsupported template statement: {% ${statement} %}`);
+        }
+    }
+    root.children.push({ type: 'text', text: source.slice(lastIndex) });
+    return root.children;
+}
+
+function renderNodes(nodes, variables) {
+    return nodes.map(node => {
+        if (node.type === 'text') {
+            return node.text;
+        }
+        if (node.type === 'expression') {
+            return escapeHtml(formatValue(evaluate(node.expression, variables)));
+        }
+        if (node.type === 'for') {
+            return (evaluate(node.iterable, variables) || []).map(item =>
+                renderNodes(node.children, Object.assign({}, variables, { [node.name]: item }))).join('');
+        }
+        const [left, right] = node.condition.split('==').map(part => part.trim());
+        const value = right === undefined ? evaluate(left, variables) : evaluate(left, variables) === evaluate(right, variables);
+        return value ? renderNodes(node.children, variables) : '';
+    }).join('');
+}
+
+function evaluate(expression, variables) {
+    const urlForMatch = expression.match(/^url_for\('static', filename='([^']+)'\)$/);
+    if (urlForMatch) {
+        return `/static/${urlForMatch[1]}`;
+    }
+    const stringMatch = expression.match(/^'([^']*)'$/);
+    if (stringMatch) {
+        return stringMatch[1];
+    }
+    return expression.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), variables);
+}
+
+function formatValue(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    if (typeof value === 'boolean') {
+        return value ? 'True' : 'False';
+    }
+    return String(value);
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&#34;').replace(/'/g, '&#39;');
+}
+
+module.exports = { renderTemplate };
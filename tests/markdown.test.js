@@ -0,0 +1,37 @@
+// markdown.test.js - Markdown of the assistant messages: escaping, links, emphasis, lists and citations
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { MarkdownRenderer } = require('../static/js/markdown');
+
+const renderer = new MarkdownRenderer();
+
+test('HTML in the text is escaped, in code spans and code blocks as well', () => {
+    assert.strictEqual(renderer.render('<img src=x onerror="alert(1)"> & `<b>`'),
+        '<p>&lt;img src=x onerror=&quot;alert(1)&quot;&gt; &amp; <code>&lt;b&gt;</code></p>');
+    assert.strictEqual(renderer.render('```\n<script>\n```'), '<pre><code>&lt;script&gt;</code></pre>');
+});
+
+test('the underscores and asterisks of a URL or a code span are not taken for emphasis', () => {
+    assert.strictEqual(renderer.render('See [the _leave_ policy](https://example.com/_shared_/leave_policy.pdf) and `snake_case_name`.'),
+        '<p>See <a href="https://example.com/_shared_/leave_policy.pdf" target="_blank" rel="noopener noreferrer">the <em>leave</em> policy</a>' +
+        ' and <code>snake_case_name</code>.</p>');
+    assert.strictEqual(renderer.render('**Bold**, *italic* and _italic_'), '<p><strong>Bold</strong>, <em>italic</em> and <em>italic</em></p>');
+});
+
+test('links to anything but web and mail addresses are shown as their label only', () => {
+    assert.strictEqual(renderer.render('[Click me](javascript:alert)'), '<p>Click me</p>');
+    assert.strictEqual(renderer.render('[Mail us](mailto:hr@example.com)'),
+        '<p><a href="mailto:hr@example.com" target="_blank" rel="noopener noreferrer">Mail us</a></p>');
+});
+
+test('bullet and numbered lists are separate lists, with indented lines continuing their item', () => {
+    assert.strictEqual(renderer.render('Steps:\n1. Breathe\n2. Write it down\n   before bed\n- Sleep\n\nDone.'),
+        '<p>Steps:</p><ol><li>Breathe</li><li>Write it down before bed</li></ol><ul><li>Sleep</li></ul><p>Done.</p>');
+});
+
+test('[docN] references become citation chips, and missing ones are marked', () => {
+    assert.strictEqual(renderer.render('Yes [doc1] [doc2]', [{ title: 'Leave "policy"' }]),
+        '<p>Yes <button type="button" class="citation-chip" data-citation-index="0" title="Leave &quot;policy&quot;">1</button>' +
+        ' <sup class="citation-missing">[2]</sup></p>');
+});
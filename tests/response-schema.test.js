@@ -0,0 +1,75 @@
+// response-schema.test.js - Validating the evaluator's JSON replies: type mismatches, the corrections made on the way,
+// and the repair prompt built from the errors
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ResponseSchemaValidator } = require('../static/js/response-schema');
+const { RubricEvaluator } = require('../static/js/rubric-evaluator');
+
+const validator = new ResponseSchemaValidator();
+
+const scoresSchema = {
+    type: 'object',
+    required: ['rubrics'],
+    properties: {
+        rubrics: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['name', 'score'],
+                properties: {
+                    name: { type: 'string', enum: ['Empathy', 'Open Questions'] },
+                    score: { type: 'number', minimum: 1, maximum: 4 },
+                    justification: { type: 'string', minLength: 1 }
+                }
+            }
+        }
+    }
+};
+
+test('scores out of the range are clamped to it, with a warning', () => {
+    const result = validator.validate({ rubrics: [{ name: 'Empathy', score: 7 }, { name: 'Open Questions', score: 0 }] }, scoresSchema);
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(result.value.rubrics.map(item => item.score), [4, 1]);
+    assert.deepStrictEqual(result.warnings, [
+        '$.rubrics[0].score (7) was lowered to the maximum of 4.',
+        '$.rubrics[1].score (0) was raised to the minimum of 1.'
+    ]);
+});
+
+test('numbers given as text and enum values in another case are corrected', () => {
+    const result = validator.validate({ rubrics: [{ name: ' open  questions', score: '3' }] }, scoresSchema);
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(result.value.rubrics, [{ name: 'Open Questions', score: 3 }]);
+    assert.deepStrictEqual(result.warnings, ['$.rubrics[0].score was given as text ("3").']);
+});
+
+test('values of the wrong type, missing fields and unknown enum values are errors', () => {
+    assert.deepStrictEqual(validator.validate([], scoresSchema).errors, ['$ must be an object.']);
+    assert.deepStrictEqual(validator.validate({ rubrics: 'Empathy: 3' }, scoresSchema).errors, ['$.rubrics must be an array.']);
+    assert.deepStrictEqual(validator.validate({ rubrics: [] }, scoresSchema).errors, ['$.rubrics must have at least 1 item(s).']);
+    assert.deepStrictEqual(validator.validate({ rubrics: [{ name: 'Humour', score: 'high', justification: ' ' }] }, scoresSchema).errors, [
+        '$.rubrics[0].name must be one of: Empathy, Open Questions (got "Humour").',
+        '$.rubrics[0].score must be a number.',
+        '$.rubrics[0].justification must not be empty.'
+    ]);
+    assert.deepStrictEqual(validator.validate({ rubrics: [{ name: 3 }] }, scoresSchema).errors, [
+        '$.rubrics[0].score is required.',
+        '$.rubrics[0].name must be a string.'
+    ]);
+    assert.deepStrictEqual(validator.validate(2.5, { type: 'integer' }).errors, ['$ must be a whole number.']);
+});
+
+test('the repair prompt gives the errors, the previous reply and the schema of the request', () => {
+    const evaluator = new RubricEvaluator({ schemaValidator: validator });
+    const rubric = evaluator.normalizeRubric({ name: 'Active listening', scale: { min: 1, max: 4 }, dimensions: [{ name: 'Empathy' }] });
+    const prompt = evaluator.getRepairPrompt(rubric, 'Score the transcript.', 'rubric-scores', { raw: 'Empathy: 3' },
+        ['$.rubrics is required.']);
+
+    assert.ok(prompt.startsWith('Score the transcript.\n\nYour previous reply did not match the required format.'));
+    assert.match(prompt, /These problems were found:\n- \$\.rubrics is required\.\n\nPrevious reply:\nEmpathy: 3\n/);
+    const schema = JSON.parse(prompt.slice(prompt.indexOf('JSON schema:\n') + 'JSON schema:\n'.length));
+    assert.deepStrictEqual(schema, evaluator.getResponseSchema(rubric, 'rubric-scores'));
+    assert.deepStrictEqual(schema.properties.rubrics.items.properties.score, { type: 'number', minimum: 1, maximum: 4 });
+});
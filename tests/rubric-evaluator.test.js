@@ -0,0 +1,98 @@
+// rubric-evaluator.test.js - Rubric definitions, the evaluator's replies validated and repaired, and scores matched to the rubric
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { RubricEvaluator } = require('../static/js/rubric-evaluator');
+const { ResponseSchemaValidator } = require('../static/js/response-schema');
+const { MockBackend } = require('./helpers/mock-backend');
+
+const definition = {
+    name: 'Active listening',
+    scale: { min: 1, max: 4, labels: { 4: 'Excellent' } },
+    dimensions: [
+        { name: 'Empathy', description: 'Acknowledges feelings' },
+        { name: 'Open Questions', weight: 3 }
+    ]
+};
+
+function createEvaluator(evaluationReplies = {}) {
+    const backend = new MockBackend({ evaluationReplies: evaluationReplies });
+    const evaluator = new RubricEvaluator({ fetch: backend.fetch, schemaValidator: new ResponseSchemaValidator() });
+    return { evaluator, backend, rubric: evaluator.normalizeRubric(definition) };
+}
+
+test('a rubric definition gets the defaults of its optional fields', () => {
+    const { rubric } = createEvaluator();
+    assert.strictEqual(rubric.id, 'Active listening');
+    assert.strictEqual(rubric.context, 'a transcript between a helper/counselor and a person seeking help');
+    assert.deepStrictEqual(rubric.dimensions.map(dimension => [dimension.name, dimension.weight]), [['Empathy', 1], ['Open Questions', 3]]);
+});
+
+test('an invalid rubric definition is rejected with all of its problems', () => {
+    const { evaluator } = createEvaluator();
+    assert.throws(() => evaluator.normalizeRubric({ scale: { min: 4, max: 1 }, dimensions: [{ name: 'Empathy' }, { name: ' empathy ', weight: -1 }] }), {
+        message: 'Invalid rubric definition: "name" is required; "scale" must have integer "min" and "max" with min < max; ' +
+            'dimension " empathy " is defined more than once; dimension " empathy " has an invalid weight'
+    });
+});
+
+test('scores are matched to the dimensions whatever their case, and the overall score is weighted', () => {
+    const { evaluator, rubric } = createEvaluator();
+    const result = evaluator.matchRubricScores(rubric, { rubrics: [
+        { name: 'empathy', score: 2, justification: 'Some reflection.' },
+        { name: 'Open  questions', score: 4, justification: 'Mostly open.' },
+        { name: 'Humour', score: 3 }
+    ] });
+    assert.deepStrictEqual(result.rubrics.map(item => [item.name, item.score]), [['Empathy', 2], ['Open Questions', 4]]);
+    assert.strictEqual(result.overallScore, 3.5);
+    assert.deepStrictEqual(result.issues, ['Unexpected dimension "Humour" was ignored.']);
+});
+
+test('missing and out of range scores are left out of the overall score', () => {
+    const { evaluator, rubric } = createEvaluator();
+    const result = evaluator.matchRubricScores(rubric, { rubrics: [{ name: 'Empathy', score: 7 }] });
+    assert.deepStrictEqual(result.rubrics.map(item => item.score), [null, null]);
+    assert.strictEqual(result.overallScore, null);
+    assert.deepStrictEqual(result.issues, ['"Empathy" has an out of range score (7).', '"Open Questions" was not scored.']);
+});
+
+test('a reply without a score for every dimension is sent back once with a repair prompt', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const { evaluator, backend, rubric } = createEvaluator({
+        'rubric-scores': JSON.stringify({ rubrics: [{ name: 'Empathy', score: 3, justification: 'Warm.' }] }),
+        'rubric-scores-repair': JSON.stringify({ rubrics: [
+            { name: 'Empathy', score: 3, justification: 'Warm.' },
+            { name: 'Open Questions', score: 2, justification: 'Few.' }
+        ] })
+    });
+
+    const scores = await evaluator.getRubricScores(rubric, 'User: Hello\n\nAssistant: Hi');
+    assert.deepStrictEqual(scores.validation, { valid: true, repaired: true, errors: [], warnings: [] });
+    assert.strictEqual(scores.rubrics.length, 2);
+
+    const requests = backend.requestsTo('/api/evaluate').map(request => JSON.parse(request.body));
+    assert.deepStrictEqual(requests.map(request => request.requestType), ['rubric-scores', 'rubric-scores-repair']);
+    assert.match(requests[0].prompt, /using the "Active listening" rubric across these 2 dimensions on a scale of 1-4/);
+    assert.match(requests[0].prompt, /4=Excellent/);
+    assert.match(requests[1].prompt, /\$\.rubrics has no score for "Open Questions"\./);
+});
+
+test('the suggested reply is asked for in the setting of the rubric and with its dimensions', async () => {
+    const { evaluator, backend } = createEvaluator({ 'suggested-reply': JSON.stringify({ suggestedReply: 'What would help most?' }) });
+    const rubric = evaluator.normalizeRubric(Object.assign({ context: 'a transcript between a sales representative and a customer' }, definition));
+    const reply = await evaluator.getSuggestedReply(rubric, 'User: Hello\n\nAssistant: Hi');
+    assert.strictEqual(reply.suggestedReply, 'What would help most?');
+
+    const prompt = JSON.parse(backend.requestsTo('/api/evaluate')[0].body).prompt;
+    assert.match(prompt, /analyzing a transcript between a sales representative and a customer\./);
+    assert.match(prompt, /"Active listening" rubric dimensions/);
+    assert.match(prompt, /  - Empathy: Acknowledges feelings\n  - Open Questions: /);
+    assert.doesNotMatch(prompt, /counselor/);
+});
+
+test('the partial JSON of a streamed reply is completed as far as it goes', () => {
+    const { evaluator } = createEvaluator();
+    assert.deepStrictEqual(evaluator.parsePartialJson('{"recommendations": ["Reflect the feel'), { recommendations: ['Reflect the feel'] });
+    assert.deepStrictEqual(evaluator.parsePartialJson('{"overallLevel": "Good", "streng'), { overallLevel: 'Good' });
+    assert.strictEqual(evaluator.parsePartialJson('not json'), null);
+});
@@ -0,0 +1,126 @@
+// server-transport.test.js - The page's requests to the server for its client, over HTTP and the websocket, against the mock backend
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ServerTransport } = require('../static/js/server-transport');
+const { ChatStreamDecoder } = require('../static/js/chat-stream');
+const { MockBackend } = require('./helpers/mock-backend');
+
+const reply = 'Thanks for telling me that. Could you say a little more about what happened?';
+const chatSettings = { chatBackend: 'mock', systemPrompt: 'You are a helper.' };
+
+// A transport for a new client of the backend, which keeps the chat frames and server events it gets
+function createTransport(backend) {
+    const { clientId, sessionToken } = backend.initializeClient();
+    const received = { frames: [], userMessages: [], serverEvents: [] };
+    const frameHandler = frame => received.frames.push(frame);
+    const transport = new ServerTransport(clientId, {
+        frameHandlers: { token: frameHandler, latency: frameHandler, done: () => received.frames.push({ type: 'done' }) },
+        onUserMessage: text => received.userMessages.push(text),
+        onServerEvent: data => received.serverEvents.push(data.eventType),
+        fetch: backend.fetch,
+        createSocket: backend.connectSocket,
+        sendBeacon: backend.sendBeacon,
+        createDecoder: handlers => new ChatStreamDecoder(handlers),
+        origin: 'http://localhost:5000'
+    });
+    return { transport, clientId, sessionToken, received };
+}
+
+function replyText(frames) {
+    return frames.filter(frame => frame.type === 'token').map(frame => frame.text).join('');
+}
+
+async function waitFor(predicate) {
+    while (!predicate()) {
+        await new Promise(resolve => setTimeout(resolve, 1));
+    }
+}
+
+test('over HTTP, a query resolves once its streamed reply has been read', async () => {
+    const backend = new MockBackend({ chunkLength: 5 });
+    const { transport, clientId, received } = createTransport(backend);
+
+    await transport.sendQuery('I had a hard week.', chatSettings);
+    assert.strictEqual(replyText(received.frames), reply);
+    assert.deepStrictEqual(received.frames[received.frames.length - 1], { type: 'done' });
+    const request = backend.requestsTo('/api/chat')[0];
+    assert.deepStrictEqual([request.headers['ClientId'], request.headers['ChatBackend'], request.body], [clientId, 'mock', 'I had a hard week.']);
+});
+
+test('over the websocket, only the events of the page\'s own client are passed on', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const backend = new MockBackend({ websockets: true });
+    const { transport, clientId, received } = createTransport(backend);
+    transport.openWebSocket();
+    assert.strictEqual(transport.usesWebSocket(), true);
+    await waitFor(() => backend.sockets[0].connected);
+
+    backend.broadcast({ path: 'api.chat', frame: { type: 'token', text: 'Not for this page.' }, clientId: 'another-client' });
+    backend.emitToClient(clientId, { path: 'api.userMessage', userMessage: 'I had a hard week.', clientId: clientId });
+    await transport.sendQuery('I had a hard week.', chatSettings);
+    await waitFor(() => received.frames.some(frame => frame.type === 'done'));
+
+    assert.strictEqual(replyText(received.frames), reply);
+    assert.deepStrictEqual(received.userMessages, ['I had a hard week.']);
+    assert.deepStrictEqual(backend.requestsTo('/api/chat'), []);
+    assert.strictEqual(backend.sockets[0].sent[0].data.userQuery, 'I had a hard week.');
+});
+
+test('stopping the avatar over HTTP tells the server whether the reply was cut off', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const backend = new MockBackend();
+    const { transport } = createTransport(backend);
+    await transport.stopSpeaking(true, 'bargeIn');
+    assert.strictEqual(backend.requestsTo('/api/stopSpeaking')[0].headers['Interrupted'], 'true');
+});
+
+test('resuming the session of the tab takes over its client, and a failed resume keeps the page\'s own', async () => {
+    const backend = new MockBackend();
+    const previous = createTransport(backend);
+    await previous.transport.sendQuery('I had a hard week.', chatSettings);
+    const { transport, clientId } = createTransport(backend);
+
+    const savedSession = { clientId: previous.clientId, sessionToken: previous.sessionToken };
+    await assert.rejects(transport.resume({ clientId: previous.clientId, sessionToken: 'not-the-token' }), /^Error: Unable to resume the previous session: 404/);
+    assert.strictEqual(transport.clientId, clientId);
+
+    const messages = await transport.resume(savedSession);
+    assert.strictEqual(transport.clientId, previous.clientId);
+    assert.deepStrictEqual(messages.map(message => message.role), ['user', 'assistant']);
+    assert.strictEqual(backend.clients.has(clientId), false);
+});
+
+test('the mock avatar events come with the status polls', async () => {
+    const backend = new MockBackend();
+    const { transport, clientId, received } = createTransport(backend);
+    backend.clients.get(clientId).speechSynthesizerConnected = true;
+    backend.speakText(clientId, 'Hello.');
+
+    const status = await transport.checkStatus();
+    assert.strictEqual(status.speechSynthesizerConnected, true);
+    assert.deepStrictEqual(received.serverEvents, ['MOCK_AVATAR_SPEAKING']);
+});
+
+test('keepalives are sent at the interval until they are stopped', async (t) => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    const backend = new MockBackend();
+    const { transport, clientId } = createTransport(backend);
+    transport.startKeepAlive(0);
+    t.mock.timers.tick(60000);
+    assert.deepStrictEqual(backend.requestsTo('/api/keepAlive'), []);
+
+    transport.startKeepAlive(30);
+    t.mock.timers.tick(60000);
+    transport.stopKeepAlive();
+    t.mock.timers.tick(60000);
+    assert.deepStrictEqual(backend.requestsTo('/api/keepAlive').map(request => request.headers['ClientId']), [clientId, clientId]);
+});
+
+test('an unloading page suspends its client', () => {
+    const backend = new MockBackend();
+    const { transport, clientId } = createTransport(backend);
+    transport.suspend();
+    assert.deepStrictEqual(backend.beacons.map(beacon => beacon.path), ['/api/suspendClient']);
+    assert.strictEqual(backend.clients.get(clientId).suspended, true);
+});
@@ -0,0 +1,154 @@
+// session-state.test.js - Reconnection of the session state machine, on a fake clock
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SessionStateMachine } = require('../static/js/session-state');
+
+/**
+ * A state machine whose timers only fire when the clock is advanced
+ */
+function createMachine(options = {}) {
+    const clock = { time: 0, timers: [] };
+    const reconnects = [];
+    const machine = new SessionStateMachine(Object.assign({
+        reconnect: () => reconnects.push(clock.time),
+        now: () => clock.time,
+        setTimer: (callback, ms) => {
+            const timer = { at: clock.time + ms, callback: callback };
+            clock.timers.push(timer);
+            return timer;
+        },
+        clearTimer: timer => {
+            clock.timers = clock.timers.filter(pending => pending !== timer);
+        },
+        random: () => 0
+    }, options));
+    clock.advance = ms => {
+        const until = clock.time + ms;
+        let timer;
+        while ((timer = clock.timers.filter(pending => pending.at <= until).sort((a, b) => a.at - b.at)[0])) {
+            clock.timers = clock.timers.filter(pending => pending !== timer);
+            clock.time = timer.at;
+            timer.callback();
+        }
+        clock.time = until;
+    };
+    return { machine, clock, reconnects };
+}
+
+test('retries back off exponentially up to the maximum delay', (t) => {
+    t.mock.method(console, 'log', () => {});
+    const { machine, clock, reconnects } = createMachine({ baseDelayMs: 1000, maxDelayMs: 5000, maxAttempts: 10 });
+    machine.start();
+    machine.connected();
+
+    machine.connectionLost('The WebRTC connection failed');
+    assert.strictEqual(machine.state, 'reconnecting');
+    assert.strictEqual(machine.nextRetryAt, 1000);
+    for (let attempt = 0; attempt < 4; attempt++) {
+        clock.advance(machine.nextRetryAt - clock.time);
+        machine.connectionLost('Still failing');
+    }
+    // 1 s, 2 s, 4 s, then capped at 5 s
+    assert.deepStrictEqual(reconnects, [1000, 3000, 7000, 12000]);
+    assert.strictEqual(machine.nextRetryAt - clock.time, 5000);
+
+    clock.advance(5000);
+    machine.connected();
+    assert.strictEqual(machine.state, 'active');
+    assert.strictEqual(machine.attempt, 0);
+    assert.deepStrictEqual(clock.timers, []);
+});
+
+test('jitter adds up to 20% to the delay', (t) => {
+    t.mock.method(console, 'log', () => {});
+    const { machine } = createMachine({ baseDelayMs: 1000, random: () => 1 });
+    machine.start();
+    machine.connectionLost('Timed out connecting to the avatar');
+    assert.strictEqual(machine.nextRetryAt, 1200);
+});
+
+test('gives up after the maximum number of attempts', (t) => {
+    t.mock.method(console, 'log', () => {});
+    const { machine, clock, reconnects } = createMachine({ maxAttempts: 2 });
+    machine.start();
+    for (let attempt = 0; attempt < 3; attempt++) {
+        machine.connectionLost('The WebRTC connection failed');
+        clock.advance(60000);
+    }
+    assert.strictEqual(reconnects.length, 2);
+    assert.strictEqual(machine.state, 'failed');
+    assert.match(machine.detail, /Gave up after 2 attempts/);
+
+    // The retry button starts over
+    machine.retry();
+    assert.strictEqual(machine.state, 'reconnecting');
+    assert.strictEqual(machine.attempt, 1);
+});
+
+test('does not reconnect after the interaction window has passed', (t) => {
+    t.mock.method(console, 'log', () => {});
+    const { machine, clock, reconnects } = createMachine({ interactionWindowMs: 60000 });
+    machine.start();
+    machine.connected();
+    clock.advance(59000);
+    machine.interacted();
+    clock.advance(59000);
+    machine.connectionLost('The WebRTC connection failed');
+    assert.strictEqual(machine.state, 'reconnecting');
+    clock.advance(2000);
+    machine.connected();
+
+    clock.advance(60000);
+    machine.connectionLost('The WebRTC connection failed');
+    assert.strictEqual(machine.state, 'failed');
+    assert.match(machine.detail, /Not reconnecting after 1 minutes without interaction/);
+    assert.strictEqual(reconnects.length, 1);
+});
+
+test('an explicit 0 is kept instead of the default', (t) => {
+    t.mock.method(console, 'log', () => {});
+    const { machine, clock, reconnects } = createMachine({ baseDelayMs: 0, maxAttempts: 0, iceDisconnectGraceMs: 0 });
+    assert.strictEqual(machine.baseDelayMs, 0);
+    assert.strictEqual(machine.iceDisconnectGraceMs, 0);
+    machine.start();
+    machine.connectionLost('The WebRTC connection failed');
+    assert.strictEqual(machine.state, 'failed');
+    assert.deepStrictEqual(reconnects, []);
+
+    const zeroDelay = createMachine({ baseDelayMs: 0 });
+    zeroDelay.machine.start();
+    zeroDelay.machine.connectionLost('The WebRTC connection failed');
+    assert.strictEqual(zeroDelay.machine.nextRetryAt, 0);
+    zeroDelay.clock.advance(0);
+    assert.deepStrictEqual(zeroDelay.reconnects, [0]);
+    assert.strictEqual(clock.timers.length, 0);
+});
+
+test('connection losses noticed several ways start one retry', (t) => {
+    t.mock.method(console, 'log', () => {});
+    const { machine, clock, reconnects } = createMachine();
+    machine.start();
+    machine.connected();
+    machine.connectionLost('The WebRTC connection failed');
+    machine.connectionLost('EVENT_TYPE_SESSION_END');
+    clock.advance(1000);
+    assert.strictEqual(reconnects.length, 1);
+    assert.strictEqual(machine.attempt, 1);
+});
+
+test('a listener which starts over on reconnecting cancels the retry', (t) => {
+    t.mock.method(console, 'log', () => {});
+    const { machine, clock, reconnects } = createMachine();
+    machine.onChange(state => {
+        if (state === 'reconnecting' && machine.attempt === 1) {
+            machine.start();
+        }
+    });
+    machine.start();
+    machine.connectionLost('Failed connecting to the Avatar service');
+    assert.strictEqual(machine.state, 'connecting');
+    assert.strictEqual(machine.retryTimer, null);
+    clock.advance(5000);
+    assert.deepStrictEqual(reconnects, []);
+});
@@ -0,0 +1,238 @@
+# test_app.py - The routes and websocket events of app.py, run against the Flask app in mock mode
+# Run with: pip install -r requirements.txt pytest, then pytest tests/test_app.py
+
+import datetime
+import json
+import os
+import re
+import sys
+import time
+import types
+import uuid
+
+import pytest
+import pytz
+
+# The app reads its configuration when it is imported: mock mode needs no Azure service, and the tests do without
+# the idle client release thread
+os.environ['MOCK_MODE'] = 'true'
+os.environ['SESSION_IDLE_TIMEOUT'] = '0'
+sys.path.insert(0, os.path.join(os.path.dirname(__file__), '..'))
+
+import app
+from chat_adapters import ScriptedAdapter
+from mock_services import mockEvaluation
+
+system_prompt = 'You are a helper listening to a person who had a hard week.'
+
+@pytest.fixture(autouse=True)
+def scriptedReplies(monkeypatch):
+    # The scripted replies without their delays, so every test gets its whole reply at once
+    monkeypatch.setitem(app.chat_backends, 'mock', ScriptedAdapter(first_token_delay_seconds=0, token_delay_seconds=0))
+
+@pytest.fixture
+def http():
+    return app.app.test_client()
+
+@pytest.fixture
+def noWaiting(monkeypatch):
+    # The avatar and STT disconnections wait for their threads, which there are none of in mock mode
+    monkeypatch.setattr(app, 'time', types.SimpleNamespace(sleep=lambda seconds: None, time=time.time))
+
+# Open the chat page, and return the client id and session token it was given
+def openChatPage(http) -> tuple:
+    page = http.get('/chat').get_data(as_text=True)
+    client_id = re.search(r'id="clientId" value="([^"]+)"', page).group(1)
+    session_token = re.search(r'id="sessionToken" value="([^"]+)"', page).group(1)
+    return client_id, session_token
+
+# The headers of the chat requests of a page
+def chatHeaders(client_id: str) -> dict:
+    return { 'ClientId': client_id, 'ChatBackend': 'mock', 'SystemPrompt': system_prompt }
+
+# Read the NDJSON chat frames of a /api/chat response
+def readFrames(response) -> list:
+    return [json.loads(line) for line in response.get_data(as_text=True).splitlines()]
+
+# Open the websocket of a page, as it does with its client id
+def openWebSocket(client_id: str):
+    return app.socketio.test_client(app.app, query_string=f'clientId={client_id}')
+
+def test_chat_streams_the_reply_as_ndjson_frames(http):
+    client_id, _ = openChatPage(http)
+    response = http.post('/api/chat', headers=chatHeaders(client_id), data='I had a hard week.')
+
+    assert response.status_code == 200
+    assert response.mimetype == 'application/x-ndjson'
+    frames = readFrames(response)
+    assert frames[-1] == { 'type': 'done' }
+    assert [frame['name'] for frame in frames if frame['type'] == 'latency'] == [ 'aoaiFirstToken', 'aoaiFirstSentence' ]
+    assert ''.join(frame['text'] for frame in frames if frame['type'] == 'token') == ScriptedAdapter.replies[0]
+
+    client_context = app.client_contexts[uuid.UUID(client_id)]
+    assert [(message['role'], message['content']) for message in client_context['messages']] == [
+        ('system', system_prompt), ('user', 'I had a hard week.'), ('assistant', ScriptedAdapter.replies[0]) ]
+    assert not client_context['is_replying']
+
+def test_chat_sends_the_citations_before_the_reply(http):
+    client_id, _ = openChatPage(http)
+    frames = readFrames(http.post('/api/chat', headers=chatHeaders(client_id), data='Which policy applies to me?'))
+
+    assert frames[0] == { 'type': 'citations', 'citations': ScriptedAdapter.citations }
+    assert ''.join(frame['text'] for frame in frames if frame['type'] == 'token') == ScriptedAdapter.cited_reply
+
+def test_chat_over_the_websocket_sends_one_event_per_frame_with_the_client_id(http):
+    client_id, _ = openChatPage(http)
+    websocket = openWebSocket(client_id)
+    assert app.client_contexts[uuid.UUID(client_id)]['websocket_connected']
+
+    websocket.emit('message', { 'clientId': client_id, 'path': 'api.chat', 'chatBackend': 'mock', 'systemPrompt': system_prompt, 'userQuery': 'I had a hard week.' })
+    events = [event['args'][0] for event in websocket.get_received() if event['name'] == 'response']
+
+    assert all(event['path'] == 'api.chat' and event['clientId'] == client_id for event in events)
+    frames = [event['frame'] for event in events]
+    assert frames[-1] == { 'type': 'done' }
+    assert ''.join(frame['text'] for frame in frames if frame['type'] == 'token') == ScriptedAdapter.replies[0]
+    websocket.disconnect()
+
+def test_the_opening_line_is_generated_and_added_to_the_history(http):
+    client_id, _ = openChatPage(http)
+    response = http.post('/api/chat/openingLine', headers=chatHeaders(client_id), data='')
+
+    assert response.status_code == 200
+    assert response.get_json() == { 'openingLine': ScriptedAdapter.opening_line, 'generated': True }
+    messages = app.client_contexts[uuid.UUID(client_id)]['messages']
+    assert [(message['role'], message['content']) for message in messages] == [ ('system', system_prompt), ('assistant', ScriptedAdapter.opening_line) ]
+
+def test_a_given_opening_line_is_kept_as_it_is(http):
+    client_id, _ = openChatPage(http)
+    response = http.post('/api/chat/openingLine', headers=chatHeaders(client_id), data='  Hello, how was your week?  ')
+
+    assert response.get_json() == { 'openingLine': 'Hello, how was your week?', 'generated': False }
+    assert app.client_contexts[uuid.UUID(client_id)]['messages'][-1] == { 'role': 'assistant', 'content': 'Hello, how was your week?' }
+
+def test_keep_alive_records_the_activity_of_known_clients_only(http):
+    client_id, _ = openChatPage(http)
+    client_context = app.client_contexts[uuid.UUID(client_id)]
+    client_context['last_activity_time'] = datetime.datetime.now(pytz.UTC) - datetime.timedelta(hours=1)
+
+    assert http.post('/api/keepAlive', headers={ 'ClientId': client_id }).status_code == 200
+    assert (datetime.datetime.now(pytz.UTC) - client_context['last_activity_time']).total_seconds() < 60
+    assert http.post('/api/keepAlive', headers={ 'ClientId': str(uuid.uuid4()) }).status_code == 404
+
+def test_clients_are_released_once_idle_even_with_their_websocket_open(http, noWaiting, monkeypatch):
+    monkeypatch.setattr(app, 'session_idle_timeout_seconds', 1800)
+    client_id, _ = openChatPage(http)
+    client_context = app.client_contexts[uuid.UUID(client_id)]
+    client_context['last_activity_time'] = datetime.datetime.now(pytz.UTC) - datetime.timedelta(hours=1)
+
+    # The websocket traffic of the page is its activity
+    websocket = openWebSocket(client_id)
+    app.releaseIdleClientsInternal(datetime.datetime.now(pytz.UTC))
+    assert uuid.UUID(client_id) in app.client_contexts
+    client_context['last_activity_time'] = datetime.datetime.now(pytz.UTC) - datetime.timedelta(hours=1)
+    websocket.emit('message', { 'clientId': client_id, 'path': 'api.stopSpeaking' })
+    app.releaseIdleClientsInternal(datetime.datetime.now(pytz.UTC))
+    assert uuid.UUID(client_id) in app.client_contexts
+
+    # A page gone without its websocket closing is released all the same
+    app.releaseIdleClientsInternal(datetime.datetime.now(pytz.UTC) + datetime.timedelta(hours=1))
+    assert uuid.UUID(client_id) not in app.client_contexts
+    assert client_context['websocket_connected']
+    websocket.disconnect()
+
+def test_a_reply_closed_part_way_is_kept_and_no_longer_taken_for_being_generated(http):
+    client_id, _ = openChatPage(http)
+    readFrames(http.post('/api/chat', headers=chatHeaders(client_id), data='I had a hard week.'))
+    client_context = app.client_contexts[uuid.UUID(client_id)]
+
+    reply_frames = app.handleUserQuery('It was the deadlines.', uuid.UUID(client_id))
+    first_token = next(frame for frame in reply_frames if frame['type'] == 'token')
+    assert client_context['is_replying']
+    reply_frames.close()
+
+    assert not client_context['is_replying']
+    assert client_context['messages'][-1] == { 'role': 'assistant', 'content': first_token['text'] }
+
+def test_a_suspended_client_is_kept_for_its_page_to_resume(http, noWaiting):
+    client_id, _ = openChatPage(http)
+    response = http.post('/api/suspendClient', data=json.dumps({ 'clientId': client_id }))
+
+    assert response.status_code == 200
+    assert app.client_contexts[uuid.UUID(client_id)]['suspended']
+
+def test_a_reloaded_page_resumes_its_session_and_the_new_client_is_released(http, noWaiting):
+    client_id, session_token = openChatPage(http)
+    readFrames(http.post('/api/chat', headers=chatHeaders(client_id), data='I had a hard week.'))
+    app.client_contexts[uuid.UUID(client_id)]['messages'][-1]['content'] += app.interrupted_reply_note
+    websocket = openWebSocket(client_id)
+    http.post('/api/suspendClient', data=json.dumps({ 'clientId': client_id }))
+
+    # The websocket of the page before is still closing when the reloaded page resumes the session
+    reloaded_client_id, _ = openChatPage(http)
+    response = http.post('/api/resumeClient', headers={ 'ClientId': reloaded_client_id }, data=json.dumps({ 'clientId': client_id, 'sessionToken': session_token }))
+
+    assert response.status_code == 200
+    assert response.get_json() == { 'clientId': client_id, 'messages': [
+        { 'role': 'user', 'content': 'I had a hard week.', 'interrupted': False },
+        { 'role': 'assistant', 'content': ScriptedAdapter.replies[0], 'interrupted': True } ] }
+    assert uuid.UUID(reloaded_client_id) not in app.client_contexts
+    assert not app.client_contexts[uuid.UUID(client_id)]['suspended']
+    websocket.disconnect()
+
+def test_a_session_open_in_another_page_is_not_resumed(http):
+    client_id, session_token = openChatPage(http)
+    websocket = openWebSocket(client_id)
+    other_client_id, _ = openChatPage(http)
+    response = http.post('/api/resumeClient', headers={ 'ClientId': other_client_id }, data=json.dumps({ 'clientId': client_id, 'sessionToken': session_token }))
+
+    assert response.status_code == 409
+    assert uuid.UUID(other_client_id) in app.client_contexts
+    websocket.disconnect()
+
+def test_a_session_is_not_resumed_without_its_token(http):
+    client_id, _ = openChatPage(http)
+    other_client_id, _ = openChatPage(http)
+    resume = lambda resume_request: http.post('/api/resumeClient', headers={ 'ClientId': other_client_id }, data=json.dumps(resume_request))
+
+    assert resume({ 'clientId': client_id, 'sessionToken': 'not-the-token' }).status_code == 404
+    assert resume({ 'clientId': str(uuid.uuid4()), 'sessionToken': 'not-the-token' }).status_code == 404
+    assert resume({ 'clientId': 'not-a-client-id' }).status_code == 400
+
+def test_the_mock_avatar_events_of_a_page_without_websocket_come_with_its_status_polls(http, noWaiting):
+    client_id, _ = openChatPage(http)
+    assert http.post('/api/connectAvatar', headers={ 'ClientId': client_id }).status_code == 200
+    assert http.post('/api/speak', headers={ 'ClientId': client_id }, data='<speak>Hello</speak>').status_code == 200
+    http.post('/api/stopSpeaking', headers={ 'ClientId': client_id })
+
+    events = []
+    deadline = time.time() + 5
+    while len(events) < 2 and time.time() < deadline:
+        status = json.loads(http.get('/api/getStatus', headers={ 'ClientId': client_id }).get_data(as_text=True))
+        assert status['speechSynthesizerConnected']
+        events += status['mockAvatarEvents']
+        time.sleep(0.05)
+    assert [event['eventType'] for event in events] == [ 'MOCK_AVATAR_SPEAKING', 'MOCK_AVATAR_IDLE' ]
+
+@pytest.mark.parametrize('request_type', [ 'executive-summary', 'rubric-scores', 'recommendations', 'suggested-reply', 'turn-annotations' ])
+def test_evaluate_streams_the_mock_evaluation_as_text(http, request_type):
+    prompt = 'Evaluate this conversation.'
+    response = http.post('/api/evaluate', json={ 'prompt': prompt, 'requestType': request_type, 'stream': True })
+
+    assert response.status_code == 200
+    assert response.mimetype == 'text/plain'
+    assert json.loads(response.get_data(as_text=True)) == mockEvaluation(prompt, request_type)
+
+def test_evaluate_without_streaming_returns_the_reply_in_json(http):
+    response = http.post('/api/evaluate', json={ 'prompt': 'Evaluate this conversation.', 'requestType': 'suggested-reply' })
+
+    assert response.status_code == 200
+    body = response.get_json()
+    assert body['success'] and body['requestType'] == 'suggested-reply'
+    assert json.loads(body['response']) == mockEvaluation('Evaluate this conversation.', 'suggested-reply')
+
+def test_evaluate_requires_a_prompt(http):
+    response = http.post('/api/evaluate', json={ 'requestType': 'suggested-reply' })
+
+    assert response.status_code == 400
+    assert response.get_json() == { 'error': 'Prompt is required' }
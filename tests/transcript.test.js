@@ -0,0 +1,90 @@
+// transcript.test.js - Reading back the plain text, prompt text and caption transcripts the exporters write
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ConversationTranscript } = require('../static/js/transcript');
+
+// A short conversation whose last reply was interrupted
+function createTranscript() {
+    const transcript = new ConversationTranscript();
+    transcript.addTurn('user', 'typed', 'I had a hard week.');
+    transcript.addTurn('assistant', 'llm', 'I am sorry to hear that.\nWhat happened?');
+    transcript.addTurn('user', 'stt', 'My shifts were changed again.');
+    transcript.markInterrupted(transcript.addTurn('assistant', 'llm', 'That sounds frustrating. Did anyone'));
+    return transcript;
+}
+
+// The speaker, text and interruption of each turn
+function summarize(transcript) {
+    return transcript.turns.map(turn => [turn.speaker, turn.displayText, turn.interrupted]);
+}
+
+test('the plain text export reads back into the same turns', () => {
+    const transcript = createTranscript();
+    const parsed = ConversationTranscript.parse(transcript.toPlainText());
+    assert.deepStrictEqual(summarize(parsed), summarize(transcript).map(([speaker, text]) => [speaker, text, false]));
+});
+
+test('the prompt text reads back with its interrupted turns', () => {
+    const transcript = createTranscript();
+    assert.match(transcript.toPromptText(), /^Assistant \(interrupted\): That sounds frustrating/m);
+    const parsed = ConversationTranscript.parse(transcript.toPromptText());
+    assert.deepStrictEqual(summarize(parsed), summarize(transcript));
+});
+
+test('the WebVTT and SRT exports read back into the same speakers and text', () => {
+    const transcript = createTranscript();
+    const expected = transcript.turns.map(turn => [turn.speaker, turn.displayText.replace(/\n/g, ' ')]);
+    for (const exported of [transcript.toWebVtt(), transcript.toSrt()]) {
+        const parsed = ConversationTranscript.parse(exported);
+        assert.deepStrictEqual(parsed.turns.map(turn => [turn.speaker, turn.displayText]), expected);
+    }
+});
+
+test('the labels are read whatever their case and spacing', () => {
+    const parsed = ConversationTranscript.fromPlainText('user : Hello\n\n  ASSISTANT:Hi there\nHow are you?\n');
+    assert.deepStrictEqual(summarize(parsed), [['user', 'Hello', false], ['assistant', 'Hi there\nHow are you?', false]]);
+});
+
+test('text before the first speaker label is rejected instead of dropped', () => {
+    assert.throws(
+        () => ConversationTranscript.parse('Session with the grievance officer\nUser: Hello\nAssistant: Hi'),
+        { message: 'Line 1 comes before the first speaker label (User: or Assistant:): Session with the grievance officer' }
+    );
+    assert.throws(() => ConversationTranscript.parse('Counselor: Hello\nUser: Hi'), /^Error: Line 1 comes before the first speaker label/);
+});
+
+test('the sample transcript is read', () => {
+    const text = fs.readFileSync(path.join(__dirname, '..', 'samples', 'sample-transcript.txt'), 'utf8');
+    const parsed = ConversationTranscript.parse(text);
+    assert.ok(parsed.turns.length > 4);
+    assert.deepStrictEqual(summarize(parsed)[0], ['user', 'Hello, how can I help you today?', false]);
+    assert.strictEqual(parsed.turns[1].speaker, 'assistant');
+});
+
+test('the assistant may be labelled with a persona name, and other labels are part of the text', () => {
+    const parsed = ConversationTranscript.parse('User: How was the week?\nSam: Stressful.\nNote: said quietly\n\nUser: I see.', ['Sam']);
+    assert.deepStrictEqual(summarize(parsed), [
+        ['user', 'How was the week?', false],
+        ['assistant', 'Stressful.\nNote: said quietly', false],
+        ['user', 'I see.', false]
+    ]);
+});
+
+test('caption cues with an unknown label continue the previous turn, and unknown voices are rejected', () => {
+    const srt = '1\n00:00:00,000 --> 00:00:02,000\nUser: How was the week?\n\n' +
+        '2\n00:00:02,000 --> 00:00:04,000\nSam: Stressful.\n\n' +
+        '3\n00:00:04,000 --> 00:00:05,000\nNote: Sam looks away.\n';
+    assert.deepStrictEqual(ConversationTranscript.parse(srt, ['Sam']).turns.map(turn => [turn.speaker, turn.displayText]), [
+        ['user', 'How was the week?'],
+        ['assistant', 'Stressful. Note: Sam looks away.']
+    ]);
+    assert.throws(() => ConversationTranscript.parse('1\n00:00:00,000 --> 00:00:02,000\nNote: recorded in room 2\n'), {
+        message: 'Cue 1 comes before the first speaker label (User: or Assistant:): Note: recorded in room 2'
+    });
+
+    const vtt = 'WEBVTT\n\n1\n00:00:00.000 --> 00:00:02.000\n<v User>Hello\n\n2\n00:00:02.000 --> 00:00:04.000\n<v Counselor>Hi\n';
+    assert.throws(() => ConversationTranscript.parse(vtt), { message: 'Cue 2 is spoken by "Counselor", which is none of the speakers (User, Assistant)' });
+});